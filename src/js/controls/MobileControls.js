@@ -200,10 +200,18 @@ export class MobileControls {
     // Create interact button
     const interactButton = this.createActionButton('F', '#33cc33');
     
+    // Create grenade button
+    const grenadeButton = this.createActionButton('G', '#ff9933');
+    
+    // Create knife button
+    const meleeButton = this.createActionButton('V', '#cccccc');
+    
     // Add to container
     buttonContainer.appendChild(shootButton);
     buttonContainer.appendChild(reloadButton);
     buttonContainer.appendChild(interactButton);
+    buttonContainer.appendChild(grenadeButton);
+    buttonContainer.appendChild(meleeButton);
     document.body.appendChild(buttonContainer);
     
     // Store references
@@ -211,6 +219,8 @@ export class MobileControls {
     this.touchControls.shootButton = shootButton;
     this.touchControls.reloadButton = reloadButton;
     this.touchControls.interactButton = interactButton;
+    this.touchControls.grenadeButton = grenadeButton;
+    this.touchControls.meleeButton = meleeButton;
     
     // Add event listeners for the buttons using multiple event types for better reliability
     
@@ -335,6 +345,36 @@ export class MobileControls {
     interactButton.addEventListener('touchend', handleInteractEnd, { passive: false });
     interactButton.addEventListener('mouseup', handleInteractEnd);
     
+    // Grenade button - throws on press
+    const handleGrenadeStart = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      
+      console.log("Grenade button pressed");
+      
+      if (this.playerControls && typeof this.playerControls.throwGrenade === 'function') {
+        this.playerControls.throwGrenade();
+      }
+    };
+    
+    grenadeButton.addEventListener('touchstart', handleGrenadeStart, { passive: false });
+    grenadeButton.addEventListener('mousedown', handleGrenadeStart);
+    
+    // Knife button - slashes on press
+    const handleMeleeStart = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      
+      console.log("Knife button pressed");
+      
+      if (this.playerControls && typeof this.playerControls.melee === 'function') {
+        this.playerControls.melee();
+      }
+    };
+    
+    meleeButton.addEventListener('touchstart', handleMeleeStart, { passive: false });
+    meleeButton.addEventListener('mousedown', handleMeleeStart);
+    
     // Make buttons more visually distinct and touchable on mobile
     this.makeButtonsMobileReady();
   }
@@ -346,7 +386,9 @@ export class MobileControls {
     const buttons = [
       this.touchControls.shootButton,
       this.touchControls.reloadButton,
-      this.touchControls.interactButton
+      this.touchControls.interactButton,
+      this.touchControls.grenadeButton,
+      this.touchControls.meleeButton
     ];
     
     buttons.forEach(button => {
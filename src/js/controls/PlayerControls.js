@@ -1,7 +1,10 @@
 import * as THREE from 'three';
 import { Raycaster } from 'three';
 import { Weapon, WeaponTypes } from '../weapons/Weapon';
+import { WeaponModelBuilder } from '../weapons/WeaponModelBuilder';
 import { MobileControls } from './MobileControls';
+import { PoolRegistry } from '../pooling/PoolRegistry';
+import { SpatialAudio } from '../core/SpatialAudio';
 
 /**
  * First-person controls with WASD movement and mouse look
@@ -28,13 +31,8 @@ export class PlayerControls {
     console.log("Input keys object initialized:", this.keys);
     
     // Audio elements for weapon sounds and other effects
+    // (weapon sounds are added per weapon type, see createWeaponAudio)
     this.audioElements = {
-      pistolShoot: null,
-      shotgunShoot: null,
-      machineGunShoot: null,
-      pistolReload: null,
-      shotgunReload: null,
-      machineGunReload: null,
       playerWalk: null,
       windowBoardAdd: null,
       windowBoardBreaking: null,
@@ -57,6 +55,7 @@ export class PlayerControls {
     this.moveRight = false;
     this.running = false;
     this.runMultiplier = 1.5; // Sprint multiplier
+    this.slowMultiplier = 1; // Drops below 1 while something slows the player (acid pools)
     this.stamina = 100;
     this.maxStamina = 100;
     this.staminaRegenRate = 20; // Stamina regeneration per second
@@ -73,11 +72,20 @@ export class PlayerControls {
     this.roomDepth = 10; // Same as room size
     this.wallThickness = 0.1; // Same as wall thickness
     
+    // Room for collision with interior walls and doors (set by the engine)
+    this.room = null;
+    
+    // Spawn points from the room's map (rotation in radians)
+    this.spawnPoints = [{ x: 0, z: 0, rotation: 0 }];
+    
     // Shooting properties
     this.raycaster = new THREE.Raycaster();
     this.shooting = false;
     this.shootingCooldown = 0.5; // seconds between shots
     this.lastShootTime = 0;
+    this.hitResult = null; // Nearest thing the last shot hit
+    this.hitResults = []; // Zombies the last shot went through ({ hit, damageScale })
+    this.multiKillPoints = 50; // Bonus for each extra zombie one bullet kills
     
     // Weapon system
     this.weapons = [];
@@ -85,6 +93,43 @@ export class PlayerControls {
     this.activeWeapon = null;
     this.isReloading = false;
     
+    // Grenade slot (refilled at the start of every round)
+    this.maxGrenades = 2;
+    this.grenades = this.maxGrenades;
+    this.grenadeThrowSpeed = 11;
+    this.grenadeCooldown = 0.8; // Seconds between throws
+    this.lastGrenadeTime = 0;
+    this.grenadeDisplay = null;
+    
+    // Knife (its own key, works with any weapon and cuts a reload short)
+    this.meleeDamage = 150;
+    this.meleeRange = 1.4; // Reach without moving
+    this.lungeRange = 2.5; // Zombies this close get lunged at
+    this.lungeStopDistance = 1.0; // Distance from the zombie a lunge ends at
+    this.meleeAngle = Math.PI / 4; // Half-width of the cone in front of the player
+    this.meleeCooldown = 0.9; // Seconds between slashes
+    this.meleeDuration = 0.35; // Length of the slash animation
+    this.meleeHitTime = 0.12; // When in the slash the blade connects
+    this.meleeHitPoints = 10;
+    this.meleeKillPoints = 80; // Plus the kill bonus from addPoints
+    this.meleeStunTime = 0.5; // Seconds a zombie that survives a slash is knocked off balance
+    this.lastMeleeTime = 0;
+    this.isMeleeing = false;
+    this.meleeTimer = 0;
+    this.meleeHasHit = false;
+    this.lungeVelocity = null;
+    this.knifeModel = null;
+    
+    // Reload in progress (so it can be cancelled)
+    this.reloadTimeout = null;
+    this.reloadAnimationTimeout = null;
+    this.pendingReload = null;
+    
+    // Aiming down a scope (weapons that have one)
+    this.isScoped = false;
+    this.scopeOverlay = null;
+    this.unscopedFov = null;
+    
     // FPS view models
     this.weaponViewModel = null;
     this.handsModel = null;
@@ -125,6 +170,7 @@ export class PlayerControls {
     
     // Score system
     this.score = 0;
+    this.pointsMultiplier = 1; // 2 while Double Points is active
     this.scoreDisplay = null;
     this.lastKillTime = 0;
     
@@ -136,6 +182,7 @@ export class PlayerControls {
     this.onKeyUp = this.onKeyUp.bind(this);
     this.onMouseMove = this.onMouseMove.bind(this);
     this.onMouseClick = this.onMouseClick.bind(this);
+    this.onContextMenu = this.onContextMenu.bind(this);
     this.lockPointer = this.lockPointer.bind(this);
     this.onPointerlockChange = this.onPointerlockChange.bind(this);
     this.onMouseWheel = this.onMouseWheel.bind(this);
@@ -157,6 +204,7 @@ export class PlayerControls {
     document.addEventListener('click', this.lockPointer);
     document.addEventListener('mousedown', this.onMouseClick);
     document.addEventListener('mouseup', this.onMouseClick);
+    document.addEventListener('contextmenu', this.onContextMenu);
     document.addEventListener('pointerlockchange', this.onPointerlockChange);
     document.addEventListener('wheel', this.onMouseWheel);
     
@@ -175,6 +223,9 @@ export class PlayerControls {
     // Create ammo display UI
     this.createAmmoDisplay();
     
+    // Create grenade count UI
+    this.createGrenadeDisplay();
+    
     // Create model container for hands and weapon
     this.createModelContainer();
     
@@ -208,6 +259,13 @@ export class PlayerControls {
       this.audioContext = null;
     }
     
+    // 3D sounds for zombies, windows and the mystery box, played from where they are
+    this.spatialAudio = null;
+    if (this.audioContext) {
+      this.spatialAudio = new SpatialAudio(this.camera, this.audioContext, { lowQuality: isMobile });
+      this.spatialAudio.preload();
+    }
+    
     // Mobile-specific audio settings
     this.mobileAudioSettings = {
       disableBackgroundMusic: isMobile, // Turn off background music on mobile
@@ -222,19 +280,10 @@ export class PlayerControls {
     this.maxConcurrentAudio = isMobile ? 2 : 3; // Limit concurrent sounds on mobile
     this.activeAudio = [];
     this.audioPool = {
-      pistolShoot: [],
-      shotgunShoot: [],
-      machineGunShoot: [],
       zombieSound: []
     };
     
-    // Create audio elements for weapon sounds
-    this.audioElements.pistolShoot = new Audio('/audio/pistol-shooting.wav');
-    this.audioElements.shotgunShoot = new Audio('/audio/shotgun-shooting.wav');
-    this.audioElements.machineGunShoot = new Audio('/audio/machine-gun-shooting.wav');
-    this.audioElements.pistolReload = new Audio('/audio/pistol-reload.wav');
-    this.audioElements.shotgunReload = new Audio('/audio/shotgun-reload.wav');
-    this.audioElements.machineGunReload = new Audio('/audio/machine-gun-reload.wav');
+    // Create audio elements for player and world sounds
     this.audioElements.playerWalk = new Audio('/audio/player-walk.wav');
     this.audioElements.windowBoardAdd = new Audio('/audio/window-board-add.wav');
     this.audioElements.windowBoardBreaking = new Audio('/audio/window-board-breaking.wav');
@@ -251,9 +300,6 @@ export class PlayerControls {
     this.audioElements.backgroundMusic = new Audio('/audio/game-music.wav');
     
     // Create audio pools for common sounds
-    this.createAudioPool('pistolShoot', '/audio/pistol-shooting.wav', 2);
-    this.createAudioPool('shotgunShoot', '/audio/shotgun-shooting.wav', 2);
-    this.createAudioPool('machineGunShoot', '/audio/machine-gun-shooting.wav', 1);
     this.createAudioPool('zombieSound', '/audio/zombie-1.wav', 3);
     
     // Configure audio elements
@@ -264,15 +310,8 @@ export class PlayerControls {
       }
     });
     
-    // Set specific volume for pistol shooting (lowered by 40%)
-    if (this.audioElements.pistolShoot) {
-      this.audioElements.pistolShoot.volume = 0.42; // 0.7 * (1 - 0.4) = 0.42
-    }
-    
-    // Configure sounds that should loop
-    if (this.audioElements.machineGunShoot) {
-      this.audioElements.machineGunShoot.loop = true;
-    }
+    // Weapon sounds set their own volume, speed and looping
+    Object.values(WeaponTypes).forEach(weaponType => this.createWeaponAudio(weaponType));
     
     // Configure walking sound to loop
     if (this.audioElements.playerWalk) {
@@ -308,6 +347,63 @@ export class PlayerControls {
     console.log('Weapon audio and background music initialized, waiting for user interaction to unlock audio');
   }
   
+  /**
+   * Create the shoot and reload sounds described by a weapon definition
+   * @param {Object} weaponType - Weapon definition (see WeaponTypes)
+   */
+  createWeaponAudio(weaponType) {
+    if (!weaponType.sounds) return;
+    
+    const { shoot, reload } = weaponType.sounds;
+    
+    if (shoot) {
+      const key = `${weaponType.type}:shoot`;
+      this.audioElements[key] = this.configureWeaponSound(new Audio(shoot.src), shoot);
+      
+      // Looping sounds only ever play once at a time
+      if (!shoot.loop) {
+        this.audioPool[key] = [];
+        this.createAudioPool(key, shoot.src, 2);
+        this.audioPool[key].forEach(pooled => this.configureWeaponSound(pooled.element, shoot));
+      }
+    }
+    
+    if (reload) {
+      this.audioElements[`${weaponType.type}:reload`] = this.configureWeaponSound(new Audio(reload.src), reload);
+    }
+    
+    // Upgraded weapons fire with their own sound
+    const upgradeShoot = weaponType.upgrade && weaponType.upgrade.shoot;
+    if (upgradeShoot) {
+      const key = `${weaponType.type}:shoot:upgraded`;
+      this.audioElements[key] = this.configureWeaponSound(new Audio(upgradeShoot.src), upgradeShoot);
+      this.audioPool[key] = [];
+      this.createAudioPool(key, upgradeShoot.src, 2);
+      this.audioPool[key].forEach(pooled => this.configureWeaponSound(pooled.element, upgradeShoot));
+    }
+  }
+  
+  /**
+   * Apply a weapon sound's settings to an audio element
+   * @param {HTMLAudioElement} audio - The audio element
+   * @param {Object} sound - Sound settings ({ src, volume, rate, loop })
+   * @returns {HTMLAudioElement} The configured audio element
+   */
+  configureWeaponSound(audio, sound) {
+    audio.preload = 'auto';
+    audio.volume = sound.volume !== undefined ? sound.volume : 0.7;
+    audio.loop = !!sound.loop;
+    
+    // Sped up or slowed down sounds shift in pitch too, so one recording can serve several guns
+    if (sound.rate) {
+      audio.defaultPlaybackRate = sound.rate;
+      audio.playbackRate = sound.rate;
+      audio.preservesPitch = false;
+    }
+    
+    return audio;
+  }
+  
   /**
    * Create a pool of audio elements for a given sound type
    * @param {string} type - The type of sound to pool
@@ -662,7 +758,7 @@ export class PlayerControls {
     const halfDepth = this.roomDepth / 2;
     const buffer = this.playerRadius + this.wallThickness;
     
-    // Only check collision with outer walls
+    // Check collision with outer walls
     // North wall (Z+)
     if (position.z > halfDepth - buffer) {
       return true;
@@ -680,6 +776,16 @@ export class PlayerControls {
       return true;
     }
     
+    // Interior walls, which can be passed through once their doors are open
+    if (this.room && this.room.isBlockedByWall(position, this.playerRadius)) {
+      return true;
+    }
+    
+    // Props with collision boxes
+    if (this.room && this.room.isBlockedByProp(position, this.playerRadius)) {
+      return true;
+    }
+    
     return false;
   }
 
@@ -715,6 +821,9 @@ export class PlayerControls {
     // Update player shooting
     this.updateShooting(deltaTime);
     
+    // Update knife slash and lunge
+    this.updateMelee(deltaTime);
+    
     // Update health regeneration
     this.updateHealthRegeneration(deltaTime);
     
@@ -744,7 +853,7 @@ export class PlayerControls {
     this.velocity.z = 0;
     
     // Calculate run speed multiplier and update stamina
-    const speedMultiplier = this.running ? this.runMultiplier : 1;
+    const speedMultiplier = (this.running ? this.runMultiplier : 1) * this.slowMultiplier;
     
     // Handle stamina for running
     if (this.running && (this.moveForward || this.moveBackward || this.moveLeft || this.moveRight)) {
@@ -824,11 +933,11 @@ export class PlayerControls {
    * @param {number} deltaTime - Time elapsed since last frame
    */
   updateShooting(deltaTime) {
-    // Only handle shooting if the player is holding down the mouse button
-    // and has an automatic weapon
-    if (this.shooting && 
-        this.activeWeapon && 
-        this.activeWeapon.automatic) {
+    if (!this.activeWeapon) return;
+    
+    // Keep firing while the mouse button is held with an automatic weapon,
+    // and finish any burst that was started with a single click
+    if ((this.shooting && this.activeWeapon.automatic) || this.activeWeapon.isMidBurst()) {
       this.shoot();
     }
   }
@@ -939,6 +1048,12 @@ export class PlayerControls {
         return;
       }
       
+      // Skip while slashing with the knife
+      if (this.isMeleeing) {
+        console.log("SHOOTING: Skipping - knife slash in progress");
+        return;
+      }
+      
       // Check ammo
       if (this.activeWeapon.currentAmmo <= 0) {
         console.log("SHOOTING: No ammo, playing empty sound");
@@ -967,170 +1082,29 @@ export class PlayerControls {
         });
       }
       
-      // If we hit a zombie, damage it
-      if (this.hitResult && this.hitResult.object && this.hitResult.object.userData && this.hitResult.object.userData.type === 'zombie') {
-        console.log("SHOOTING: Hit a zombie, about to apply damage");
-        
-        // Debug the userData thoroughly
-        console.log("SHOOTING: Object userData:", this.hitResult.object.userData);
-        
-        // Get the actual enemy instance, not just the userData reference
-        let enemy = null;
-        
-        // Try direct reference first
-        if (this.hitResult.object.userData.enemy) {
-          enemy = this.hitResult.object.userData.enemy;
-          console.log("SHOOTING: Found enemy reference in direct userData");
-        } 
-        // Then check if the object itself is the enemy
-        else if (this.hitResult.object.userData.clientTakeDamage) {
-          enemy = this.hitResult.object.userData;
-          console.log("SHOOTING: Object userData itself has clientTakeDamage method");
-        }
-        // Then try finding it in the parent chain
-        else {
-          console.log("SHOOTING: No direct enemy reference, searching parent chain");
-          
-          // Start with the current object
-          let currentObject = this.hitResult.object;
-          
-          // Traverse up the parent chain looking for an enemy reference
-          while (currentObject && !enemy) {
-            // Check if this object has a parent with userData containing an enemy
-            if (currentObject.parent && currentObject.parent.userData) {
-              console.log("SHOOTING: Checking parent userData:", currentObject.parent.userData);
-              
-              if (currentObject.parent.userData.enemy) {
-                enemy = currentObject.parent.userData.enemy;
-                console.log("SHOOTING: Found enemy reference in parent userData");
-                break;
-              } else if (currentObject.parent.userData.type === 'zombie' && 
-                        typeof currentObject.parent.userData.clientTakeDamage === 'function') {
-                enemy = currentObject.parent.userData;
-                console.log("SHOOTING: Found enemy in parent userData with clientTakeDamage");
-                break;
-              }
-            }
-            
-            // Move up to the parent
-            currentObject = currentObject.parent;
-          }
-        }
-        
-        if (!enemy) {
-          console.error("SHOOTING: Enemy reference is missing in userData", this.hitResult.object.userData);
-          // Continue to fire the weapon even if we can't damage the enemy
-        } else {
-          console.log("SHOOTING: Enemy instance found:", !!enemy, 
-                    "Has clientTakeDamage:", typeof enemy.clientTakeDamage === 'function',
-                    "Has takeDamage:", typeof enemy.takeDamage === 'function');
-          
-          // Check if headshot
-          const isHeadshot = this.isHeadshot(this.hitResult);
-          console.log("SHOOTING: Headshot check:", isHeadshot);
+      // Damage every zombie the bullet went through, each one taking less than the last
+      let kills = 0;
+      this.hitResults.forEach(({ hit, damageScale }) => {
+        const enemy = this.applyBulletHit(
+          hit,
+          Math.max(1, Math.round(bodyDamage * damageScale)),
+          Math.max(1, Math.round(headDamage * damageScale))
+        );
         
-          // Fix: Get networkManager from this.gameEngine (more reliable reference)
-          let networkManager = null;
-          if (this.gameEngine && this.gameEngine.networkManager) {
-            networkManager = this.gameEngine.networkManager;
-          }
-          
-          console.log("SHOOTING: Network manager found?", !!networkManager);
-          if (networkManager) {
-            console.log("SHOOTING: Network details:", {
-              isHost: networkManager.isHost,
-              isMultiplayer: networkManager.isMultiplayer,
-              isConnected: networkManager.isConnected,
-              gameMode: networkManager.gameMode
-            });
-          }
-          
-          // Apply damage based on headshot or body shot
-          const isClient = networkManager && !networkManager.isHost && networkManager.isMultiplayer;
-          
-          console.log("SHOOTING: Player is a client?", isClient);
-          
-          try {
-            if (isClient) {
-              console.log("SHOOTING: Client applying damage using clientTakeDamage");
-              
-              if (typeof enemy.clientTakeDamage !== 'function') {
-                console.error("SHOOTING: clientTakeDamage method not available on enemy, falling back to takeDamage");
-                
-                // Fallback to direct takeDamage with network notification
-                if (isHeadshot) {
-                  enemy.takeDamage(headDamage);
-                  console.log("SHOOTING: Applied headshot damage (fallback):", headDamage);
-                  // Manually send damage to host
-                  if (networkManager && networkManager.network) {
-                    networkManager.network.sendPlayerAction('damageEnemy', {
-                      enemyId: enemy.id || 'unknown',
-                      damage: headDamage,
-                      isHeadshot: true,
-                      timestamp: Date.now()
-                });
-              }
-            } else {
-                  enemy.takeDamage(bodyDamage);
-                  console.log("SHOOTING: Applied body shot damage (fallback):", bodyDamage);
-                  // Manually send damage to host
-                  if (networkManager && networkManager.network) {
-                    networkManager.network.sendPlayerAction('damageEnemy', {
-                      enemyId: enemy.id || 'unknown',
-                      damage: bodyDamage,
-                      isHeadshot: false,
-                      timestamp: Date.now()
-                    });
-                  }
-                }
-                
-                // Display damage numbers for feedback
-                this.showDamageNumber(this.hitResult.point, isHeadshot ? headDamage : bodyDamage, isHeadshot);
-              } else {
-                // Client-side damage with host notification
-                if (isHeadshot) {
-                  enemy.clientTakeDamage(headDamage, true, networkManager);
-                  console.log("SHOOTING: Applied headshot damage:", headDamage);
-                  this.showDamageNumber(this.hitResult.point, headDamage, true);
-                } else {
-                  enemy.clientTakeDamage(bodyDamage, false, networkManager);
-                  console.log("SHOOTING: Applied body shot damage:", bodyDamage);
-                  this.showDamageNumber(this.hitResult.point, bodyDamage, false);
-                }
-              }
-            } else {
-              console.log("SHOOTING: Host/singleplayer applying damage directly");
-              
-              // Server-side or singleplayer damage
-              if (isHeadshot) {
-                enemy.takeDamage(headDamage);
-                this.displayDamageNumber(this.hitResult.point, headDamage, true);
-                
-                // Award extra points for headshot kills
-                if (enemy.health <= 0) {
-                  this.addPoints(this.headshotKillPoints, true);
-                } else {
-                  this.addPoints(this.headshotPoints);
-                }
-              } else {
-                enemy.takeDamage(bodyDamage);
-                this.displayDamageNumber(this.hitResult.point, bodyDamage, false);
-                
-                // Award points for regular kills
-                if (enemy.health <= 0) {
-                  this.addPoints(this.killPoints);
-                } else {
-                  this.addPoints(this.hitPoints);
-                }
-              }
-            }
-          } catch (error) {
-            console.error("Error applying damage to enemy:", error);
-          }
+        if (enemy && enemy.health <= 0) {
+          kills++;
         }
-      } else if (this.hitResult) {
+      });
+      
+      if (this.hitResults.length === 0 && this.hitResult) {
         console.log("SHOOTING: Hit something else:", this.hitResult.object ? this.hitResult.object.name || "unnamed object" : "no object");
       }
+      
+      // Bonus for dropping several zombies with one bullet
+      if (kills > 1) {
+        this.addPoints(this.multiKillPoints * (kills - 1));
+        console.log(`SHOOTING: Multi-kill x${kills}`);
+      }
     } catch (error) {
       console.error("Error during shooting:", error);
     }
@@ -1157,6 +1131,185 @@ export class PlayerControls {
     }
   }
 
+  /**
+   * Damage the zombie a bullet hit
+   * @param {Object} hitResult - Raycast intersection on the zombie
+   * @param {number} bodyDamage - Damage for a torso hit (limbs take less)
+   * @param {number} headDamage - Damage for a headshot
+   * @returns {Enemy|null} The zombie that was hit, or null if it couldn't be found
+   */
+  applyBulletHit(hitResult, bodyDamage, headDamage) {
+    console.log("SHOOTING: Hit a zombie, about to apply damage");
+    
+    // Debug the userData thoroughly
+    console.log("SHOOTING: Object userData:", hitResult.object.userData);
+    
+    // Get the actual enemy instance, not just the userData reference
+    let enemy = null;
+    
+    // Try direct reference first
+    if (hitResult.object.userData.enemy) {
+      enemy = hitResult.object.userData.enemy;
+      console.log("SHOOTING: Found enemy reference in direct userData");
+    } 
+    // Then check if the object itself is the enemy
+    else if (hitResult.object.userData.clientTakeDamage) {
+      enemy = hitResult.object.userData;
+      console.log("SHOOTING: Object userData itself has clientTakeDamage method");
+    }
+    // Then try finding it in the parent chain
+    else {
+      console.log("SHOOTING: No direct enemy reference, searching parent chain");
+      
+      // Start with the current object
+      let currentObject = hitResult.object;
+      
+      // Traverse up the parent chain looking for an enemy reference
+      while (currentObject && !enemy) {
+        // Check if this object has a parent with userData containing an enemy
+        if (currentObject.parent && currentObject.parent.userData) {
+          console.log("SHOOTING: Checking parent userData:", currentObject.parent.userData);
+          
+          if (currentObject.parent.userData.enemy) {
+            enemy = currentObject.parent.userData.enemy;
+            console.log("SHOOTING: Found enemy reference in parent userData");
+            break;
+          } else if (currentObject.parent.userData.type === 'zombie' && 
+                    typeof currentObject.parent.userData.clientTakeDamage === 'function') {
+            enemy = currentObject.parent.userData;
+            console.log("SHOOTING: Found enemy in parent userData with clientTakeDamage");
+            break;
+          }
+        }
+        
+        // Move up to the parent
+        currentObject = currentObject.parent;
+      }
+    }
+    
+    if (!enemy) {
+      console.error("SHOOTING: Enemy reference is missing in userData", hitResult.object.userData);
+      // Continue to fire the weapon even if we can't damage the enemy
+    } else {
+      console.log("SHOOTING: Enemy instance found:", !!enemy, 
+                "Has clientTakeDamage:", typeof enemy.clientTakeDamage === 'function',
+                "Has takeDamage:", typeof enemy.takeDamage === 'function');
+      
+      // Work out which part of the zombie was hit
+      const hitZone = this.getHitZone(hitResult, enemy);
+      const isHeadshot = hitZone === 'head';
+      console.log("SHOOTING: Hit zone:", hitZone);
+      
+      // Limbs take less damage than the torso
+      const limbDamage = typeof enemy.getHitZoneMultiplier === 'function'
+        ? Math.max(1, Math.round(bodyDamage * enemy.getHitZoneMultiplier(hitZone)))
+        : bodyDamage;
+    
+      // Fix: Get networkManager from this.gameEngine (more reliable reference)
+      let networkManager = null;
+      if (this.gameEngine && this.gameEngine.networkManager) {
+        networkManager = this.gameEngine.networkManager;
+      }
+      
+      console.log("SHOOTING: Network manager found?", !!networkManager);
+      if (networkManager) {
+        console.log("SHOOTING: Network details:", {
+          isHost: networkManager.isHost,
+          isMultiplayer: networkManager.isMultiplayer,
+          isConnected: networkManager.isConnected,
+          gameMode: networkManager.gameMode
+        });
+      }
+      
+      // Apply damage based on headshot or body shot
+      const isClient = networkManager && !networkManager.isHost && networkManager.isMultiplayer;
+      
+      console.log("SHOOTING: Player is a client?", isClient);
+      
+      try {
+        if (isClient) {
+          console.log("SHOOTING: Client applying damage using clientTakeDamage");
+          
+          if (typeof enemy.clientTakeDamage !== 'function') {
+            console.error("SHOOTING: clientTakeDamage method not available on enemy, falling back to takeDamage");
+            
+            // Fallback to direct takeDamage with network notification
+            if (isHeadshot) {
+              enemy.takeDamage(headDamage);
+              console.log("SHOOTING: Applied headshot damage (fallback):", headDamage);
+              // Manually send damage to host
+              if (networkManager && networkManager.network) {
+                networkManager.network.sendPlayerAction('damageEnemy', {
+                  enemyId: enemy.id || 'unknown',
+                  damage: headDamage,
+                  isHeadshot: true,
+                  hitZone: hitZone,
+                  timestamp: Date.now()
+            });
+          }
+        } else {
+              enemy.takeDamage(limbDamage, hitZone);
+              console.log("SHOOTING: Applied body shot damage (fallback):", limbDamage);
+              // Manually send damage to host
+              if (networkManager && networkManager.network) {
+                networkManager.network.sendPlayerAction('damageEnemy', {
+                  enemyId: enemy.id || 'unknown',
+                  damage: limbDamage,
+                  isHeadshot: false,
+                  hitZone: hitZone,
+                  timestamp: Date.now()
+                });
+              }
+            }
+            
+            // Display damage numbers for feedback
+            this.showDamageNumber(hitResult.point, isHeadshot ? headDamage : limbDamage, isHeadshot);
+          } else {
+            // Client-side damage with host notification
+            if (isHeadshot) {
+              enemy.clientTakeDamage(headDamage, true, networkManager, hitZone);
+              console.log("SHOOTING: Applied headshot damage:", headDamage);
+              this.showDamageNumber(hitResult.point, headDamage, true);
+            } else {
+              enemy.clientTakeDamage(limbDamage, false, networkManager, hitZone);
+              console.log("SHOOTING: Applied body shot damage:", limbDamage);
+              this.showDamageNumber(hitResult.point, limbDamage, false);
+            }
+          }
+        } else {
+          console.log("SHOOTING: Host/singleplayer applying damage directly");
+          
+          // Server-side or singleplayer damage
+          if (isHeadshot) {
+            enemy.takeDamage(headDamage, hitZone);
+            this.showDamageNumber(hitResult.point, headDamage, true);
+            
+            // Award extra points for headshot kills
+            if (enemy.health <= 0) {
+              this.addPoints(this.headshotKillPoints, true);
+            } else {
+              this.addPoints(this.headshotPoints);
+            }
+          } else {
+            enemy.takeDamage(limbDamage, hitZone);
+            this.showDamageNumber(hitResult.point, limbDamage, false);
+            
+            // Award points for regular kills
+            if (enemy.health <= 0) {
+              this.addPoints(this.killPoints);
+            } else {
+              this.addPoints(this.hitPoints);
+            }
+          }
+        }
+      } catch (error) {
+        console.error("Error applying damage to enemy:", error);
+      }
+    }
+    
+    return enemy;
+  }
+
   /**
    * Get all zombie objects in the scene
    * @returns {Array} Array of zombie objects
@@ -1221,6 +1374,14 @@ export class PlayerControls {
           return;
         }
         
+        // Solid props block like walls whatever their shape
+        if (object.userData && object.userData.isProp) {
+          if (object.userData.isObstacle) {
+            objects.push(object);
+          }
+          return;
+        }
+        
         // Check if it's a Mesh with wall material
         if (object instanceof THREE.Mesh && 
             object.material && 
@@ -1271,6 +1432,24 @@ export class PlayerControls {
     return null;
   }
 
+  /**
+   * Get the hit zone (head, body, leftArm, rightArm, leftLeg, rightLeg) of a hit on a zombie
+   * @param {Object} hitResult - The raycast hit result
+   * @param {Enemy} enemy - The zombie that was hit
+   * @returns {string} Hit zone
+   */
+  getHitZone(hitResult, enemy) {
+    if (this.isHeadshot(hitResult)) {
+      return 'head';
+    }
+    
+    if (enemy && typeof enemy.getHitZone === 'function' && hitResult && hitResult.object) {
+      return enemy.getHitZone(hitResult.object);
+    }
+    
+    return 'body';
+  }
+
   /**
    * Check if a hit is a headshot
    * @param {Object} hitResult - The raycast hit result
@@ -1342,21 +1521,15 @@ export class PlayerControls {
    * @param {boolean} isHeadshot - Whether it was a headshot
    */
   showDamageNumber(position, damage, isHeadshot) {
-    // Create a text element
-    const damageText = document.createElement('div');
-    damageText.className = 'damage-number';
+    // Reuse a text element from the pool
+    const pool = this.getDamageNumberPool();
+    const damageText = pool.acquire();
     damageText.textContent = damage.toString();
-    damageText.style.position = 'absolute';
     damageText.style.color = isHeadshot ? '#ff5500' : 'white';
-    damageText.style.fontFamily = 'Arial, sans-serif';
     damageText.style.fontSize = isHeadshot ? '24px' : '18px';
-    damageText.style.fontWeight = 'bold';
-    damageText.style.textShadow = '1px 1px 2px black';
-    damageText.style.pointerEvents = 'none';
-    damageText.style.zIndex = '1000';
-    
-    // Add to document
-    document.body.appendChild(damageText);
+    damageText.style.opacity = '1';
+    damageText.style.transform = '';
+    damageText.style.display = 'block';
     
     // Create a function to update the position
     const updatePosition = () => {
@@ -1389,13 +1562,46 @@ export class PlayerControls {
       if (opacity > 0) {
         requestAnimationFrame(animate);
       } else {
-        document.body.removeChild(damageText);
+        pool.release(damageText);
       }
     };
     
     requestAnimationFrame(animate);
   }
 
+  /**
+   * Get the pool of damage number elements (they stay in the document, hidden when free)
+   * @returns {ObjectPool} The pool
+   */
+  getDamageNumberPool() {
+    return PoolRegistry.get('damageNumbers', {
+      maxSize: 40,
+      create: () => {
+        const damageText = document.createElement('div');
+        damageText.className = 'damage-number';
+        damageText.style.position = 'absolute';
+        damageText.style.fontFamily = 'Arial, sans-serif';
+        damageText.style.fontWeight = 'bold';
+        damageText.style.textShadow = '1px 1px 2px black';
+        damageText.style.pointerEvents = 'none';
+        damageText.style.zIndex = '1000';
+        damageText.style.display = 'none';
+        
+        document.body.appendChild(damageText);
+        return damageText;
+      },
+      reset: (damageText) => {
+        damageText.style.display = 'none';
+        damageText.textContent = '';
+      },
+      dispose: (damageText) => {
+        if (damageText.parentNode) {
+          damageText.parentNode.removeChild(damageText);
+        }
+      }
+    });
+  }
+
   /**
    * Play shoot animation for weapon
    */
@@ -1471,7 +1677,8 @@ export class PlayerControls {
     }
     
     // Return to original position after half the reload time
-    setTimeout(() => {
+    this.reloadAnimationTimeout = setTimeout(() => {
+      this.reloadAnimationTimeout = null;
       this.weaponViewModel.position.y = originalPosY;
       this.weaponViewModel.rotation.z = originalRotZ;
       
@@ -1604,9 +1811,11 @@ export class PlayerControls {
     // Disable interactions
     this.isInteracting = false;
     this.shooting = false;
+    this.setScoped(false);
     
-    // Stop any reload in progress
+    // Stop any reload or knife slash in progress
     this.isReloading = false;
+    this.finishMelee();
     
     // Unlock pointer to allow button interaction
     if (document.pointerLockElement) {
@@ -1681,6 +1890,14 @@ export class PlayerControls {
         // Reload weapon
         this.reload();
         break;
+      case 'KeyG':
+        // Throw a grenade
+        this.throwGrenade();
+        break;
+      case 'KeyV':
+        // Knife slash
+        this.melee();
+        break;
     }
   }
 
@@ -1720,9 +1937,10 @@ export class PlayerControls {
     const movementX = event.movementX || 0;
     const movementY = event.movementY || 0;
     
-    // Rotate camera based on mouse movement
-    this.camera.rotation.y -= movementX * this.mouseSensitivity;
-    this.camera.rotation.x -= movementY * this.mouseSensitivity;
+    // Rotate camera based on mouse movement (slower while zoomed in through a scope)
+    const sensitivity = this.isScoped ? this.mouseSensitivity / (this.activeWeapon.scope.zoom || 4) : this.mouseSensitivity;
+    this.camera.rotation.y -= movementX * sensitivity;
+    this.camera.rotation.x -= movementY * sensitivity;
     
     // Limit vertical look angle
     this.camera.rotation.x = Math.max(
@@ -1765,6 +1983,106 @@ export class PlayerControls {
         this.stopWeaponSound();
       }
     }
+    
+    // Right mouse button aims down the scope while held
+    if (event.button === 2) {
+      this.setScoped(event.type === 'mousedown');
+    }
+  }
+
+  /**
+   * Keep the browser menu from opening when aiming with the right mouse button
+   * @param {MouseEvent} event - The contextmenu event
+   */
+  onContextMenu(event) {
+    if (this.isLocked) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Aim down the active weapon's scope or stop aiming
+   * @param {boolean} scoped - True to look through the scope
+   */
+  setScoped(scoped) {
+    // Only weapons with a scope can aim, and not while reloading or dead
+    if (scoped && (!this.activeWeapon || !this.activeWeapon.scope || this.isReloading || this.isDead)) {
+      return;
+    }
+    
+    if (scoped === this.isScoped) return;
+    this.isScoped = scoped;
+    
+    if (!this.scopeOverlay) {
+      this.createScopeOverlay();
+    }
+    
+    if (scoped) {
+      // Zoom in and swap the gun for the scope view
+      this.unscopedFov = this.camera.fov;
+      this.camera.fov = this.unscopedFov / (this.activeWeapon.scope.zoom || 4);
+      this.scopeOverlay.style.display = 'block';
+    } else {
+      this.camera.fov = this.unscopedFov || this.camera.fov;
+      this.scopeOverlay.style.display = 'none';
+    }
+    
+    this.camera.updateProjectionMatrix();
+    
+    if (this.modelContainer) {
+      this.modelContainer.visible = !scoped;
+    }
+    if (this.crosshair) {
+      this.crosshair.style.visibility = scoped ? 'hidden' : 'visible';
+    }
+  }
+
+  /**
+   * Create the scope overlay (a round sight with a reticle, black around the edges)
+   */
+  createScopeOverlay() {
+    const overlay = document.createElement('div');
+    overlay.className = 'scope-overlay';
+    overlay.style.position = 'absolute';
+    overlay.style.top = '0';
+    overlay.style.left = '0';
+    overlay.style.width = '100%';
+    overlay.style.height = '100%';
+    overlay.style.pointerEvents = 'none';
+    overlay.style.display = 'none';
+    overlay.style.background = 'radial-gradient(circle at center, transparent 0, transparent 34vmin, rgba(0, 0, 0, 0.85) 35vmin, black 36vmin)';
+    
+    // Reticle lines across the sight, thicker towards the edges
+    const lines = [
+      { top: '50%', left: '50%', width: '70vmin', height: '1px', transform: 'translate(-50%, -50%)' },
+      { top: '50%', left: '50%', width: '1px', height: '70vmin', transform: 'translate(-50%, -50%)' },
+      { top: '50%', left: 'calc(50% - 35vmin)', width: '20vmin', height: '4px', transform: 'translateY(-50%)' },
+      { top: '50%', left: 'calc(50% + 15vmin)', width: '20vmin', height: '4px', transform: 'translateY(-50%)' },
+      { top: 'calc(50% + 15vmin)', left: '50%', width: '4px', height: '20vmin', transform: 'translateX(-50%)' }
+    ];
+    
+    lines.forEach(line => {
+      const element = document.createElement('div');
+      element.style.position = 'absolute';
+      element.style.backgroundColor = 'black';
+      Object.assign(element.style, line);
+      overlay.appendChild(element);
+    });
+    
+    // Red center dot
+    const dot = document.createElement('div');
+    dot.style.position = 'absolute';
+    dot.style.top = '50%';
+    dot.style.left = '50%';
+    dot.style.width = '4px';
+    dot.style.height = '4px';
+    dot.style.borderRadius = '50%';
+    dot.style.backgroundColor = '#ff2222';
+    dot.style.transform = 'translate(-50%, -50%)';
+    overlay.appendChild(dot);
+    
+    document.body.appendChild(overlay);
+    this.scopeOverlay = overlay;
   }
 
   /**
@@ -1778,6 +2096,11 @@ export class PlayerControls {
       return;
     }
     
+    // The level editor uses the mouse itself
+    if (this.gameEngine && this.gameEngine.levelEditor && this.gameEngine.levelEditor.isActive) {
+      return;
+    }
+    
     // Make sure controls are enabled
     this.enabled = true;
     
@@ -1822,6 +2145,7 @@ export class PlayerControls {
       console.log("Pointer unlocked, disabling mouse movement");
       document.removeEventListener('mousemove', this.onMouseMove, false);
       this.isLocked = false;
+      this.setScoped(false);
       // Note: we don't disable controls here to allow keyboard movement still
     }
   }
@@ -1846,8 +2170,9 @@ export class PlayerControls {
    * @param {number} points - Number of points to add
    * @param {boolean} isKill - Whether points are from a kill
    * @param {boolean} isHeadshot - Whether points are from a headshot
+   * @param {boolean} applyMultiplier - Whether Double Points counts (false for refunds and flat payouts)
    */
-  addPoints(points, isKill = false, isHeadshot = false) {
+  addPoints(points, isKill = false, isHeadshot = false, applyMultiplier = true) {
     // Add bonus for headshots
     if (isHeadshot) {
       points *= 2; // Double points for headshots
@@ -1858,7 +2183,11 @@ export class PlayerControls {
       points += isHeadshot ? 100 : 50; // Simple kill bonus
     }
     
-    // Add points directly without multiplier
+    // Double Points power-up (only for points the player earned)
+    if (applyMultiplier) {
+      points *= this.pointsMultiplier;
+    }
+    
     this.score += points;
     
     // Update display
@@ -1990,56 +2319,368 @@ export class PlayerControls {
   }
 
   /**
-   * Create a container for hands and weapon models
+   * Create grenade count UI (next to the ammo display)
    */
-  createModelContainer() {
-    // Remove any existing model container first
-    if (this.modelContainer) {
-      this.camera.remove(this.modelContainer);
-      this.modelContainer = null;
-      this.weaponViewModel = null;
-      this.handsModel = null;
+  createGrenadeDisplay() {
+    // Remove any existing grenade display first
+    const existingGrenadeDisplay = document.querySelector('.grenade-display');
+    if (existingGrenadeDisplay) {
+      document.body.removeChild(existingGrenadeDisplay);
+    }
+    
+    const grenadeDisplay = document.createElement('div');
+    grenadeDisplay.className = 'grenade-display';
+    grenadeDisplay.style.position = 'absolute';
+    grenadeDisplay.style.bottom = '20px';
+    grenadeDisplay.style.right = '170px';
+    grenadeDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+    grenadeDisplay.style.color = 'white';
+    grenadeDisplay.style.padding = '10px';
+    grenadeDisplay.style.borderRadius = '5px';
+    grenadeDisplay.style.fontFamily = 'Impact, fantasy';
+    grenadeDisplay.style.fontSize = '18px';
+    
+    document.body.appendChild(grenadeDisplay);
+    this.grenadeDisplay = grenadeDisplay;
+    
+    this.updateGrenadeDisplay();
+  }
+  
+  /**
+   * Update grenade count display
+   */
+  updateGrenadeDisplay() {
+    if (!this.grenadeDisplay) return;
+    
+    this.grenadeDisplay.textContent = `G: ${this.grenades}`;
+    this.grenadeDisplay.style.color = this.grenades > 0 ? 'white' : '#ff3333';
+  }
+  
+  /**
+   * Fill the grenade slot back up (start of every round)
+   */
+  refillGrenades() {
+    this.grenades = this.maxGrenades;
+    this.updateGrenadeDisplay();
+  }
+  
+  /**
+   * Throw a grenade the way the player is looking
+   */
+  throwGrenade() {
+    // Skip if dead, out of grenades or not in a room yet
+    if (this.isDead || this.grenades <= 0 || !this.room || !this.room.enemyManager) {
+      return;
     }
     
-    // Create a group to hold the hands and weapon models
-    this.modelContainer = new THREE.Group();
+    const now = performance.now() / 1000;
+    if (now - this.lastGrenadeTime < this.grenadeCooldown) {
+      return;
+    }
+    this.lastGrenadeTime = now;
     
-    // Add it to the camera
-    this.camera.add(this.modelContainer);
+    this.grenades--;
+    this.updateGrenadeDisplay();
     
-    // Create hands model
-    this.createHandsModel();
+    // Leave the hand just in front of and below the eyes, lobbed slightly upwards
+    const direction = new THREE.Vector3();
+    this.camera.getWorldDirection(direction);
     
-    console.log("Model container created and added to camera");
+    const origin = this.camera.position.clone().addScaledVector(direction, 0.4);
+    origin.y -= 0.2;
+    
+    const velocity = direction.multiplyScalar(this.grenadeThrowSpeed);
+    velocity.y += 2.5;
+    
+    this.room.enemyManager.grenades.throwGrenade(origin, velocity);
+    
+    console.log(`Threw a grenade, ${this.grenades} left`);
   }
 
   /**
-   * Create a simple model for the player's hands
+   * Slash with the knife, lunging at a zombie that's close but just out of reach
    */
-  createHandsModel() {
-    // Remove existing hands model if it exists
-    if (this.handsModel) {
-      this.modelContainer.remove(this.handsModel);
-      this.handsModel = null;
+  melee() {
+    // Skip if dead, already slashing or not in a room yet
+    if (this.isDead || this.isMeleeing || !this.room || !this.room.enemyManager) {
+      return;
     }
     
-    // Create hands group
-    const handsGroup = new THREE.Group();
+    const now = performance.now() / 1000;
+    if (now - this.lastMeleeTime < this.meleeCooldown) {
+      return;
+    }
+    this.lastMeleeTime = now;
     
-    // Materials
-    const skinMaterial = new THREE.MeshStandardMaterial({
-      color: 0xffdbac, // Skin tone
-      roughness: 0.8,
-      metalness: 0.1
-    });
+    // The knife comes out whatever the gun was doing
+    this.cancelReload();
+    this.stopWeaponSound();
+    this.setScoped(false);
+    if (this.activeWeapon) {
+      this.activeWeapon.burstShotsRemaining = 0;
+    }
     
-    const sleeveMaterial = new THREE.MeshStandardMaterial({
-      color: 0x333333, // Dark sleeve
-      roughness: 0.9,
-      metalness: 0.1
-    });
+    this.isMeleeing = true;
+    this.meleeTimer = 0;
+    this.meleeHasHit = false;
+    this.lungeVelocity = null;
     
-    // Create right hand (trigger hand)
+    // Close the gap to a zombie that's near but out of reach before the blade lands
+    const target = this.findMeleeTarget(this.lungeRange);
+    if (target && target.distance > this.meleeRange) {
+      const lungeDistance = target.distance - this.lungeStopDistance;
+      this.lungeVelocity = target.direction.multiplyScalar(lungeDistance / this.meleeHitTime);
+    }
+    
+    if (this.knifeModel) {
+      this.knifeModel.visible = true;
+    }
+    
+    console.log(this.lungeVelocity ? "Knife lunge" : "Knife slash");
+  }
+  
+  /**
+   * Find the closest living zombie in front of the player
+   * @param {number} range - How far to look
+   * @returns {Object|null} { enemy, distance, direction } with the flat direction to it, or null
+   */
+  findMeleeTarget(range) {
+    const forward = new THREE.Vector3();
+    this.camera.getWorldDirection(forward);
+    forward.y = 0;
+    forward.normalize();
+    
+    const minDot = Math.cos(this.meleeAngle);
+    let closest = null;
+    
+    this.room.enemyManager.enemies.forEach(enemy => {
+      if (enemy.isDead || !enemy.instance) return;
+      
+      const direction = new THREE.Vector3(
+        enemy.instance.position.x - this.camera.position.x,
+        0,
+        enemy.instance.position.z - this.camera.position.z
+      );
+      const distance = direction.length();
+      if (distance > range || (closest && distance >= closest.distance)) return;
+      
+      direction.divideScalar(distance || 1);
+      
+      // Zombies right on top of the player get hit whichever way they're looking
+      if (distance > this.playerRadius && direction.dot(forward) < minDot) return;
+      
+      closest = { enemy, distance, direction };
+    });
+    
+    return closest;
+  }
+  
+  /**
+   * Advance the knife slash: lunge, land the hit and animate the hands
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateMelee(deltaTime) {
+    if (!this.isMeleeing) return;
+    
+    const previousTime = this.meleeTimer;
+    this.meleeTimer += deltaTime;
+    
+    // Lunge until the blade connects, stopping at walls and props
+    if (this.lungeVelocity) {
+      const lungeTime = Math.min(this.meleeTimer, this.meleeHitTime) - Math.min(previousTime, this.meleeHitTime);
+      const previousPosition = this.camera.position.clone();
+      
+      this.camera.position.addScaledVector(this.lungeVelocity, lungeTime);
+      if (this.checkWallCollision(this.camera.position)) {
+        this.camera.position.copy(previousPosition);
+      }
+    }
+    
+    if (!this.meleeHasHit && this.meleeTimer >= this.meleeHitTime) {
+      this.meleeHasHit = true;
+      this.lungeVelocity = null;
+      this.hitMeleeTarget();
+    }
+    
+    if (this.meleeTimer >= this.meleeDuration) {
+      this.finishMelee();
+      return;
+    }
+    
+    this.animateMelee(this.meleeTimer / this.meleeDuration);
+  }
+  
+  /**
+   * Knife the closest zombie in reach. Clients apply the damage locally and tell the host.
+   */
+  hitMeleeTarget() {
+    if (!this.room || !this.room.enemyManager) return;
+    
+    const target = this.findMeleeTarget(this.meleeRange);
+    if (!target) {
+      console.log("Knife slash missed");
+      return;
+    }
+    
+    const enemy = target.enemy;
+    const networkManager = this.gameEngine && this.gameEngine.networkManager;
+    const isClient = networkManager && networkManager.isMultiplayer && !networkManager.isHost;
+    
+    if (isClient && typeof enemy.clientTakeDamage === 'function') {
+      enemy.clientTakeDamage(this.meleeDamage, false, networkManager);
+    } else {
+      enemy.takeDamage(this.meleeDamage);
+    }
+    
+    // Show the number at chest height on the zombie
+    const point = enemy.instance.position.clone();
+    point.y = this.camera.position.y - 0.3;
+    this.showDamageNumber(point, this.meleeDamage, false);
+    
+    if (enemy.health <= 0) {
+      // Paid here, so no bleed-out points as well
+      enemy.pointsAwarded = true;
+      this.addPoints(this.meleeKillPoints, true);
+      console.log("Knife kill");
+    } else {
+      this.addPoints(this.meleeHitPoints);
+      
+      // The host's zombies are the real ones, so only it knocks them back
+      if (!isClient && typeof enemy.stun === 'function') {
+        enemy.stun(this.meleeStunTime);
+      }
+    }
+  }
+  
+  /**
+   * Pose the weapon and hands for the knife slash
+   * @param {number} progress - How far through the slash (0 to 1)
+   */
+  animateMelee(progress) {
+    const dip = Math.sin(progress * Math.PI); // Out and back again
+    const swing = Math.min(progress / 0.6, 1); // Blade sweeps across, then holds
+    
+    // Drop the gun out of the way
+    if (this.weaponViewModel) {
+      this.resetWeaponViewModelPosition();
+      this.weaponViewModel.position.y -= dip * 0.25;
+      this.weaponViewModel.rotation.z -= dip * 0.4;
+    }
+    
+    // Slash the support hand from right to left in front of the camera
+    if (this.handsModel) {
+      const leftHand = this.handsModel.children[1];
+      leftHand.position.set(0.25 - swing * 0.5, -0.2 + dip * 0.05, -0.35 - dip * 0.15);
+      leftHand.rotation.set(-0.1, -0.6 + swing * 1.2, 0.3 - swing * 0.6);
+    }
+  }
+  
+  /**
+   * End the knife slash and put the weapon and hands back
+   */
+  finishMelee() {
+    this.isMeleeing = false;
+    this.meleeTimer = 0;
+    this.lungeVelocity = null;
+    
+    if (this.knifeModel) {
+      this.knifeModel.visible = false;
+    }
+    
+    this.resetWeaponViewModelPosition();
+    if (this.handsModel) {
+      this.updateHandPositions();
+    }
+  }
+  
+  /**
+   * Create the knife held in the support hand during a slash
+   * @returns {THREE.Group} Knife model (hidden until used)
+   */
+  createKnifeMesh() {
+    const knife = new THREE.Group();
+    
+    const handleMaterial = new THREE.MeshStandardMaterial({
+      color: 0x222222,
+      roughness: 0.9,
+      metalness: 0.1
+    });
+    
+    const bladeMaterial = new THREE.MeshStandardMaterial({
+      color: 0xcccccc,
+      roughness: 0.3,
+      metalness: 0.9
+    });
+    
+    // Handle sits in the palm with the blade pointing forward
+    const handle = new THREE.Mesh(new THREE.BoxGeometry(0.02, 0.025, 0.08), handleMaterial);
+    handle.position.set(0, -0.02, -0.03);
+    knife.add(handle);
+    
+    const guard = new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.03, 0.008), bladeMaterial);
+    guard.position.set(0, -0.02, -0.074);
+    knife.add(guard);
+    
+    const blade = new THREE.Mesh(new THREE.BoxGeometry(0.006, 0.028, 0.16), bladeMaterial);
+    blade.position.set(0, -0.02, -0.158);
+    knife.add(blade);
+    
+    knife.visible = false;
+    
+    return knife;
+  }
+
+  /**
+   * Create a container for hands and weapon models
+   */
+  createModelContainer() {
+    // Remove any existing model container first
+    if (this.modelContainer) {
+      this.camera.remove(this.modelContainer);
+      this.modelContainer = null;
+      this.weaponViewModel = null;
+      this.handsModel = null;
+    }
+    
+    // Create a group to hold the hands and weapon models
+    this.modelContainer = new THREE.Group();
+    
+    // Add it to the camera
+    this.camera.add(this.modelContainer);
+    
+    // Create hands model
+    this.createHandsModel();
+    
+    console.log("Model container created and added to camera");
+  }
+
+  /**
+   * Create a simple model for the player's hands
+   */
+  createHandsModel() {
+    // Remove existing hands model if it exists
+    if (this.handsModel) {
+      this.modelContainer.remove(this.handsModel);
+      this.handsModel = null;
+    }
+    
+    // Create hands group
+    const handsGroup = new THREE.Group();
+    
+    // Materials
+    const skinMaterial = new THREE.MeshStandardMaterial({
+      color: 0xffdbac, // Skin tone
+      roughness: 0.8,
+      metalness: 0.1
+    });
+    
+    const sleeveMaterial = new THREE.MeshStandardMaterial({
+      color: 0x333333, // Dark sleeve
+      roughness: 0.9,
+      metalness: 0.1
+    });
+    
+    // Create right hand (trigger hand)
     const rightHand = this.createHandMesh(skinMaterial, sleeveMaterial);
     rightHand.position.set(0.05, -0.25, -0.3);
     rightHand.rotation.set(-0.3, 0.2, 0);
@@ -2051,6 +2692,10 @@ export class PlayerControls {
     leftHand.rotation.set(-0.2, -0.3, 0.1);
     handsGroup.add(leftHand);
     
+    // Knife the support hand slashes with
+    this.knifeModel = this.createKnifeMesh();
+    leftHand.add(this.knifeModel);
+    
     // Store the hands model
     this.handsModel = handsGroup;
     
@@ -2111,6 +2756,9 @@ export class PlayerControls {
    * Update weapon view model when active weapon changes
    */
   updateWeaponViewModel() {
+    // Switching weapons drops the scope
+    this.setScoped(false);
+    
     // Remove existing weapon model if there is one
     if (this.weaponViewModel) {
       this.modelContainer.remove(this.weaponViewModel);
@@ -2122,20 +2770,7 @@ export class PlayerControls {
     // Create a new weapon model based on the active weapon
     this.weaponViewModel = this.createWeaponViewModel(this.activeWeapon);
     
-    // Position the weapon model based on type (moved closer to camera)
-    if (this.activeWeapon.name === 'Pistol') {
-      this.weaponViewModel.position.set(0.05, -0.2, -0.3);
-      this.weaponViewModel.rotation.set(0, 0, 0);
-    } else if (this.activeWeapon.name === 'Shotgun') {
-      this.weaponViewModel.position.set(0.02, -0.18, -0.3);
-      this.weaponViewModel.rotation.set(0, -0.05, 0);
-    } else if (this.activeWeapon.name === 'Assault Rifle') {
-      this.weaponViewModel.position.set(0.02, -0.18, -0.3);
-      this.weaponViewModel.rotation.set(0, -0.05, 0);
-    } else {
-      // Default position
-      this.weaponViewModel.position.set(0, -0.2, -0.3);
-    }
+    this.resetWeaponViewModelPosition();
     
     // Add to container
     this.modelContainer.add(this.weaponViewModel);
@@ -2147,6 +2782,22 @@ export class PlayerControls {
     console.log(`Updated weapon model to: ${this.activeWeapon.name}`);
   }
   
+  /**
+   * Put the weapon view model back in its resting pose
+   */
+  resetWeaponViewModelPosition() {
+    if (!this.weaponViewModel) return;
+    
+    // Position the weapon model from its definition (moved closer to camera)
+    if (this.activeWeapon && this.activeWeapon.viewModel) {
+      WeaponModelBuilder.applyTransform(this.weaponViewModel, this.activeWeapon.viewModel);
+    } else {
+      // Default position
+      this.weaponViewModel.position.set(0, -0.2, -0.3);
+      this.weaponViewModel.rotation.set(0, 0, 0);
+    }
+  }
+  
   /**
    * Create the weapon view model for first-person display
    * @param {Weapon} weapon - The weapon to create model for
@@ -2160,22 +2811,17 @@ export class PlayerControls {
     // Check if it's a mystery weapon (AI generated)
     if (weapon.isMysteryWeapon) {
       model = this.createMysteryWeaponModel(weapon);
+    } else if (weapon.viewModel) {
+      // Regular weapons are described in weapons.json
+      model = WeaponModelBuilder.build(weapon.viewModel);
     } else {
-      // Regular weapons
-      switch (weapon.name) {
-        case 'Pistol':
-          model = this.createPistolModel();
-          break;
-        case 'Shotgun':
-          model = this.createShotgunModel();
-          break;
-        case 'Assault Rifle':
-          model = this.createAssaultRifleModel();
-          break;
-        default:
-          // Fallback to a generic model
-          model = this.createGenericWeaponModel();
-      }
+      // Fallback to a generic model
+      model = this.createGenericWeaponModel();
+    }
+    
+    // Upgraded weapons wear the upgrade station's camo
+    if (weapon.upgraded) {
+      WeaponModelBuilder.applyCamo(model);
     }
     
     weaponGroup.add(model);
@@ -2424,401 +3070,6 @@ export class PlayerControls {
     return new THREE.Mesh(geometry, material);
   }
   
-  /**
-   * Create a pistol model
-   * @returns {THREE.Group} - Pistol model
-   */
-  createPistolModel() {
-    const pistolGroup = new THREE.Group();
-    
-    // Materials
-    const darkMetalMaterial = new THREE.MeshStandardMaterial({
-      color: 0x111111,
-      roughness: 0.4,
-      metalness: 0.8
-    });
-    
-    const lightMetalMaterial = new THREE.MeshStandardMaterial({
-      color: 0x444444,
-      roughness: 0.3,
-      metalness: 0.9
-    });
-    
-    const gripMaterial = new THREE.MeshStandardMaterial({
-      color: 0x0a0a0a,
-      roughness: 0.9,
-      metalness: 0.1
-    });
-    
-    // Create slide
-    const slideGeometry = new THREE.BoxGeometry(0.06, 0.06, 0.15);
-    const slide = new THREE.Mesh(slideGeometry, lightMetalMaterial);
-    slide.position.set(0, 0.04, -0.05);
-    pistolGroup.add(slide);
-    
-    // Create slide details (serrations)
-    for (let i = 0; i < 5; i++) {
-      const serrationGeometry = new THREE.BoxGeometry(0.062, 0.01, 0.01);
-      const serration = new THREE.Mesh(serrationGeometry, darkMetalMaterial);
-      serration.position.set(0, 0.06, -0.08 + (i * 0.015));
-      pistolGroup.add(serration);
-    }
-    
-    // Create barrel
-    const barrelGeometry = new THREE.CylinderGeometry(0.015, 0.015, 0.2, 16);
-    const barrel = new THREE.Mesh(barrelGeometry, darkMetalMaterial);
-    barrel.rotation.set(0, 0, Math.PI / 2);
-    barrel.position.set(0, 0.04, -0.15);
-    pistolGroup.add(barrel);
-    
-    // Create barrel extension (muzzle)
-    const muzzleGeometry = new THREE.CylinderGeometry(0.017, 0.017, 0.02, 16);
-    const muzzle = new THREE.Mesh(muzzleGeometry, darkMetalMaterial);
-    muzzle.rotation.set(0, 0, Math.PI / 2);
-    muzzle.position.set(0, 0.04, -0.24);
-    pistolGroup.add(muzzle);
-    
-    // Create frame
-    const frameGeometry = new THREE.BoxGeometry(0.056, 0.04, 0.1);
-    const frame = new THREE.Mesh(frameGeometry, darkMetalMaterial);
-    frame.position.set(0, 0.02, -0.02);
-    pistolGroup.add(frame);
-    
-    // Create grip
-    const gripGeometry = new THREE.BoxGeometry(0.06, 0.12, 0.07);
-    const grip = new THREE.Mesh(gripGeometry, gripMaterial);
-    grip.position.set(0, -0.05, 0);
-    pistolGroup.add(grip);
-    
-    // Create grip texture (stippling)
-    for (let i = 0; i < 4; i++) {
-      for (let j = 0; j < 6; j++) {
-        const stippleGeometry = new THREE.BoxGeometry(0.004, 0.004, 0.004);
-        const stipple = new THREE.Mesh(stippleGeometry, darkMetalMaterial);
-        stipple.position.set(
-          -0.025 + (i * 0.017),
-          -0.05 + (j * 0.017),
-          0.036
-        );
-        pistolGroup.add(stipple);
-      }
-    }
-    
-    // Create trigger guard
-    const guardGeometry = new THREE.TorusGeometry(0.022, 0.006, 8, 12, Math.PI);
-    const guard = new THREE.Mesh(guardGeometry, darkMetalMaterial);
-    guard.rotation.set(Math.PI / 2, 0, 0);
-    guard.position.set(0, -0.01, -0.04);
-    pistolGroup.add(guard);
-    
-    // Create trigger
-    const triggerGeometry = new THREE.BoxGeometry(0.01, 0.03, 0.01);
-    const trigger = new THREE.Mesh(triggerGeometry, darkMetalMaterial);
-    trigger.position.set(0, -0.01, -0.01);
-    pistolGroup.add(trigger);
-    
-    // Create sights
-    const frontSightGeometry = new THREE.BoxGeometry(0.01, 0.01, 0.01);
-    const frontSight = new THREE.Mesh(frontSightGeometry, darkMetalMaterial);
-    frontSight.position.set(0, 0.075, -0.14);
-    pistolGroup.add(frontSight);
-    
-    const rearSightGeometry = new THREE.BoxGeometry(0.03, 0.01, 0.01);
-    const rearSight = new THREE.Mesh(rearSightGeometry, darkMetalMaterial);
-    rearSight.position.set(0, 0.075, 0.01);
-    pistolGroup.add(rearSight);
-    
-    // Create magazine release
-    const magReleaseGeometry = new THREE.CylinderGeometry(0.006, 0.006, 0.01, 8);
-    const magRelease = new THREE.Mesh(magReleaseGeometry, darkMetalMaterial);
-    magRelease.rotation.set(Math.PI / 2, 0, 0);
-    magRelease.position.set(-0.031, -0.01, -0.02);
-    pistolGroup.add(magRelease);
-    
-    return pistolGroup;
-  }
-  
-  /**
-   * Create a shotgun model
-   * @returns {THREE.Group} - Shotgun model
-   */
-  createShotgunModel() {
-    const shotgunGroup = new THREE.Group();
-    
-    // Materials
-    const darkMetalMaterial = new THREE.MeshStandardMaterial({
-      color: 0x111111,
-      roughness: 0.4,
-      metalness: 0.8
-    });
-    
-    const barrelMetalMaterial = new THREE.MeshStandardMaterial({
-      color: 0x333333,
-      roughness: 0.3,
-      metalness: 0.85
-    });
-    
-    const darkWoodMaterial = new THREE.MeshStandardMaterial({
-      color: 0x3b2504,
-      roughness: 0.9,
-      metalness: 0.1
-    });
-    
-    const lightWoodMaterial = new THREE.MeshStandardMaterial({
-      color: 0x6b4423,
-      roughness: 0.85,
-      metalness: 0.1
-    });
-    
-    // Create main barrel
-    const barrelGeometry = new THREE.CylinderGeometry(0.02, 0.02, 0.55, 16);
-    const barrel = new THREE.Mesh(barrelGeometry, barrelMetalMaterial);
-    barrel.rotation.set(0, 0, Math.PI / 2);
-    barrel.position.set(0, 0, -0.22);
-    shotgunGroup.add(barrel);
-    
-    // Create second barrel below
-    const barrel2Geometry = new THREE.CylinderGeometry(0.02, 0.02, 0.55, 16);
-    const barrel2 = new THREE.Mesh(barrel2Geometry, barrelMetalMaterial);
-    barrel2.rotation.set(0, 0, Math.PI / 2);
-    barrel2.position.set(0, -0.04, -0.22);
-    shotgunGroup.add(barrel2);
-    
-    // Create barrel band connecting the barrels
-    const barrelBandGeometry = new THREE.BoxGeometry(0.05, 0.06, 0.03);
-    const barrelBand = new THREE.Mesh(barrelBandGeometry, darkMetalMaterial);
-    barrelBand.position.set(0, -0.02, -0.43);
-    shotgunGroup.add(barrelBand);
-    
-    // Create muzzle
-    const muzzleGeometry = new THREE.CylinderGeometry(0.025, 0.025, 0.03, 16);
-    const muzzle = new THREE.Mesh(muzzleGeometry, darkMetalMaterial);
-    muzzle.rotation.set(0, 0, Math.PI / 2);
-    muzzle.position.set(0, 0, -0.49);
-    shotgunGroup.add(muzzle);
-    
-    // Create second muzzle
-    const muzzle2Geometry = new THREE.CylinderGeometry(0.025, 0.025, 0.03, 16);
-    const muzzle2 = new THREE.Mesh(muzzle2Geometry, darkMetalMaterial);
-    muzzle2.rotation.set(0, 0, Math.PI / 2);
-    muzzle2.position.set(0, -0.04, -0.49);
-    shotgunGroup.add(muzzle2);
-    
-    // Create receiver
-    const receiverGeometry = new THREE.BoxGeometry(0.07, 0.1, 0.2);
-    const receiver = new THREE.Mesh(receiverGeometry, darkMetalMaterial);
-    receiver.position.set(0, 0, 0);
-    shotgunGroup.add(receiver);
-    
-    // Create pump action
-    const pumpGeometry = new THREE.BoxGeometry(0.06, 0.06, 0.12);
-    const pump = new THREE.Mesh(pumpGeometry, darkWoodMaterial);
-    pump.position.set(0, -0.02, -0.3);
-    shotgunGroup.add(pump);
-    
-    // Create pump grip detail
-    for (let i = 0; i < 5; i++) {
-      const gripLineGeometry = new THREE.BoxGeometry(0.062, 0.01, 0.01);
-      const gripLine = new THREE.Mesh(gripLineGeometry, darkMetalMaterial);
-      gripLine.position.set(0, -0.02, -0.34 + (i * 0.02));
-      shotgunGroup.add(gripLine);
-    }
-    
-    // Create stock
-    const stockGeometry = new THREE.BoxGeometry(0.06, 0.08, 0.3);
-    const stock = new THREE.Mesh(stockGeometry, lightWoodMaterial);
-    stock.position.set(0, -0.01, 0.2);
-    shotgunGroup.add(stock);
-    
-    // Create stock grip curve
-    const stockCurveGeometry = new THREE.CylinderGeometry(0.04, 0.04, 0.06, 16, 1, false, 0, Math.PI);
-    const stockCurve = new THREE.Mesh(stockCurveGeometry, lightWoodMaterial);
-    stockCurve.rotation.set(0, Math.PI / 2, Math.PI / 2);
-    stockCurve.position.set(0, -0.05, 0.35);
-    shotgunGroup.add(stockCurve);
-    
-    // Create trigger guard
-    const guardGeometry = new THREE.TorusGeometry(0.025, 0.005, 8, 12, Math.PI);
-    const guard = new THREE.Mesh(guardGeometry, darkMetalMaterial);
-    guard.rotation.set(Math.PI / 2, 0, 0);
-    guard.position.set(0, -0.03, -0.05);
-    shotgunGroup.add(guard);
-    
-    // Create trigger
-    const triggerGeometry = new THREE.BoxGeometry(0.01, 0.03, 0.01);
-    const trigger = new THREE.Mesh(triggerGeometry, darkMetalMaterial);
-    trigger.position.set(0, -0.03, -0.03);
-    shotgunGroup.add(trigger);
-    
-    // Create sight bead at muzzle
-    const beadSightGeometry = new THREE.SphereGeometry(0.005, 8, 8);
-    const beadSight = new THREE.Mesh(beadSightGeometry, new THREE.MeshStandardMaterial({
-      color: 0xffffff,
-      roughness: 0.2,
-      metalness: 0.9
-    }));
-    beadSight.position.set(0, 0.02, -0.49);
-    shotgunGroup.add(beadSight);
-    
-    return shotgunGroup;
-  }
-  
-  /**
-   * Create an assault rifle model
-   * @returns {THREE.Group} - Assault rifle model
-   */
-  createAssaultRifleModel() {
-    const rifleGroup = new THREE.Group();
-    
-    // Materials
-    const darkMetalMaterial = new THREE.MeshStandardMaterial({
-      color: 0x111111,
-      roughness: 0.4,
-      metalness: 0.8
-    });
-    
-    const mainMetalMaterial = new THREE.MeshStandardMaterial({
-      color: 0x333333,
-      roughness: 0.3,
-      metalness: 0.85
-    });
-    
-    const polymerMaterial = new THREE.MeshStandardMaterial({
-      color: 0x222222,
-      roughness: 0.8,
-      metalness: 0.2
-    });
-    
-    const railMaterial = new THREE.MeshStandardMaterial({
-      color: 0x111111,
-      roughness: 0.5,
-      metalness: 0.6
-    });
-    
-    // Create upper receiver
-    const upperReceiverGeometry = new THREE.BoxGeometry(0.06, 0.06, 0.25);
-    const upperReceiver = new THREE.Mesh(upperReceiverGeometry, mainMetalMaterial);
-    upperReceiver.position.set(0, 0.04, 0);
-    rifleGroup.add(upperReceiver);
-    
-    // Create lower receiver
-    const lowerReceiverGeometry = new THREE.BoxGeometry(0.06, 0.08, 0.15);
-    const lowerReceiver = new THREE.Mesh(lowerReceiverGeometry, mainMetalMaterial);
-    lowerReceiver.position.set(0, -0.02, 0.05);
-    rifleGroup.add(lowerReceiver);
-    
-    // Create barrel
-    const barrelGeometry = new THREE.CylinderGeometry(0.015, 0.015, 0.3, 16);
-    const barrel = new THREE.Mesh(barrelGeometry, darkMetalMaterial);
-    barrel.rotation.set(0, 0, Math.PI / 2);
-    barrel.position.set(0, 0.04, -0.27);
-    rifleGroup.add(barrel);
-    
-    // Create barrel shroud/handguard
-    const handguardGeometry = new THREE.CylinderGeometry(0.025, 0.025, 0.2, 16);
-    const handguard = new THREE.Mesh(handguardGeometry, polymerMaterial);
-    handguard.rotation.set(0, 0, Math.PI / 2);
-    handguard.position.set(0, 0.04, -0.22);
-    rifleGroup.add(handguard);
-    
-    // Create muzzle brake
-    const muzzleBrakeGeometry = new THREE.CylinderGeometry(0.02, 0.025, 0.04, 16);
-    const muzzleBrake = new THREE.Mesh(muzzleBrakeGeometry, darkMetalMaterial);
-    muzzleBrake.rotation.set(0, 0, Math.PI / 2);
-    muzzleBrake.position.set(0, 0.04, -0.42);
-    rifleGroup.add(muzzleBrake);
-    
-    // Create top rail
-    const railGeometry = new THREE.BoxGeometry(0.03, 0.01, 0.3);
-    const rail = new THREE.Mesh(railGeometry, railMaterial);
-    rail.position.set(0, 0.075, -0.05);
-    rifleGroup.add(rail);
-    
-    // Create rail detail
-    for (let i = 0; i < 10; i++) {
-      const railNotchGeometry = new THREE.BoxGeometry(0.04, 0.005, 0.01);
-      const railNotch = new THREE.Mesh(railNotchGeometry, darkMetalMaterial);
-      railNotch.position.set(0, 0.08, -0.18 + (i * 0.03));
-      rifleGroup.add(railNotch);
-    }
-    
-    // Create front sight
-    const frontSightBaseGeometry = new THREE.BoxGeometry(0.04, 0.02, 0.02);
-    const frontSightBase = new THREE.Mesh(frontSightBaseGeometry, darkMetalMaterial);
-    frontSightBase.position.set(0, 0.09, -0.3);
-    rifleGroup.add(frontSightBase);
-    
-    const frontSightPostGeometry = new THREE.BoxGeometry(0.01, 0.02, 0.01);
-    const frontSightPost = new THREE.Mesh(frontSightPostGeometry, darkMetalMaterial);
-    frontSightPost.position.set(0, 0.11, -0.3);
-    rifleGroup.add(frontSightPost);
-    
-    // Create charging handle
-    const chargingHandleGeometry = new THREE.BoxGeometry(0.03, 0.02, 0.04);
-    const chargingHandle = new THREE.Mesh(chargingHandleGeometry, darkMetalMaterial);
-    chargingHandle.position.set(0, 0.07, 0.1);
-    rifleGroup.add(chargingHandle);
-    
-    // Create magazine
-    const magGeometry = new THREE.BoxGeometry(0.05, 0.18, 0.05);
-    const magazine = new THREE.Mesh(magGeometry, polymerMaterial);
-    magazine.position.set(0, -0.12, 0.05);
-    rifleGroup.add(magazine);
-    
-    // Create magazine curve
-    const magCurveGeometry = new THREE.BoxGeometry(0.05, 0.05, 0.05);
-    const magCurve = new THREE.Mesh(magCurveGeometry, polymerMaterial);
-    magCurve.position.set(0, -0.21, 0.05);
-    magCurve.rotation.set(0.3, 0, 0);
-    rifleGroup.add(magCurve);
-    
-    // Create magazine base plate
-    const baseGeometry = new THREE.BoxGeometry(0.055, 0.01, 0.055);
-    const basePlate = new THREE.Mesh(baseGeometry, darkMetalMaterial);
-    basePlate.position.set(0, -0.235, 0.05);
-    rifleGroup.add(basePlate);
-    
-    // Create pistol grip
-    const gripGeometry = new THREE.BoxGeometry(0.04, 0.1, 0.05);
-    const grip = new THREE.Mesh(gripGeometry, polymerMaterial);
-    grip.position.set(0, -0.06, 0.12);
-    grip.rotation.set(-0.3, 0, 0);
-    rifleGroup.add(grip);
-    
-    // Create trigger
-    const triggerGeometry = new THREE.BoxGeometry(0.01, 0.03, 0.01);
-    const trigger = new THREE.Mesh(triggerGeometry, darkMetalMaterial);
-    trigger.position.set(0, 0, 0.12);
-    rifleGroup.add(trigger);
-    
-    // Create trigger guard
-    const guardGeometry = new THREE.TorusGeometry(0.02, 0.005, 8, 12, Math.PI);
-    const guard = new THREE.Mesh(guardGeometry, darkMetalMaterial);
-    guard.rotation.set(Math.PI / 2, 0, 0);
-    guard.position.set(0, -0.02, 0.12);
-    rifleGroup.add(guard);
-    
-    // Create stock
-    const stockGeometry = new THREE.BoxGeometry(0.05, 0.07, 0.18);
-    const stock = new THREE.Mesh(stockGeometry, polymerMaterial);
-    stock.position.set(0, 0.01, 0.25);
-    rifleGroup.add(stock);
-    
-    // Create stock plate
-    const stockPlateGeometry = new THREE.BoxGeometry(0.06, 0.08, 0.01);
-    const stockPlate = new THREE.Mesh(stockPlateGeometry, polymerMaterial);
-    stockPlate.position.set(0, 0.01, 0.34);
-    rifleGroup.add(stockPlate);
-    
-    // Create ejection port
-    const ejectionPortGeometry = new THREE.BoxGeometry(0.04, 0.01, 0.08);
-    const ejectionPort = new THREE.Mesh(ejectionPortGeometry, darkMetalMaterial);
-    ejectionPort.position.set(0.03, 0.04, 0.05);
-    rifleGroup.add(ejectionPort);
-    
-    return rifleGroup;
-  }
-
   /**
    * Update hand positions based on current weapon
    */
@@ -2828,33 +3079,12 @@ export class PlayerControls {
     const rightHand = this.handsModel.children[0];
     const leftHand = this.handsModel.children[1];
     
-    // Base position for different weapons (moved closer to camera)
-    if (this.activeWeapon.name === 'Pistol') {
-      // Right hand (trigger hand)
-      rightHand.position.set(0.05, -0.22, -0.3);
-      rightHand.rotation.set(-0.2, 0.2, 0);
-      
-      // Left hand (support hand, optional for pistol)
-      leftHand.position.set(0.02, -0.25, -0.28);
-      leftHand.rotation.set(-0.3, 0, 0.8);
-    } 
-    else if (this.activeWeapon.name === 'Shotgun') {
-      // Right hand (trigger hand)
-      rightHand.position.set(0.05, -0.19, -0.3);
-      rightHand.rotation.set(-0.2, 0.1, 0);
-      
-      // Left hand (pump/foregrip)
-      leftHand.position.set(0.04, -0.19, -0.45);
-      leftHand.rotation.set(-0.1, -0.1, 0);
-    }
-    else if (this.activeWeapon.name === 'Assault Rifle') {
-      // Right hand (trigger hand)
-      rightHand.position.set(0.05, -0.18, -0.3);
-      rightHand.rotation.set(-0.2, 0.1, 0);
-      
-      // Left hand (foregrip support)
-      leftHand.position.set(0.0, -0.2, -0.5);
-      leftHand.rotation.set(-0.1, -0.2, 0.2);
+    // Grip positions come from the weapon definition (moved closer to camera)
+    const hands = this.activeWeapon.viewModel && this.activeWeapon.viewModel.hands;
+    if (hands) {
+      // Right hand (trigger hand), left hand (support hand)
+      WeaponModelBuilder.applyTransform(rightHand, hands.right);
+      WeaponModelBuilder.applyTransform(leftHand, hands.left);
     }
     else {
       // Default positions
@@ -2914,6 +3144,11 @@ export class PlayerControls {
       } else {
         this.ammoDisplay.style.color = 'white';
       }
+    } else if (this.ammoDisplay) {
+      // Empty handed (weapon left in the upgrade station)
+      this.ammoDisplay.textContent = '- / -';
+      this.ammoDisplay.style.color = 'white';
+      this.weaponNameDisplay.textContent = '';
     }
   }
 
@@ -2933,7 +3168,10 @@ export class PlayerControls {
     this.stopWeaponSound();
     
     // Make sure wall buy weapons have limited ammo (just one extra magazine)
-    if (weapon.name !== 'Pistol') {
+    if (weapon.upgraded) {
+      // Upgraded weapons come back from the upgrade station fully stocked
+      console.log(`${weapon.name} keeps its upgraded ammo (${weapon.totalAmmo})`);
+    } else if (weapon.name !== 'Pistol') {
       weapon.hasInfiniteAmmo = false;
       // Set total ammo to exactly one extra magazine
       weapon.totalAmmo = weapon.magazineSize;
@@ -3003,6 +3241,43 @@ export class PlayerControls {
     this.updateAmmoDisplay();
   }
 
+  /**
+   * Take a weapon away from the player (handing it to the upgrade station)
+   * @param {Weapon} weapon - The weapon to remove
+   * @returns {boolean} True if the player had the weapon
+   */
+  removeWeapon(weapon) {
+    const index = this.weapons.indexOf(weapon);
+    if (index < 0) {
+      return false;
+    }
+    
+    if (weapon === this.activeWeapon) {
+      this.stopWeaponSound();
+    }
+    
+    this.weapons.splice(index, 1);
+    
+    // Keep holding the same weapon, or the one that slid into the removed slot
+    if (this.weapons.length === 0) {
+      this.currentWeaponIndex = 0;
+      this.activeWeapon = null;
+    } else if (weapon === this.activeWeapon) {
+      this.currentWeaponIndex = Math.min(index, this.weapons.length - 1);
+      this.activeWeapon = this.weapons[this.currentWeaponIndex];
+    } else {
+      this.currentWeaponIndex = this.weapons.indexOf(this.activeWeapon);
+    }
+    
+    this.updateWeaponViewModel();
+    this.playWeaponSwitchAnimation();
+    this.updateAmmoDisplay();
+    
+    console.log(`Removed ${weapon.name} from the arsenal`);
+    
+    return true;
+  }
+
   /**
    * Switch to next weapon
    */
@@ -3078,8 +3353,8 @@ export class PlayerControls {
    * Reload the current weapon
    */
   reload() {
-    // Skip if reloading, no weapon, or player is dead
-    if (this.isReloading || !this.activeWeapon || this.isDead) {
+    // Skip if reloading, knifing, no weapon, or player is dead
+    if (this.isReloading || this.isMeleeing || !this.activeWeapon || this.isDead) {
       return;
     }
     
@@ -3100,6 +3375,10 @@ export class PlayerControls {
     // Stop any ongoing weapon sound (for automatic weapons)
     this.stopWeaponSound();
     
+    // Reloading drops the scope and cuts any burst short
+    this.setScoped(false);
+    this.activeWeapon.burstShotsRemaining = 0;
+    
     // Set reloading flag
     this.isReloading = true;
     
@@ -3121,8 +3400,14 @@ export class PlayerControls {
       this.activeWeapon.totalAmmo -= reloadAmount;
     }
     
+    // Remember what was taken from the reserve in case the reload is cancelled
+    this.pendingReload = { weapon: this.activeWeapon, amount: reloadAmount };
+    
     // Wait for the reload animation to complete
-    setTimeout(() => {
+    this.reloadTimeout = setTimeout(() => {
+      this.reloadTimeout = null;
+      this.pendingReload = null;
+      
       // Skip if player died during reload
       if (this.isDead) {
         return;
@@ -3141,12 +3426,45 @@ export class PlayerControls {
     }, this.activeWeapon.reloadTime * 1000);
   }
   
+  /**
+   * Cut a reload short, putting the ammo it took back into the reserve
+   */
+  cancelReload() {
+    if (!this.isReloading) return;
+    
+    clearTimeout(this.reloadTimeout);
+    clearTimeout(this.reloadAnimationTimeout);
+    this.reloadTimeout = null;
+    this.reloadAnimationTimeout = null;
+    
+    if (this.pendingReload && !this.pendingReload.weapon.hasInfiniteAmmo) {
+      this.pendingReload.weapon.totalAmmo += this.pendingReload.amount;
+    }
+    this.pendingReload = null;
+    
+    this.isReloading = false;
+    
+    // Stop the reload sound
+    const audio = this.audioElements && this.audioElements[`${this.getWeaponSoundType()}:reload`];
+    if (audio) {
+      audio.pause();
+    }
+    
+    // Put the weapon and hands back where the reload animation took them from
+    this.resetWeaponViewModelPosition();
+    this.updateHandPositions();
+    
+    this.updateAmmoDisplay();
+    
+    console.log(`Reload of ${this.activeWeapon.name} cancelled`);
+  }
+  
   /**
    * Switch back to the pistol when other weapons are out of ammo
    */
   switchToPistol() {
     // First try to find by type
-    let pistolIndex = this.weapons.findIndex(w => w.type === WeaponTypes.PISTOL);
+    let pistolIndex = this.weapons.findIndex(w => w.type === 'PISTOL');
     
     // If not found by type, try by name as fallback
     if (pistolIndex === -1) {
@@ -3276,51 +3594,20 @@ export class PlayerControls {
       let audio = null;
       let isContinuousSound = false;
       
-      // Determine which sound to play based on weapon type
-      if (this.activeWeapon) {
-        switch (this.activeWeapon.type) {
-          case 'shotgun':
-            // Try to get from pool first
-            audio = this.getFromAudioPool('shotgunShoot');
-            
-            // Fallback to direct audio element
-            if (!audio) {
-              audio = this.audioElements.shotgunShoot;
-            }
-            break;
-          
-          case 'assaultRifle':
-            // For assault rifle, use looping sound if holding trigger
-            if (this.shooting) {
-              audio = this.audioElements.machineGunShoot;
-              audio.loop = true;
-              isContinuousSound = true; // Mark as continuous sound for mobile check
-            } else {
-              // For single shot, use pooled sound
-              audio = this.getFromAudioPool('machineGunShoot');
-              
-              // Fallback to direct audio element
-              if (!audio) {
-                audio = this.audioElements.machineGunShoot;
-                audio.loop = false;
-              }
-            }
-            break;
-          
-          case 'pistol':
-          default:
-            // Try to get from pool first
-            audio = this.getFromAudioPool('pistolShoot');
-            
-            // Fallback to direct audio element
-            if (!audio) {
-              audio = this.audioElements.pistolShoot;
-            }
-            break;
+      // Determine which sound to play from the weapon's definition
+      const { key, sound } = this.getWeaponShootSound();
+      
+      if (sound.loop) {
+        // Looping sounds keep playing while the trigger is held
+        audio = this.audioElements[key];
+        isContinuousSound = true;
+        
+        if (audio && !audio.paused) {
+          return audio;
         }
       } else {
-        // Default to pistol sound if no weapon
-        audio = this.audioElements.pistolShoot;
+        // Try to get from pool first, falling back to the direct audio element
+        audio = this.getFromAudioPool(key) || this.audioElements[key];
       }
       
       // Check if this is a continuous sound that should be skipped on mobile
@@ -3363,6 +3650,30 @@ export class PlayerControls {
     return null;
   }
 
+  /**
+   * Get the weapon type whose sounds the active weapon uses
+   * @returns {string} Key into WeaponTypes (mystery box weapons sound like the pistol)
+   */
+  getWeaponSoundType() {
+    const type = this.activeWeapon && this.activeWeapon.type;
+    return type && WeaponTypes[type] && WeaponTypes[type].sounds ? type : 'PISTOL';
+  }
+
+  /**
+   * Get the shoot sound the active weapon uses (upgraded weapons have their own)
+   * @returns {Object} { key, sound } - Audio element/pool key and the sound's settings
+   */
+  getWeaponShootSound() {
+    const type = this.getWeaponSoundType();
+    const upgrade = WeaponTypes[type].upgrade;
+    
+    if (this.activeWeapon && this.activeWeapon.upgraded && upgrade && upgrade.shoot) {
+      return { key: `${type}:shoot:upgraded`, sound: upgrade.shoot };
+    }
+    
+    return { key: `${type}:shoot`, sound: WeaponTypes[type].sounds.shoot };
+  }
+
   /**
    * Stop the current weapon sound, particularly for automatic weapons
    */
@@ -3370,11 +3681,11 @@ export class PlayerControls {
     if (!this.activeWeapon || !this.audioUnlocked) return;
     
     try {
-      let audio = null;
+      const { key, sound } = this.getWeaponShootSound();
       
-      // Only needed for continuous fire weapons like the assault rifle
-      if (this.activeWeapon.name === 'Assault Rifle') {
-        audio = this.audioElements.machineGunShoot;
+      // Only needed for continuous fire weapons with a looping sound
+      if (sound.loop) {
+        const audio = this.audioElements[key];
         
         if (audio && !audio.paused) {
           audio.pause();
@@ -3393,19 +3704,8 @@ export class PlayerControls {
     if (!this.activeWeapon || !this.audioUnlocked) return;
     
     try {
-      let audio = null;
-      
-      // Select the appropriate audio based on weapon name
-      if (this.activeWeapon.name === 'Pistol') {
-        audio = this.audioElements.pistolReload;
-      } else if (this.activeWeapon.name === 'Shotgun') {
-        audio = this.audioElements.shotgunReload;
-      } else if (this.activeWeapon.name === 'Assault Rifle') {
-        audio = this.audioElements.machineGunReload;
-      } else {
-        // Default to pistol for other weapons
-        audio = this.audioElements.pistolReload;
-      }
+      // Select the appropriate audio from the weapon's definition
+      const audio = this.audioElements[`${this.getWeaponSoundType()}:reload`];
       
       // Play the sound if available
       if (audio) {
@@ -3466,10 +3766,17 @@ export class PlayerControls {
 
   /**
    * Play window board add sound
+   * @param {Window} targetWindow - Window that was boarded (the sound comes from it)
    */
-  playWindowBoardAddSound() {
+  playWindowBoardAddSound(targetWindow = null) {
     if (!this.audioUnlocked) return;
     
+    // Play it from the window when we can
+    if (targetWindow && this.spatialAudio &&
+        this.spatialAudio.play('windowBoardAdd', targetWindow.instance, { volume: 0.7 })) {
+      return;
+    }
+    
     try {
       const audio = this.audioElements.windowBoardAdd;
       if (audio) {
@@ -3486,10 +3793,17 @@ export class PlayerControls {
   
   /**
    * Play window board breaking sound
+   * @param {Window} targetWindow - Window that lost a board (the sound comes from it)
    */
-  playWindowBoardBreakingSound() {
+  playWindowBoardBreakingSound(targetWindow = null) {
     if (!this.audioUnlocked) return;
     
+    // Play it from the window so players can tell which one is being torn down
+    if (targetWindow && this.spatialAudio &&
+        this.spatialAudio.play('windowBoardBreaking', targetWindow.instance, { volume: 1, offset: 0.45, duration: 1.55 })) {
+      return;
+    }
+    
     try {
       const audio = this.audioElements.windowBoardBreaking;
       if (audio) {
@@ -3539,10 +3853,11 @@ export class PlayerControls {
 
   /**
    * Play a random zombie sound
-   * @param {THREE.Vector3} zombiePosition - Position of the zombie (for potential future 3D audio)
-   * @returns {HTMLAudioElement} The audio element that was played
+   * @param {THREE.Vector3} zombiePosition - Position of the zombie
+   * @param {THREE.Object3D} source - The zombie's object (the sound is played from it in 3D)
+   * @returns {HTMLAudioElement|THREE.PositionalAudio} The sound that was played
    */
-  playRandomZombieSound(zombiePosition) {
+  playRandomZombieSound(zombiePosition, source = null) {
     if (!this.audioUnlocked) return null;
     
     // On mobile, limit zombie sounds more aggressively for better performance
@@ -3554,6 +3869,13 @@ export class PlayerControls {
       if (this.activeAudio.length >= this.maxConcurrentAudio) return null;
     }
     
+    // Play it from the zombie itself (falls back to flat audio until the 3D sounds load)
+    if (source && this.spatialAudio) {
+      const name = `zombie${1 + Math.floor(Math.random() * 5)}`;
+      const voice = this.spatialAudio.play(name, source, { volume: 0.8 });
+      if (voice) return voice;
+    }
+    
     try {
       // Try to get from the zombie sound pool first
       let audio = this.getFromAudioPool('zombieSound');
@@ -3611,14 +3933,19 @@ export class PlayerControls {
   }
 
   /**
-   * Reset player position to center of room
+   * Reset player position to one of the map's spawn points
    */
   resetPosition() {
     console.log("Resetting player position");
     
-    // Reset to position (0,0,0) which is the center of the room
-    this.camera.position.set(0, this.height, 0);
-    this.camera.rotation.set(0, 0, 0);
+    // Pick a random spawn point (the center of the room by default)
+    const spawnPoints = this.spawnPoints && this.spawnPoints.length > 0
+      ? this.spawnPoints
+      : [{ x: 0, z: 0, rotation: 0 }];
+    const spawn = spawnPoints[Math.floor(Math.random() * spawnPoints.length)];
+    
+    this.camera.position.set(spawn.x, this.height, spawn.z);
+    this.camera.rotation.set(0, spawn.rotation, 0);
     
     // Reset movement flags
     this.moveForward = false;
@@ -3699,6 +4026,9 @@ export class PlayerControls {
     
     // Update hand positions for the current weapon
     this.updateHandPositions();
+    
+    // Start with a full grenade slot
+    this.refillGrenades();
   }
 
   /**
@@ -3743,7 +4073,7 @@ export class PlayerControls {
     this.moveRight = dirX > threshold;
     
     // Calculate run speed multiplier and update stamina
-    const speedMultiplier = this.running ? this.runMultiplier : 1;
+    const speedMultiplier = (this.running ? this.runMultiplier : 1) * this.slowMultiplier;
     
     // Handle stamina for running
     if (this.running) {
@@ -3834,8 +4164,9 @@ export class PlayerControls {
         return;
       }
       
-      // Reset hit result
+      // Reset hit results
       this.hitResult = null;
+      this.hitResults = [];
       
       // Create ray from camera center
       this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
@@ -3856,45 +4187,88 @@ export class PlayerControls {
         return;
       }
       
-      // Cast the ray
+      // Solid props stop bullets before they reach zombies behind them
+      if (this.room) {
+        objects.push(...this.room.getObstacleMeshes());
+      }
+      
+      // Cast the ray (intersections come back nearest first)
       const intersects = this.raycaster.intersectObjects(objects, true);
       console.log(`SHOOTING: Ray intersected with ${intersects.length} objects`);
       
-      if (intersects.length > 0) {
-        // Get the first intersection
-        this.hitResult = intersects[0];
-        
-        // Log details about what was hit
-        console.log("SHOOTING: Hit details:", {
-          distance: this.hitResult.distance,
-          objectName: this.hitResult.object ? this.hitResult.object.name : "unknown",
-          hasUserData: this.hitResult.object ? !!this.hitResult.object.userData : false,
-          pointPosition: this.hitResult.point ? [
-            this.hitResult.point.x,
-            this.hitResult.point.y,
-            this.hitResult.point.z
-          ] : "unknown"
-        });
-        
-        // Check userData up the parent chain if necessary
-        let currentObject = this.hitResult.object;
-        while (currentObject && !currentObject.userData.type && !currentObject.userData.enemy) {
-          console.log("SHOOTING: Checking parent for userData");
-          currentObject = currentObject.parent;
-        }
-        
-        if (currentObject && (currentObject.userData.type === 'zombie' || currentObject.userData.enemy)) {
-          console.log("SHOOTING: Found zombie in parent chain, setting hitResult.object");
-          this.hitResult.object = currentObject;
-        }
-      } else {
+      if (intersects.length === 0) {
         console.log("SHOOTING: Ray did not hit any objects");
+        return;
       }
+      
+      // Nearest thing hit, zombie or cover
+      this.hitResult = intersects[0];
+      
+      // Follow the bullet through as many zombies as the weapon allows
+      this.hitResults = this.getPenetratedHits(intersects);
+      console.log(`SHOOTING: Bullet hit ${this.hitResults.length} zombies`);
     } catch (error) {
       console.error("Error in castRay:", error);
     }
   }
 
+  /**
+   * Work out which zombies a bullet goes through. Each zombie or thin prop it passes
+   * costs some damage, and anything solid that isn't thin stops it.
+   * @param {Array} intersects - Raycast intersections, nearest first
+   * @returns {Array} Zombie hits ({ hit, damageScale }) in the order the bullet reaches them
+   */
+  getPenetratedHits(intersects) {
+    const penetration = this.activeWeapon ? this.activeWeapon.penetration : 1;
+    const falloff = this.activeWeapon ? this.activeWeapon.penetrationFalloff : 1;
+    
+    const hits = [];
+    const passed = new Set(); // Zombies and props already gone through (they have several meshes)
+    let damageScale = 1;
+    
+    for (const intersect of intersects) {
+      const userData = intersect.object.userData;
+      
+      if (userData.isProp) {
+        if (passed.has(userData.propId)) continue;
+        
+        // Only bullets that can go through zombies get through cover, and only thin cover
+        if (penetration <= 1 || !userData.isThin) {
+          console.log(`SHOOTING: Shot blocked by prop ${userData.propId}`);
+          break;
+        }
+        
+        passed.add(userData.propId);
+        damageScale *= falloff;
+        continue;
+      }
+      
+      // Check userData up the parent chain if necessary
+      let currentObject = intersect.object;
+      while (currentObject && !currentObject.userData.type && !currentObject.userData.enemy) {
+        currentObject = currentObject.parent;
+      }
+      
+      if (!currentObject || (currentObject.userData.type !== 'zombie' && !currentObject.userData.enemy)) continue;
+      
+      const enemy = currentObject.userData.enemy || currentObject;
+      if (passed.has(enemy) || enemy.isDead) continue;
+      passed.add(enemy);
+      
+      if (currentObject !== intersect.object) {
+        console.log("SHOOTING: Found zombie in parent chain, setting hit object");
+        intersect.object = currentObject;
+      }
+      
+      hits.push({ hit: intersect, damageScale });
+      
+      if (hits.length >= penetration) break;
+      damageScale *= falloff;
+    }
+    
+    return hits;
+  }
+
   /**
    * Complete player respawn functionality
    * Resets health, weapons, score, and position
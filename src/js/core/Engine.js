@@ -6,6 +6,9 @@ import { StartMenu } from './StartMenu';
 import { EnemyManager } from '../objects/EnemyManager';
 import { NetworkManager } from '../network/NetworkManager.js';
 import { SoundManager } from './SoundManager.js';
+import { LevelEditor } from '../editor/LevelEditor.js';
+import { PoolDebugOverlay } from '../pooling/PoolDebugOverlay.js';
+import { MapLoader } from '../maps/MapLoader.js';
 
 /**
  * Main engine class that ties all components together
@@ -29,6 +32,7 @@ export class Engine {
     
     // Create core components with appropriate modes
     this.scene = new Scene(this.debugMode, this.doomMode);
+    this.scene.gameEngine = this;
     this.renderer = new Renderer(this.doomMode, 320); // 320x240 was a common resolution in Doom era
     
     // Create controls after Scene so we can pass room dimensions
@@ -51,6 +55,15 @@ export class Engine {
     // Create sound manager
     this.soundManager = new SoundManager(this);
     
+    // Create level editor (opened from the start menu)
+    this.levelEditor = new LevelEditor(this);
+    
+    // Object pool statistics (backquote key, shown from the start in debug mode)
+    this.poolDebugOverlay = new PoolDebugOverlay();
+    if (this.debugMode) {
+      this.poolDebugOverlay.show();
+    }
+    
     // Animation timing variables
     this.then = performance.now();
     this.delta = 0;
@@ -91,14 +104,8 @@ export class Engine {
       this.scene.init();
       this.renderer.init();
       
-      // Update room dimensions in controls for collision detection
-      const room = this.scene.room;
-      this.controls.roomWidth = room.width;
-      this.controls.roomDepth = room.depth;
-      this.controls.wallThickness = 0.1; // Same as in Room.js
-      
-      // Connect player to room for interaction
-      room.setPlayer(this.controls);
+      // Pass room dimensions to controls and connect the player
+      this.attachRoom();
       
       // Set scene reference in controls for shooting
       if (this.scene.instance) {
@@ -261,6 +268,9 @@ export class Engine {
       // Save base values for later reference
       enemyManager.baseMaxEnemies = isMobile ? 3 : 5; // Reduced from 5/7 to make game more manageable
       
+      // Mobile GPUs choke on draw calls, so always batch zombies there
+      enemyManager.setRenderMode(isMobile ? 'instanced' : 'auto');
+      
       console.log(`Difficulty set to ${this.difficulty} with multipliers:`, {
         health: enemyManager.healthMultiplier,
         speed: enemyManager.speedMultiplier,
@@ -269,6 +279,67 @@ export class Engine {
     }
   }
 
+  /**
+   * Connect the current room to the player controls
+   */
+  attachRoom() {
+    const room = this.scene.room;
+    
+    // Update room dimensions in controls for collision detection
+    this.controls.roomWidth = room.width;
+    this.controls.roomDepth = room.depth;
+    this.controls.wallThickness = room.wallThickness;
+    this.controls.spawnPoints = room.playerSpawns;
+    this.controls.room = room;
+    
+    // Connect player to room for interaction
+    room.setPlayer(this.controls);
+    room.setGameEngine(this);
+  }
+
+  /**
+   * Replace the current room with one built from another map
+   * @param {string} mapId - Id of the map to load
+   */
+  loadMap(mapId) {
+    console.log(`Loading map "${mapId}"`);
+    
+    // Keep difficulty settings from the previous enemy manager
+    const previousManager = this.scene.room ? this.scene.room.enemyManager : null;
+    
+    this.scene.loadRoom(mapId);
+    
+    const enemyManager = this.scene.room.enemyManager;
+    if (previousManager && enemyManager) {
+      ['healthMultiplier', 'speedMultiplier', 'spawnRateMultiplier', 'baseMaxEnemies', 'renderMode'].forEach(key => {
+        if (previousManager[key] !== undefined) {
+          enemyManager[key] = previousManager[key];
+        }
+      });
+      enemyManager.toggleSpawning(false);
+    }
+    
+    this.attachRoom();
+    
+    // Move the player to one of the new map's spawn points
+    if (this.controls) {
+      this.controls.resetPosition();
+    }
+  }
+
+  /**
+   * Get the map that the next game should be played on
+   * @returns {string} Map id
+   */
+  getSelectedMapId() {
+    // Clients play on whatever map the host sent them
+    if (this.networkManager && this.networkManager.isMultiplayer && !this.networkManager.isHost) {
+      return this.scene.mapId;
+    }
+    
+    return (this.startMenu && this.startMenu.mapId) || this.scene.mapId;
+  }
+
   /**
    * Animation loop
    */
@@ -329,6 +400,13 @@ export class Engine {
       }
     }
     
+    // The level editor renders its own scene while it is open
+    if (this.levelEditor.isActive) {
+      this.levelEditor.update(this.delta);
+      this.renderer.instance.render(this.levelEditor.instance, this.levelEditor.camera);
+      return;
+    }
+    
     // Always render, even when paused or game over
     if (this.scene && this.scene.camera) {
       // Pass the scene wrapper object to the renderer instead of scene.instance
@@ -369,9 +447,11 @@ export class Engine {
       this.init();
     }
     
-    // Load or reset the room
-    if (!this.scene.room) {
-      this.scene.loadRoom();
+    // Load or reset the room (rebuilding it if the map was edited since it was built)
+    const mapId = this.getSelectedMapId();
+    if (!this.scene.room || this.scene.room.mapId !== mapId ||
+        this.scene.room.map.revision !== MapLoader.getRevision(mapId)) {
+      this.loadMap(mapId);
     } else {
       this.scene.room.resetRoom();
     }
@@ -1061,6 +1141,10 @@ export class Engine {
     const ammoDisplay = document.querySelector('.ammo-display');
     if (ammoDisplay) ammoDisplay.style.display = 'none';
     
+    // Hide grenade count
+    const grenadeDisplay = document.querySelector('.grenade-display');
+    if (grenadeDisplay) grenadeDisplay.style.display = 'none';
+    
     // Hide health display
     const healthDisplay = document.querySelector('.health-display');
     if (healthDisplay) healthDisplay.style.display = 'none';
@@ -1080,6 +1164,10 @@ export class Engine {
     const ammoDisplay = document.querySelector('.ammo-display');
     if (ammoDisplay) ammoDisplay.style.display = '';
     
+    // Show grenade count
+    const grenadeDisplay = document.querySelector('.grenade-display');
+    if (grenadeDisplay) grenadeDisplay.style.display = '';
+    
     // Show health display
     const healthDisplay = document.querySelector('.health-display');
     if (healthDisplay) healthDisplay.style.display = '';
@@ -1681,6 +1769,19 @@ export class Engine {
    * @param {KeyboardEvent} event 
    */
   handleKeyDown(event) {
+    // Shift+Backquote toggles the zombie state labels, Backquote the object pool overlay
+    if (event.code === 'Backquote') {
+      if (event.shiftKey) {
+        const enemyManager = this.scene && this.scene.room && this.scene.room.enemyManager;
+        if (enemyManager) {
+          enemyManager.setShowStateLabels(!enemyManager.showStateLabels);
+        }
+      } else {
+        this.poolDebugOverlay.toggle();
+      }
+      return;
+    }
+    
     // Use Tab key for pause menu instead of Escape
     if (event.code === 'Tab' && this.isGameStarted && !this.isGameOver) {
       // Prevent default tab behavior (which would change focus)
@@ -1,5 +1,9 @@
 import * as THREE from 'three';
 import { Room } from '../objects/Room';
+import { Prop } from '../objects/Prop';
+import { MapLoader, DEFAULT_MAP_ID } from '../maps/MapLoader';
+import { PropLoader } from '../props/PropLoader';
+import { PoolRegistry } from '../pooling/PoolRegistry';
 
 /**
  * Manages the Three.js scene and camera
@@ -69,8 +73,11 @@ export class Scene {
       this.createDoomLights();
     }
     
+    // Map the room is built from
+    this.mapId = DEFAULT_MAP_ID;
+    
     // Room (pass debug mode)
-    this.room = new Room(this.debugMode);
+    this.room = new Room(this.debugMode, MapLoader.get(this.mapId));
   }
 
   /**
@@ -199,6 +206,7 @@ export class Scene {
     // Initialize and add room
     this.room.init();
     this.instance.add(this.room.instance);
+    this.loadProps(this.room);
     
     // Disable enemy spawning initially (will be enabled when game starts)
     if (this.room.enemyManager) {
@@ -276,14 +284,26 @@ export class Scene {
 
   /**
    * Load or create the room and set references
+   * @param {string} mapId - Id of the map to build the room from
    */
-  loadRoom() {
-    console.log("Loading room in Scene");
+  loadRoom(mapId = this.mapId) {
+    console.log(`Loading room in Scene with map "${mapId}"`);
     
     const debugMode = this.debugMode;
     
-    // Create the room
-    this.room = new Room(debugMode);
+    // Remove the previous room
+    if (this.room) {
+      this.room.dispose();
+      this.instance.remove(this.room.instance);
+      
+      // Pooled enemies and effects were built for the old room
+      PoolRegistry.clearAll();
+    }
+    
+    // Create the room from the selected map
+    const map = MapLoader.get(mapId);
+    this.mapId = map.id;
+    this.room = new Room(debugMode, map);
     this.room.init();
     
     // If game engine is set on this scene, make sure to pass it to the room
@@ -304,6 +324,29 @@ export class Scene {
     // Add room to scene and store reference
     this.instance.add(this.room.instance);
     
+    // Furnish the room
+    this.loadProps(this.room);
+    
     console.log("Room loaded and added to scene");
   }
+
+  /**
+   * Load the props listed in the room's map and place them in the room
+   * @param {Room} room - Room to furnish
+   * @returns {Promise} Resolves once every prop has loaded (or failed)
+   */
+  loadProps(room) {
+    return Promise.all(room.map.props.map(config =>
+      PropLoader.load(config.model)
+        .then(model => {
+          // The map may have changed while the model was loading
+          if (this.room !== room) return;
+          
+          room.addProp(new Prop(config, model));
+        })
+        .catch(error => {
+          console.error(`Failed to load prop "${config.id}" (${config.model}):`, error);
+        })
+    ));
+  }
 } 
\ No newline at end of file
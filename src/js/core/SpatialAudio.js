@@ -0,0 +1,191 @@
+import * as THREE from 'three';
+
+/**
+ * Sounds that can be played in 3D, keyed by name
+ */
+export const SpatialSounds = {
+  zombie1: '/audio/zombie-1.wav',
+  zombie2: '/audio/zombie-2.wav',
+  zombie3: '/audio/zombie-3.wav',
+  zombie4: '/audio/zombie-4.wav',
+  zombie5: '/audio/zombie-5.wav',
+  windowBoardAdd: '/audio/window-board-add.wav',
+  windowBoardBreaking: '/audio/window-board-breaking.wav',
+  mysteryBoxBuy: '/audio/mystery-box-buy.wav',
+  weaponPickup: '/audio/weapon-pickup.wav'
+};
+
+/**
+ * Positional audio for world sounds. An AudioListener rides on the camera and
+ * sounds play from PositionalAudio voices attached to the object making them
+ * (a zombie, a window, the mystery box), so they pan and fade with the player's
+ * position and facing.
+ */
+export class SpatialAudio {
+  /**
+   * @param {THREE.Camera} camera - The player's camera (the listener is attached to it)
+   * @param {AudioContext} audioContext - Context to share with the rest of the game's audio
+   * @param {Object} options - { lowQuality: use cheaper panning (mobile) }
+   */
+  constructor(camera, audioContext = null, options = {}) {
+    // Use the player's context so unlocking audio also unlocks 3D sounds
+    if (audioContext) {
+      THREE.AudioContext.setContext(audioContext);
+    }
+    
+    this.listener = new THREE.AudioListener();
+    camera.add(this.listener);
+    
+    this.loader = new THREE.AudioLoader();
+    this.buffers = {};
+    this.requested = new Set();
+    
+    // Voices attached to each sound source (reused once they finish playing)
+    this.voices = new WeakMap();
+    this.maxVoicesPerSource = 3;
+    
+    // Distance falloff: full volume within refDistance, fading out with the inverse model
+    this.refDistance = 2;
+    this.rolloffFactor = 1.2;
+    this.maxDistance = 50;
+    this.panningModel = options.lowQuality ? 'equalpower' : 'HRTF';
+  }
+
+  /**
+   * Start loading every sound
+   */
+  preload() {
+    Object.keys(SpatialSounds).forEach(name => this.load(name));
+  }
+
+  /**
+   * Load and decode a sound
+   * @param {string} name - Key into SpatialSounds
+   */
+  load(name) {
+    if (this.requested.has(name)) return;
+    
+    const url = SpatialSounds[name];
+    if (!url) {
+      console.warn(`Unknown spatial sound "${name}"`);
+      return;
+    }
+    
+    this.requested.add(name);
+    this.loader.load(
+      url,
+      buffer => {
+        this.buffers[name] = buffer;
+      },
+      undefined,
+      error => {
+        console.warn(`Could not load spatial sound "${name}":`, error);
+      }
+    );
+  }
+
+  /**
+   * Check if a sound has loaded
+   * @param {string} name - Key into SpatialSounds
+   * @returns {boolean} True if it can be played
+   */
+  isReady(name) {
+    return !!this.buffers[name];
+  }
+
+  /**
+   * Play a sound from an object in the world
+   * @param {string} name - Key into SpatialSounds
+   * @param {THREE.Object3D} source - Object the sound comes from
+   * @param {Object} options - { volume, offset: seconds into the sound, duration: seconds to play, refDistance }
+   * @returns {THREE.PositionalAudio|null} The voice playing the sound, or null if it couldn't play
+   */
+  play(name, source, options = {}) {
+    if (!source) return null;
+    
+    const buffer = this.buffers[name];
+    if (!buffer) {
+      this.load(name);
+      return null;
+    }
+    
+    // Don't queue sounds up while audio is still locked
+    if (this.listener.context.state !== 'running') return null;
+    
+    const voice = this.getVoice(source);
+    if (!voice) return null;
+    
+    voice.setBuffer(buffer);
+    voice.setVolume(options.volume !== undefined ? options.volume : 1);
+    voice.setRefDistance(options.refDistance || this.refDistance);
+    voice.offset = options.offset || 0;
+    voice.duration = options.duration;
+    voice.play();
+    
+    return voice;
+  }
+
+  /**
+   * Get a free voice on a source, adding one if it has room for more
+   * @param {THREE.Object3D} source - Object the sound comes from
+   * @returns {THREE.PositionalAudio|null} A voice that isn't playing
+   */
+  getVoice(source) {
+    // Voices can be detached when a pooled zombie is reset
+    const voices = (this.voices.get(source) || []).filter(voice => {
+      if (voice.parent === source) return true;
+      this.disposeVoice(voice);
+      return false;
+    });
+    
+    let voice = voices.find(v => !v.isPlaying);
+    
+    if (!voice && voices.length < this.maxVoicesPerSource) {
+      voice = new THREE.PositionalAudio(this.listener);
+      voice.setRolloffFactor(this.rolloffFactor);
+      voice.setMaxDistance(this.maxDistance);
+      voice.setDistanceModel('inverse');
+      voice.panner.panningModel = this.panningModel;
+      
+      source.add(voice);
+      voices.push(voice);
+    }
+    
+    this.voices.set(source, voices);
+    return voice || null;
+  }
+
+  /**
+   * Stop a voice and disconnect it from the listener
+   * @param {THREE.PositionalAudio} voice - The voice
+   */
+  disposeVoice(voice) {
+    if (voice.isPlaying) {
+      voice.stop();
+    }
+    
+    voice.removeFromParent();
+    voice.gain.disconnect();
+  }
+
+  /**
+   * Stop and remove every voice on a source (when the object leaves the world)
+   * @param {THREE.Object3D} source - Object the sounds come from
+   */
+  release(source) {
+    if (!source) return;
+    
+    const voices = this.voices.get(source);
+    if (!voices) return;
+    
+    voices.forEach(voice => this.disposeVoice(voice));
+    this.voices.delete(source);
+  }
+
+  /**
+   * Detach the listener from the camera
+   */
+  dispose() {
+    this.listener.removeFromParent();
+  }
+}
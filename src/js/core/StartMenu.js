@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { MapLoader, DEFAULT_MAP_ID } from '../maps/MapLoader';
 
 /**
  * StartMenu class to handle the game's start screen
@@ -14,6 +15,7 @@ export class StartMenu {
     this.difficultyLevel = 'very_easy'; // Default to very_easy difficulty for better initial experience
     this.engine = engine; // Store reference to the engine
     this.gameMode = 'singleplayer'; // Default game mode
+    this.mapId = DEFAULT_MAP_ID; // Map to play on
   }
 
   /**
@@ -169,8 +171,14 @@ export class StartMenu {
       this.showInstructions();
     });
 
+    // Level editor button
+    const editorButton = createButton('LEVEL EDITOR', () => {
+      this.hide();
+      this.engine.levelEditor.open(this.mapId);
+    });
+
     // Store references to main menu items
-    this.mainMenuOptions = [singleplayerButton, multiplayerButton, settingsButton, instructionsButton];
+    this.mainMenuOptions = [singleplayerButton, multiplayerButton, editorButton, settingsButton, instructionsButton];
     
     // Store references to multiplayer menu options
     this.multiplayerOptions = [hostButton, joinButton];
@@ -197,6 +205,7 @@ export class StartMenu {
     menuOptions.appendChild(multiplayerButton);
     menuOptions.appendChild(hostButton);
     menuOptions.appendChild(joinButton);
+    menuOptions.appendChild(editorButton);
     menuOptions.appendChild(settingsButton);
     menuOptions.appendChild(instructionsButton);
     menuOptions.appendChild(backButton);
@@ -354,6 +363,38 @@ export class StartMenu {
     difficultyGroup.appendChild(difficultySelect);
     form.appendChild(difficultyGroup);
     
+    // Map selection
+    const mapGroup = document.createElement('div');
+    mapGroup.style.display = 'flex';
+    mapGroup.style.flexDirection = 'column';
+    mapGroup.style.gap = '5px';
+    
+    const mapLabel = document.createElement('label');
+    mapLabel.textContent = 'Map:';
+    mapLabel.style.color = '#dddddd';
+    
+    const mapSelect = document.createElement('select');
+    mapSelect.style.padding = '5px';
+    mapSelect.style.backgroundColor = '#333333';
+    mapSelect.style.color = '#ffffff';
+    mapSelect.style.border = '1px solid #555555';
+    
+    MapLoader.list().forEach(map => {
+      const option = document.createElement('option');
+      option.value = map.id;
+      option.textContent = map.name;
+      option.title = map.description;
+      
+      if (map.id === this.mapId) {
+        option.selected = true;
+      }
+      mapSelect.appendChild(option);
+    });
+    
+    mapGroup.appendChild(mapLabel);
+    mapGroup.appendChild(mapSelect);
+    form.appendChild(mapGroup);
+    
     // Buttons
     const buttonGroup = document.createElement('div');
     buttonGroup.style.display = 'flex';
@@ -376,6 +417,7 @@ export class StartMenu {
       this.soundVolume = parseFloat(soundSlider.value);
       this.musicVolume = parseFloat(musicSlider.value);
       this.difficultyLevel = difficultySelect.value;
+      this.mapId = mapSelect.value;
       document.body.removeChild(settingsPanel);
     };
     
@@ -444,6 +486,7 @@ export class StartMenu {
       <p><b>LOOK:</b> Move the mouse to look around</p>
       <p><b>SHOOT:</b> Left-click to fire your weapon</p>
       <p><b>RELOAD:</b> Press <kbd>R</kbd> to reload your weapon</p>
+      <p><b>KNIFE:</b> Press <kbd>V</kbd> to slash, even mid-reload</p>
       <p><b>SWITCH WEAPONS:</b> Use mouse wheel or number keys <kbd>1</kbd>-<kbd>5</kbd></p>
       <p><b>INTERACT:</b> Press <kbd>F</kbd> to board up windows or buy wall weapons</p>
       <p><b>MYSTERY BOX:</b> Press <kbd>F</kbd> to open the mystery box when near it</p>
@@ -508,7 +551,8 @@ export class StartMenu {
       soundVolume: this.soundVolume,
       musicVolume: this.musicVolume,
       difficulty: this.difficultyLevel,
-      gameMode: this.gameMode
+      gameMode: this.gameMode,
+      mapId: this.mapId
     };
   }
 
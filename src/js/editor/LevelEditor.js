@@ -0,0 +1,1308 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+import { MapLoader, MapDefinitions, DEFAULT_MAP_ID } from '../maps/MapLoader';
+import { WeaponTypes } from '../weapons/Weapon';
+
+/**
+ * In-browser editor for building map layouts.
+ *
+ * Edits the same layout data that MapLoader parses for Room, so layouts can
+ * be exported as map files, imported again, or registered and played straight away.
+ */
+export class LevelEditor {
+  constructor(engine) {
+    this.engine = engine;
+    this.isActive = false;
+    
+    // Editor scene (separate from the game scene so the game state is untouched)
+    this.instance = new THREE.Scene();
+    this.instance.background = new THREE.Color(0x1a1a1a);
+    
+    this.camera = new THREE.PerspectiveCamera(
+      75,
+      window.innerWidth / window.innerHeight,
+      0.1,
+      500
+    );
+    this.camera.rotation.order = 'YXZ';
+    
+    // Lighting
+    this.instance.add(new THREE.AmbientLight(0xffffff, 0.8));
+    const sun = new THREE.DirectionalLight(0xffffff, 0.8);
+    sun.position.set(10, 20, 10);
+    this.instance.add(sun);
+    
+    // Grid on the floor (one line per metre)
+    this.grid = new THREE.GridHelper(60, 60, 0x888888, 0x444444);
+    this.instance.add(this.grid);
+    
+    // Group holding all layout markers
+    this.markers = new THREE.Group();
+    this.instance.add(this.markers);
+    
+    // Layout being edited (map file format) and its parsed version
+    this.layout = null;
+    this.parsedLayout = null;
+    
+    // Selection
+    this.selected = null; // { kind, index, end }
+    this.selectedMarker = null;
+    this.transformMode = 'translate';
+    
+    // Free-fly camera
+    this.keys = {};
+    this.isLooking = false;
+    this.yaw = 0;
+    this.pitch = -0.9;
+    this.moveSpeed = 8;
+    this.lookSensitivity = 0.003;
+    
+    // Placement snapping
+    this.snapSize = 0.25;
+    
+    // Picking
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+    
+    // Gizmo (created on first open once the renderer exists)
+    this.transformControls = null;
+    
+    // UI elements
+    this.ui = {
+      container: null,
+      properties: null,
+      status: null,
+      mapSelect: null,
+      fileInput: null
+    };
+    
+    // Elements hidden while the editor is open
+    this.hiddenElements = [];
+    
+    // Marker colours per kind
+    this.colors = {
+      wall: 0xbbbbbb,
+      wallEnd: 0xff8800,
+      window: 0x4fc3f7,
+      door: 0x8b5a2b,
+      wallBuy: 0xffcc00,
+      mysteryBox: 0xaa44ff,
+      playerSpawn: 0x44ff44
+    };
+    
+    // Bind event handlers
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onKeyUp = this.onKeyUp.bind(this);
+    this.onMouseDown = this.onMouseDown.bind(this);
+    this.onMouseUp = this.onMouseUp.bind(this);
+    this.onMouseMove = this.onMouseMove.bind(this);
+    this.onContextMenu = this.onContextMenu.bind(this);
+    this.onResize = this.onResize.bind(this);
+  }
+
+  /**
+   * Open the editor
+   * @param {string} mapId - Map to start editing
+   */
+  open(mapId = DEFAULT_MAP_ID) {
+    if (this.isActive) return;
+    
+    console.log(`Opening level editor with map "${mapId}"`);
+    
+    const domElement = this.engine.renderer.domElement;
+    
+    // Create the gizmo the first time the editor is opened
+    if (!this.transformControls) {
+      this.createTransformControls(domElement);
+    }
+    this.transformControls.connect(domElement);
+    
+    // Hide everything on the page except the canvas
+    this.hiddenElements = Array.from(document.body.children).filter(element =>
+      element !== domElement && element.style.display !== 'none'
+    );
+    this.hiddenElements.forEach(element => {
+      element.dataset.editorDisplay = element.style.display;
+      element.style.display = 'none';
+    });
+    
+    this.createUI();
+    
+    // Start above the middle of the map looking down
+    this.camera.position.set(0, 14, 12);
+    this.yaw = 0;
+    this.pitch = -0.9;
+    this.onResize();
+    
+    this.loadMap(mapId);
+    
+    // Input
+    document.addEventListener('keydown', this.onKeyDown);
+    document.addEventListener('keyup', this.onKeyUp);
+    document.addEventListener('mousemove', this.onMouseMove);
+    document.addEventListener('mouseup', this.onMouseUp);
+    domElement.addEventListener('mousedown', this.onMouseDown);
+    domElement.addEventListener('contextmenu', this.onContextMenu);
+    window.addEventListener('resize', this.onResize);
+    
+    this.isActive = true;
+  }
+
+  /**
+   * Close the editor and go back to the start menu
+   */
+  close() {
+    if (!this.isActive) return;
+    
+    console.log("Closing level editor");
+    
+    const domElement = this.engine.renderer.domElement;
+    
+    this.select(null);
+    this.transformControls.disconnect();
+    
+    document.removeEventListener('keydown', this.onKeyDown);
+    document.removeEventListener('keyup', this.onKeyUp);
+    document.removeEventListener('mousemove', this.onMouseMove);
+    document.removeEventListener('mouseup', this.onMouseUp);
+    domElement.removeEventListener('mousedown', this.onMouseDown);
+    domElement.removeEventListener('contextmenu', this.onContextMenu);
+    window.removeEventListener('resize', this.onResize);
+    
+    // Remove editor UI
+    if (this.ui.container && this.ui.container.parentNode) {
+      this.ui.container.parentNode.removeChild(this.ui.container);
+    }
+    this.ui.container = null;
+    
+    // Restore hidden page elements
+    this.hiddenElements.forEach(element => {
+      element.style.display = element.dataset.editorDisplay || '';
+      delete element.dataset.editorDisplay;
+    });
+    this.hiddenElements = [];
+    
+    this.keys = {};
+    this.isLooking = false;
+    this.isActive = false;
+    
+    // Back to the menu
+    if (this.engine.startMenu) {
+      this.engine.startMenu.show();
+    }
+  }
+
+  /**
+   * Create the translate/rotate gizmo
+   * @param {HTMLElement} domElement - Canvas the gizmo listens to
+   */
+  createTransformControls(domElement) {
+    this.transformControls = new TransformControls(this.camera, domElement);
+    this.transformControls.setTranslationSnap(this.snapSize);
+    this.transformControls.setRotationSnap(THREE.MathUtils.degToRad(15));
+    this.transformControls.showY = false;
+    this.instance.add(this.transformControls.getHelper());
+    
+    // Write the marker back into the layout when a drag finishes
+    this.transformControls.addEventListener('dragging-changed', (event) => {
+      if (!event.value && this.selectedMarker) {
+        this.applyMarkerTransform(this.selectedMarker);
+      }
+    });
+  }
+
+  /**
+   * Update the free-fly camera
+   * @param {number} deltaTime - Time since last frame
+   */
+  update(deltaTime) {
+    if (!this.isActive) return;
+    
+    const speed = this.moveSpeed * (this.keys.ShiftLeft || this.keys.ShiftRight ? 2.5 : 1) * deltaTime;
+    
+    // Move relative to where the camera is looking
+    const forward = new THREE.Vector3();
+    this.camera.getWorldDirection(forward);
+    const right = new THREE.Vector3().crossVectors(forward, this.camera.up).normalize();
+    
+    if (this.keys.KeyW) this.camera.position.addScaledVector(forward, speed);
+    if (this.keys.KeyS) this.camera.position.addScaledVector(forward, -speed);
+    if (this.keys.KeyD) this.camera.position.addScaledVector(right, speed);
+    if (this.keys.KeyA) this.camera.position.addScaledVector(right, -speed);
+    if (this.keys.KeyE) this.camera.position.y += speed;
+    if (this.keys.KeyQ) this.camera.position.y -= speed;
+    
+    this.camera.rotation.set(this.pitch, this.yaw, 0);
+  }
+
+  /**
+   * Load one of the available maps into the editor
+   * @param {string} mapId - Id of the map
+   */
+  loadMap(mapId) {
+    const data = MapDefinitions[mapId] || MapDefinitions[DEFAULT_MAP_ID];
+    this.setLayout(JSON.parse(JSON.stringify(data)));
+  }
+
+  /**
+   * Replace the layout being edited
+   * @param {Object} data - Layout in the map file format
+   * @returns {boolean} True if the layout was valid
+   */
+  setLayout(data) {
+    try {
+      this.parsedLayout = MapLoader.parse(data);
+    } catch (error) {
+      this.showStatus(`Invalid layout: ${error.message}`, true);
+      return false;
+    }
+    
+    this.layout = data;
+    
+    // Make sure every list the editor adds to exists
+    ['walls', 'windows', 'doors', 'wallBuys', 'playerSpawns'].forEach(key => {
+      if (!Array.isArray(this.layout[key])) this.layout[key] = [];
+    });
+    if (!this.layout.mysteryBox) this.layout.mysteryBox = {};
+    if (!Array.isArray(this.layout.mysteryBox.spawns)) this.layout.mysteryBox.spawns = [];
+    
+    this.select(null);
+    this.rebuild();
+    this.showStatus(`Editing "${this.layout.name || this.layout.id}"`);
+    
+    return true;
+  }
+
+  /**
+   * Change the layout, reverting the change if it makes the layout invalid
+   * @param {Function} change - Function that edits this.layout
+   * @returns {boolean} True if the change was kept
+   */
+  commit(change) {
+    const backup = JSON.parse(JSON.stringify(this.layout));
+    
+    change(this.layout);
+    
+    try {
+      this.parsedLayout = MapLoader.parse(this.layout);
+    } catch (error) {
+      this.layout = backup;
+      this.parsedLayout = MapLoader.parse(this.layout);
+      this.showStatus(error.message, true);
+      this.rebuild();
+      return false;
+    }
+    
+    this.rebuild();
+    this.showStatus('');
+    return true;
+  }
+
+  /**
+   * Rebuild all markers from the parsed layout
+   */
+  rebuild() {
+    const selected = this.selected;
+    
+    this.transformControls.detach();
+    this.selectedMarker = null;
+    
+    // Remove old markers
+    while (this.markers.children.length > 0) {
+      const marker = this.markers.children[0];
+      this.markers.remove(marker);
+      marker.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+    }
+    
+    const map = this.parsedLayout;
+    
+    // Walls with a handle on each end
+    map.walls.forEach((wall, index) => {
+      const mesh = this.createBox(wall.length, wall.height, 0.1, 'wall', index, 0.6);
+      mesh.position.set(wall.center.x, wall.height / 2, wall.center.z);
+      mesh.rotation.y = wall.rotation;
+      
+      ['from', 'to'].forEach(end => {
+        const handle = new THREE.Mesh(
+          new THREE.SphereGeometry(0.25, 12, 8),
+          new THREE.MeshStandardMaterial({ color: this.colors.wallEnd })
+        );
+        handle.position.set(wall[end].x, 0.25, wall[end].z);
+        handle.userData = { editorKind: 'wallEnd', index, end };
+        this.markers.add(handle);
+      });
+    });
+    
+    // Windows
+    map.windows.forEach((opening, index) => {
+      const mesh = this.createBox(opening.width, opening.height, 0.25, 'window', index, 0.7);
+      mesh.position.set(opening.x, opening.y, opening.z);
+      mesh.rotation.y = opening.rotation;
+    });
+    
+    // Doors
+    map.doors.forEach((door, index) => {
+      const mesh = this.createBox(door.width, door.height, 0.25, 'door', index, 0.8);
+      mesh.position.set(door.x, door.y, door.z);
+      mesh.rotation.y = door.rotation;
+    });
+    
+    // Wall buys
+    map.wallBuys.forEach((wallBuy, index) => {
+      const mesh = this.createBox(0.8, 0.4, 0.2, 'wallBuy', index, 1);
+      mesh.position.set(wallBuy.x, wallBuy.y, wallBuy.z);
+      mesh.rotation.y = wallBuy.rotation;
+    });
+    
+    // Mystery box spawns
+    map.mysteryBox.spawns.forEach((spawn, index) => {
+      const mesh = this.createBox(1.2, 0.8, 0.6, 'mysteryBox', index, 0.9);
+      mesh.position.set(spawn.x, spawn.y + 0.4, spawn.z);
+      mesh.rotation.y = spawn.rotation;
+    });
+    
+    // Player spawns (arrow points the way the player will face), skipping the
+    // default spawn the loader adds when the layout has none
+    map.playerSpawns.slice(0, this.layout.playerSpawns.length).forEach((spawn, index) => {
+      const group = new THREE.Group();
+      group.userData = { editorKind: 'playerSpawn', index };
+      
+      const material = new THREE.MeshStandardMaterial({ color: this.colors.playerSpawn });
+      const body = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.3, 1.7, 12), material);
+      body.position.y = 0.85;
+      body.userData = group.userData;
+      group.add(body);
+      
+      const arrow = new THREE.Mesh(new THREE.ConeGeometry(0.2, 0.6, 8), material);
+      arrow.rotation.x = -Math.PI / 2;
+      arrow.position.set(0, 1.5, -0.5);
+      arrow.userData = group.userData;
+      group.add(arrow);
+      
+      group.position.set(spawn.x, 0, spawn.z);
+      group.rotation.y = spawn.rotation;
+      this.markers.add(group);
+    });
+    
+    // Keep the previous selection if it still exists
+    if (selected) {
+      this.select(selected);
+    }
+  }
+
+  /**
+   * Create a box marker
+   * @param {number} width - Box width
+   * @param {number} height - Box height
+   * @param {number} depth - Box depth
+   * @param {string} kind - Kind of layout item
+   * @param {number} index - Index of the item in its list
+   * @param {number} opacity - Material opacity
+   * @returns {THREE.Mesh} The marker
+   */
+  createBox(width, height, depth, kind, index, opacity) {
+    const material = new THREE.MeshStandardMaterial({
+      color: this.colors[kind],
+      transparent: opacity < 1,
+      opacity
+    });
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), material);
+    mesh.userData = { editorKind: kind, index };
+    this.markers.add(mesh);
+    return mesh;
+  }
+
+  /**
+   * Select a layout item and attach the gizmo to it
+   * @param {Object} selection - { kind, index, end } or null to clear
+   */
+  select(selection) {
+    // Clear highlight on the previous marker
+    if (this.selectedMarker) {
+      this.setHighlight(this.selectedMarker, false);
+    }
+    
+    this.selected = selection;
+    this.selectedMarker = null;
+    
+    if (this.transformControls) {
+      this.transformControls.detach();
+    }
+    
+    if (selection) {
+      this.selectedMarker = this.markers.children.find(marker =>
+        marker.userData.editorKind === selection.kind &&
+        marker.userData.index === selection.index &&
+        marker.userData.end === selection.end
+      ) || null;
+      
+      if (!this.selectedMarker) {
+        this.selected = null;
+      } else {
+        this.setHighlight(this.selectedMarker, true);
+        this.updateTransformMode();
+        this.transformControls.attach(this.selectedMarker);
+      }
+    }
+    
+    this.updatePropertiesPanel();
+  }
+
+  /**
+   * Highlight or un-highlight a marker
+   * @param {THREE.Object3D} marker - The marker
+   * @param {boolean} highlighted - Whether to highlight it
+   */
+  setHighlight(marker, highlighted) {
+    marker.traverse(child => {
+      if (child.material && child.material.emissive) {
+        child.material.emissive.setHex(highlighted ? 0x555555 : 0x000000);
+      }
+    });
+  }
+
+  /**
+   * Pick the gizmo mode that suits the selected item
+   */
+  updateTransformMode() {
+    if (!this.selected) return;
+    
+    const kind = this.selected.kind;
+    const canRotate = kind === 'mysteryBox' || kind === 'playerSpawn';
+    const mode = canRotate ? this.transformMode : 'translate';
+    
+    this.transformControls.setMode(mode);
+    
+    // Only allow moving on the floor plane, plus height for wall mounted items
+    const wallMounted = kind === 'window' || kind === 'wallBuy';
+    this.transformControls.showX = mode === 'translate';
+    this.transformControls.showZ = mode === 'translate';
+    this.transformControls.showY = mode === 'rotate' || wallMounted;
+  }
+
+  /**
+   * Write a moved marker back into the layout
+   * @param {THREE.Object3D} marker - The marker that was moved
+   */
+  applyMarkerTransform(marker) {
+    const { editorKind: kind, index, end } = marker.userData;
+    const position = marker.position;
+    const map = this.parsedLayout;
+    
+    this.commit(layout => {
+      switch (kind) {
+        case 'wallEnd':
+          layout.walls[index][end] = [this.snap(position.x), this.snap(position.z)];
+          break;
+        
+        case 'wall': {
+          // Move both ends by how far the wall centre moved
+          const wall = map.walls[index];
+          const dx = this.snap(position.x - wall.center.x);
+          const dz = this.snap(position.z - wall.center.z);
+          layout.walls[index].from = [wall.from.x + dx, wall.from.z + dz];
+          layout.walls[index].to = [wall.to.x + dx, wall.to.z + dz];
+          break;
+        }
+        
+        case 'window':
+        case 'door':
+        case 'wallBuy': {
+          const list = this.getList(layout, kind);
+          const width = kind === 'wallBuy' ? 0.8 : (map[kind === 'window' ? 'windows' : 'doors'][index].width);
+          const placement = this.projectOntoWall(position, width);
+          const item = list[index];
+          
+          item.wall = placement.wall;
+          item.offset = placement.offset;
+          if (kind !== 'door') {
+            item.y = this.snap(position.y);
+          }
+          
+          // Wall buys placed on a wall no longer need absolute coordinates
+          delete item.x;
+          delete item.z;
+          delete item.rotation;
+          break;
+        }
+        
+        case 'mysteryBox':
+        case 'playerSpawn': {
+          const item = this.getList(layout, kind)[index];
+          item.x = this.snap(position.x);
+          item.z = this.snap(position.z);
+          item.rotation = Math.round(THREE.MathUtils.radToDeg(marker.rotation.y));
+          delete item.wall;
+          delete item.offset;
+          break;
+        }
+      }
+    });
+  }
+
+  /**
+   * Get the layout list that holds items of a kind
+   * @param {Object} layout - The layout
+   * @param {string} kind - Kind of layout item
+   * @returns {Array} The list
+   */
+  getList(layout, kind) {
+    switch (kind) {
+      case 'wall': return layout.walls;
+      case 'window': return layout.windows;
+      case 'door': return layout.doors;
+      case 'wallBuy': return layout.wallBuys;
+      case 'mysteryBox': return layout.mysteryBox.spawns;
+      case 'playerSpawn': return layout.playerSpawns;
+      default: return null;
+    }
+  }
+
+  /**
+   * Find the nearest wall to a point and the offset along it
+   * @param {THREE.Vector3} position - Point on or near a wall
+   * @param {number} width - Width of the item being placed
+   * @returns {Object} { wall, offset }
+   */
+  projectOntoWall(position, width) {
+    let best = null;
+    
+    this.parsedLayout.walls.forEach(wall => {
+      const dx = position.x - wall.center.x;
+      const dz = position.z - wall.center.z;
+      const along = dx * wall.direction.x + dz * wall.direction.z;
+      const across = dx * wall.direction.z - dz * wall.direction.x;
+      
+      // Keep the whole item on the wall
+      const limit = Math.max(0, wall.length / 2 - width / 2);
+      const offset = Math.max(-limit, Math.min(limit, along));
+      const distance = Math.abs(across) + Math.abs(along - offset);
+      
+      if (!best || distance < best.distance) {
+        best = { wall: wall.id, offset: this.snap(offset), distance };
+      }
+    });
+    
+    return { wall: best.wall, offset: best.offset };
+  }
+
+  /**
+   * Snap a value to the editor grid
+   * @param {number} value - Value to snap
+   * @returns {number} Snapped value
+   */
+  snap(value) {
+    return Math.round(value / this.snapSize) * this.snapSize;
+  }
+
+  /**
+   * Get the point on the floor in the middle of the view
+   * @returns {THREE.Vector3} The point (snapped to the grid)
+   */
+  getPlacementPoint() {
+    this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
+    const point = new THREE.Vector3();
+    
+    if (!this.raycaster.ray.intersectPlane(this.floorPlane, point)) {
+      // Looking up: place a few metres in front of the camera instead
+      this.camera.getWorldDirection(point);
+      point.multiplyScalar(5).add(this.camera.position);
+    }
+    
+    return new THREE.Vector3(this.snap(point.x), 0, this.snap(point.z));
+  }
+
+  /**
+   * Add a new item to the layout in the middle of the view
+   * @param {string} kind - Kind of layout item to add
+   */
+  addItem(kind) {
+    const point = this.getPlacementPoint();
+    const layout = this.layout;
+    
+    if (kind !== 'wall' && kind !== 'mysteryBox' && kind !== 'playerSpawn' && layout.walls.length === 0) {
+      this.showStatus('Add a wall first', true);
+      return;
+    }
+    
+    const startArea = (this.parsedLayout.areas.find(area => area.start) || {}).id;
+    let index = -1;
+    
+    const added = this.commit(layout => {
+      switch (kind) {
+        case 'wall': {
+          let number = layout.walls.length + 1;
+          while (layout.walls.some(wall => wall.id === `wall${number}`)) number++;
+          
+          layout.walls.push({
+            id: `wall${number}`,
+            from: [point.x - 2, point.z],
+            to: [point.x + 2, point.z]
+          });
+          index = layout.walls.length - 1;
+          break;
+        }
+        
+        case 'window':
+          layout.windows.push({
+            ...this.projectOntoWall(point, this.parsedLayout.windowWidth),
+            y: 1.5,
+            area: startArea,
+            label: `Window ${layout.windows.length + 1}`
+          });
+          index = layout.windows.length - 1;
+          break;
+        
+        case 'door':
+          layout.doors.push({
+            id: `door${layout.doors.length + 1}`,
+            ...this.projectOntoWall(point, 1.6),
+            cost: 1000,
+            areas: [startArea],
+            label: 'Door'
+          });
+          index = layout.doors.length - 1;
+          break;
+        
+        case 'wallBuy':
+          layout.wallBuys.push({
+            weapon: 'SHOTGUN',
+            ...this.projectOntoWall(point, 0.8),
+            y: 1.5
+          });
+          index = layout.wallBuys.length - 1;
+          break;
+        
+        case 'mysteryBox':
+          layout.mysteryBox.spawns.push({ x: point.x, z: point.z, rotation: 0 });
+          index = layout.mysteryBox.spawns.length - 1;
+          break;
+        
+        case 'playerSpawn':
+          layout.playerSpawns.push({ x: point.x, z: point.z, rotation: 0 });
+          index = layout.playerSpawns.length - 1;
+          break;
+      }
+    });
+    
+    if (added) {
+      this.select({ kind, index });
+    }
+  }
+
+  /**
+   * Delete the selected item (walls take their windows, doors and wall buys with them)
+   */
+  deleteSelected() {
+    if (!this.selected) return;
+    
+    const { kind, index } = this.selected;
+    this.select(null);
+    
+    this.commit(layout => {
+      if (kind === 'wall' || kind === 'wallEnd') {
+        const wallId = this.parsedLayout.walls[index].id;
+        layout.walls.splice(index, 1);
+        
+        // Remove anything mounted on the wall
+        const onOtherWall = item => item.wall !== wallId;
+        layout.windows = layout.windows.filter(onOtherWall);
+        layout.doors = layout.doors.filter(onOtherWall);
+        layout.wallBuys = layout.wallBuys.filter(onOtherWall);
+        layout.mysteryBox.spawns = layout.mysteryBox.spawns.filter(onOtherWall);
+      } else {
+        this.getList(layout, kind).splice(index, 1);
+      }
+    });
+  }
+
+  /**
+   * Build the layout file data for export, fitting the room size to the walls
+   * @returns {Object} Layout in the map file format
+   */
+  getExportData() {
+    const data = JSON.parse(JSON.stringify(this.layout));
+    
+    // The room floor is centred on the origin, so size it to the furthest wall
+    let maxX = 0;
+    let maxZ = 0;
+    data.walls.forEach(wall => {
+      [wall.from, wall.to].forEach(([x, z]) => {
+        maxX = Math.max(maxX, Math.abs(x));
+        maxZ = Math.max(maxZ, Math.abs(z));
+      });
+    });
+    
+    data.size = {
+      ...(data.size || {}),
+      width: maxX * 2,
+      depth: maxZ * 2,
+      height: (data.size && data.size.height) || 3
+    };
+    
+    return data;
+  }
+
+  /**
+   * Download the layout as a map file
+   */
+  exportLayout() {
+    const data = this.getExportData();
+    
+    try {
+      MapLoader.parse(data);
+    } catch (error) {
+      this.showStatus(`Cannot export: ${error.message}`, true);
+      return;
+    }
+    
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${data.id}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    URL.revokeObjectURL(url);
+    
+    this.showStatus(`Exported ${data.id}.json`);
+  }
+
+  /**
+   * Load a map file chosen by the user
+   * @param {File} file - The chosen file
+   */
+  importLayout(file) {
+    const reader = new FileReader();
+    
+    reader.onload = () => {
+      try {
+        const data = JSON.parse(reader.result);
+        if (this.setLayout(data)) {
+          this.showStatus(`Imported ${file.name}`);
+        }
+      } catch (error) {
+        this.showStatus(`Could not read ${file.name}: ${error.message}`, true);
+      }
+    };
+    
+    reader.readAsText(file);
+  }
+
+  /**
+   * Register the layout as a playable map and select it in the start menu
+   */
+  playLayout() {
+    // Edits of a bundled map are played as a copy so the original stays the same for everyone
+    if (MapLoader.isBuiltIn(this.layout.id)) {
+      this.layout.name = `${this.layout.name || this.layout.id} (Custom)`;
+      this.layout.id = `${this.layout.id}-custom`;
+    }
+    
+    const data = this.getExportData();
+    
+    try {
+      MapLoader.register(data);
+    } catch (error) {
+      this.showStatus(`Cannot play: ${error.message}`, true);
+      return;
+    }
+    
+    if (this.engine.startMenu) {
+      this.engine.startMenu.mapId = data.id;
+    }
+    
+    this.close();
+  }
+
+  /**
+   * Create the editor UI
+   */
+  createUI() {
+    const container = document.createElement('div');
+    container.id = 'level-editor';
+    container.style.position = 'absolute';
+    container.style.top = '0';
+    container.style.left = '0';
+    container.style.width = '100%';
+    container.style.height = '100%';
+    container.style.pointerEvents = 'none';
+    container.style.zIndex = '1000';
+    container.style.fontFamily = 'monospace, Courier';
+    container.style.color = '#dddddd';
+    
+    // Left toolbar
+    const toolbar = this.createPanel();
+    toolbar.style.top = '10px';
+    toolbar.style.left = '10px';
+    toolbar.style.width = '200px';
+    
+    const title = document.createElement('div');
+    title.textContent = 'LEVEL EDITOR';
+    title.style.color = '#ff3333';
+    title.style.fontWeight = 'bold';
+    title.style.fontSize = '18px';
+    title.style.marginBottom = '10px';
+    toolbar.appendChild(title);
+    
+    // Map to start from
+    const mapSelect = document.createElement('select');
+    this.styleInput(mapSelect);
+    MapLoader.list().forEach(map => {
+      const option = document.createElement('option');
+      option.value = map.id;
+      option.textContent = map.name;
+      mapSelect.appendChild(option);
+    });
+    toolbar.appendChild(mapSelect);
+    toolbar.appendChild(this.createButton('LOAD MAP', () => this.loadMap(mapSelect.value)));
+    this.ui.mapSelect = mapSelect;
+    
+    // Add buttons
+    toolbar.appendChild(this.createHeading('ADD'));
+    [
+      ['WALL', 'wall'],
+      ['WINDOW', 'window'],
+      ['DOOR', 'door'],
+      ['WALL BUY', 'wallBuy'],
+      ['MYSTERY BOX', 'mysteryBox'],
+      ['PLAYER SPAWN', 'playerSpawn']
+    ].forEach(([label, kind]) => {
+      toolbar.appendChild(this.createButton(label, () => this.addItem(kind)));
+    });
+    
+    // Tools
+    toolbar.appendChild(this.createHeading('TOOLS'));
+    toolbar.appendChild(this.createButton('MOVE (T)', () => this.setTransformMode('translate')));
+    toolbar.appendChild(this.createButton('ROTATE (R)', () => this.setTransformMode('rotate')));
+    toolbar.appendChild(this.createButton('DELETE (DEL)', () => this.deleteSelected()));
+    
+    // File
+    toolbar.appendChild(this.createHeading('FILE'));
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) {
+        this.importLayout(fileInput.files[0]);
+      }
+      fileInput.value = '';
+    });
+    toolbar.appendChild(fileInput);
+    this.ui.fileInput = fileInput;
+    
+    toolbar.appendChild(this.createButton('IMPORT', () => fileInput.click()));
+    toolbar.appendChild(this.createButton('EXPORT', () => this.exportLayout()));
+    toolbar.appendChild(this.createButton('PLAY THIS MAP', () => this.playLayout(), '#ff3333'));
+    toolbar.appendChild(this.createButton('EXIT', () => this.close(), '#555555'));
+    
+    // Help
+    const help = document.createElement('div');
+    help.style.marginTop = '10px';
+    help.style.fontSize = '11px';
+    help.style.color = '#999999';
+    help.innerHTML = 'Hold right mouse to look<br>WASD move, Q/E down/up, Shift fast<br>Left click to select, drag gizmo to move';
+    toolbar.appendChild(help);
+    
+    container.appendChild(toolbar);
+    
+    // Properties panel on the right
+    const properties = this.createPanel();
+    properties.style.top = '10px';
+    properties.style.right = '10px';
+    properties.style.width = '240px';
+    container.appendChild(properties);
+    this.ui.properties = properties;
+    
+    // Status line
+    const status = document.createElement('div');
+    status.style.position = 'absolute';
+    status.style.bottom = '10px';
+    status.style.left = '50%';
+    status.style.transform = 'translateX(-50%)';
+    status.style.padding = '8px 16px';
+    status.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    status.style.borderRadius = '5px';
+    status.style.display = 'none';
+    container.appendChild(status);
+    this.ui.status = status;
+    
+    document.body.appendChild(container);
+    this.ui.container = container;
+  }
+
+  /**
+   * Create a floating panel that doesn't pass clicks through to the canvas
+   * @returns {HTMLElement} The panel
+   */
+  createPanel() {
+    const panel = document.createElement('div');
+    panel.style.position = 'absolute';
+    panel.style.padding = '12px';
+    panel.style.backgroundColor = 'rgba(34, 34, 34, 0.9)';
+    panel.style.borderRadius = '8px';
+    panel.style.boxShadow = '0 0 10px rgba(255, 51, 51, 0.3)';
+    panel.style.pointerEvents = 'auto';
+    panel.style.display = 'flex';
+    panel.style.flexDirection = 'column';
+    panel.style.gap = '6px';
+    panel.style.maxHeight = 'calc(100% - 40px)';
+    panel.style.overflowY = 'auto';
+    
+    // Keep clicks away from the game's pointer lock handlers
+    panel.addEventListener('mousedown', (e) => e.stopPropagation());
+    panel.addEventListener('click', (e) => e.stopPropagation());
+    
+    return panel;
+  }
+
+  /**
+   * Create a toolbar button
+   * @param {string} text - Button label
+   * @param {Function} onClick - Click handler
+   * @param {string} color - Background colour
+   * @returns {HTMLElement} The button
+   */
+  createButton(text, onClick, color = '#333333') {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.padding = '6px 10px';
+    button.style.backgroundColor = color;
+    button.style.color = '#ffffff';
+    button.style.border = 'none';
+    button.style.borderRadius = '4px';
+    button.style.cursor = 'pointer';
+    button.style.fontFamily = 'monospace, Courier';
+    button.style.fontWeight = 'bold';
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  /**
+   * Create a section heading for a panel
+   * @param {string} text - Heading text
+   * @returns {HTMLElement} The heading
+   */
+  createHeading(text) {
+    const heading = document.createElement('div');
+    heading.textContent = text;
+    heading.style.marginTop = '8px';
+    heading.style.color = '#ff6666';
+    heading.style.fontSize = '12px';
+    heading.style.fontWeight = 'bold';
+    return heading;
+  }
+
+  /**
+   * Apply the shared input style
+   * @param {HTMLElement} input - Input or select element
+   */
+  styleInput(input) {
+    input.style.padding = '4px';
+    input.style.backgroundColor = '#333333';
+    input.style.color = '#ffffff';
+    input.style.border = '1px solid #555555';
+    input.style.fontFamily = 'monospace, Courier';
+  }
+
+  /**
+   * Add a labelled field to the properties panel
+   * @param {string} label - Field label
+   * @param {*} value - Current value
+   * @param {Function} onChange - Called with the new value
+   * @param {Array} options - Options for a select field (plain text input if omitted)
+   */
+  addField(label, value, onChange, options = null) {
+    const labelElement = document.createElement('label');
+    labelElement.textContent = label;
+    labelElement.style.fontSize = '12px';
+    labelElement.style.color = '#aaaaaa';
+    
+    let input;
+    if (options) {
+      input = document.createElement('select');
+      options.forEach(optionValue => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = optionValue;
+        option.selected = optionValue === value;
+        input.appendChild(option);
+      });
+    } else {
+      input = document.createElement('input');
+      input.type = typeof value === 'number' ? 'number' : 'text';
+      input.value = value !== undefined ? value : '';
+    }
+    this.styleInput(input);
+    
+    input.addEventListener('change', () => {
+      const newValue = input.type === 'number' ? parseFloat(input.value) : input.value;
+      onChange(newValue);
+    });
+    
+    this.ui.properties.appendChild(labelElement);
+    this.ui.properties.appendChild(input);
+  }
+
+  /**
+   * Show the editable properties of the selection (or of the map)
+   */
+  updatePropertiesPanel() {
+    const panel = this.ui.properties;
+    if (!panel || !this.layout) return;
+    
+    panel.innerHTML = '';
+    
+    const selection = this.selected;
+    const kind = selection ? (selection.kind === 'wallEnd' ? 'wall' : selection.kind) : null;
+    const layout = this.layout;
+    const areaIds = this.parsedLayout.areas.map(area => area.id);
+    
+    // Edit a field of the selected item
+    const setField = (field, value) => {
+      this.commit(current => {
+        this.getList(current, kind)[selection.index][field] = value;
+      });
+    };
+    
+    panel.appendChild(this.createHeading(kind ? kind.toUpperCase() : 'MAP'));
+    
+    switch (kind) {
+      case null:
+        this.addField('Id', layout.id, value => this.commit(current => { current.id = value; }));
+        this.addField('Name', layout.name, value => this.commit(current => { current.name = value; }));
+        this.addField('Description', layout.description, value => this.commit(current => { current.description = value; }));
+        this.addField('Wall height', (layout.size && layout.size.height) || 3, value => this.commit(current => {
+          current.size = { ...(current.size || {}), height: value };
+        }));
+        this.addField('Areas (comma separated, first is the start)', areaIds.join(', '), value => this.commit(current => {
+          const ids = value.split(',').map(id => id.trim()).filter(id => id);
+          const existing = this.parsedLayout.areas;
+          current.areas = ids.map((id, index) => {
+            const area = existing.find(a => a.id === id);
+            return { id, name: area ? area.name : id, start: index === 0 };
+          });
+        }));
+        break;
+      
+      case 'wall': {
+        const wall = layout.walls[selection.index];
+        const oldId = this.parsedLayout.walls[selection.index].id;
+        this.addField('Id', oldId, value => this.commit(current => {
+          current.walls[selection.index].id = value;
+          
+          // Keep items mounted on the wall attached to it
+          [current.windows, current.doors, current.wallBuys, current.mysteryBox.spawns].forEach(list => {
+            list.forEach(item => {
+              if (item.wall === oldId) item.wall = value;
+            });
+          });
+        }));
+        this.addField('Height', wall.height || (layout.size && layout.size.height) || 3, value => setField('height', value));
+        break;
+      }
+      
+      case 'window': {
+        const opening = layout.windows[selection.index];
+        this.addField('Label', opening.label, value => setField('label', value));
+        this.addField('Area', opening.area || areaIds[0], value => setField('area', value), areaIds);
+        this.addField('Height from floor', opening.y !== undefined ? opening.y : 1.5, value => setField('y', value));
+        break;
+      }
+      
+      case 'door': {
+        const door = layout.doors[selection.index];
+        this.addField('Id', door.id, value => setField('id', value));
+        this.addField('Label', door.label, value => setField('label', value));
+        this.addField('Cost', door.cost !== undefined ? door.cost : 1000, value => setField('cost', value));
+        this.addField('Unlocks areas (comma separated)', (door.areas || []).join(', '), value => this.commit(current => {
+          const ids = value.split(',').map(id => id.trim()).filter(id => id);
+          current.doors[selection.index].areas = ids;
+          
+          // Create any areas that don't exist yet
+          if (!Array.isArray(current.areas) || current.areas.length === 0) {
+            current.areas = this.parsedLayout.areas.map(area => ({ ...area }));
+          }
+          ids.forEach(id => {
+            if (!current.areas.some(area => area.id === id)) {
+              current.areas.push({ id, name: id });
+            }
+          });
+        }));
+        break;
+      }
+      
+      case 'wallBuy': {
+        const wallBuy = layout.wallBuys[selection.index];
+        this.addField('Weapon', wallBuy.weapon, value => setField('weapon', value), Object.keys(WeaponTypes));
+        this.addField('Cost (blank for weapon default)', wallBuy.cost, value => {
+          setField('cost', isNaN(value) || value === '' ? undefined : Number(value));
+        });
+        break;
+      }
+      
+      case 'mysteryBox':
+      case 'playerSpawn': {
+        const item = this.getList(layout, kind)[selection.index];
+        this.addField('Rotation (degrees)', item.rotation || 0, value => setField('rotation', value));
+        break;
+      }
+    }
+    
+    // Summary of the layout
+    const summary = document.createElement('div');
+    summary.style.marginTop = '10px';
+    summary.style.fontSize = '11px';
+    summary.style.color = '#999999';
+    summary.textContent = `${layout.walls.length} walls, ${layout.windows.length} windows, ` +
+      `${layout.doors.length} doors, ${layout.wallBuys.length} wall buys, ` +
+      `${layout.mysteryBox.spawns.length} box spawns, ${layout.playerSpawns.length} player spawns`;
+    panel.appendChild(summary);
+  }
+
+  /**
+   * Show a message in the status line
+   * @param {string} text - Message (empty to hide)
+   * @param {boolean} isError - Whether to show it as an error
+   */
+  showStatus(text, isError = false) {
+    if (!this.ui.status) return;
+    
+    if (isError) {
+      console.warn(`Level editor: ${text}`);
+    }
+    
+    this.ui.status.textContent = text;
+    this.ui.status.style.color = isError ? '#FF5252' : '#4FC3F7';
+    this.ui.status.style.display = text ? 'block' : 'none';
+  }
+
+  /**
+   * Switch between moving and rotating the selection
+   * @param {string} mode - 'translate' or 'rotate'
+   */
+  setTransformMode(mode) {
+    this.transformMode = mode;
+    this.updateTransformMode();
+  }
+
+  /**
+   * Handle key presses
+   * @param {KeyboardEvent} event
+   */
+  onKeyDown(event) {
+    // Leave typing in the properties panel alone
+    const tag = document.activeElement && document.activeElement.tagName;
+    if (tag === 'INPUT' || tag === 'SELECT') return;
+    
+    this.keys[event.code] = true;
+    
+    switch (event.code) {
+      case 'KeyT':
+        this.setTransformMode('translate');
+        break;
+      case 'KeyR':
+        this.setTransformMode('rotate');
+        break;
+      case 'Delete':
+      case 'Backspace':
+        event.preventDefault();
+        this.deleteSelected();
+        break;
+      case 'Escape':
+        this.select(null);
+        break;
+    }
+  }
+
+  /**
+   * Handle key releases
+   * @param {KeyboardEvent} event
+   */
+  onKeyUp(event) {
+    this.keys[event.code] = false;
+  }
+
+  /**
+   * Start looking around (right button) or select a marker (left button)
+   * @param {MouseEvent} event
+   */
+  onMouseDown(event) {
+    if (event.button === 2) {
+      this.isLooking = true;
+      return;
+    }
+    
+    // Ignore clicks on the gizmo itself
+    if (event.button !== 0 || this.transformControls.dragging || this.transformControls.axis !== null) {
+      return;
+    }
+    
+    const rect = this.engine.renderer.domElement.getBoundingClientRect();
+    this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+    const hits = this.raycaster.intersectObjects(this.markers.children, true);
+    
+    // Prefer wall end handles over the wall they sit on
+    const hit = hits.find(h => h.object.userData.editorKind === 'wallEnd') || hits[0];
+    
+    if (hit) {
+      const { editorKind: kind, index, end } = hit.object.userData;
+      this.select({ kind, index, end });
+    } else {
+      this.select(null);
+    }
+  }
+
+  /**
+   * Stop looking around
+   * @param {MouseEvent} event
+   */
+  onMouseUp(event) {
+    if (event.button === 2) {
+      this.isLooking = false;
+    }
+  }
+
+  /**
+   * Turn the camera while the right button is held
+   * @param {MouseEvent} event
+   */
+  onMouseMove(event) {
+    if (!this.isLooking) return;
+    
+    this.yaw -= event.movementX * this.lookSensitivity;
+    this.pitch -= event.movementY * this.lookSensitivity;
+    this.pitch = Math.max(-Math.PI / 2 + 0.01, Math.min(Math.PI / 2 - 0.01, this.pitch));
+  }
+
+  /**
+   * Stop the browser menu from opening while looking around
+   * @param {MouseEvent} event
+   */
+  onContextMenu(event) {
+    event.preventDefault();
+  }
+
+  /**
+   * Keep the editor camera in step with the window size
+   */
+  onResize() {
+    this.camera.aspect = window.innerWidth / window.innerHeight;
+    this.camera.updateProjectionMatrix();
+  }
+}
@@ -18,6 +18,9 @@ document.addEventListener('DOMContentLoaded', () => {
     const hostParam = url.searchParams.get('host');
     const joinParam = url.searchParams.get('join');
     
+    // Check for a map selection via URL parameter
+    const mapParam = url.searchParams.get('map');
+    
     console.log("Initializing game with doomMode:", doomMode);
     if (hostParam === '1') {
       console.log("Initializing as multiplayer host");
@@ -31,6 +34,11 @@ document.addEventListener('DOMContentLoaded', () => {
     // Create and initialize the engine with debug and doom modes
     const engine = new Engine(debugMode, doomMode);
     
+    // Preselect the map from the URL if one was given
+    if (mapParam) {
+      engine.startMenu.mapId = mapParam;
+    }
+    
     // Initialize the engine - this will show the start menu
     engine.init();
     
@@ -0,0 +1,518 @@
+import arena from './arena.json';
+import outpost from './outpost.json';
+import bunker from './bunker.json';
+
+/**
+ * Map used when no map (or an unknown map) is selected
+ */
+export const DEFAULT_MAP_ID = 'arena';
+
+/**
+ * Available maps keyed by map id (bundled maps plus any registered at runtime)
+ */
+export const MapDefinitions = {
+  arena,
+  outpost,
+  bunker
+};
+
+// Bundled maps can't be replaced at runtime, so every game agrees on what they look like
+const BUILT_IN_MAP_IDS = Object.keys(MapDefinitions);
+
+// How many times each map id has been registered (so a room built from an older version can be rebuilt)
+const MapRevisions = {};
+
+// Hashes of the map data by map id (worked out when first needed)
+const MapHashes = {};
+
+/**
+ * Loads map layouts and resolves them into the absolute
+ * positions and rotations that Room builds from.
+ *
+ * Map files describe walls as segments on the floor plan (x/z pairs).
+ * Windows and wall buys are placed on a wall by id plus an offset from
+ * the wall's midpoint, and all rotations in the file are in degrees.
+ * Walls should be wound so the outside is at (-dz, dx) from their
+ * direction, i.e. clockwise when looking down with +X to the right
+ * and +Z up the screen.
+ *
+ * Maps can be split into areas joined by purchasable doors. Windows
+ * belong to an area and only areas marked "start" are open at first.
+ *
+ * A map can have one weapon upgrade station, placed like a mystery box
+ * spawn (on a wall or at an absolute position) with an optional cost.
+ *
+ * Props reference a model from PropLoader (or a URL to an ObjectJSON
+ * file) and can block movement with collision "box" (one box around
+ * the whole model) or "meshes"/true (one box per mesh). Solid props
+ * stop bullets unless marked "thin", which lets penetrating bullets
+ * through.
+ */
+export class MapLoader {
+  /**
+   * Get a parsed map by id
+   * @param {string} mapId - Id of the map to load
+   * @returns {Object} The parsed map (the default map if the id is unknown)
+   */
+  static get(mapId) {
+    let data = MapDefinitions[mapId];
+    
+    if (!data) {
+      console.warn(`Unknown map "${mapId}", falling back to "${DEFAULT_MAP_ID}"`);
+      data = MapDefinitions[DEFAULT_MAP_ID];
+    }
+    
+    const map = MapLoader.parse(data);
+    map.revision = MapLoader.getRevision(map.id);
+    map.hash = MapLoader.getHash(map.id);
+    
+    return map;
+  }
+
+  /**
+   * Check if a map is one of the bundled maps
+   * @param {string} mapId - Id of the map
+   * @returns {boolean} True for bundled maps
+   */
+  static isBuiltIn(mapId) {
+    return BUILT_IN_MAP_IDS.includes(mapId);
+  }
+
+  /**
+   * Get how many times a map has been registered at runtime
+   * @param {string} mapId - Id of the map
+   * @returns {number} The map's revision (0 for maps never registered)
+   */
+  static getRevision(mapId) {
+    return MapRevisions[mapId] || 0;
+  }
+
+  /**
+   * Get a hash of a map's data, so players can tell two maps with the same id apart
+   * @param {string} mapId - Id of the map
+   * @returns {string|null} The hash (null for unknown maps)
+   */
+  static getHash(mapId) {
+    if (!MapDefinitions[mapId]) return null;
+    
+    if (!MapHashes[mapId]) {
+      const json = JSON.stringify(MapDefinitions[mapId]);
+      let hash = 0;
+      for (let i = 0; i < json.length; i++) {
+        hash = ((hash << 5) - hash + json.charCodeAt(i)) | 0;
+      }
+      MapHashes[mapId] = (hash >>> 0).toString(16);
+    }
+    
+    return MapHashes[mapId];
+  }
+
+  /**
+   * Get a copy of a map's data in the map file format (e.g. to send to other players)
+   * @param {string} mapId - Id of the map
+   * @returns {Object|null} The map data (null for unknown maps)
+   */
+  static getData(mapId) {
+    const data = MapDefinitions[mapId];
+    return data ? JSON.parse(JSON.stringify(data)) : null;
+  }
+
+  /**
+   * Check if a map with this id is available
+   * @param {string} mapId - Id of the map
+   * @returns {boolean} True if the map can be loaded
+   */
+  static has(mapId) {
+    return !!MapDefinitions[mapId];
+  }
+
+  /**
+   * Add (or replace) a map at runtime, e.g. one made in the level editor.
+   * Bundled maps can't be replaced.
+   * @param {Object} data - Map data in the map file format
+   * @returns {Object} The parsed map
+   */
+  static register(data) {
+    // Parse first so invalid maps are never added
+    const map = MapLoader.parse(data);
+    
+    if (MapLoader.isBuiltIn(map.id)) {
+      throw new Error(`"${map.id}" is a built-in map, give the layout a different id`);
+    }
+    
+    MapDefinitions[map.id] = JSON.parse(JSON.stringify(data));
+    MapRevisions[map.id] = MapLoader.getRevision(map.id) + 1;
+    delete MapHashes[map.id];
+    
+    console.log(`Registered map "${map.id}"`);
+    
+    return map;
+  }
+
+  /**
+   * List the available maps for menus
+   * @returns {Array} Array of { id, name, description } objects
+   */
+  static list() {
+    return Object.values(MapDefinitions).map(map => ({
+      id: map.id,
+      name: map.name || map.id,
+      description: map.description || ''
+    }));
+  }
+
+  /**
+   * Validate raw map data and resolve it into absolute placements
+   * @param {Object} data - Map data in the map file format
+   * @returns {Object} The parsed map
+   */
+  static parse(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Map data must be an object');
+    }
+    
+    if (!data.id) {
+      throw new Error('Map is missing an id');
+    }
+    
+    const size = data.size || {};
+    const windowSize = data.windowSize || {};
+    
+    const map = {
+      id: data.id,
+      name: data.name || data.id,
+      description: data.description || '',
+      width: size.width || 10,
+      depth: size.depth || 10,
+      height: size.height || 3,
+      wallThickness: data.wallThickness || 0.1,
+      windowWidth: windowSize.width || 2,
+      windowHeight: windowSize.height || 1.5,
+      walls: [],
+      areas: [],
+      doors: [],
+      windows: [],
+      wallBuys: [],
+      mysteryBox: { spawns: [] },
+      upgradeStation: null,
+      playerSpawns: [],
+      props: [],
+      // Keep the original file data so layouts can be exported again
+      source: JSON.parse(JSON.stringify(data))
+    };
+    
+    // Walls
+    (data.walls || []).forEach((wall, index) => {
+      map.walls.push(MapLoader.parseWall(wall, index, map));
+    });
+    
+    if (map.walls.length === 0) {
+      throw new Error(`Map "${map.id}" has no walls`);
+    }
+    
+    // Areas (a single starting area when the map doesn't define any)
+    const areas = data.areas && data.areas.length > 0
+      ? data.areas
+      : [{ id: 'main', name: 'Main', start: true }];
+    
+    areas.forEach((area, index) => {
+      if (!area.id) {
+        throw new Error(`Area ${index} in map "${map.id}" has no id`);
+      }
+      
+      map.areas.push({
+        id: area.id,
+        name: area.name || area.id,
+        start: !!area.start
+      });
+    });
+    
+    if (!map.areas.some(area => area.start)) {
+      map.areas[0].start = true;
+    }
+    
+    const defaultArea = map.areas.find(area => area.start).id;
+    
+    // Windows
+    (data.windows || []).forEach((window, index) => {
+      const wall = MapLoader.findWall(map, window.wall, `window ${index}`);
+      const area = MapLoader.findArea(map, window.area || defaultArea, `window ${index}`);
+      const width = window.width || map.windowWidth;
+      const height = window.height || map.windowHeight;
+      const offset = window.offset || 0;
+      
+      if (Math.abs(offset) + width / 2 > wall.length / 2) {
+        throw new Error(`Window ${index} in map "${map.id}" does not fit on wall "${wall.id}"`);
+      }
+      
+      const point = MapLoader.pointOnWall(wall, offset, 0);
+      
+      map.windows.push({
+        wall: wall.id,
+        offset,
+        x: point.x,
+        y: window.y !== undefined ? window.y : 1.5,
+        z: point.z,
+        rotation: wall.rotation,
+        width,
+        height,
+        area: area.id,
+        label: window.label || `Window ${index + 1}`
+      });
+    });
+    
+    // Doors between areas
+    (data.doors || []).forEach((door, index) => {
+      const wall = MapLoader.findWall(map, door.wall, `door ${index}`);
+      const width = door.width || 1.6;
+      const height = Math.min(door.height || 2.4, wall.height);
+      const offset = door.offset || 0;
+      
+      if (Math.abs(offset) + width / 2 > wall.length / 2) {
+        throw new Error(`Door ${index} in map "${map.id}" does not fit on wall "${wall.id}"`);
+      }
+      
+      const doorAreas = door.areas || [];
+      if (doorAreas.length === 0) {
+        throw new Error(`Door ${index} in map "${map.id}" doesn't connect any areas`);
+      }
+      doorAreas.forEach(areaId => MapLoader.findArea(map, areaId, `door ${index}`));
+      
+      const point = MapLoader.pointOnWall(wall, offset, 0);
+      
+      map.doors.push({
+        id: door.id || `door${index}`,
+        wall: wall.id,
+        offset,
+        x: point.x,
+        y: height / 2,
+        z: point.z,
+        rotation: wall.rotation,
+        width,
+        height,
+        cost: door.cost !== undefined ? door.cost : 1000,
+        areas: [...doorAreas],
+        label: door.label || 'Door'
+      });
+    });
+    
+    MapLoader.checkOpeningOverlaps(map);
+    
+    // Wall buys
+    (data.wallBuys || []).forEach((wallBuy, index) => {
+      if (!wallBuy.weapon) {
+        throw new Error(`Wall buy ${index} in map "${map.id}" has no weapon`);
+      }
+      
+      map.wallBuys.push({
+        weapon: wallBuy.weapon,
+        cost: wallBuy.cost,
+        ...MapLoader.parsePlacement(wallBuy, map, `wall buy ${index}`, 1.5)
+      });
+    });
+    
+    // Mystery box spawn points
+    const mysteryBox = data.mysteryBox || {};
+    (mysteryBox.spawns || []).forEach((spawn, index) => {
+      map.mysteryBox.spawns.push({
+        label: spawn.label || null,
+        ...MapLoader.parsePlacement(spawn, map, `mystery box spawn ${index}`, 0)
+      });
+    });
+    
+    // Weapon upgrade station (optional)
+    if (data.upgradeStation) {
+      map.upgradeStation = {
+        cost: data.upgradeStation.cost,
+        ...MapLoader.parsePlacement(data.upgradeStation, map, 'upgrade station', 0)
+      };
+    }
+    
+    // Player spawns (default to the middle of the room)
+    const playerSpawns = data.playerSpawns && data.playerSpawns.length > 0
+      ? data.playerSpawns
+      : [{ x: 0, z: 0, rotation: 0 }];
+    
+    playerSpawns.forEach(spawn => {
+      map.playerSpawns.push({
+        x: spawn.x || 0,
+        z: spawn.z || 0,
+        rotation: MapLoader.toRadians(spawn.rotation || 0)
+      });
+    });
+    
+    // Decorative props (Three.js ObjectJSON models) with optional collision
+    (data.props || []).forEach((prop, index) => {
+      if (!prop.model) {
+        throw new Error(`Prop ${index} in map "${map.id}" has no model`);
+      }
+      
+      const collision = prop.collision === true ? 'meshes' : (prop.collision || false);
+      if (collision && collision !== 'box' && collision !== 'meshes') {
+        throw new Error(`Prop ${index} in map "${map.id}" has unknown collision "${collision}"`);
+      }
+      
+      map.props.push({
+        id: prop.id || `prop${index}`,
+        model: prop.model,
+        scale: prop.scale || 1,
+        collision,
+        thin: !!prop.thin,
+        ...MapLoader.parsePlacement(prop, map, `prop ${index}`, 0)
+      });
+    });
+    
+    return map;
+  }
+
+  /**
+   * Resolve a wall segment
+   * @param {Object} wall - Wall data with from/to floor points
+   * @param {number} index - Index of the wall in the map file
+   * @param {Object} map - The map being parsed
+   * @returns {Object} The parsed wall
+   */
+  static parseWall(wall, index, map) {
+    if (!Array.isArray(wall.from) || !Array.isArray(wall.to)) {
+      throw new Error(`Wall ${index} in map "${map.id}" needs "from" and "to" points`);
+    }
+    
+    const from = { x: wall.from[0], z: wall.from[1] };
+    const to = { x: wall.to[0], z: wall.to[1] };
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    const length = Math.sqrt(dx * dx + dz * dz);
+    
+    if (length <= 0) {
+      throw new Error(`Wall ${index} in map "${map.id}" has zero length`);
+    }
+    
+    return {
+      id: wall.id || `wall${index}`,
+      from,
+      to,
+      length,
+      height: wall.height || map.height,
+      center: { x: (from.x + to.x) / 2, z: (from.z + to.z) / 2 },
+      direction: { x: dx / length, z: dz / length },
+      // Rotation that turns a group's local X axis along the wall,
+      // which leaves its local +Z axis pointing outside
+      rotation: Math.atan2(-dz, dx)
+    };
+  }
+
+  /**
+   * Find a parsed wall by id
+   * @param {Object} map - The map being parsed
+   * @param {string} wallId - Id of the wall
+   * @param {string} context - Description of what references the wall
+   * @returns {Object} The parsed wall
+   */
+  static findWall(map, wallId, context) {
+    const wall = map.walls.find(w => w.id === wallId);
+    
+    if (!wall) {
+      throw new Error(`${context} in map "${map.id}" references unknown wall "${wallId}"`);
+    }
+    
+    return wall;
+  }
+
+  /**
+   * Find a parsed area by id
+   * @param {Object} map - The map being parsed
+   * @param {string} areaId - Id of the area
+   * @param {string} context - Description of what references the area
+   * @returns {Object} The parsed area
+   */
+  static findArea(map, areaId, context) {
+    const area = map.areas.find(a => a.id === areaId);
+    
+    if (!area) {
+      throw new Error(`${context} in map "${map.id}" references unknown area "${areaId}"`);
+    }
+    
+    return area;
+  }
+
+  /**
+   * Get a floor point along a wall
+   * @param {Object} wall - The parsed wall
+   * @param {number} offset - Distance along the wall from its midpoint
+   * @param {number} inset - Distance from the wall towards the inside
+   * @returns {Object} The { x, z } point
+   */
+  static pointOnWall(wall, offset, inset) {
+    // Outside of the wall is (-dz, dx), so the inside is the opposite
+    const insideX = wall.direction.z;
+    const insideZ = -wall.direction.x;
+    
+    return {
+      x: wall.center.x + wall.direction.x * offset + insideX * inset,
+      z: wall.center.z + wall.direction.z * offset + insideZ * inset
+    };
+  }
+
+  /**
+   * Resolve an object placed either on a wall or at an absolute position
+   * @param {Object} data - Placement data from the map file
+   * @param {Object} map - The map being parsed
+   * @param {string} context - Description of the object for errors
+   * @param {number} defaultY - Height used when the placement has no y
+   * @returns {Object} The { x, y, z, rotation } placement
+   */
+  static parsePlacement(data, map, context, defaultY) {
+    const y = data.y !== undefined ? data.y : defaultY;
+    
+    // Wall mounted: sit just inside the wall and face into the room
+    if (data.wall) {
+      const wall = MapLoader.findWall(map, data.wall, context);
+      const inset = data.inset !== undefined ? data.inset : map.wallThickness;
+      const point = MapLoader.pointOnWall(wall, data.offset || 0, inset);
+      
+      return {
+        x: point.x,
+        y,
+        z: point.z,
+        rotation: wall.rotation + Math.PI
+      };
+    }
+    
+    return {
+      x: data.x || 0,
+      y,
+      z: data.z || 0,
+      rotation: MapLoader.toRadians(data.rotation || 0)
+    };
+  }
+
+  /**
+   * Make sure no two openings (windows or doors) on the same wall overlap
+   * @param {Object} map - The map being parsed
+   */
+  static checkOpeningOverlaps(map) {
+    map.walls.forEach(wall => {
+      const openings = [...map.windows, ...map.doors]
+        .filter(opening => opening.wall === wall.id)
+        .sort((a, b) => a.offset - b.offset);
+      
+      for (let i = 1; i < openings.length; i++) {
+        const previousEnd = openings[i - 1].offset + openings[i - 1].width / 2;
+        const start = openings[i].offset - openings[i].width / 2;
+        
+        if (start < previousEnd) {
+          throw new Error(`"${openings[i - 1].label}" and "${openings[i].label}" overlap in map "${map.id}"`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Convert degrees from a map file to radians
+   * @param {number} degrees - Angle in degrees
+   * @returns {number} Angle in radians
+   */
+  static toRadians(degrees) {
+    return degrees * Math.PI / 180;
+  }
+}
@@ -0,0 +1,429 @@
+import * as THREE from 'three';
+
+/**
+ * Walkable grid over a room's floor plan used for zombie pathfinding.
+ *
+ * Cells are blocked when an agent standing in them would touch a wall
+ * (closed doors count as walls) or a prop's collision box, and cells that
+ * can't be reached from a player spawn are blocked too, so paths never
+ * leave the part of the map the players can be in. The grid is rebuilt
+ * lazily after doors open or props are added.
+ */
+export class NavGrid {
+  /**
+   * @param {Room} room - Room to build the grid for
+   * @param {number} cellSize - Size of a grid cell in metres
+   * @param {number} agentRadius - Clearance kept from walls and props
+   */
+  constructor(room, cellSize = 0.5, agentRadius = 0.4) {
+    this.room = room;
+    this.cellSize = cellSize;
+    this.agentRadius = agentRadius;
+    
+    // Grid layout (filled in by build)
+    this.minX = 0;
+    this.minZ = 0;
+    this.columns = 0;
+    this.rows = 0;
+    this.walkable = null;
+    
+    // Rebuild before the next query
+    this.isDirty = true;
+  }
+
+  /**
+   * Mark the grid as out of date (doors opened, props added, room reset)
+   */
+  invalidate() {
+    this.isDirty = true;
+  }
+
+  /**
+   * Work out which cells are walkable
+   */
+  build() {
+    const walls = this.room.map.walls;
+    
+    // Cover every wall with the grid
+    let minX = Infinity;
+    let maxX = -Infinity;
+    let minZ = Infinity;
+    let maxZ = -Infinity;
+    walls.forEach(wall => {
+      minX = Math.min(minX, wall.from.x, wall.to.x);
+      maxX = Math.max(maxX, wall.from.x, wall.to.x);
+      minZ = Math.min(minZ, wall.from.z, wall.to.z);
+      maxZ = Math.max(maxZ, wall.from.z, wall.to.z);
+    });
+    
+    this.minX = minX;
+    this.minZ = minZ;
+    this.columns = Math.max(1, Math.ceil((maxX - minX) / this.cellSize));
+    this.rows = Math.max(1, Math.ceil((maxZ - minZ) / this.cellSize));
+    
+    // Cells that are clear of walls and props
+    const clear = new Uint8Array(this.columns * this.rows);
+    const point = new THREE.Vector3();
+    
+    for (let row = 0; row < this.rows; row++) {
+      for (let column = 0; column < this.columns; column++) {
+        this.getCellCenter(column, row, point);
+        
+        const blocked = this.room.isBlockedByWall(point, this.agentRadius) ||
+                        this.room.isBlockedByProp(point, this.agentRadius);
+        
+        clear[row * this.columns + column] = blocked ? 0 : 1;
+      }
+    }
+    
+    // Only keep cells that can be reached from a player spawn
+    this.walkable = new Uint8Array(this.columns * this.rows);
+    const queue = [];
+    
+    this.room.playerSpawns.forEach(spawn => {
+      const index = this.findNearestCell(spawn.x, spawn.z, clear);
+      if (index !== -1 && !this.walkable[index]) {
+        this.walkable[index] = 1;
+        queue.push(index);
+      }
+    });
+    
+    while (queue.length > 0) {
+      const index = queue.pop();
+      
+      this.forEachNeighbour(index, clear, neighbour => {
+        if (!this.walkable[neighbour]) {
+          this.walkable[neighbour] = 1;
+          queue.push(neighbour);
+        }
+      });
+    }
+    
+    this.isDirty = false;
+    
+    console.log(`Navigation grid built: ${this.columns}x${this.rows} cells for map "${this.room.mapId}"`);
+  }
+
+  /**
+   * Rebuild the grid if anything changed since it was last built
+   */
+  ensureBuilt() {
+    if (this.isDirty || !this.walkable) {
+      this.build();
+    }
+  }
+
+  /**
+   * Get the centre of a cell
+   * @param {number} column - Cell column
+   * @param {number} row - Cell row
+   * @param {THREE.Vector3} target - Vector to write into
+   * @returns {THREE.Vector3} The cell centre on the floor
+   */
+  getCellCenter(column, row, target = new THREE.Vector3()) {
+    return target.set(
+      this.minX + (column + 0.5) * this.cellSize,
+      0,
+      this.minZ + (row + 0.5) * this.cellSize
+    );
+  }
+
+  /**
+   * Get the index of the cell containing a point
+   * @param {number} x - X position
+   * @param {number} z - Z position
+   * @returns {number} Cell index, or -1 if outside the grid
+   */
+  getCellIndex(x, z) {
+    const column = Math.floor((x - this.minX) / this.cellSize);
+    const row = Math.floor((z - this.minZ) / this.cellSize);
+    
+    if (column < 0 || row < 0 || column >= this.columns || row >= this.rows) {
+      return -1;
+    }
+    
+    return row * this.columns + column;
+  }
+
+  /**
+   * Check if the cell containing a point is walkable
+   * @param {number} x - X position
+   * @param {number} z - Z position
+   * @returns {boolean} True if the point is walkable
+   */
+  isWalkable(x, z) {
+    const index = this.getCellIndex(x, z);
+    return index !== -1 && this.walkable[index] === 1;
+  }
+
+  /**
+   * Find the open cell nearest to a point
+   * @param {number} x - X position
+   * @param {number} z - Z position
+   * @param {Uint8Array} cells - Open cells (defaults to the walkable cells)
+   * @returns {number} Cell index, or -1 if no cell is open
+   */
+  findNearestCell(x, z, cells = this.walkable) {
+    const column = Math.max(0, Math.min(this.columns - 1, Math.floor((x - this.minX) / this.cellSize)));
+    const row = Math.max(0, Math.min(this.rows - 1, Math.floor((z - this.minZ) / this.cellSize)));
+    
+    // Search outwards in growing rings
+    const maxRing = Math.max(this.columns, this.rows);
+    for (let ring = 0; ring <= maxRing; ring++) {
+      let best = -1;
+      let bestDistance = Infinity;
+      
+      for (let r = row - ring; r <= row + ring; r++) {
+        for (let c = column - ring; c <= column + ring; c++) {
+          const onRing = Math.abs(r - row) === ring || Math.abs(c - column) === ring;
+          if (!onRing || r < 0 || c < 0 || r >= this.rows || c >= this.columns) continue;
+          
+          const index = r * this.columns + c;
+          if (!cells[index]) continue;
+          
+          const distance = (r - row) ** 2 + (c - column) ** 2;
+          if (distance < bestDistance) {
+            best = index;
+            bestDistance = distance;
+          }
+        }
+      }
+      
+      if (best !== -1) return best;
+    }
+    
+    return -1;
+  }
+
+  /**
+   * Call a function for each open neighbour of a cell (8-way, without cutting corners)
+   * @param {number} index - Cell index
+   * @param {Uint8Array} cells - Open cells
+   * @param {Function} callback - Called with (neighbourIndex, stepCost)
+   */
+  forEachNeighbour(index, cells, callback) {
+    const column = index % this.columns;
+    const row = Math.floor(index / this.columns);
+    
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        if (dr === 0 && dc === 0) continue;
+        
+        const r = row + dr;
+        const c = column + dc;
+        if (r < 0 || c < 0 || r >= this.rows || c >= this.columns) continue;
+        if (!cells[r * this.columns + c]) continue;
+        
+        // Diagonal moves need both side cells open
+        if (dr !== 0 && dc !== 0 &&
+            (!cells[row * this.columns + c] || !cells[r * this.columns + column])) {
+          continue;
+        }
+        
+        callback(r * this.columns + c, dr !== 0 && dc !== 0 ? Math.SQRT2 : 1);
+      }
+    }
+  }
+
+  /**
+   * Check if an agent can walk in a straight line between two points
+   * @param {THREE.Vector3} from - Start point
+   * @param {THREE.Vector3} to - End point
+   * @returns {boolean} True if every cell along the line is walkable
+   */
+  hasLineOfSight(from, to) {
+    this.ensureBuilt();
+    
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    const steps = Math.ceil(distance / (this.cellSize * 0.25));
+    
+    for (let i = 0; i <= steps; i++) {
+      const t = steps === 0 ? 0 : i / steps;
+      if (!this.isWalkable(from.x + dx * t, from.z + dz * t)) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Find a path between two points with A* and smooth it (a goal that can't
+   * be reached is swapped for the nearest cell that can)
+   * @param {THREE.Vector3} from - Start point
+   * @param {THREE.Vector3} to - Goal point
+   * @returns {Array<THREE.Vector3>|null} Waypoints after the start (ending at the goal), or null if there is no path
+   */
+  findPath(from, to) {
+    this.ensureBuilt();
+    
+    const start = this.findNearestCell(from.x, from.z);
+    const goal = this.findNearestCell(to.x, to.z);
+    
+    if (start === -1 || goal === -1) {
+      return null;
+    }
+    
+    const cellCount = this.columns * this.rows;
+    const cost = new Float32Array(cellCount).fill(Infinity);
+    const cameFrom = new Int32Array(cellCount).fill(-1);
+    const closed = new Uint8Array(cellCount);
+    
+    const goalColumn = goal % this.columns;
+    const goalRow = Math.floor(goal / this.columns);
+    
+    // Octile distance to the goal
+    const heuristic = index => {
+      const dc = Math.abs(index % this.columns - goalColumn);
+      const dr = Math.abs(Math.floor(index / this.columns) - goalRow);
+      return Math.max(dc, dr) + (Math.SQRT2 - 1) * Math.min(dc, dr);
+    };
+    
+    const open = new BinaryHeap();
+    cost[start] = 0;
+    open.push(start, heuristic(start));
+    
+    while (open.size > 0) {
+      const current = open.pop();
+      
+      if (current === goal) break;
+      if (closed[current]) continue;
+      closed[current] = 1;
+      
+      this.forEachNeighbour(current, this.walkable, (neighbour, stepCost) => {
+        const newCost = cost[current] + stepCost;
+        
+        if (newCost < cost[neighbour]) {
+          cost[neighbour] = newCost;
+          cameFrom[neighbour] = current;
+          open.push(neighbour, newCost + heuristic(neighbour));
+        }
+      });
+    }
+    
+    if (start !== goal && cameFrom[goal] === -1) {
+      return null;
+    }
+    
+    // Walk back from the goal to build the cell path
+    const points = [];
+    for (let index = goal; index !== start; index = cameFrom[index]) {
+      points.unshift(this.getCellCenter(index % this.columns, Math.floor(index / this.columns)));
+    }
+    
+    // Finish on the goal itself when it is reachable from the last cell
+    const end = new THREE.Vector3(to.x, 0, to.z);
+    const last = points.length > 0 ? points[points.length - 1] : from;
+    if (this.isWalkable(end.x, end.z) && this.hasLineOfSight(last, end)) {
+      points.push(end);
+    }
+    
+    return this.smoothPath(from, points);
+  }
+
+  /**
+   * Remove waypoints that can be skipped by walking in a straight line
+   * @param {THREE.Vector3} from - Start point
+   * @param {Array<THREE.Vector3>} points - Waypoints after the start
+   * @returns {Array<THREE.Vector3>} Smoothed waypoints
+   */
+  smoothPath(from, points) {
+    const smoothed = [];
+    let anchor = from;
+    let i = 0;
+    
+    while (i < points.length) {
+      // Furthest waypoint we can see from the anchor
+      let furthest = i;
+      for (let j = points.length - 1; j > i; j--) {
+        if (this.hasLineOfSight(anchor, points[j])) {
+          furthest = j;
+          break;
+        }
+      }
+      
+      smoothed.push(points[furthest]);
+      anchor = points[furthest];
+      i = furthest + 1;
+    }
+    
+    return smoothed;
+  }
+}
+
+/**
+ * Minimal binary min-heap of cell indices keyed by priority (A* open set)
+ */
+class BinaryHeap {
+  constructor() {
+    this.items = [];
+    this.priorities = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Add an item
+   * @param {number} item - Cell index
+   * @param {number} priority - Lower comes out first
+   */
+  push(item, priority) {
+    this.items.push(item);
+    this.priorities.push(priority);
+    
+    // Bubble up
+    let i = this.items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.priorities[parent] <= this.priorities[i]) break;
+      this.swap(i, parent);
+      i = parent;
+    }
+  }
+
+  /**
+   * Remove and return the item with the lowest priority
+   * @returns {number} Cell index
+   */
+  pop() {
+    const top = this.items[0];
+    const lastItem = this.items.pop();
+    const lastPriority = this.priorities.pop();
+    
+    if (this.items.length > 0) {
+      this.items[0] = lastItem;
+      this.priorities[0] = lastPriority;
+      
+      // Sink down
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        
+        if (left < this.items.length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+        if (right < this.items.length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+        if (smallest === i) break;
+        
+        this.swap(i, smallest);
+        i = smallest;
+      }
+    }
+    
+    return top;
+  }
+
+  /**
+   * Swap two entries
+   * @param {number} a - First position
+   * @param {number} b - Second position
+   */
+  swap(a, b) {
+    [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+    [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+  }
+}
@@ -4,10 +4,8 @@
  */
 import * as THREE from 'three';
 import { P2PNetwork } from './P2PNetwork.js';
-import { Enemy } from '../objects/Enemy.js';
-import { CrawlingZombie } from '../objects/CrawlingZombie.js';
-import { RunnerZombie } from '../objects/RunnerZombie.js';
-import { SpitterZombie } from '../objects/SpitterZombie.js';
+import { EnemyRegistry } from '../objects/EnemyRegistry.js';
+import { MapLoader } from '../maps/MapLoader.js';
 
 export class NetworkManager {
   constructor(gameEngine) {
@@ -20,6 +18,7 @@ export class NetworkManager {
     this.isHost = false;
     this.isConnected = false;
     this.isMultiplayer = false;
+    this.requestedMapHash = null; // Host map this client last asked for (see syncMap)
     this.lastPositionUpdate = 0;
     this.positionUpdateInterval = 50; // Reduced from 100ms for smoother updates
     this.connectionStatusElement = null;
@@ -242,6 +241,11 @@ export class NetworkManager {
       this.updateGameState(state);
     };
     
+    // Handle maps the host sent (for clients)
+    this.network.onMapReceived = (data) => {
+      this.receiveMap(data);
+    };
+    
     // Handle errors
     this.network.onError = (err) => {
       console.error("Network error:", err);
@@ -278,14 +282,7 @@ export class NetworkManager {
       const now = Date.now();
       
       // Get weapon information if available
-      let weaponInfo = null;
-      if (this.gameEngine.weaponManager && this.gameEngine.weaponManager.currentWeapon) {
-        weaponInfo = {
-          type: this.gameEngine.weaponManager.currentWeapon.type || 'PISTOL',
-          isReloading: this.gameEngine.weaponManager.isReloading || false,
-          isFiring: this.gameEngine.weaponManager.isFiring || false
-        };
-      }
+      const weaponInfo = this.getWeaponInfo();
       
       // Always include current health and death state
       const playerInfo = {
@@ -308,6 +305,52 @@ export class NetworkManager {
     console.log("Position updates started with interval:", this.positionUpdateInterval);
   }
   
+  /**
+   * Load the host's map, asking the host for it if this client doesn't have
+   * the same map (e.g. a layout the host made in the level editor)
+   * @param {string} mapId - Id of the host's map
+   * @param {string} mapHash - Hash of the host's map data
+   * @returns {boolean} True once the host's map is loaded
+   */
+  syncMap(mapId, mapHash) {
+    const scene = this.gameEngine.scene;
+    const loadedHash = scene.room && scene.room.map ? scene.room.map.hash : null;
+    
+    if (scene.mapId === mapId && (!mapHash || loadedHash === mapHash)) {
+      return true;
+    }
+    
+    // Another map with the same id (two players' "-custom" layouts) doesn't count
+    if (MapLoader.has(mapId) && (!mapHash || MapLoader.getHash(mapId) === mapHash)) {
+      console.log(`Host is playing on map "${mapId}", loading it`);
+      this.gameEngine.loadMap(mapId);
+      return true;
+    }
+    
+    if (this.requestedMapHash !== mapHash) {
+      console.log(`Map "${mapId}" isn't available here, asking the host for it`);
+      this.requestedMapHash = mapHash;
+      this.network.sendPlayerAction('requestMap', { mapId });
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Add a map the host sent and load it
+   * @param {Object} data - Map data in the map file format
+   */
+  receiveMap(data) {
+    try {
+      MapLoader.register(data);
+    } catch (error) {
+      console.error("Couldn't load the host's map:", error);
+      return;
+    }
+    
+    this.gameEngine.loadMap(data.id);
+  }
+  
   /**
    * Update the game state with data from the host
    * @param {Object} state - The game state object
@@ -315,6 +358,11 @@ export class NetworkManager {
   updateGameState(state) {
     if (!this.isConnected || this.isHost) return;
     
+    // Build the same map as the host before applying anything else
+    if (state.mapId && this.gameEngine.scene && !this.syncMap(state.mapId, state.mapHash)) {
+      return;
+    }
+    
     // Update remote player positions
     if (state.playerPositions) {
       Object.entries(state.playerPositions).forEach(([playerId, position]) => {
@@ -376,22 +424,21 @@ export class NetworkManager {
               
               // Update health and state
               enemy.health = enemyData.health;
-              enemy.state = enemyData.state;
+              if (enemyData.maxHealth) enemy.maxHealth = enemyData.maxHealth;
               enemy.insideRoom = enemyData.insideRoom || enemy.insideRoom;
               
+              // Sever any limbs the host has shot off
+              if (enemyData.severedLimbs && typeof enemy.applySeveredLimbs === 'function') {
+                enemy.applySeveredLimbs(enemyData.severedLimbs);
+              }
+              
+              // Follow the host's state machine (dying also starts the death animation)
+              enemy.applyNetworkState(enemyData.state);
+              
               // Make sure enemy retains its functionality, especially if host is dead
               if (!enemy.active && enemy.state !== 'dying') {
                 enemy.active = true;
               }
-              
-              // Ensure enemies are properly moving/animated based on state
-              if (enemyData.state === 'moving' && enemy.state !== 'moving') {
-                if (typeof enemy.startMoving === 'function') enemy.startMoving();
-              } else if (enemyData.state === 'attacking' && enemy.state !== 'attacking') {
-                if (typeof enemy.startAttacking === 'function') enemy.startAttacking();
-              } else if (enemyData.state === 'dying' && enemy.state !== 'dying') {
-                if (typeof enemy.die === 'function') enemy.die();
-              }
             } else {
               // Enemy doesn't exist on client, create it
               console.log(`Creating missing enemy ${enemyData.id} from host data`);
@@ -415,11 +462,13 @@ export class NetworkManager {
                     if (enemy.instance && this.gameEngine.scene.instance && typeof this.gameEngine.scene.instance.remove === 'function') {
                       this.gameEngine.scene.instance.remove(enemy.instance);
                     }
+                    EnemyRegistry.release(enemy);
                   }, 500);
                 } else {
                   if (this.gameEngine.scene.instance && typeof this.gameEngine.scene.instance.remove === 'function') {
                     this.gameEngine.scene.instance.remove(enemy.instance);
                   }
+                  EnemyRegistry.release(enemy);
                 }
               }
             });
@@ -439,8 +488,13 @@ export class NetworkManager {
       const enemyManager = this.gameEngine.scene.room.enemyManager;
       enemyManager.currentRound = state.round.round;
       enemyManager.zombiesRemaining = state.round.zombiesRemaining;
+      enemyManager.bossesRemaining = state.round.bossesRemaining || 0;
       enemyManager.roundActive = state.round.roundActive;
       
+      // Special rounds are rolled by the host
+      enemyManager.nextSpecialRound = state.round.nextSpecialRound || null;
+      enemyManager.syncSpecialRound(state.round.special || null, state.round.round);
+      
       // Update UI elements for round info
       if (this.gameEngine.uiManager) {
         this.gameEngine.uiManager.updateRoundInfo(
@@ -463,6 +517,23 @@ export class NetworkManager {
       }
     }
     
+    // Open any doors the host has opened
+    if (Array.isArray(state.doors) && this.gameEngine.scene && this.gameEngine.scene.room) {
+      const room = this.gameEngine.scene.room;
+      state.doors.forEach(doorData => {
+        const door = room.getDoor(doorData.id);
+        if (door && doorData.isOpen && !door.isOpen) {
+          console.log(`Host opened door ${doorData.id}`);
+          room.openDoor(door);
+        }
+      });
+    }
+    
+    // Move the mystery box if the host moved it
+    if (state.mysteryBox && this.gameEngine.scene && this.gameEngine.scene.room) {
+      this.gameEngine.scene.room.applyMysteryBoxState(state.mysteryBox);
+    }
+    
     // Update window states if necessary
     if (state.windows && this.gameEngine.scene && this.gameEngine.scene.room) {
       const room = this.gameEngine.scene.room;
@@ -579,21 +650,7 @@ export class NetworkManager {
       }
       
       // Create appropriate enemy type based on received data
-      let enemy;
-      switch (enemyData.type) {
-        case 'crawler':
-          enemy = new CrawlingZombie(targetWindow);
-          break;
-        case 'runner':
-          enemy = new RunnerZombie(targetWindow);
-          break;
-        case 'spitter':
-          enemy = new SpitterZombie(targetWindow);
-          break;
-        default:
-          enemy = new Enemy(targetWindow);
-          break;
-      }
+      const enemy = EnemyRegistry.create(enemyData.type || 'standard', targetWindow);
       
       // Set the ID to match the host
       enemy.id = enemyData.id;
@@ -612,8 +669,9 @@ export class NetworkManager {
       
       // Set state properties
       enemy.health = enemyData.health;
-      enemy.state = enemyData.state;
+      enemy.maxHealth = enemyData.maxHealth || Math.max(enemy.maxHealth, enemyData.health);
       enemy.insideRoom = enemyData.insideRoom || false;
+      enemy.applyNetworkState(enemyData.state);
       
       // Set manager reference
       enemy.manager = enemyManager;
@@ -621,6 +679,11 @@ export class NetworkManager {
       // Set game engine reference directly
       enemy.gameEngine = this.gameEngine;
       
+      // Limbs lost before we saw this enemy come off without debris
+      if (enemyData.severedLimbs && typeof enemy.applySeveredLimbs === 'function') {
+        enemy.applySeveredLimbs(enemyData.severedLimbs, false);
+      }
+      
       // Set player reference if available
       if (enemyManager.player) {
         enemy.setPlayer(enemyManager.player);
@@ -872,15 +935,21 @@ export class NetworkManager {
           // Update gun appearance based on weapon type
           switch (position.weapon.type) {
             case 'ASSAULT_RIFLE':
-              gun.scale.set(0.1, 0.1, 0.8); // Longer for rifle
+            case 'BURST_RIFLE':
+            case 'SNIPER_RIFLE':
+            case 'LMG':
+              gun.scale.set(1, 1, 1.6); // Longer for rifles
               break;
             case 'SHOTGUN':
-              gun.scale.set(0.12, 0.12, 0.6); // Thicker for shotgun
+              gun.scale.set(1.2, 1.2, 1.2); // Thicker for shotgun
               break;
-            default: // PISTOL
-              gun.scale.set(0.1, 0.1, 0.5); // Default size
+            default: // PISTOL and SMG
+              gun.scale.set(1, 1, 1); // Default size
           }
           
+          // Upgraded weapons glow purple
+          gun.material.color.setHex(position.weapon.upgraded ? 0x9b30ff : 0x333333);
+          
           // Show firing effect if the player is firing
           if (position.weapon.isFiring) {
             if (!gun.userData.muzzleFlash) {
@@ -892,7 +961,7 @@ export class NetworkManager {
                 opacity: 0.8
               });
               const muzzleFlash = new THREE.Mesh(muzzleGeometry, muzzleMaterial);
-              muzzleFlash.position.z = gun.scale.z + 0.1; // Position at end of gun
+              muzzleFlash.position.z = 0.3; // Position at end of gun
               gun.add(muzzleFlash);
               gun.userData.muzzleFlash = muzzleFlash;
               
@@ -1001,11 +1070,11 @@ export class NetworkManager {
             if (typeof enemy.startMoving === 'function') {
               enemy.startMoving();
             }
-          } else if (this.gameEngine.scene.room.windows && 
-                    this.gameEngine.scene.room.windows.length > 0) {
-            // If no living players, target a window instead
-            const randomWindowIndex = Math.floor(Math.random() * this.gameEngine.scene.room.windows.length);
-            enemy.targetWindow = this.gameEngine.scene.room.windows[randomWindowIndex];
+          } else if (this.gameEngine.scene.room.getReachableWindows().length > 0) {
+            // If no living players, target a reachable window instead
+            const reachableWindows = this.gameEngine.scene.room.getReachableWindows();
+            const randomWindowIndex = Math.floor(Math.random() * reachableWindows.length);
+            enemy.targetWindow = reachableWindows[randomWindowIndex];
             
             // Reset target position to window position
             if (enemy.targetWindow && enemy.targetWindow.instance) {
@@ -1037,8 +1106,8 @@ export class NetworkManager {
           z: position.z
         };
         
-        // Ensure enemy is in moving state if not already
-        if (enemy.state !== 'moving' && typeof enemy.startMoving === 'function') {
+        // Ensure enemy is moving if not already
+        if (!enemy.isMoving && typeof enemy.startMoving === 'function') {
           enemy.startMoving();
         }
         
@@ -2818,6 +2887,27 @@ export class NetworkManager {
     return anyAlive;
   }
   
+  /**
+   * Describe the local player's active weapon for position updates
+   * @returns {Object|null} Weapon info ({ type, name, upgraded, isReloading, isFiring }), or null without a weapon
+   */
+  getWeaponInfo() {
+    const controls = this.gameEngine && this.gameEngine.controls;
+    const weapon = controls && controls.activeWeapon;
+    
+    if (!weapon) {
+      return null;
+    }
+    
+    return {
+      type: weapon.type || 'PISTOL', // Mystery box weapons show as a pistol
+      name: weapon.name,
+      upgraded: !!weapon.upgraded,
+      isReloading: controls.isReloading || false,
+      isFiring: controls.shooting || false
+    };
+  }
+
   /**
    * Force an immediate player state update to all clients
    * @param {boolean} force - Whether to force an update even if it would otherwise be rate-limited
@@ -2829,14 +2919,7 @@ export class NetworkManager {
     }
     
     // Get weapon information if available
-    let weaponInfo = null;
-    if (this.gameEngine && this.gameEngine.weaponManager && this.gameEngine.weaponManager.currentWeapon) {
-      weaponInfo = {
-        type: this.gameEngine.weaponManager.currentWeapon.type || 'PISTOL',
-        isReloading: this.gameEngine.weaponManager.isReloading || false,
-        isFiring: this.gameEngine.weaponManager.isFiring || false
-      };
-    }
+    const weaponInfo = this.getWeaponInfo();
     
     console.log("Forcing immediate player state update to all clients");
     
@@ -1,3 +1,5 @@
+import { MapLoader } from '../maps/MapLoader.js';
+
 /**
  * P2P networking module for multiplayer functionality
  * Using PeerJS to handle WebRTC connections
@@ -14,6 +16,7 @@ export class P2PNetwork {
     this.onPlayerJoined = null;
     this.onPlayerLeft = null;
     this.onGameStateUpdate = null;
+    this.onMapReceived = null;
     this.onError = null;
     this.lastStateSent = 0;
     this.stateUpdateInterval = 50; // ms between state updates
@@ -436,6 +439,13 @@ export class P2PNetwork {
         }
         break;
         
+      case 'mapData':
+        // Host sent a map we didn't have
+        if (!this.isHost && this.onMapReceived) {
+          this.onMapReceived(data.map);
+        }
+        break;
+        
       case 'playerAction':
         // Handle a player action (shooting, movement, etc.)
         this.handlePlayerAction(data.action, conn.peer);
@@ -498,6 +508,21 @@ export class P2PNetwork {
     if (action.type === 'damageEnemy' && this.isHost) {
       // Apply damage to the enemy if we're the host
       this.applyEnemyDamage(action.data, playerId);
+    } else if (action.type === 'openDoor' && this.isHost) {
+      // Open the door a client paid for
+      this.applyDoorOpen(action.data, playerId);
+    } else if (action.type === 'requestMap' && this.isHost) {
+      // A client doesn't have the map we're playing on
+      this.sendMap(action.data, playerId);
+    } else if (action.type === 'collectPowerUp' && this.isHost) {
+      // A client walked into a power-up
+      this.applyPowerUpCollect(action.data, playerId);
+    } else if (action.type === 'mysteryBoxUsed' && this.isHost) {
+      // Count a client's spin towards moving the box
+      this.applyMysteryBoxUse(playerId);
+    } else if (action.type === 'throwGrenade') {
+      // The host blows it up, clients just watch it fly
+      this.applyGrenadeThrow(action.data, playerId);
     }
     
     // If we're the host, broadcast this to all other clients
@@ -510,6 +535,97 @@ export class P2PNetwork {
     }
   }
   
+  /**
+   * Open a door from a client request (host only)
+   * @param {Object} doorData - The door data ({ doorId })
+   * @param {string} playerId - The ID of the player who bought the door
+   */
+  applyDoorOpen(doorData, playerId) {
+    if (!this.isHost || !this.gameEngine || !this.gameEngine.scene || !this.gameEngine.scene.room) {
+      console.warn("Cannot open door: not host or game scene not fully initialized");
+      return;
+    }
+    
+    const room = this.gameEngine.scene.room;
+    const door = room.getDoor(doorData.doorId);
+    
+    if (!door) {
+      console.warn(`Door with ID ${doorData.doorId} not found`);
+      return;
+    }
+    
+    console.log(`Host opening door ${doorData.doorId} bought by client ${playerId}`);
+    room.openDoor(door);
+    
+    // Let every client know straight away
+    this.broadcastGameState(true);
+  }
+  
+  /**
+   * Send a client the data of the map we're playing on (host only)
+   * @param {Object} mapData - The request ({ mapId })
+   * @param {string} playerId - The ID of the player who asked for it
+   */
+  sendMap(mapData, playerId) {
+    const data = MapLoader.getData(mapData.mapId);
+    const playerConn = this.connections.find(conn => conn.peer === playerId);
+    
+    if (!data || !playerConn || !playerConn.open) {
+      console.warn(`Cannot send map "${mapData.mapId}" to player ${playerId}`);
+      return;
+    }
+    
+    console.log(`Sending map "${data.id}" to player ${playerId}`);
+    playerConn.send({
+      type: 'mapData',
+      map: data
+    });
+  }
+  
+  /**
+   * Give a power-up to the client that walked into it (host only)
+   * @param {Object} powerUpData - The power-up data ({ powerUpId })
+   * @param {string} playerId - The ID of the player who picked it up
+   */
+  applyPowerUpCollect(powerUpData, playerId) {
+    if (!this.isHost || !this.gameEngine || !this.gameEngine.scene || !this.gameEngine.scene.room ||
+        !this.gameEngine.scene.room.enemyManager) {
+      console.warn("Cannot collect power-up: not host or game scene not fully initialized");
+      return;
+    }
+    
+    this.gameEngine.scene.room.enemyManager.powerUps.handleCollectRequest(powerUpData.powerUpId, playerId);
+  }
+  
+  /**
+   * Count a mystery box spin a client made (host only)
+   * @param {string} playerId - The ID of the player who spun the box
+   */
+  applyMysteryBoxUse(playerId) {
+    if (!this.isHost || !this.gameEngine || !this.gameEngine.scene || !this.gameEngine.scene.room) {
+      console.warn("Cannot count mystery box spin: not host or game scene not fully initialized");
+      return;
+    }
+    
+    console.log(`Client ${playerId} spun the mystery box`);
+    this.gameEngine.scene.room.registerMysteryBoxUse();
+  }
+  
+  /**
+   * Add a grenade another player threw (the host resolves its explosion)
+   * @param {Object} grenadeData - The throw data ({ id, origin, velocity })
+   * @param {string} playerId - The ID of the player who threw it
+   */
+  applyGrenadeThrow(grenadeData, playerId) {
+    if (!this.gameEngine || !this.gameEngine.scene || !this.gameEngine.scene.room ||
+        !this.gameEngine.scene.room.enemyManager) {
+      console.warn("Cannot add grenade: game scene not fully initialized");
+      return;
+    }
+    
+    this.gameEngine.scene.room.enemyManager.grenades.handleThrowAction(grenadeData, playerId);
+  }
+  
   /**
    * Apply damage to an enemy from a client request (host only)
    * @param {Object} damageData - The damage data
@@ -523,16 +639,16 @@ export class P2PNetwork {
     }
     
     try {
-      const { enemyId, damage, isHeadshot } = damageData;
-      console.log(`Host applying damage from client ${playerId}: ${damage} to enemy ${enemyId} (headshot: ${isHeadshot})`);
+      const { enemyId, damage, isHeadshot, hitZone } = damageData;
+      console.log(`Host applying damage from client ${playerId}: ${damage} to enemy ${enemyId} (headshot: ${isHeadshot}, zone: ${hitZone || 'body'})`);
       
       // Find the enemy by ID
       const enemyManager = this.gameEngine.scene.room.enemyManager;
       const enemy = enemyManager.enemies.find(e => e.id === enemyId);
       
       if (enemy) {
-        // Apply damage to the enemy
-        enemy.takeDamage(damage);
+        // Apply damage to the enemy (limb hits can sever limbs)
+        enemy.takeDamage(damage, hitZone || null);
         console.log(`Applied ${damage} damage to enemy ${enemyId}, health now: ${enemy.health}`);
         
         // Ensure immediate state update to all clients
@@ -687,10 +803,14 @@ export class P2PNetwork {
     if (!this.gameEngine) return {};
     
     return {
+      mapId: this.gameEngine.scene ? this.gameEngine.scene.mapId : null,
+      mapHash: this.gameEngine.scene ? MapLoader.getHash(this.gameEngine.scene.mapId) : null,
       playerPositions: this.getPlayerPositions(),
       enemies: this.getEnemiesState(),
       round: this.getRoundInfo(),
       windows: this.getWindowsState(),
+      doors: this.getDoorsState(),
+      mysteryBox: this.getMysteryBoxState(),
       gameStatus: this.getGameStatus(),
       // Add other relevant game state data
     };
@@ -750,8 +870,10 @@ export class P2PNetwork {
         z: enemy.instance.position.z
       },
       health: enemy.health,
+      maxHealth: enemy.maxHealth,
       type: enemy.type || 'standard', // Include zombie type for proper spawning
-      state: enemy.state || 'idle', // idle, attacking, dying, etc.
+      state: enemy.state, // approaching, tearingBoards, chasing, dying, etc. (see EnemyStates)
+      severedLimbs: enemy.severedLimbs || [], // Limbs shot off (both legs = crawling)
       targetWindow: enemy.targetWindow ? {
         index: this.gameEngine.scene.room.windows.indexOf(enemy.targetWindow)
       } : null, // Include target window information
@@ -771,7 +893,10 @@ export class P2PNetwork {
     return {
       round: this.gameEngine.scene.room.enemyManager.currentRound,
       zombiesRemaining: this.gameEngine.scene.room.enemyManager.zombiesRemaining,
-      roundActive: this.gameEngine.scene.room.enemyManager.roundActive
+      bossesRemaining: this.gameEngine.scene.room.enemyManager.bossesRemaining,
+      roundActive: this.gameEngine.scene.room.enemyManager.roundActive,
+      special: this.gameEngine.scene.room.enemyManager.currentWave ? this.gameEngine.scene.room.enemyManager.currentWave.special : null,
+      nextSpecialRound: this.gameEngine.scene.room.enemyManager.nextSpecialRound
     };
   }
   
@@ -797,6 +922,33 @@ export class P2PNetwork {
     }));
   }
   
+  /**
+   * Get where the mystery box is
+   * @returns {Object|null} Mystery box state, or null if there is no room
+   */
+  getMysteryBoxState() {
+    if (!this.gameEngine.scene || !this.gameEngine.scene.room) {
+      return null;
+    }
+    
+    return this.gameEngine.scene.room.getMysteryBoxState();
+  }
+  
+  /**
+   * Get the open/closed state of every door
+   * @returns {Array} Array of { id, isOpen } objects
+   */
+  getDoorsState() {
+    if (!this.gameEngine.scene || !this.gameEngine.scene.room || !this.gameEngine.scene.room.doors) {
+      return [];
+    }
+    
+    return this.gameEngine.scene.room.doors.map(door => ({
+      id: door.id,
+      isOpen: door.isOpen
+    }));
+  }
+  
   /**
    * Get game status information like paused state, game over state, etc.
    * @returns {Object} Game status information
@@ -876,6 +1028,37 @@ export class P2PNetwork {
       case 'endGame':
         this.gameEngine.endGame();
         break;
+        
+      case 'explosion':
+        if (this.gameEngine.scene && this.gameEngine.scene.room && this.gameEngine.scene.room.enemyManager) {
+          this.gameEngine.scene.room.enemyManager.handleExplosionEvent(action.data);
+        }
+        break;
+        
+      case 'grenadeExplosion':
+        if (this.gameEngine.scene && this.gameEngine.scene.room && this.gameEngine.scene.room.enemyManager) {
+          this.gameEngine.scene.room.enemyManager.grenades.handleExplosionEvent(action.data);
+        }
+        break;
+        
+      case 'acidPool':
+        if (this.gameEngine.scene && this.gameEngine.scene.room && this.gameEngine.scene.room.enemyManager) {
+          this.gameEngine.scene.room.enemyManager.acidPools.handleNetworkPool(action.data);
+        }
+        break;
+        
+      case 'hellhoundPack':
+        if (this.gameEngine.scene && this.gameEngine.scene.room && this.gameEngine.scene.room.enemyManager) {
+          this.gameEngine.scene.room.enemyManager.showHellhoundPackEffect(action.data.points);
+        }
+        break;
+        
+      case 'powerUpDrop':
+      case 'powerUpCollected':
+        if (this.gameEngine.scene && this.gameEngine.scene.room && this.gameEngine.scene.room.enemyManager) {
+          this.gameEngine.scene.room.enemyManager.powerUps.handleNetworkEvent(action.type, action.data);
+        }
+        break;
     }
   }
   
@@ -1189,6 +1372,87 @@ export class P2PNetwork {
     });
   }
   
+  /**
+   * Host: Tell all clients a zombie exploded
+   * @param {Object} explosion - Explosion data (position, radius, damage)
+   */
+  hostBroadcastExplosion(explosion) {
+    if (!this.isHost || !this.isConnected) return;
+    
+    this.broadcastToAll({
+      type: 'hostAction',
+      action: {
+        type: 'explosion',
+        data: explosion
+      }
+    });
+  }
+  
+  /**
+   * Host: Tell all clients a grenade went off and who to pay for it
+   * @param {Object} explosion - Explosion data (id, position, throwerId, hits, kills)
+   */
+  hostBroadcastGrenadeExplosion(explosion) {
+    if (!this.isHost || !this.isConnected) return;
+    
+    this.broadcastToAll({
+      type: 'hostAction',
+      action: {
+        type: 'grenadeExplosion',
+        data: explosion
+      }
+    });
+  }
+  
+  /**
+   * Host: Tell all clients a spitter left a pool of acid
+   * @param {Object} pool - Pool data (id, position, radius, lifetime)
+   */
+  hostBroadcastAcidPool(pool) {
+    if (!this.isHost || !this.isConnected) return;
+    
+    this.broadcastToAll({
+      type: 'hostAction',
+      action: {
+        type: 'acidPool',
+        data: pool
+      }
+    });
+  }
+  
+  /**
+   * Host: Tell all clients where a hellhound pack appeared
+   * @param {Object} pack - Pack data (points)
+   */
+  hostBroadcastHellhoundPack(pack) {
+    if (!this.isHost || !this.isConnected) return;
+    
+    this.broadcastToAll({
+      type: 'hostAction',
+      action: {
+        type: 'hellhoundPack',
+        data: pack
+      }
+    });
+  }
+  
+  /**
+   * Host: Tell all clients a power-up dropped or was picked up
+   * @param {string} type - 'powerUpDrop' or 'powerUpCollected'
+   * @param {Object} data - Power-up data (id, type, position)
+   */
+  hostBroadcastPowerUpEvent(type, data) {
+    if (!this.isHost || !this.isConnected) return;
+    
+    this.broadcastToAll({
+      type: 'hostAction',
+      action: {
+        type: type,
+        data: data
+      }
+    });
+  }
+  
   /**
    * Host control: Respawn a specific player
    * @param {string} playerId - The ID of the player to respawn
@@ -0,0 +1,256 @@
+import * as THREE from 'three';
+
+// Shared by every pool (each pool only gets its own material so it can fade)
+const POOL_GEOMETRY = new THREE.CircleGeometry(1, 24);
+let poolTexture = null;
+
+/**
+ * Draw the acid decal once (a bright core with blotchy edges)
+ * @returns {THREE.CanvasTexture} The decal texture
+ */
+function getPoolTexture() {
+  if (poolTexture) return poolTexture;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = 128;
+  canvas.height = 128;
+  const context = canvas.getContext('2d');
+
+  const gradient = context.createRadialGradient(64, 64, 4, 64, 64, 64);
+  gradient.addColorStop(0, 'rgba(170, 255, 120, 0.95)');
+  gradient.addColorStop(0.5, 'rgba(60, 220, 60, 0.8)');
+  gradient.addColorStop(0.85, 'rgba(30, 140, 30, 0.4)');
+  gradient.addColorStop(1, 'rgba(30, 140, 30, 0)');
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, 128, 128);
+
+  // Bubbles
+  context.fillStyle = 'rgba(210, 255, 170, 0.6)';
+  for (let i = 0; i < 14; i++) {
+    const angle = Math.random() * Math.PI * 2;
+    const distance = Math.random() * 40;
+    context.beginPath();
+    context.arc(64 + Math.cos(angle) * distance, 64 + Math.sin(angle) * distance, 2 + Math.random() * 4, 0, Math.PI * 2);
+    context.fill();
+  }
+
+  poolTexture = new THREE.CanvasTexture(canvas);
+  return poolTexture;
+}
+
+/**
+ * Acid pools left on the floor by spitter projectiles. Players standing in one take
+ * damage over time and move slower. In multiplayer the host decides where pools
+ * appear and tells the clients, and every game hurts its own player.
+ */
+export class AcidPoolSystem {
+  /**
+   * @param {EnemyManager} manager - The enemy manager (for the scene, player and network)
+   */
+  constructor(manager) {
+    this.manager = manager;
+    this.pools = [];
+    this.nextId = 1;
+    
+    // Pool tuning
+    this.radius = 1.1;
+    this.lifetime = 6; // Seconds a pool lasts
+    this.fadeTime = 1.5; // Seconds spent fading out at the end
+    this.maxPools = 12; // Oldest pools dry up first past this
+    
+    // Effect on players standing in a pool
+    this.damagePerSecond = 8;
+    this.damageInterval = 0.5; // Seconds between damage ticks
+    this.damageTimer = this.damageInterval;
+    this.slowMultiplier = 0.55;
+    this.isSlowingPlayer = false;
+  }
+
+  /**
+   * Check if this game decides where pools appear (host or singleplayer)
+   * @returns {boolean} True if we're in charge
+   */
+  isAuthority() {
+    const networkManager = this.manager.gameEngine && this.manager.gameEngine.networkManager;
+    return !(networkManager && networkManager.isMultiplayer && !networkManager.isHost);
+  }
+
+  /**
+   * Leave a pool where a projectile hit the floor (host or singleplayer)
+   * @param {THREE.Vector3} position - Where the projectile landed
+   */
+  createPool(position) {
+    if (!this.isAuthority()) return;
+    
+    // Landing in an existing pool tops it up instead of stacking another one
+    const existing = this.pools.find(pool => this.isInPool(pool, position));
+    if (existing) {
+      existing.age = 0;
+      this.broadcastPool({
+        id: existing.id,
+        position: { x: existing.position.x, z: existing.position.z },
+        radius: existing.radius,
+        lifetime: existing.lifetime
+      });
+      return;
+    }
+    
+    const pool = {
+      id: `acid_${this.nextId++}_${Date.now().toString(36)}`,
+      position: { x: position.x, z: position.z },
+      radius: this.radius * (0.85 + Math.random() * 0.3),
+      lifetime: this.lifetime
+    };
+    
+    this.spawnPool(pool);
+    this.broadcastPool(pool);
+  }
+
+  /**
+   * Let the clients see a new or topped-up pool (host)
+   * @param {Object} pool - Pool data ({ id, position, radius, lifetime })
+   */
+  broadcastPool(pool) {
+    const networkManager = this.manager.gameEngine && this.manager.gameEngine.networkManager;
+    if (networkManager && networkManager.isMultiplayer && networkManager.isHost && networkManager.network) {
+      networkManager.network.hostBroadcastAcidPool(pool);
+    }
+  }
+
+  /**
+   * Show a pool the host created, or top up one we already have (clients)
+   * @param {Object} pool - Pool data ({ id, position, radius, lifetime })
+   */
+  handleNetworkPool(pool) {
+    const existing = this.pools.find(known => known.id === pool.id);
+    if (existing) {
+      existing.age = 0;
+      return;
+    }
+    
+    this.spawnPool(pool);
+  }
+
+  /**
+   * Add a pool's decal to the floor
+   * @param {Object} data - Pool data ({ id, position, radius, lifetime })
+   */
+  spawnPool(data) {
+    const material = new THREE.MeshBasicMaterial({
+      map: getPoolTexture(),
+      transparent: true,
+      opacity: 0.85,
+      depthWrite: false,
+      polygonOffset: true, // Draw over the floor without z-fighting
+      polygonOffsetFactor: -4
+    });
+    
+    const mesh = new THREE.Mesh(POOL_GEOMETRY, material);
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.rotation.z = Math.random() * Math.PI * 2;
+    mesh.position.set(data.position.x, 0.02, data.position.z);
+    mesh.scale.setScalar(data.radius);
+    mesh.renderOrder = 1;
+    
+    this.manager.scene.add(mesh);
+    
+    this.pools.push({
+      id: data.id,
+      position: new THREE.Vector3(data.position.x, 0, data.position.z),
+      radius: data.radius,
+      lifetime: data.lifetime,
+      age: 0,
+      mesh: mesh
+    });
+    
+    // Dry up the oldest pool if there are too many
+    if (this.pools.length > this.maxPools) {
+      this.removePool(this.pools[0]);
+    }
+  }
+
+  /**
+   * Check if a position is inside a pool
+   * @param {Object} pool - The pool
+   * @param {THREE.Vector3} position - Position to check
+   * @returns {boolean} True if inside
+   */
+  isInPool(pool, position) {
+    const dx = position.x - pool.position.x;
+    const dz = position.z - pool.position.z;
+    return dx * dx + dz * dz < pool.radius * pool.radius;
+  }
+
+  /**
+   * Age and fade pools, and hurt and slow the local player while they stand in one
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  update(deltaTime) {
+    this.pools.slice().forEach(pool => {
+      pool.age += deltaTime;
+      
+      const timeLeft = pool.lifetime - pool.age;
+      if (timeLeft <= 0) {
+        this.removePool(pool);
+        return;
+      }
+      
+      // Simmer, then fade out at the end
+      pool.mesh.material.opacity = 0.85 * Math.min(1, timeLeft / this.fadeTime);
+      pool.mesh.scale.setScalar(pool.radius * (1 + Math.sin(pool.age * 4) * 0.03));
+    });
+    
+    this.updatePlayer(deltaTime);
+  }
+
+  /**
+   * Apply the acid to the local player
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updatePlayer(deltaTime) {
+    const player = this.manager.player;
+    if (!player || !player.camera) return;
+    
+    const inAcid = !player.isDead && this.pools.some(pool => this.isInPool(pool, player.camera.position));
+    
+    // Slow the player only while standing in acid
+    if (inAcid !== this.isSlowingPlayer) {
+      this.isSlowingPlayer = inAcid;
+      player.slowMultiplier = inAcid ? this.slowMultiplier : 1;
+    }
+    
+    if (!inAcid) {
+      // The first tick lands as soon as the player steps in
+      this.damageTimer = this.damageInterval;
+      return;
+    }
+    
+    this.damageTimer += deltaTime;
+    if (this.damageTimer >= this.damageInterval) {
+      this.damageTimer -= this.damageInterval;
+      player.takeDamage(this.damagePerSecond * this.damageInterval);
+    }
+  }
+
+  /**
+   * Remove a pool
+   * @param {Object} pool - The pool
+   */
+  removePool(pool) {
+    pool.mesh.removeFromParent();
+    pool.mesh.material.dispose();
+    this.pools = this.pools.filter(p => p !== pool);
+  }
+
+  /**
+   * Remove every pool (new game or map change)
+   */
+  reset() {
+    this.pools.slice().forEach(pool => this.removePool(pool));
+    
+    if (this.isSlowingPlayer && this.manager.player) {
+      this.manager.player.slowMultiplier = 1;
+    }
+    this.isSlowingPlayer = false;
+  }
+}
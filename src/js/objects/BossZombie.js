@@ -0,0 +1,550 @@
+import * as THREE from 'three';
+import { Enemy } from './Enemy';
+import { EnemyStates } from './EnemyStateMachine';
+
+// Extra state: winding up, landing and recovering from a ground slam
+const SLAMMING = 'slamming';
+
+/**
+ * Creates a boss zombie that shows up on milestone rounds. It has a huge health pool,
+ * tears every board off a window at once and gets more dangerous as it is worn down:
+ * it starts ground slamming below two thirds health and becomes enraged below one third.
+ */
+export class BossZombie extends Enemy {
+  constructor(targetWindow) {
+    super(targetWindow);
+    
+    // Set the type for network synchronization
+    this.type = 'boss';
+    this.animatesMaterials = true;
+    this.name = 'THE ABOMINATION';
+    
+    // Override default enemy properties (EnemyManager scales these with the round)
+    this.health = 1500;
+    this.maxHealth = 1500;
+    this.speed = 0.6;
+    this.attackRate = 1;
+    this.attackDamage = 100;
+    this.resistsInstaKill = true; // Insta-kill and nukes don't work on the boss
+    this.playerDamage = 45;
+    this.attackCooldown = 1.5; // Slow but heavy swings
+    this.collisionRadius = 0.7;
+    
+    // Points every player gets when the boss goes down
+    this.pointsReward = 1000;
+    
+    // Boss is much bigger than a normal zombie
+    this.height = 2.8;
+    this.floorLevel = 0;
+    
+    // Phases: 1 = normal, 2 = ground slams, 3 = enraged
+    this.phase = 1;
+    this.enrageSpeedMultiplier = 1.35;
+    this.stateMachine.addState(SLAMMING, {
+      from: [EnemyStates.CHASING, EnemyStates.ATTACKING],
+      to: [EnemyStates.CHASING]
+    });
+    
+    // Window smash (every board comes off at once after a wind-up)
+    this.windowSmashWindup = 1.5; // seconds
+    this.windowSmashStartTime = null;
+    
+    // Ground slam
+    this.slamCooldown = 7; // seconds between slams (halved when enraged)
+    this.slamTriggerRange = 3.5; // Starts a slam when a player is this close
+    this.slamRadius = 5; // Players inside this radius get hit
+    this.slamDamage = 40; // Damage at the centre, half at the edge
+    this.slamWindup = 1.0;
+    this.slamRecovery = 0.6;
+    this.isSlamming = false;
+    this.slamTimer = 0;
+    this.slamHasHit = false;
+    this.lastSlamTime = 0;
+    this.slamTelegraph = null;
+    this.shockwave = null;
+    this.shockwaveTime = 0;
+    
+    // Deep, infrequent groans
+    this.soundFrequency = 0.15;
+    
+    // Override materials to make it distinct
+    this.bodyMaterial = new THREE.MeshStandardMaterial({
+      color: 0x4A3B4F, // Bruised purple-grey flesh
+      roughness: 0.9,
+      metalness: 0.1
+    });
+    
+    this.eyeMaterial = new THREE.MeshStandardMaterial({
+      color: 0xFFCC00, // Glowing yellow eyes
+      emissive: 0xFFCC00,
+      emissiveIntensity: 0.8
+    });
+    
+    this.boneMaterial = new THREE.MeshStandardMaterial({
+      color: 0xD8CFB8, // Bone plates
+      roughness: 0.6,
+      metalness: 0.0
+    });
+  }
+
+  /**
+   * Override the enemy mesh creation to make a hulking boss
+   */
+  createEnemyMesh() {
+    // Torso - wide and hunched
+    const bodyGeometry = new THREE.BoxGeometry(1.4, 1.5, 0.9);
+    const body = new THREE.Mesh(bodyGeometry, this.bodyMaterial);
+    body.position.y = 1.65;
+    body.rotation.x = 0.15; // Hunched forward
+    body.castShadow = true;
+    body.name = "bossBody";
+    
+    // Head - small for the body, sunk between the shoulders
+    // (named like the standard zombie head so headshots register)
+    const headGeometry = new THREE.SphereGeometry(0.38, 16, 16);
+    const head = new THREE.Mesh(headGeometry, this.bodyMaterial);
+    head.position.set(0, 2.55, 0.2);
+    head.castShadow = true;
+    head.name = "zombieHead";
+    
+    // Eyes
+    const eyeGeometry = new THREE.SphereGeometry(0.09, 8, 8);
+    
+    // Left eye
+    const leftEye = new THREE.Mesh(eyeGeometry, this.eyeMaterial);
+    leftEye.position.set(-0.14, 2.6, 0.52);
+    
+    // Right eye
+    const rightEye = new THREE.Mesh(eyeGeometry, this.eyeMaterial);
+    rightEye.position.set(0.14, 2.6, 0.52);
+    
+    // Arms - long and heavy, pivoting at the shoulder so they can be raised for slams
+    const armGeometry = new THREE.BoxGeometry(0.4, 1.5, 0.4);
+    armGeometry.translate(0, -0.75, 0);
+    
+    // Left arm
+    const leftArm = new THREE.Mesh(armGeometry, this.bodyMaterial);
+    leftArm.position.set(-0.95, 2.3, 0.1);
+    leftArm.castShadow = true;
+    
+    // Right arm
+    const rightArm = new THREE.Mesh(armGeometry, this.bodyMaterial);
+    rightArm.position.set(0.95, 2.3, 0.1);
+    rightArm.castShadow = true;
+    
+    // Fists
+    const fistGeometry = new THREE.BoxGeometry(0.55, 0.45, 0.55);
+    const leftFist = new THREE.Mesh(fistGeometry, this.boneMaterial);
+    leftFist.position.y = -1.6;
+    leftArm.add(leftFist);
+    
+    const rightFist = new THREE.Mesh(fistGeometry, this.boneMaterial);
+    rightFist.position.y = -1.6;
+    rightArm.add(rightFist);
+    
+    // Legs - thick stumps
+    const legGeometry = new THREE.BoxGeometry(0.5, 0.9, 0.5);
+    
+    // Left leg
+    const leftLeg = new THREE.Mesh(legGeometry, this.bodyMaterial);
+    leftLeg.position.set(-0.4, 0.45, 0);
+    leftLeg.castShadow = true;
+    
+    // Right leg
+    const rightLeg = new THREE.Mesh(legGeometry, this.bodyMaterial);
+    rightLeg.position.set(0.4, 0.45, 0);
+    rightLeg.castShadow = true;
+    
+    // Bone plates on the back and shoulders
+    const plateGeometry = new THREE.BoxGeometry(0.5, 0.2, 0.6);
+    const leftShoulderPlate = new THREE.Mesh(plateGeometry, this.boneMaterial);
+    leftShoulderPlate.position.set(-0.75, 2.45, 0);
+    leftShoulderPlate.rotation.z = 0.3;
+    
+    const rightShoulderPlate = new THREE.Mesh(plateGeometry, this.boneMaterial);
+    rightShoulderPlate.position.set(0.75, 2.45, 0);
+    rightShoulderPlate.rotation.z = -0.3;
+    
+    const spineGeometry = new THREE.ConeGeometry(0.12, 0.4, 6);
+    const spikes = [];
+    for (let i = 0; i < 3; i++) {
+      const spike = new THREE.Mesh(spineGeometry, this.boneMaterial);
+      spike.position.set(0, 2.2 - i * 0.4, -0.5);
+      spike.rotation.x = -Math.PI / 3;
+      spikes.push(spike);
+    }
+    
+    // Add all parts to the group
+    this.instance.add(body);
+    this.instance.add(head);
+    this.instance.add(leftEye);
+    this.instance.add(rightEye);
+    this.instance.add(leftArm);
+    this.instance.add(rightArm);
+    this.instance.add(leftLeg);
+    this.instance.add(rightLeg);
+    this.instance.add(leftShoulderPlate);
+    this.instance.add(rightShoulderPlate);
+    spikes.forEach(spike => this.instance.add(spike));
+    
+    // Store references to body parts for damage effects
+    this.bodyParts = {
+      body,
+      head,
+      leftEye,
+      rightEye,
+      leftArm,
+      rightArm,
+      leftLeg,
+      rightLeg,
+      leftFist,
+      rightFist,
+      leftShoulderPlate,
+      rightShoulderPlate
+    };
+    spikes.forEach((spike, index) => {
+      this.bodyParts[`spike${index}`] = spike;
+    });
+  }
+
+  /**
+   * The boss uses the HUD boss bar instead of a floating health bar
+   */
+  createHealthBar() {
+    // Intentionally empty
+  }
+
+  /**
+   * Update boss logic
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  update(deltaTime) {
+    // If enemy manager is paused, don't update
+    if (this.manager && this.manager.isPaused) {
+      return;
+    }
+    
+    // Keep the shockwave expanding even while dying
+    this.updateShockwave(deltaTime);
+    
+    if (this.isDead) {
+      super.update(deltaTime);
+      return;
+    }
+    
+    this.updatePhase();
+    
+    // Stand still while slamming
+    if (this.isSlamming) {
+      this.updateStateMachine(deltaTime);
+      this.updateSlam(deltaTime);
+      return;
+    }
+    
+    super.update(deltaTime);
+    
+    // Slams only happen once the boss is inside and wounded
+    if (this.insideRoom && this.phase >= 2) {
+      this.tryStartSlam();
+    }
+  }
+
+  /**
+   * Move to the next phase when health drops below a threshold
+   */
+  updatePhase() {
+    const healthPercent = this.health / this.maxHealth;
+    const phase = healthPercent > 0.66 ? 1 : (healthPercent > 0.33 ? 2 : 3);
+    
+    if (phase <= this.phase) return;
+    
+    this.phase = phase;
+    console.log(`Boss ${this.id} entering phase ${phase}`);
+    
+    if (phase === 3) {
+      // Enraged: faster, slams more often, eyes burn red
+      this.speed *= this.enrageSpeedMultiplier;
+      this.slamCooldown /= 2;
+      this.attackCooldown *= 0.75;
+      this.eyeMaterial.color.setHex(0xFF2200);
+      this.eyeMaterial.emissive.setHex(0xFF2200);
+      this.eyeMaterial.emissiveIntensity = 1.2;
+    }
+    
+    if (this.manager && typeof this.manager.onBossPhaseChange === 'function') {
+      this.manager.onBossPhaseChange(this, phase);
+    }
+  }
+
+  /**
+   * Rip every board off the window after a short wind-up
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  attackWindow(deltaTime) {
+    const currentTime = performance.now() / 1000;
+    
+    // Start winding up
+    if (this.windowSmashStartTime === null) {
+      this.windowSmashStartTime = currentTime;
+    }
+    
+    const progress = Math.min(1, (currentTime - this.windowSmashStartTime) / this.windowSmashWindup);
+    this.raiseArms(progress);
+    
+    if (progress < 1) return;
+    
+    // Smash every board at once
+    let boardsBroken = 0;
+    while (this.targetWindow.boardsCount > 0) {
+      this.targetWindow.removeBoard();
+      boardsBroken++;
+    }
+    
+    this.windowSmashStartTime = null;
+    this.lastAttackTime = currentTime;
+    this.raiseArms(0);
+    this.playAttackAnimation();
+    
+    if (boardsBroken > 0) {
+      console.log(`Boss ${this.id} smashed ${boardsBroken} boards off a window`);
+      
+      if (this.player && typeof this.player.playWindowBoardBreakingSound === 'function') {
+        this.player.playWindowBoardBreakingSound(this.targetWindow);
+      }
+    }
+  }
+
+  /**
+   * Raise or lower both arms
+   * @param {number} amount - 0 (arms down) to 1 (arms over the head)
+   */
+  raiseArms(amount) {
+    if (!this.bodyParts) return;
+    
+    this.bodyParts.leftArm.rotation.x = -amount * Math.PI * 0.85;
+    this.bodyParts.rightArm.rotation.x = -amount * Math.PI * 0.85;
+  }
+
+  /**
+   * Start a ground slam if a player is close and the slam is off cooldown
+   */
+  tryStartSlam() {
+    const currentTime = performance.now() / 1000;
+    if (currentTime - this.lastSlamTime < this.slamCooldown) {
+      return;
+    }
+    
+    if (this.getClosestPlayerDistance() > this.slamTriggerRange) {
+      return;
+    }
+    
+    if (!this.stateMachine.setState(SLAMMING)) {
+      return;
+    }
+    
+    this.isSlamming = true;
+    this.slamTimer = 0;
+    this.slamHasHit = false;
+    
+    // Warning ring on the floor showing how far the slam reaches
+    const ringGeometry = new THREE.RingGeometry(this.slamRadius - 0.15, this.slamRadius, 48);
+    const ringMaterial = new THREE.MeshBasicMaterial({
+      color: 0xff3300,
+      transparent: true,
+      opacity: 0.3,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+    this.slamTelegraph = new THREE.Mesh(ringGeometry, ringMaterial);
+    this.slamTelegraph.rotation.x = -Math.PI / 2;
+    this.slamTelegraph.position.y = 0.03;
+    this.instance.add(this.slamTelegraph);
+    
+    console.log(`Boss ${this.id} winding up a ground slam`);
+  }
+
+  /**
+   * Wind up, slam and recover
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateSlam(deltaTime) {
+    this.slamTimer += deltaTime;
+    
+    if (this.slamTimer < this.slamWindup) {
+      // Raise the arms and pulse the warning ring
+      const progress = this.slamTimer / this.slamWindup;
+      this.raiseArms(progress);
+      
+      if (this.slamTelegraph) {
+        this.slamTelegraph.material.opacity = 0.3 + 0.4 * Math.abs(Math.sin(this.slamTimer * 12));
+      }
+      return;
+    }
+    
+    if (!this.slamHasHit) {
+      this.slamHasHit = true;
+      this.raiseArms(0);
+      this.performSlam();
+      return;
+    }
+    
+    // Recover before moving again
+    if (this.slamTimer >= this.slamWindup + this.slamRecovery) {
+      this.isSlamming = false;
+      this.lastSlamTime = performance.now() / 1000;
+      this.stateMachine.setState(EnemyStates.CHASING);
+    }
+  }
+
+  /**
+   * Hit the ground, damaging the local player if they are in range
+   * (remote players take their damage in their own game, like normal zombie hits)
+   */
+  performSlam() {
+    this.removeSlamTelegraph();
+    this.createShockwave();
+    
+    if (!this.player || this.player.isDead) return;
+    
+    const playerPosition = this.player.camera.position;
+    const distance = Math.hypot(
+      playerPosition.x - this.instance.position.x,
+      playerPosition.z - this.instance.position.z
+    );
+    
+    if (distance < this.slamRadius) {
+      // Full damage at the centre, half at the edge
+      const damage = this.slamDamage * (1 - 0.5 * distance / this.slamRadius);
+      console.log(`Boss ground slam hit the player for ${damage.toFixed(0)} damage`);
+      this.player.takeDamage(damage);
+    }
+  }
+
+  /**
+   * Remove the slam warning ring
+   */
+  removeSlamTelegraph() {
+    if (!this.slamTelegraph) return;
+    
+    this.instance.remove(this.slamTelegraph);
+    this.slamTelegraph.geometry.dispose();
+    this.slamTelegraph.material.dispose();
+    this.slamTelegraph = null;
+  }
+
+  /**
+   * Create the expanding shockwave ring
+   */
+  createShockwave() {
+    this.removeShockwave();
+    
+    const ringGeometry = new THREE.RingGeometry(0.8, 1, 48);
+    const ringMaterial = new THREE.MeshBasicMaterial({
+      color: 0xC8A165, // Dust coloured
+      transparent: true,
+      opacity: 0.8,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+    this.shockwave = new THREE.Mesh(ringGeometry, ringMaterial);
+    this.shockwave.rotation.x = -Math.PI / 2;
+    this.shockwave.position.y = 0.05;
+    this.shockwaveTime = 0;
+    this.instance.add(this.shockwave);
+  }
+
+  /**
+   * Grow and fade the shockwave ring
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateShockwave(deltaTime) {
+    if (!this.shockwave) return;
+    
+    this.shockwaveTime += deltaTime;
+    const progress = this.shockwaveTime / 0.5;
+    
+    if (progress >= 1) {
+      this.removeShockwave();
+      return;
+    }
+    
+    this.shockwave.scale.setScalar(1 + progress * (this.slamRadius - 1));
+    this.shockwave.material.opacity = 0.8 * (1 - progress);
+  }
+
+  /**
+   * Remove the shockwave ring
+   */
+  removeShockwave() {
+    if (!this.shockwave) return;
+    
+    this.instance.remove(this.shockwave);
+    this.shockwave.geometry.dispose();
+    this.shockwave.material.dispose();
+    this.shockwave = null;
+  }
+
+  /**
+   * Override the attack animation with a heavy overhead swing
+   */
+  playAttackAnimation() {
+    super.playAttackAnimation();
+    
+    // Swing both arms down
+    this.raiseArms(0.6);
+    setTimeout(() => {
+      if (!this.isSlamming && this.windowSmashStartTime === null) {
+        this.raiseArms(0);
+      }
+    }, 200);
+  }
+
+  /**
+   * Flash the boss red when hit (its parts share materials, so flash each material once)
+   */
+  playHitAnimation() {
+    if (!this.bodyParts || this.isFlashing) return;
+    
+    const materials = new Set();
+    Object.values(this.bodyParts).forEach(part => {
+      if (part.material && part.material !== this.eyeMaterial) {
+        materials.add(part.material);
+      }
+    });
+    
+    const originalColors = [...materials].map(material => ({
+      material,
+      color: material.color.clone()
+    }));
+    originalColors.forEach(item => item.material.color.setHex(0xff0000));
+    this.isFlashing = true;
+    
+    // Reset colors after 100ms
+    setTimeout(() => {
+      originalColors.forEach(item => item.material.color.copy(item.color));
+      this.isFlashing = false;
+    }, 100);
+  }
+
+  /**
+   * Handle boss death and hand out the reward
+   */
+  die() {
+    if (this.isDead) return;
+    
+    this.isSlamming = false;
+    this.removeSlamTelegraph();
+    
+    super.die();
+    
+    // Every player gets the reward in their own game (only for a real kill, not a despawn)
+    if (!this.pointsAwarded && this.health <= 0 && this.player && typeof this.player.addPoints === 'function') {
+      this.player.addPoints(this.pointsReward, true);
+    }
+    this.pointsAwarded = true;
+    
+    if (this.manager && typeof this.manager.onBossDefeated === 'function') {
+      this.manager.onBossDefeated(this);
+    }
+  }
+}
@@ -23,6 +23,7 @@ export class CrawlingZombie extends Enemy {
     // Crawling zombie is closer to the ground
     this.height = 0.7; // Lower height than standard zombie
     this.floorLevel = 0;
+    this.isCrawling = true; // Uses the base enemy's crawl animation
     
     // Different sound properties
     this.soundFrequency = 0.15; // Make crawling sounds slightly more often than base zombies
@@ -124,63 +125,6 @@ export class CrawlingZombie extends Enemy {
     this.animateCrawling();
   }
 
-  /**
-   * Setup animation for crawling motion
-   */
-  animateCrawling() {
-    // Store original positions of arms for animation
-    this.originalArmPositions = {
-      leftArm: this.bodyParts.leftArm.position.clone(),
-      rightArm: this.bodyParts.rightArm.position.clone()
-    };
-    
-    // Initialize animation time
-    this.crawlAnimTime = Math.random() * Math.PI * 2; // Random start phase
-  }
-  
-  /**
-   * Update crawling animation
-   * @param {number} deltaTime - Time elapsed since last update
-   */
-  updateCrawlAnimation(deltaTime) {
-    if (!this.bodyParts || this.isDead) return;
-    
-    // Update animation time
-    this.crawlAnimTime += deltaTime * this.speed * 5;
-    
-    // Animate arms for crawling motion
-    const leftArmPhase = Math.sin(this.crawlAnimTime);
-    const rightArmPhase = Math.sin(this.crawlAnimTime + Math.PI); // Opposite phase
-    
-    // Apply vertical motion to arms to simulate crawling
-    if (this.bodyParts.leftArm && this.originalArmPositions) {
-      this.bodyParts.leftArm.position.z = this.originalArmPositions.leftArm.z + leftArmPhase * 0.15;
-      this.bodyParts.leftArm.position.y = this.originalArmPositions.leftArm.y + Math.abs(leftArmPhase) * 0.07;
-    }
-    
-    if (this.bodyParts.rightArm && this.originalArmPositions) {
-      this.bodyParts.rightArm.position.z = this.originalArmPositions.rightArm.z + rightArmPhase * 0.15;
-      this.bodyParts.rightArm.position.y = this.originalArmPositions.rightArm.y + Math.abs(rightArmPhase) * 0.07;
-    }
-    
-    // Add slight body rock
-    if (this.bodyParts.body) {
-      this.bodyParts.body.rotation.z = Math.sin(this.crawlAnimTime) * 0.05;
-    }
-  }
-  
-  /**
-   * Override the update method to add crawler-specific animations
-   * @param {number} deltaTime - Time elapsed since last update
-   */
-  update(deltaTime) {
-    // Call parent update method first
-    super.update(deltaTime);
-    
-    // Update crawling animation
-    this.updateCrawlAnimation(deltaTime);
-  }
-  
   /**
    * Override the health bar position to account for lower height
    */
@@ -235,7 +179,7 @@ export class CrawlingZombie extends Enemy {
     }
     
     // Move back after 100ms
-    setTimeout(() => {
+    this.setLifeTimeout(() => {
       if (this.instance) {
         this.instance.position.copy(originalPosition);
       }
@@ -263,7 +207,7 @@ export class CrawlingZombie extends Enemy {
         }
         
         // Reset after flash duration
-        setTimeout(() => {
+        this.setLifeTimeout(() => {
           if (part.material) {
             part.material.color.copy(originalColor);
             if (part.material.emissive && originalEmissive) {
@@ -0,0 +1,229 @@
+import * as THREE from 'three';
+import { SpatialHash } from './SpatialHash';
+
+/**
+ * Local avoidance for the horde. Zombies steer away from their neighbours, get pushed
+ * apart when they still overlap and line up outside crowded windows instead of
+ * piling into one spot. Neighbour lookups go through a spatial hash rebuilt each frame.
+ */
+export class CrowdSystem {
+  /**
+   * @param {EnemyManager} manager - The enemy manager that owns the horde
+   */
+  constructor(manager) {
+    this.manager = manager;
+    this.hash = new SpatialHash(2);
+    this.members = [];
+    this.neighbours = [];
+    
+    // Separation
+    this.separationRadius = 1.2; // Steer away from zombies closer than this
+    this.separationWeight = 1.5; // How hard to steer compared to heading for the target
+    this.pushStrength = 0.5; // Share of any overlap fixed per frame
+    
+    // Window queues (window -> zombies outside it in arrival order)
+    this.windowQueues = new Map();
+    this.windowCapacity = 2; // Zombies that can work on one window at once
+    this.frontRowDistance = 3; // Same distance zombies spawn at outside the window
+    this.rowSpacing = 1.1;
+    this.slotSpacing = 0.9;
+    
+    // Scratch vectors so per-frame queries don't allocate
+    this.offset = new THREE.Vector3();
+    this.outward = new THREE.Vector3();
+    this.tangent = new THREE.Vector3();
+  }
+
+  /**
+   * Check if an enemy takes part in crowd movement
+   * @param {Enemy} enemy - The enemy
+   * @returns {boolean} True for living zombies on the floor
+   */
+  isMember(enemy) {
+    return !!(enemy && enemy.instance && !enemy.isDead && !enemy.markedForRemoval &&
+      enemy.instance.position.y <= enemy.floorLevel + 0.5);
+  }
+
+  /**
+   * Rebuild the spatial hash and window queues (call before enemies update)
+   * @param {Array} enemies - All enemies
+   */
+  rebuild(enemies) {
+    this.hash.clear();
+    this.members.length = 0;
+    
+    enemies.forEach(enemy => {
+      if (!this.isMember(enemy)) return;
+      
+      enemy.crowdIndex = this.members.length;
+      this.members.push(enemy);
+      this.hash.insert(enemy, enemy.instance.position.x, enemy.instance.position.z);
+    });
+    
+    this.updateWindowQueues(enemies);
+  }
+
+  /**
+   * Keep each window's queue in arrival order, dropping zombies that got in, died or retargeted
+   * @param {Array} enemies - All enemies
+   */
+  updateWindowQueues(enemies) {
+    this.windowQueues.forEach((queue, window) => {
+      const remaining = queue.filter(enemy =>
+        enemies.includes(enemy) && !enemy.isDead && !enemy.insideRoom && enemy.targetWindow === window
+      );
+      
+      if (remaining.length > 0) {
+        this.windowQueues.set(window, remaining);
+      } else {
+        this.windowQueues.delete(window);
+      }
+    });
+    
+    // New arrivals join the back of their window's queue, closest first
+    const arrivals = enemies.filter(enemy =>
+      enemy.targetWindow && !enemy.isDead && !enemy.insideRoom && this.getQueueIndex(enemy) < 0
+    );
+    
+    arrivals
+      .sort((a, b) =>
+        a.instance.position.distanceToSquared(a.targetPosition) - b.instance.position.distanceToSquared(b.targetPosition)
+      )
+      .forEach(enemy => {
+        if (!this.windowQueues.has(enemy.targetWindow)) {
+          this.windowQueues.set(enemy.targetWindow, []);
+        }
+        this.windowQueues.get(enemy.targetWindow).push(enemy);
+      });
+  }
+
+  /**
+   * Get an enemy's place in its window's queue
+   * @param {Enemy} enemy - The enemy
+   * @returns {number} Queue index (-1 if not queued)
+   */
+  getQueueIndex(enemy) {
+    const queue = enemy.targetWindow ? this.windowQueues.get(enemy.targetWindow) : null;
+    return queue ? queue.indexOf(enemy) : -1;
+  }
+
+  /**
+   * Check if an enemy has to wait for others to get through its window first
+   * @param {Enemy} enemy - The enemy
+   * @returns {boolean} True if it is behind the front row
+   */
+  isQueued(enemy) {
+    return this.getQueueIndex(enemy) >= this.windowCapacity;
+  }
+
+  /**
+   * Get the spot an enemy should stand on outside its window
+   * @param {Enemy} enemy - The enemy
+   * @param {THREE.Vector3} out - Vector to write the position to
+   * @returns {THREE.Vector3|null} The position, or null if it isn't queued at a window
+   */
+  getQueuePosition(enemy, out) {
+    const index = this.getQueueIndex(enemy);
+    if (index < 0) return null;
+    
+    const row = Math.floor(index / this.windowCapacity);
+    const slot = index % this.windowCapacity;
+    
+    // Rows go straight out from the window, every other row shifted half a slot
+    const rotationY = enemy.targetWindow.instance.rotation.y;
+    this.outward.set(0, 0, 1).applyAxisAngle(THREE.Object3D.DEFAULT_UP, rotationY);
+    this.tangent.set(1, 0, 0).applyAxisAngle(THREE.Object3D.DEFAULT_UP, rotationY);
+    
+    const centredSlot = slot - (this.windowCapacity - 1) / 2 + (row % 2 === 1 ? 0.5 : 0);
+    
+    out.copy(enemy.targetPosition)
+      .addScaledVector(this.outward, this.frontRowDistance + row * this.rowSpacing)
+      .addScaledVector(this.tangent, centredSlot * this.slotSpacing);
+    out.y = enemy.floorLevel;
+    
+    return out;
+  }
+
+  /**
+   * Get a steering vector pointing away from nearby zombies
+   * @param {Enemy} enemy - The enemy doing the steering
+   * @param {THREE.Vector3} out - Vector to write the steering to
+   * @returns {THREE.Vector3} The steering (zero if nobody is close)
+   */
+  getSeparation(enemy, out) {
+    out.set(0, 0, 0);
+    if (!this.isMember(enemy)) return out;
+    
+    const position = enemy.instance.position;
+    const neighbours = this.hash.query(position.x, position.z, this.separationRadius, this.neighbours);
+    
+    for (let i = 0; i < neighbours.length; i++) {
+      const other = neighbours[i];
+      if (other === enemy || other.insideRoom !== enemy.insideRoom) continue;
+      
+      this.offset.set(position.x - other.instance.position.x, 0, position.z - other.instance.position.z);
+      const distance = this.offset.length();
+      if (distance >= this.separationRadius) continue;
+      
+      // Stronger the closer they are; pick a side if exactly on top of each other
+      if (distance < 0.001) {
+        this.offset.set(enemy.crowdIndex > other.crowdIndex ? 1 : -1, 0, 0);
+      } else {
+        this.offset.divideScalar(distance);
+      }
+      out.addScaledVector(this.offset, 1 - distance / this.separationRadius);
+    }
+    
+    return out.multiplyScalar(this.separationWeight);
+  }
+
+  /**
+   * Push apart zombies that still overlap after moving (call after enemies update)
+   */
+  resolveOverlaps() {
+    for (let i = 0; i < this.members.length; i++) {
+      const enemy = this.members[i];
+      if (!this.isMember(enemy)) continue;
+      
+      const position = enemy.instance.position;
+      const searchRadius = enemy.collisionRadius * 2 + 0.5;
+      const neighbours = this.hash.query(position.x, position.z, searchRadius, this.neighbours);
+      
+      for (let j = 0; j < neighbours.length; j++) {
+        const other = neighbours[j];
+        
+        // Each pair once, and only zombies on the same side of the walls
+        if (other.crowdIndex <= enemy.crowdIndex || other.insideRoom !== enemy.insideRoom || !this.isMember(other)) continue;
+        
+        const otherPosition = other.instance.position;
+        const minDistance = enemy.collisionRadius + other.collisionRadius;
+        const dx = otherPosition.x - position.x;
+        const dz = otherPosition.z - position.z;
+        const distanceSq = dx * dx + dz * dz;
+        if (distanceSq >= minDistance * minDistance) continue;
+        
+        const distance = Math.sqrt(distanceSq);
+        const nx = distance > 0.001 ? dx / distance : 1;
+        const nz = distance > 0.001 ? dz / distance : 0;
+        const push = (minDistance - distance) * 0.5 * this.pushStrength;
+        
+        // Move through the enemies' own collision so nobody gets pushed into a prop
+        enemy.moveWithCollision(-nx * push, -nz * push);
+        other.moveWithCollision(nx * push, nz * push);
+      }
+      
+      if (enemy.insideRoom) {
+        enemy.enforceRoomBoundaries();
+      }
+    }
+  }
+
+  /**
+   * Forget every queue (e.g. when the map changes)
+   */
+  reset() {
+    this.windowQueues.clear();
+    this.hash.clear();
+    this.members.length = 0;
+  }
+}
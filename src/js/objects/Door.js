@@ -0,0 +1,210 @@
+import * as THREE from 'three';
+
+/**
+ * Door that can be bought open to unlock new areas of a map
+ */
+export class Door {
+  constructor(config = {}) {
+    // Door properties
+    this.id = config.id || 'door';
+    this.label = config.label || 'Door';
+    this.cost = config.cost !== undefined ? config.cost : 1000;
+    this.areas = config.areas || [];
+    this.width = config.width || 1.6;
+    this.height = config.height || 2.4;
+    this.position = config.position || new THREE.Vector3(0, this.height / 2, 0);
+    this.rotation = config.rotation || new THREE.Euler(0, 0, 0);
+    
+    // Door state
+    this.isOpen = false;
+    this.isOpening = false;
+    this.openProgress = 0;
+    this.openDuration = 1.0; // seconds to slide fully into the ceiling
+    
+    // Visual elements
+    this.instance = new THREE.Group();
+    this.panel = null;
+    
+    // Interaction
+    this.isPlayerNearby = false;
+    this.interactionDistance = 2.0;
+    
+    // Materials
+    this.panelMaterial = new THREE.MeshStandardMaterial({
+      color: 0x5a4a3a, // Dark wood
+      roughness: 0.85,
+      metalness: 0.15
+    });
+    
+    this.barMaterial = new THREE.MeshStandardMaterial({
+      color: 0x555555, // Dark metal
+      roughness: 0.5,
+      metalness: 0.7
+    });
+  }
+
+  /**
+   * Initialize the door
+   */
+  init() {
+    // Panel that slides away when the door is opened
+    this.panel = new THREE.Group();
+    
+    const panelGeometry = new THREE.BoxGeometry(this.width, this.height, 0.08);
+    const panelMesh = new THREE.Mesh(panelGeometry, this.panelMaterial);
+    panelMesh.castShadow = true;
+    panelMesh.receiveShadow = true;
+    panelMesh.userData = { isWall: true, isDoor: true, doorId: this.id };
+    this.panel.add(panelMesh);
+    
+    // Metal bars across the panel
+    const barGeometry = new THREE.BoxGeometry(this.width * 0.95, 0.12, 0.12);
+    [-0.3, 0, 0.3].forEach(offset => {
+      const bar = new THREE.Mesh(barGeometry, this.barMaterial);
+      bar.position.set(0, offset * this.height, 0);
+      this.panel.add(bar);
+    });
+    
+    this.instance.add(this.panel);
+    
+    // Position the entire door
+    this.instance.position.copy(this.position);
+    this.instance.rotation.copy(this.rotation);
+    
+    // Add userData for raycasting
+    this.instance.userData = {
+      door: true,
+      doorId: this.id,
+      cost: this.cost
+    };
+  }
+
+  /**
+   * Update the opening animation
+   * @param {number} deltaTime - Time since last frame
+   */
+  update(deltaTime) {
+    if (!this.isOpening || !this.panel) return;
+    
+    this.openProgress = Math.min(1, this.openProgress + deltaTime / this.openDuration);
+    
+    // Slide the panel up into the ceiling
+    this.panel.position.y = this.openProgress * this.height;
+    
+    if (this.openProgress >= 1) {
+      this.isOpening = false;
+      this.panel.visible = false;
+    }
+  }
+
+  /**
+   * Check if player is near this door
+   * @param {THREE.Vector3} playerPosition - Current player position
+   * @returns {boolean} True if player is within interaction distance of a closed door
+   */
+  checkPlayerProximity(playerPosition) {
+    if (this.isOpen) {
+      this.isPlayerNearby = false;
+      return false;
+    }
+    
+    // Only compare horizontal distance since the door reaches the floor
+    const distance = new THREE.Vector2(
+      playerPosition.x - this.instance.position.x,
+      playerPosition.z - this.instance.position.z
+    ).length();
+    
+    this.isPlayerNearby = distance < this.interactionDistance;
+    
+    return this.isPlayerNearby;
+  }
+
+  /**
+   * Attempt to pay for the door (the room opens it and unlocks its areas)
+   * @param {PlayerControls} player - The player attempting to purchase
+   * @returns {boolean} True if purchase was successful
+   */
+  purchase(player) {
+    if (this.isOpen) {
+      return false;
+    }
+    
+    // Check if player has enough points
+    if (player.score < this.cost) {
+      this.showMessage('Not Enough Points!', 'rgba(255, 0, 0, 0.6)');
+      return false;
+    }
+    
+    // Deduct points
+    player.score -= this.cost;
+    player.updateScoreDisplay();
+    
+    // Show success message
+    this.showMessage(`${this.label} Opened!`, 'rgba(0, 255, 0, 0.6)');
+    
+    return true;
+  }
+
+  /**
+   * Open the door without charging anyone (used for network sync)
+   * @returns {boolean} True if the door was closed before
+   */
+  open() {
+    if (this.isOpen) {
+      return false;
+    }
+    
+    this.isOpen = true;
+    this.isOpening = true;
+    this.openProgress = 0;
+    
+    console.log(`Door ${this.id} opened`);
+    
+    return true;
+  }
+
+  /**
+   * Show a short message in the middle of the screen
+   * @param {string} text - Message to show
+   * @param {string} background - Background color of the message
+   */
+  showMessage(text, background) {
+    const message = document.createElement('div');
+    message.textContent = text;
+    message.style.position = 'absolute';
+    message.style.top = '40%';
+    message.style.left = '50%';
+    message.style.transform = 'translate(-50%, -50%)';
+    message.style.backgroundColor = background;
+    message.style.color = 'white';
+    message.style.padding = '10px 20px';
+    message.style.borderRadius = '5px';
+    message.style.fontFamily = 'Impact, fantasy';
+    message.style.fontSize = '24px';
+    message.style.zIndex = '1000';
+    
+    document.body.appendChild(message);
+    
+    // Remove after a short time
+    setTimeout(() => {
+      if (message.parentNode) {
+        message.parentNode.removeChild(message);
+      }
+    }, 1500);
+  }
+
+  /**
+   * Reset the door to its closed state
+   */
+  reset() {
+    this.isOpen = false;
+    this.isOpening = false;
+    this.openProgress = 0;
+    this.isPlayerNearby = false;
+    
+    if (this.panel) {
+      this.panel.position.y = 0;
+      this.panel.visible = true;
+    }
+  }
+}
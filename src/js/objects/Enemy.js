@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { EnemyStateMachine, EnemyStates } from './EnemyStateMachine';
 
 /**
  * Creates a basic enemy that can attack windows
@@ -16,15 +17,35 @@ export class Enemy {
     this.attackCooldown = 1; // seconds between attacks on player
     this.lastPlayerAttackTime = 0;
     
+    // Timeouts started during this life (cleared before a pooled enemy is reused)
+    this.lifeTimers = new Set();
     // Assign a unique ID for network synchronization
     this.id = `enemy_${Math.random().toString(36).substring(2, 15)}_${Date.now().toString(36)}`;
-    // Default state
-    this.state = 'idle';
+    // Behavior state machine (the current state is read through this.state)
+    this.stateMachine = new EnemyStateMachine(this);
+    this.stateMachine.on('change', (to, from) => this.onStateChange(to, from));
+    this.enterDuration = 0.3; // Seconds spent climbing in through the window
+    this.attackStateDuration = 0.5; // Seconds an attack on a player lasts before chasing again
+    this.stunDuration = 0;
+    this.limbLossStunTime = 0.6; // Seconds a zombie staggers after losing a limb
+    this.stateLabel = null; // Debug label showing the state (see updateStateLabel)
     // Enemy type for network synchronization
     this.type = 'standard';
+    // Types whose materials glow or pulse are drawn with their own meshes, not instanced batches
+    this.animatesMaterials = false;
     // Movement status
     this.isMoving = false;
     this.isAttacking = false;
+    this.collisionRadius = 0.4; // Radius used to keep clear of props and other zombies
+    this.crowdSteering = new THREE.Vector3(); // Separation from the horde (see CrowdSystem)
+    this.queuePosition = new THREE.Vector3(); // Spot in line outside a crowded window
+    
+    // Pathfinding (routes come from the room's navigation grid)
+    this.path = [];
+    this.pathGoal = null;
+    this.repathTimer = 0;
+    this.repathInterval = 0.5; // seconds between path updates
+    this.waypointReachedDistance = 0.3;
     
     // Sound properties
     this.soundFrequency = 0.1; // Sound frequency in Hz (once every 10 seconds)
@@ -72,9 +93,44 @@ export class Enemy {
     // Points tracking for score system
     this.pointsAwarded = false;
     
+    // Power-ups
+    this.noDrop = false; // Set when the zombie shouldn't drop a power-up (nuked, despawned)
+    this.resistsInstaKill = false;
+    
     // Health bar
     this.healthBar = null;
     this.healthBarContainer = null;
+    
+    // Hit zones (body shot damage multiplier per part; headshots use the weapon's head damage)
+    this.hitZoneMultipliers = {
+      head: 1,
+      body: 1,
+      leftArm: 0.6,
+      rightArm: 0.6,
+      leftLeg: 0.75,
+      rightLeg: 0.75
+    };
+    
+    // Limb damage (only standard zombies lose limbs unless a subclass opts in)
+    this.canDismember = this.constructor === Enemy;
+    this.limbHealth = {
+      leftArm: 35,
+      rightArm: 35,
+      leftLeg: 45,
+      rightLeg: 45
+    };
+    this.severedLimbs = [];
+    
+    // Crawling (crawlers, and standard zombies that have lost both legs)
+    this.isCrawling = false;
+  }
+
+  /**
+   * Current behavior state (one of EnemyStates, or a subclass state)
+   * @returns {string} State name
+   */
+  get state() {
+    return this.stateMachine.state;
   }
 
   /**
@@ -89,6 +145,9 @@ export class Enemy {
    * Initialize enemy
    */
   init() {
+    // Pooled enemies are already built (prepareForReuse resets them instead)
+    if (this.initialized) return;
+    
     console.log("ENEMY: Initializing enemy with ID:", this.id);
     
     this.createEnemyMesh();
@@ -112,11 +171,178 @@ export class Enemy {
       }
     });
     
+    // Tag each body part with the hit zone it belongs to
+    this.assignHitZones();
+    
     console.log("ENEMY: Initialization complete, userData check:", {
       instanceHasUserData: !!this.instance.userData,
       typeSet: this.instance.userData.type,
       enemyReferenceSet: !!this.instance.userData.enemy
     });
+    
+    // Remember the fresh state so the enemy can be pooled and reused
+    this.initialized = true;
+    this.captureInitialState();
+  }
+
+  /**
+   * Snapshot the enemy's own fields, the transforms of its meshes and the state of
+   * its materials so prepareForReuse can put everything back after a death
+   */
+  captureInitialState() {
+    const fields = {};
+    Object.keys(this).forEach(key => {
+      const value = this[key];
+      
+      if (value === null || typeof value !== 'object') {
+        fields[key] = value;
+      } else if (Array.isArray(value)) {
+        fields[key] = value.slice();
+      } else if (value.isVector3 || value.isEuler || value.isColor) {
+        fields[key] = value.clone();
+      } else if (Object.getPrototypeOf(value) === Object.prototype) {
+        fields[key] = { ...value };
+      }
+    });
+    
+    const objects = [];
+    const materials = new Map();
+    this.instance.traverse((object) => {
+      objects.push({
+        object,
+        parent: object.parent,
+        position: object.position.clone(),
+        rotation: object.rotation.clone(),
+        scale: object.scale.clone(),
+        visible: object.visible,
+        material: object.material || null
+      });
+      
+      if (object.material && !materials.has(object.material)) {
+        const material = object.material;
+        materials.set(material, {
+          color: material.color ? material.color.clone() : null,
+          emissive: material.emissive ? material.emissive.clone() : null,
+          emissiveIntensity: material.emissiveIntensity,
+          opacity: material.opacity,
+          transparent: material.transparent
+        });
+      }
+    });
+    
+    this.initialState = { keys: new Set(Object.keys(this)), fields, objects, materials };
+  }
+
+  /**
+   * Check if the enemy can go back into a pool (limbs that came off aren't rebuilt)
+   * @returns {boolean} True if the enemy can be reused
+   */
+  canBePooled() {
+    return !!this.initialState && this.severedLimbs.length === 0;
+  }
+
+  /**
+   * Reset a pooled enemy to its freshly initialised state for another spawn
+   * @param {Window} targetWindow - The window to head for
+   */
+  prepareForReuse(targetWindow) {
+    const { keys, fields, objects, materials } = this.initialState;
+    
+    this.removeStateLabel();
+    this.stateMachine.reset();
+    
+    // Fields: restore the originals and drop anything added during the last life
+    Object.keys(this).forEach(key => {
+      if (key !== 'initialState' && !keys.has(key)) {
+        delete this[key];
+      }
+    });
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value === null || typeof value !== 'object') {
+        this[key] = value;
+      } else if (Array.isArray(value)) {
+        this[key] = value.slice();
+      } else if (value.isVector3 || value.isEuler || value.isColor) {
+        if (this[key] && typeof this[key].copy === 'function') {
+          this[key].copy(value);
+        } else {
+          this[key] = value.clone();
+        }
+      } else {
+        this[key] = { ...value };
+      }
+    });
+    
+    // Meshes: drop anything attached during the last life, then restore transforms and materials
+    const known = new Set(objects.map(entry => entry.object));
+    const extras = [];
+    this.instance.traverse((object) => {
+      if (!known.has(object)) {
+        extras.push(object);
+      }
+    });
+    extras.forEach(object => object.removeFromParent());
+    
+    objects.forEach(entry => {
+      const object = entry.object;
+      
+      if (entry.parent && object.parent !== entry.parent) {
+        entry.parent.add(object);
+      }
+      object.position.copy(entry.position);
+      object.rotation.copy(entry.rotation);
+      object.scale.copy(entry.scale);
+      object.visible = entry.visible;
+      
+      // Death swaps in cloned grey materials
+      if (entry.material && object.material !== entry.material) {
+        if (!materials.has(object.material) && typeof object.material.dispose === 'function') {
+          object.material.dispose();
+        }
+        object.material = entry.material;
+      }
+    });
+    
+    materials.forEach((state, material) => {
+      if (state.color) material.color.copy(state.color);
+      if (state.emissive) material.emissive.copy(state.emissive);
+      material.emissiveIntensity = state.emissiveIntensity;
+      material.opacity = state.opacity;
+      material.transparent = state.transparent;
+    });
+    
+    // A new life needs a new network ID
+    this.id = `enemy_${Math.random().toString(36).substring(2, 15)}_${Date.now().toString(36)}`;
+    
+    this.setTargetWindow(targetWindow);
+    this.updateHealthBar();
+    
+    console.log(`ENEMY: Reusing pooled ${this.type} zombie as ${this.id}`);
+  }
+
+  /**
+   * Start a timeout that belongs to this life of the enemy, so it can't fire after
+   * the enemy has gone back into a pool and been spawned again
+   * @param {Function} callback - Called when the timeout fires
+   * @param {number} delay - Delay in milliseconds
+   * @returns {number} Timeout ID
+   */
+  setLifeTimeout(callback, delay) {
+    const timer = setTimeout(() => {
+      this.lifeTimers.delete(timer);
+      callback();
+    }, delay);
+    this.lifeTimers.add(timer);
+    
+    return timer;
+  }
+
+  /**
+   * Cancel every timeout started with setLifeTimeout
+   */
+  clearLifeTimeouts() {
+    this.lifeTimers.forEach(timer => clearTimeout(timer));
+    this.lifeTimers.clear();
   }
 
   /**
@@ -338,6 +564,8 @@ export class Enemy {
       return;
     }
     
+    this.updateStateMachine(deltaTime);
+    
     // If enemy is dead, just update death animation
     if (this.isDead) {
       this.updateDeathAnimation(deltaTime);
@@ -355,61 +583,53 @@ export class Enemy {
     // Play zombie sounds periodically
     this.updateSoundEffects(deltaTime);
     
-    // If inside room, chase the player
+    // Crawlers drag themselves along with their arms
+    if (this.isCrawling) {
+      this.updateCrawlAnimation(deltaTime);
+    }
+    
+    // Run the behavior for the current state
+    switch (this.state) {
+      case EnemyStates.STUNNED:
+        this.updateStunned(deltaTime);
+        break;
+      case EnemyStates.ENTERING:
+        this.updateEntering(deltaTime);
+        break;
+      case EnemyStates.CHASING:
+      case EnemyStates.ATTACKING:
+        this.updateChasing(deltaTime);
+        break;
+      default:
+        this.updateOutside(deltaTime);
+        break;
+    }
+  }
+
+  /**
+   * Approaching and tearing boards: work on the target window until it's open, then climb in
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateOutside(deltaTime) {
+    // Already inside (e.g. the host moved us in) - go after the players
     if (this.insideRoom) {
-      // Check if we have a player reference before chasing
-      if (this.player) {
-        // If local player is dead, check for remote players to target
-        if (this.player.isDead) {
-          // Try to find alive remote players
-          let foundLivingTarget = false;
-          
-          // Look for network manager to find remote players
-          if (this.manager && this.manager.gameEngine && 
-              this.manager.gameEngine.networkManager && 
-              this.manager.gameEngine.networkManager.remotePlayers) {
-            
-            const remotePlayers = this.manager.gameEngine.networkManager.remotePlayers;
-            
-            // Log only if we have remote players
-            if (remotePlayers.size > 0) {
-              console.log(`Zombie ${this.id}: Local player dead, checking ${remotePlayers.size} remote players for targets`);
-            }
-            
-            remotePlayers.forEach(player => {
-              if (!player.isDead && player.position) {
-                foundLivingTarget = true;
-                console.log(`Zombie ${this.id}: Found living remote player to target`);
-              }
-            });
-          }
-          
-          // Either chase remote players or move randomly if none alive
-          if (foundLivingTarget || this._forceContinueUpdating) {
-            console.log(`Zombie ${this.id}: Continuing to chase remote players`);
-            this.chasePlayer(deltaTime);
-            this.tryAttackPlayer();
-          } else {
-            console.log(`Zombie ${this.id}: No living targets, moving randomly`);
-            this.moveRandomly(deltaTime);
-          }
-        } else {
-          // Normal behavior - chase player if we can
-          this.chasePlayer(deltaTime);
-          this.tryAttackPlayer();
-        }
-      } else {
-        // No player reference, just move randomly
-        this.moveRandomly(deltaTime);
-      }
+      this.stateMachine.setState(EnemyStates.CHASING, true);
+      return;
+    }
+    
+    // Wait in line if other zombies are already working on this window
+    if (this.updateWindowQueue(deltaTime)) {
+      this.stateMachine.setState(EnemyStates.APPROACHING);
       return;
     }
     
     // If window is boarded, attack it
     if (this.targetWindow && this.targetWindow.boardsCount > 0) {
+      this.stateMachine.setState(EnemyStates.TEARING_BOARDS);
       this.attackWindow(deltaTime);
     } else if (this.targetWindow) {
       // Window has no boards, move inside
+      this.stateMachine.setState(EnemyStates.APPROACHING);
       this.moveTowardsWindow(deltaTime);
       
       // Check if reached the window
@@ -427,6 +647,116 @@ export class Enemy {
     }
   }
 
+  /**
+   * Entering: pause just inside the window before going after the players
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateEntering(deltaTime) {
+    if (this.player) {
+      this.lookAtPlayer();
+    }
+    
+    if (this.stateMachine.stateTime >= this.enterDuration) {
+      this.stateMachine.setState(EnemyStates.CHASING);
+    }
+  }
+
+  /**
+   * Stunned: stand still until the stun wears off, then pick up where we left off
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateStunned(deltaTime) {
+    // Wobble on the spot
+    this.instance.rotation.z = Math.sin(this.stateMachine.stateTime * 18) * 0.08;
+    
+    if (this.stateMachine.stateTime >= this.stunDuration) {
+      this.instance.rotation.z = 0;
+      this.stateMachine.setState(this.getRecoveryState());
+    }
+  }
+
+  /**
+   * Get the state to go back to when a stun wears off
+   * @returns {string} State name
+   */
+  getRecoveryState() {
+    return this.insideRoom ? EnemyStates.CHASING : EnemyStates.APPROACHING;
+  }
+
+  /**
+   * Knock the enemy off balance for a while
+   * @param {number} duration - Seconds to stay stunned
+   */
+  stun(duration) {
+    if (this.isDead) return;
+    
+    this.stunDuration = this.stateMachine.is(EnemyStates.STUNNED)
+      ? Math.max(this.stunDuration - this.stateMachine.stateTime, duration)
+      : duration;
+    
+    if (!this.stateMachine.setState(EnemyStates.STUNNED)) {
+      // Already stunned - restart the clock with the longer duration
+      this.stateMachine.stateTime = 0;
+    }
+  }
+
+  /**
+   * Chasing and attacking: go after the closest living player and hit them when in range
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateChasing(deltaTime) {
+    // The swing is over, back to chasing
+    if (this.stateMachine.is(EnemyStates.ATTACKING) && this.stateMachine.stateTime >= this.attackStateDuration) {
+      this.stateMachine.setState(EnemyStates.CHASING);
+    }
+    
+    // Check if we have a player reference before chasing
+    if (this.player) {
+      // If local player is dead, check for remote players to target
+      if (this.player.isDead) {
+        // Try to find alive remote players
+        let foundLivingTarget = false;
+        
+        // Look for network manager to find remote players
+        if (this.manager && this.manager.gameEngine && 
+            this.manager.gameEngine.networkManager && 
+            this.manager.gameEngine.networkManager.remotePlayers) {
+          
+          const remotePlayers = this.manager.gameEngine.networkManager.remotePlayers;
+          
+          // Log only if we have remote players
+          if (remotePlayers.size > 0) {
+            console.log(`Zombie ${this.id}: Local player dead, checking ${remotePlayers.size} remote players for targets`);
+          }
+          
+          remotePlayers.forEach(player => {
+            if (!player.isDead && player.position) {
+              foundLivingTarget = true;
+              console.log(`Zombie ${this.id}: Found living remote player to target`);
+            }
+          });
+        }
+        
+        // Either chase remote players or move randomly if none alive
+        if (foundLivingTarget || this._forceContinueUpdating) {
+          console.log(`Zombie ${this.id}: Continuing to chase remote players`);
+          this.chasePlayer(deltaTime);
+          this.tryAttackPlayer();
+        } else {
+          console.log(`Zombie ${this.id}: No living targets, moving randomly`);
+          this.moveRandomly(deltaTime);
+        }
+      } else {
+        // Normal behavior - chase player if we can
+        this.chasePlayer(deltaTime);
+        this.tryAttackPlayer();
+      }
+    } else {
+      // No player reference, just move randomly
+      this.moveRandomly(deltaTime);
+    }
+  }
+
   /**
    * Update health bar to face the camera
    */
@@ -485,6 +815,64 @@ export class Enemy {
     this.instance.lookAt(targetPointOnGround);
   }
 
+  /**
+   * Line up outside a crowded window. The front row shuffles into its spot while there
+   * are boards to tear off; everyone behind walks to their place in the queue and waits.
+   * @param {number} deltaTime - Time elapsed since last update
+   * @returns {boolean} True if the enemy is waiting its turn
+   */
+  updateWindowQueue(deltaTime) {
+    const crowd = this.manager && this.manager.crowd;
+    if (!crowd || !this.targetWindow) return false;
+    
+    const isQueued = crowd.isQueued(this);
+    if (!isQueued && this.targetWindow.boardsCount === 0) {
+      return false; // Our turn to climb in
+    }
+    
+    if (!crowd.getQueuePosition(this, this.queuePosition)) return isQueued;
+    
+    // Walk to our spot
+    const dx = this.queuePosition.x - this.instance.position.x;
+    const dz = this.queuePosition.z - this.instance.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    
+    if (distance > 0.05) {
+      const step = Math.min(distance, this.speed * deltaTime);
+      this.instance.position.x += (dx / distance) * step;
+      this.instance.position.z += (dz / distance) * step;
+    }
+    this.instance.position.y = this.floorLevel;
+    
+    // Keep facing the window
+    this.instance.lookAt(this.targetPosition.x, this.floorLevel, this.targetPosition.z);
+    
+    return isQueued;
+  }
+
+  /**
+   * Bend a movement direction away from nearby zombies
+   * @param {THREE.Vector3} direction - Normalized movement direction (changed in place)
+   */
+  applyCrowdSteering(direction) {
+    const crowd = this.manager && this.manager.crowd;
+    if (!crowd) return;
+    
+    crowd.getSeparation(this, this.crowdSteering);
+    if (this.crowdSteering.lengthSq() === 0) return;
+    
+    direction.add(this.crowdSteering);
+    direction.y = 0;
+    
+    // Fully boxed in - stay put rather than jitter
+    if (direction.lengthSq() < 0.0001) {
+      direction.set(0, 0, 0);
+      return;
+    }
+    
+    direction.normalize();
+  }
+
   /**
    * Attack the window to damage boards
    * @param {number} deltaTime - Time elapsed since last update
@@ -515,7 +903,7 @@ export class Enemy {
         
         // Only play sound when a board is completely broken
         if (boardWasRemoved && this.player && typeof this.player.playWindowBoardBreakingSound === 'function') {
-          this.player.playWindowBoardBreakingSound();
+          this.player.playWindowBoardBreakingSound(this.targetWindow);
         }
       }
     }
@@ -549,7 +937,7 @@ export class Enemy {
     this.attackAnimationTime = 0;
     
     // Move back after 100ms
-    setTimeout(() => {
+    this.setLifeTimeout(() => {
       if (this.instance) {
         this.instance.position.copy(originalPosition);
       }
@@ -574,6 +962,7 @@ export class Enemy {
    */
   enterRoom() {
     this.insideRoom = true;
+    this.stateMachine.setState(EnemyStates.ENTERING);
     
     // Position just inside the window
     const roomCenter = new THREE.Vector3(0, this.floorLevel, 0);
@@ -686,22 +1075,27 @@ export class Enemy {
       return;
     }
     
-    // Calculate direction to closest player (only on x and z axes)
+    // Route around walls and props towards the closest player
+    const moveTarget = this.getPathTarget(closestPlayerPos, deltaTime);
+    
+    // Calculate direction to the next waypoint (only on x and z axes)
     const direction = new THREE.Vector3().subVectors(
-      closestPlayerPos,
+      moveTarget,
       this.instance.position
     ).normalize();
     
-    // Move towards closest player
+    // Spread out from the rest of the horde instead of walking through them
+    this.applyCrowdSteering(direction);
+    
+    // Move towards the waypoint
     const step = this.speed * deltaTime;
-    this.instance.position.x += direction.x * step;
-    this.instance.position.z += direction.z * step;
+    this.moveWithCollision(direction.x * step, direction.z * step);
     
     // Ensure y position is at floor level
     this.instance.position.y = this.floorLevel;
     
-    // Look at closest player
-    this.instance.lookAt(closestPlayerPos);
+    // Look where we're heading (the player once there's a clear line)
+    this.instance.lookAt(moveTarget);
     
     // Keep inside room boundaries
     this.enforceRoomBoundaries();
@@ -784,9 +1178,37 @@ export class Enemy {
       
       // Play attack animation
       this.playAttackAnimation();
+      this.stateMachine.setState(EnemyStates.ATTACKING);
     }
   }
 
+  /**
+   * Get the horizontal distance to the closest living player
+   * @returns {number} Distance, or Infinity if no living player is known
+   */
+  getClosestPlayerDistance() {
+    let closestDistance = Infinity;
+    const position = this.instance.position;
+    
+    if (this.player && !this.player.isDead) {
+      const playerPosition = this.player.camera.position;
+      closestDistance = Math.hypot(playerPosition.x - position.x, playerPosition.z - position.z);
+    }
+    
+    if (this.manager && this.manager.gameEngine &&
+        this.manager.gameEngine.networkManager &&
+        this.manager.gameEngine.networkManager.remotePlayers) {
+      this.manager.gameEngine.networkManager.remotePlayers.forEach(remotePlayer => {
+        if (remotePlayer.isDead || !remotePlayer.position) return;
+        
+        const distance = Math.hypot(remotePlayer.position.x - position.x, remotePlayer.position.z - position.z);
+        closestDistance = Math.min(closestDistance, distance);
+      });
+    }
+    
+    return closestDistance;
+  }
+
   /**
    * Move randomly inside the room (fallback behavior if no player)
    * @param {number} deltaTime - Time elapsed since last update
@@ -802,8 +1224,9 @@ export class Enemy {
     
     // Move forward in facing direction
     const direction = new THREE.Vector3(0, 0, -1).applyQuaternion(this.instance.quaternion);
-    this.instance.position.x += direction.x * step;
-    this.instance.position.z += direction.z * step;
+    if (!this.moveWithCollision(direction.x * step, direction.z * step)) {
+      this.instance.rotation.y += Math.PI / 2; // Turn away from whatever is in the way
+    }
     
     // Ensure y position is at floor level
     this.instance.position.y = this.floorLevel;
@@ -812,14 +1235,90 @@ export class Enemy {
     this.enforceRoomBoundaries();
   }
 
+  /**
+   * Get the point to walk towards on the way to a goal
+   * @param {THREE.Vector3} goal - Where the enemy wants to go (on the floor)
+   * @param {number} deltaTime - Time since last frame
+   * @returns {THREE.Vector3} The goal itself, or the next waypoint of a path to it
+   */
+  getPathTarget(goal, deltaTime) {
+    const navGrid = this.manager && this.manager.room && this.manager.room.navGrid;
+    const position = this.instance.position;
+    
+    // Walk straight at the goal when nothing is in the way
+    if (!navGrid || navGrid.hasLineOfSight(position, goal)) {
+      this.path = [];
+      this.pathGoal = null;
+      return goal;
+    }
+    
+    // Find a new path every so often, or straight away if the goal moved a lot
+    this.repathTimer -= deltaTime;
+    if (this.repathTimer <= 0 || !this.pathGoal || this.pathGoal.distanceTo(goal) > 1) {
+      this.path = navGrid.findPath(position, goal) || [];
+      this.pathGoal = goal.clone();
+      this.repathTimer = this.repathInterval;
+    }
+    
+    // Drop waypoints we've reached
+    while (this.path.length > 0) {
+      const waypoint = this.path[0];
+      const distance = Math.hypot(waypoint.x - position.x, waypoint.z - position.z);
+      
+      if (distance > this.waypointReachedDistance) break;
+      this.path.shift();
+    }
+    
+    if (this.path.length === 0) {
+      return goal;
+    }
+    
+    return new THREE.Vector3(this.path[0].x, this.floorLevel, this.path[0].z);
+  }
+
+  /**
+   * Move on the floor, sliding along props that are in the way
+   * @param {number} dx - Movement along X
+   * @param {number} dz - Movement along Z
+   * @returns {boolean} True if the enemy moved at all
+   */
+  moveWithCollision(dx, dz) {
+    const room = this.manager && this.manager.room;
+    const position = this.instance.position;
+    
+    if (!room || room.props.length === 0) {
+      position.x += dx;
+      position.z += dz;
+      return true;
+    }
+    
+    const blocked = (x, z) => room.isBlockedByProp(new THREE.Vector3(x, 0, z), this.collisionRadius);
+    
+    // Full step, then each axis on its own to slide along the obstacle
+    if (!blocked(position.x + dx, position.z + dz)) {
+      position.x += dx;
+      position.z += dz;
+    } else if (dx !== 0 && !blocked(position.x + dx, position.z)) {
+      position.x += dx;
+    } else if (dz !== 0 && !blocked(position.x, position.z + dz)) {
+      position.z += dz;
+    } else {
+      return false;
+    }
+    
+    return true;
+  }
+
   /**
    * Enforce room boundaries to keep zombies inside the room
    */
   enforceRoomBoundaries() {
-    const roomSize = 5; // Half of room width/depth
+    // Half of room width/depth (from the manager's map, default 10x10 room)
+    const halfWidth = this.manager && this.manager.roomWidth ? this.manager.roomWidth / 2 : 5;
+    const halfDepth = this.manager && this.manager.roomDepth ? this.manager.roomDepth / 2 : 5;
     
-    if (Math.abs(this.instance.position.x) > roomSize - 1) {
-      this.instance.position.x = Math.sign(this.instance.position.x) * (roomSize - 1);
+    if (Math.abs(this.instance.position.x) > halfWidth - 1) {
+      this.instance.position.x = Math.sign(this.instance.position.x) * (halfWidth - 1);
       
       // If chasing player, don't turn around
       if (!this.player) {
@@ -827,8 +1326,8 @@ export class Enemy {
       }
     }
     
-    if (Math.abs(this.instance.position.z) > roomSize - 1) {
-      this.instance.position.z = Math.sign(this.instance.position.z) * (roomSize - 1);
+    if (Math.abs(this.instance.position.z) > halfDepth - 1) {
+      this.instance.position.z = Math.sign(this.instance.position.z) * (halfDepth - 1);
       
       // If chasing player, don't turn around
       if (!this.player) {
@@ -840,11 +1339,22 @@ export class Enemy {
   /**
    * Apply damage to the enemy
    * @param {number} damage - Amount of damage to apply
+   * @param {string} hitZone - Optional hit zone that was hit (limbs can be severed)
    */
-  takeDamage(damage) {
+  takeDamage(damage, hitZone = null) {
+    // Insta-kill makes any hit lethal
+    if (this.manager && this.manager.powerUps && this.manager.powerUps.isActive('instaKill') && !this.resistsInstaKill) {
+      damage = Math.max(damage, this.health);
+    }
+    
     // Reduce health by damage amount
     this.health = Math.max(0, this.health - damage);
     
+    // Damage the limb that was hit
+    if (hitZone && this.canDismember) {
+      this.damageLimb(hitZone, damage);
+    }
+    
     // Update health bar
     this.updateHealthBar();
     
@@ -857,6 +1367,229 @@ export class Enemy {
     }
   }
 
+  /**
+   * Tag every body part mesh with its hit zone (head, body, leftArm, rightArm, leftLeg, rightLeg)
+   */
+  assignHitZones() {
+    if (!this.bodyParts) return;
+    
+    Object.entries(this.bodyParts).forEach(([name, part]) => {
+      if (!part || typeof part.traverse !== 'function') return;
+      
+      const zone = this.getHitZoneForPart(name);
+      part.traverse((child) => {
+        child.userData.hitZone = zone;
+      });
+    });
+  }
+
+  /**
+   * Work out the hit zone for a body part name
+   * @param {string} name - Key in bodyParts (e.g. 'leftArm', 'rightClaw', 'leftEye')
+   * @returns {string} Hit zone
+   */
+  getHitZoneForPart(name) {
+    if (/head|eye|mouth/i.test(name)) {
+      return 'head';
+    }
+    
+    const side = name.startsWith('left') ? 'left' : (name.startsWith('right') ? 'right' : null);
+    if (side && /arm|fist|claw|shoulder/i.test(name)) {
+      return `${side}Arm`;
+    }
+    if (side && /leg/i.test(name)) {
+      return `${side}Leg`;
+    }
+    
+    return 'body';
+  }
+
+  /**
+   * Get the hit zone of a mesh that was hit
+   * @param {THREE.Object3D} object - The mesh the ray hit
+   * @returns {string} Hit zone ('body' if unknown)
+   */
+  getHitZone(object) {
+    let current = object;
+    
+    while (current && current !== this.instance) {
+      if (current.userData && current.userData.hitZone) {
+        return current.userData.hitZone;
+      }
+      current = current.parent;
+    }
+    
+    return 'body';
+  }
+
+  /**
+   * Get the body shot damage multiplier for a hit zone
+   * @param {string} hitZone - Hit zone
+   * @returns {number} Damage multiplier
+   */
+  getHitZoneMultiplier(hitZone) {
+    const multiplier = this.hitZoneMultipliers[hitZone];
+    return typeof multiplier === 'number' ? multiplier : 1;
+  }
+
+  /**
+   * Damage a limb, severing it when its health runs out
+   * @param {string} hitZone - Hit zone (only arms and legs have limb health)
+   * @param {number} damage - Amount of damage
+   */
+  damageLimb(hitZone, damage) {
+    if (!(hitZone in this.limbHealth) || this.severedLimbs.includes(hitZone)) return;
+    
+    this.limbHealth[hitZone] -= damage;
+    
+    if (this.limbHealth[hitZone] <= 0) {
+      this.severLimb(hitZone);
+      
+      // Losing a limb knocks the zombie off balance
+      this.stun(this.limbLossStunTime);
+    }
+  }
+
+  /**
+   * Sever a limb. Losing an arm weakens attacks, losing a leg slows the zombie
+   * and losing both legs turns it into a crawler.
+   * @param {string} limb - Limb to sever ('leftArm', 'rightArm', 'leftLeg' or 'rightLeg')
+   * @param {boolean} spawnDebris - Whether to throw the limb off as debris
+   */
+  severLimb(limb, spawnDebris = true) {
+    if (this.severedLimbs.includes(limb)) return;
+    
+    const part = this.bodyParts && this.bodyParts[limb];
+    if (!part) return;
+    
+    console.log(`Zombie ${this.id} lost its ${limb}`);
+    
+    this.severedLimbs.push(limb);
+    this.limbHealth[limb] = 0;
+    delete this.bodyParts[limb];
+    
+    // Throw the limb off (the manager animates the debris)
+    if (spawnDebris && this.manager && typeof this.manager.spawnLimbDebris === 'function') {
+      this.manager.spawnLimbDebris(part, this);
+    } else {
+      part.removeFromParent();
+    }
+    
+    if (limb === 'leftArm' || limb === 'rightArm') {
+      // One arm less to hit with
+      this.playerDamage = Math.round(this.playerDamage * 0.8);
+      this.attackDamage = Math.round(this.attackDamage * 0.8);
+    } else if (this.severedLimbs.includes('leftLeg') && this.severedLimbs.includes('rightLeg')) {
+      this.becomeCrawler();
+    } else {
+      // Hobble along on one leg
+      this.speed *= 0.75;
+    }
+  }
+
+  /**
+   * Sever any limbs in a list that are still attached (used for network sync)
+   * @param {Array} limbs - Severed limb names
+   * @param {boolean} spawnDebris - Whether to throw the limbs off as debris
+   */
+  applySeveredLimbs(limbs, spawnDebris = true) {
+    if (!Array.isArray(limbs)) return;
+    
+    limbs.forEach(limb => this.severLimb(limb, spawnDebris));
+  }
+
+  /**
+   * Drop to the floor and crawl like a CrawlingZombie after losing both legs
+   */
+  becomeCrawler() {
+    if (this.isCrawling || this.isDead || this.health <= 0) return;
+    
+    console.log(`Zombie ${this.id} lost both legs and is now crawling`);
+    
+    this.isCrawling = true;
+    this.height = 0.7;
+    this.speed *= 0.8; // On top of the one-legged slowdown
+    this.playerDamage = Math.round(this.playerDamage * 0.7);
+    
+    // Lie the body down with the head up and the arms reaching forward
+    const { body, head, leftEye, rightEye, leftArm, rightArm } = this.bodyParts;
+    
+    if (body) {
+      body.rotation.x = Math.PI / 2;
+      body.position.set(0, 0.25, -0.3);
+    }
+    if (head) {
+      head.position.set(0, 0.45, 0.75);
+    }
+    if (leftEye) {
+      leftEye.position.set(-0.12, 0.5, 1.0);
+    }
+    if (rightEye) {
+      rightEye.position.set(0.12, 0.5, 1.0);
+    }
+    [leftArm, rightArm].forEach((arm, index) => {
+      if (!arm) return;
+      arm.rotation.set(Math.PI / 2, 0, 0);
+      arm.position.set(index === 0 ? -0.45 : 0.45, 0.15, 0.6);
+    });
+    
+    // Bring the health bar and attack effect down to crawling height
+    if (this.healthBarContainer) {
+      this.healthBarContainer.position.y = 0.8;
+    }
+    if (this.attackEffect) {
+      this.attackEffect.position.set(0, 0.5, 0.7);
+    }
+    
+    // Use the crawler's arm animation
+    this.animateCrawling();
+  }
+
+  /**
+   * Setup animation for crawling motion
+   */
+  animateCrawling() {
+    // Store original positions of arms for animation (either arm may have been severed)
+    this.originalArmPositions = {
+      leftArm: this.bodyParts.leftArm ? this.bodyParts.leftArm.position.clone() : null,
+      rightArm: this.bodyParts.rightArm ? this.bodyParts.rightArm.position.clone() : null
+    };
+    
+    // Initialize animation time
+    this.crawlAnimTime = Math.random() * Math.PI * 2; // Random start phase
+  }
+  
+  /**
+   * Update crawling animation
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateCrawlAnimation(deltaTime) {
+    if (!this.bodyParts || this.isDead || !this.originalArmPositions) return;
+    
+    // Update animation time
+    this.crawlAnimTime += deltaTime * this.speed * 5;
+    
+    // Animate arms for crawling motion
+    const leftArmPhase = Math.sin(this.crawlAnimTime);
+    const rightArmPhase = Math.sin(this.crawlAnimTime + Math.PI); // Opposite phase
+    
+    // Apply vertical motion to arms to simulate crawling
+    if (this.bodyParts.leftArm && this.originalArmPositions.leftArm) {
+      this.bodyParts.leftArm.position.z = this.originalArmPositions.leftArm.z + leftArmPhase * 0.15;
+      this.bodyParts.leftArm.position.y = this.originalArmPositions.leftArm.y + Math.abs(leftArmPhase) * 0.07;
+    }
+    
+    if (this.bodyParts.rightArm && this.originalArmPositions.rightArm) {
+      this.bodyParts.rightArm.position.z = this.originalArmPositions.rightArm.z + rightArmPhase * 0.15;
+      this.bodyParts.rightArm.position.y = this.originalArmPositions.rightArm.y + Math.abs(rightArmPhase) * 0.07;
+    }
+    
+    // Add slight body rock
+    if (this.bodyParts.body) {
+      this.bodyParts.body.rotation.z = Math.sin(this.crawlAnimTime) * 0.05;
+    }
+  }
+
   /**
    * Play hit animation when taking damage
    */
@@ -878,7 +1611,7 @@ export class Enemy {
     });
     
     // Reset colors after 100ms
-    setTimeout(() => {
+    this.setLifeTimeout(() => {
       originalColors.forEach(item => {
         item.part.material.color.copy(item.color);
       });
@@ -891,6 +1624,7 @@ export class Enemy {
   die() {
     this.isDead = true;
     this.deathAnimationTime = 0;
+    this.stateMachine.setState(EnemyStates.DYING);
     
     // Hide health bar
     if (this.healthBarContainer) {
@@ -914,9 +1648,10 @@ export class Enemy {
       opacity: 1.0
     });
     
-    // Apply to all body parts
+    // Apply to all body parts (keeping the live material for the instanced batches)
     Object.values(this.bodyParts).forEach(part => {
       if (part.material) {
+        part.userData.liveMaterial = part.userData.liveMaterial || part.material;
         part.material = deadMaterial.clone();
       }
     });
@@ -974,6 +1709,11 @@ export class Enemy {
     
     // Hide instance
     this.instance.visible = false;
+    
+    // Stop any sounds coming from this zombie
+    if (this.player && this.player.spatialAudio) {
+      this.player.spatialAudio.release(this.instance);
+    }
   }
 
   /**
@@ -1001,11 +1741,10 @@ export class Enemy {
     
     // Check if it's time to play a sound
     if (this.lastSoundTime >= this.nextSoundTime) {
-      // Get zombie position for potential spatial audio
       const zombiePosition = this.instance.position.clone();
       
-      // Play a random zombie sound
-      this.player.playRandomZombieSound(zombiePosition);
+      // Play a random zombie sound from this zombie
+      this.player.playRandomZombieSound(zombiePosition, this.instance);
       
       // Reset sound timer with slight randomization
       this.lastSoundTime = 0;
@@ -1020,19 +1759,147 @@ export class Enemy {
    * Make the enemy start moving (for animations and state sync)
    */
   startMoving() {
-    this.isMoving = true;
-    this.state = 'moving';
+    if (this.stateMachine.is(EnemyStates.ATTACKING, EnemyStates.STUNNED)) {
+      this.stateMachine.setState(this.insideRoom ? EnemyStates.CHASING : EnemyStates.APPROACHING, true);
+    }
   }
   
   /**
    * Make the enemy start attacking (for animations and state sync)
    */
   startAttacking() {
-    this.isAttacking = true;
-    this.state = 'attacking';
+    this.stateMachine.setState(this.insideRoom ? EnemyStates.ATTACKING : EnemyStates.TEARING_BOARDS, true);
     this.playAttackAnimation();
   }
 
+  /**
+   * Keep the movement flags in step with the state machine
+   * @param {string} to - New state
+   * @param {string} from - Previous state
+   */
+  onStateChange(to, from) {
+    this.isMoving = this.stateMachine.is(EnemyStates.APPROACHING, EnemyStates.CHASING);
+    this.isAttacking = this.stateMachine.is(EnemyStates.TEARING_BOARDS, EnemyStates.ATTACKING);
+    
+    if (this.stateLabel) {
+      this.drawStateLabel();
+    }
+    
+    // Let the manager know so it can roll a power-up drop
+    if (to === EnemyStates.DYING && this.manager && typeof this.manager.onEnemyKilled === 'function') {
+      this.manager.onEnemyKilled(this);
+    }
+  }
+
+  /**
+   * Follow the state the host sent for this enemy
+   * @param {string} state - Host state
+   */
+  applyNetworkState(state) {
+    if (!state || state === this.state) return;
+    
+    if (state === EnemyStates.DYING) {
+      if (!this.isDead) {
+        this.die();
+      }
+      return;
+    }
+    
+    // The host already checked the transition
+    this.stateMachine.setState(state, true);
+  }
+
+  /**
+   * Advance the state machine's clock and refresh the debug label
+   * (subclasses that skip Enemy.update in some states call this themselves)
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateStateMachine(deltaTime) {
+    this.stateMachine.update(deltaTime);
+    this.updateStateLabel();
+  }
+
+  /**
+   * Show or hide the debug label with the current state (EnemyManager.showStateLabels)
+   */
+  updateStateLabel() {
+    const show = !!(this.manager && this.manager.showStateLabels) && !this.markedForRemoval;
+    
+    if (!show) {
+      if (this.stateLabel) {
+        this.stateLabel.visible = false;
+      }
+      return;
+    }
+    
+    if (!this.stateLabel) {
+      this.createStateLabel();
+    }
+    this.stateLabel.visible = true;
+  }
+
+  /**
+   * Create the debug label sprite
+   */
+  createStateLabel() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    
+    const texture = new THREE.CanvasTexture(canvas);
+    const material = new THREE.SpriteMaterial({ map: texture, depthTest: false, transparent: true });
+    
+    this.stateLabel = new THREE.Sprite(material);
+    this.stateLabel.scale.set(1.2, 0.3, 1);
+    this.stateLabel.position.y = (this.healthBarContainer ? this.healthBarContainer.position.y : 2) + 0.35;
+    this.stateLabel.renderOrder = 999;
+    this.stateLabel.userData.canvas = canvas;
+    this.instance.add(this.stateLabel);
+    
+    this.drawStateLabel();
+  }
+
+  /**
+   * Draw the current state onto the debug label
+   */
+  drawStateLabel() {
+    const canvas = this.stateLabel.userData.canvas;
+    const context = canvas.getContext('2d');
+    
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.font = 'bold 30px monospace';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = this.isDead ? '#aaaaaa' : '#ffff66';
+    context.fillText(this.state, canvas.width / 2, canvas.height / 2);
+    
+    this.stateLabel.material.map.needsUpdate = true;
+  }
+
+  /**
+   * Remove the debug label and free its texture
+   */
+  removeStateLabel() {
+    if (!this.stateLabel) return;
+    
+    this.stateLabel.removeFromParent();
+    this.stateLabel.material.map.dispose();
+    this.stateLabel.material.dispose();
+    this.stateLabel = null;
+  }
+
+  /**
+   * Check if this game is a multiplayer client (the host decides what enemies do)
+   * @returns {boolean} True if we're a client in a multiplayer game
+   */
+  isNetworkClient() {
+    const gameEngine = this.gameEngine || (this.manager && this.manager.gameEngine);
+    const networkManager = gameEngine && gameEngine.networkManager;
+    return !!(networkManager && networkManager.isMultiplayer && !networkManager.isHost);
+  }
+
   /**
    * Apply damage to the enemy (client version that also notifies the host)
    * This can be used when the client shoots a zombie, allowing for local feedback
@@ -1041,9 +1908,10 @@ export class Enemy {
    * @param {number} damage - Amount of damage to apply
    * @param {boolean} isHeadshot - Whether this was a headshot
    * @param {NetworkManager} networkManager - Reference to network manager
+   * @param {string} hitZone - Optional hit zone that was hit
    * @returns {number} The enemy's health after applying damage
    */
-  clientTakeDamage(damage, isHeadshot, networkManager) {
+  clientTakeDamage(damage, isHeadshot, networkManager, hitZone = null) {
     console.log("ENEMY: clientTakeDamage called with damage:", damage, "headshot:", isHeadshot);
     
     if (!damage || damage <= 0) {
@@ -1055,7 +1923,7 @@ export class Enemy {
     const originalHealth = this.health;
     
     // First apply damage locally for immediate feedback
-    this.takeDamage(damage);
+    this.takeDamage(damage, hitZone);
     console.log(`ENEMY: Local damage applied, health reduced from ${originalHealth} to ${this.health}`);
     
     // Record the pending action time to prevent host overrides
@@ -1070,6 +1938,7 @@ export class Enemy {
         enemyId: this.id,
         damage: damage,
         isHeadshot: isHeadshot,
+        hitZone: hitZone,
         originalHealth: originalHealth,
         newHealth: this.health,
         isDead: this.health <= 0,
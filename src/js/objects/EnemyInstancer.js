@@ -0,0 +1,296 @@
+import * as THREE from 'three';
+
+/**
+ * Draws zombies with one InstancedMesh per body part per enemy type instead of a
+ * set of meshes per zombie. Each zombie keeps its own (hidden) meshes for animation,
+ * raycasting and hit zones; every frame their world transforms and colours are copied
+ * into the batches, so hit flashes, death greying and crawling poses still show up.
+ * Health bars are batched the same way. Enemies with glowing or pulsing materials
+ * (animatesMaterials) keep drawing their own meshes.
+ */
+export class EnemyInstancer {
+  /**
+   * @param {THREE.Scene|Object} scene - Scene (or scene wrapper with an instance) to draw into
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.batches = new Map(); // key -> { mesh, count, capacity }
+    this.initialCapacity = 32;
+    this.enabled = false;
+    
+    // Everything is drawn from one group so it can be removed in one go
+    this.group = new THREE.Group();
+    this.group.name = 'enemyInstances';
+    this.addedToScene = false;
+    
+    // Scratch objects so the per-frame copy doesn't allocate
+    this.matrix = new THREE.Matrix4();
+    this.fadeScale = new THREE.Matrix4();
+    this.white = new THREE.Color(0xffffff);
+  }
+
+  /**
+   * Turn instanced drawing on or off
+   * @param {boolean} enabled - Whether zombies should be drawn through the batches
+   * @param {Array} enemies - Current enemies (their own meshes are hidden or shown again)
+   */
+  setEnabled(enabled, enemies) {
+    if (this.enabled === enabled) return;
+    
+    this.enabled = enabled;
+    console.log(`Instanced zombie rendering ${enabled ? 'enabled' : 'disabled'}`);
+    
+    if (enabled) {
+      this.addToScene();
+    } else {
+      enemies.forEach(enemy => this.detach(enemy));
+      this.batches.forEach(batch => {
+        batch.count = 0;
+        batch.mesh.count = 0;
+      });
+    }
+  }
+
+  /**
+   * Add the batch group to the scene
+   */
+  addToScene() {
+    if (this.addedToScene) return;
+    
+    if (this.scene && typeof this.scene.add === 'function') {
+      this.scene.add(this.group);
+    } else if (this.scene && this.scene.instance && typeof this.scene.instance.add === 'function') {
+      this.scene.instance.add(this.group);
+    } else {
+      return;
+    }
+    
+    this.addedToScene = true;
+  }
+
+  /**
+   * Get the meshes of an enemy that are drawn through the batches
+   * @param {Enemy} enemy - The enemy
+   * @param {Function} callback - Called with (key, mesh) for every batched mesh
+   */
+  forEachBatchedMesh(enemy, callback) {
+    if (enemy.bodyParts) {
+      Object.entries(enemy.bodyParts).forEach(([name, part]) => {
+        if (!part || typeof part.traverse !== 'function') return;
+        
+        let index = 0;
+        part.traverse((child) => {
+          if (child.isMesh) {
+            callback(`${enemy.type}:${name}:${index}`, child);
+            index++;
+          }
+        });
+      });
+    }
+    
+    if (enemy.healthBarContainer) {
+      enemy.healthBarContainer.children.forEach((child, index) => {
+        if (child.isMesh) {
+          callback(`healthBar:${index}`, child);
+        }
+      });
+    }
+  }
+
+  /**
+   * Hide an enemy's own meshes so only the batches draw it
+   * @param {Enemy} enemy - The enemy
+   */
+  attach(enemy) {
+    if (enemy.isInstanced) return;
+    
+    this.forEachBatchedMesh(enemy, (key, mesh) => {
+      mesh.visible = false;
+    });
+    enemy.isInstanced = true;
+  }
+
+  /**
+   * Show an enemy's own meshes again
+   * @param {Enemy} enemy - The enemy
+   */
+  detach(enemy) {
+    if (!enemy.isInstanced) return;
+    
+    this.forEachBatchedMesh(enemy, (key, mesh) => {
+      mesh.visible = true;
+    });
+    enemy.isInstanced = false;
+  }
+
+  /**
+   * Create the batch for a body part
+   * @param {string} key - Batch key (type, part name and mesh index)
+   * @param {THREE.Mesh} template - A mesh to copy the geometry and material from
+   * @returns {Object} The batch
+   */
+  createBatch(key, template) {
+    // The colour comes from each instance, so the shared material is left white
+    const material = this.getPristineMaterial(template);
+    material.color.set(0xffffff);
+    
+    const batch = {
+      mesh: this.createInstancedMesh(template.geometry.clone(), material, this.initialCapacity, template),
+      count: 0,
+      capacity: this.initialCapacity
+    };
+    
+    this.batches.set(key, batch);
+    this.group.add(batch.mesh);
+    
+    return batch;
+  }
+
+  /**
+   * Copy a mesh's material as it was before the enemy died, so a batch first seen
+   * on a dying (greyed, fading) zombie doesn't pass that on to every zombie of its type
+   * @param {THREE.Mesh} mesh - The enemy's mesh
+   * @returns {THREE.Material} A new material for the batch
+   */
+  getPristineMaterial(mesh) {
+    return (mesh.userData.liveMaterial || mesh.material).clone();
+  }
+
+  /**
+   * Build an InstancedMesh ready for per-frame updates
+   * @param {THREE.BufferGeometry} geometry - Shared geometry
+   * @param {THREE.Material} material - Shared material
+   * @param {number} capacity - Maximum instances
+   * @param {THREE.Mesh} template - Mesh to copy shadow settings from
+   * @returns {THREE.InstancedMesh} The instanced mesh
+   */
+  createInstancedMesh(geometry, material, capacity, template) {
+    const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.setColorAt(0, this.white); // Creates the colour buffer
+    mesh.count = 0;
+    mesh.castShadow = template.castShadow;
+    mesh.receiveShadow = template.receiveShadow;
+    
+    // Instances move every frame, so skip culling against a stale bounding sphere
+    mesh.frustumCulled = false;
+    
+    return mesh;
+  }
+
+  /**
+   * Double a batch's capacity, keeping the instances written so far this frame
+   * @param {Object} batch - The batch to grow
+   */
+  growBatch(batch) {
+    const oldMesh = batch.mesh;
+    const capacity = batch.capacity * 2;
+    const mesh = this.createInstancedMesh(oldMesh.geometry, oldMesh.material, capacity, oldMesh);
+    
+    mesh.instanceMatrix.array.set(oldMesh.instanceMatrix.array);
+    mesh.instanceColor.array.set(oldMesh.instanceColor.array);
+    
+    this.group.remove(oldMesh);
+    this.group.add(mesh);
+    oldMesh.dispose();
+    
+    batch.mesh = mesh;
+    batch.capacity = capacity;
+  }
+
+  /**
+   * Copy one mesh into its batch
+   * @param {string} key - Batch key
+   * @param {THREE.Mesh} mesh - The enemy's (hidden) mesh
+   */
+  addInstance(key, mesh) {
+    const batch = this.batches.get(key) || this.createBatch(key, mesh);
+    
+    if (batch.count >= batch.capacity) {
+      this.growBatch(batch);
+    }
+    
+    this.matrix.copy(mesh.matrixWorld);
+    
+    // Instances share one material and can't fade, so fading parts shrink away instead
+    const material = mesh.material;
+    if (material.transparent && material.opacity < 1 && !key.startsWith('healthBar')) {
+      const scale = Math.max(0.001, material.opacity);
+      this.matrix.multiply(this.fadeScale.makeScale(scale, scale, scale));
+    }
+    
+    batch.mesh.setMatrixAt(batch.count, this.matrix);
+    batch.mesh.setColorAt(batch.count, material.color);
+    batch.count++;
+  }
+
+  /**
+   * Copy every enemy into the batches (call once per frame after enemies update)
+   * @param {Array} enemies - All enemies
+   */
+  update(enemies) {
+    if (!this.enabled) return;
+    
+    this.batches.forEach(batch => {
+      batch.count = 0;
+    });
+    
+    enemies.forEach(enemy => {
+      if (!enemy.instance) return;
+      
+      // Shared batch materials can't follow per-zombie material animation
+      if (enemy.animatesMaterials) {
+        this.detach(enemy);
+        return;
+      }
+      
+      this.attach(enemy);
+      
+      if (!enemy.instance.visible || enemy.markedForRemoval) return;
+      
+      enemy.instance.updateWorldMatrix(true, true);
+      
+      this.forEachBatchedMesh(enemy, (key, mesh) => {
+        // Health bars follow their container's visibility
+        if (key.startsWith('healthBar') && !enemy.healthBarContainer.visible) return;
+        
+        this.addInstance(key, mesh);
+      });
+    });
+    
+    this.batches.forEach(batch => {
+      batch.mesh.count = batch.count;
+      batch.mesh.instanceMatrix.needsUpdate = true;
+      if (batch.mesh.instanceColor) {
+        batch.mesh.instanceColor.needsUpdate = true;
+      }
+    });
+  }
+
+  /**
+   * Get how many draw calls the batches replace
+   * @returns {Object} { batches, instances }
+   */
+  getStats() {
+    let instances = 0;
+    this.batches.forEach(batch => {
+      instances += batch.count;
+    });
+    
+    return { batches: this.batches.size, instances };
+  }
+
+  /**
+   * Remove the batches from the scene and free their GPU buffers
+   */
+  dispose() {
+    this.batches.forEach(batch => {
+      batch.mesh.geometry.dispose();
+      batch.mesh.material.dispose();
+      batch.mesh.dispose();
+    });
+    this.batches.clear();
+    this.group.removeFromParent();
+    this.addedToScene = false;
+  }
+}
@@ -1,8 +1,11 @@
 import * as THREE from 'three';
-import { Enemy } from './Enemy';
-import { CrawlingZombie } from './CrawlingZombie';
-import { RunnerZombie } from './RunnerZombie';
-import { SpitterZombie } from './SpitterZombie';
+import { EnemyRegistry } from './EnemyRegistry';
+import { CrowdSystem } from './CrowdSystem';
+import { AcidPoolSystem } from './AcidPoolSystem';
+import { GrenadeSystem } from './GrenadeSystem';
+import { EnemyInstancer } from './EnemyInstancer';
+import { WaveLoader } from '../waves/WaveLoader';
+import { PowerUpManager } from '../powerups/PowerUpManager';
 
 /**
  * Manages enemies in the game
@@ -12,6 +15,13 @@ export class EnemyManager {
     this.scene = scene;
     this.windows = windows;
     this.enemies = [];
+    
+    // Room that owns this manager (used to find reachable windows)
+    this.room = null;
+    
+    // Room dimensions used to keep enemies inside (set by Room from its map)
+    this.roomWidth = 10;
+    this.roomDepth = 10;
     this.gameEngine = null; // Reference to game engine for network access
     
     // Round-based game settings
@@ -28,12 +38,12 @@ export class EnemyManager {
     this.lastStateCheck = 0;
     this.stateCheckInterval = 5; // Check every 5 seconds
     
-    // Enemy settings that scale with rounds
-    this.baseMaxEnemies = 7; // Reduced from 8
+    // Enemy settings that change with rounds (from WaveLoader)
+    this.currentWave = null;
+    this.waveMaxEnemies = 7; // The max enemies waves are written for
+    this.baseMaxEnemies = 7; // Lowered by the engine for easier setups (shifts every wave's max)
     this.maxEnemies = this.baseMaxEnemies;
-    this.baseZombiesPerRound = 8; // Reduced from 10
-    this.baseSpawnRate = 0.2; // Reduced from 0.25
-    this.spawnRate = this.baseSpawnRate;
+    this.spawnRate = 0.2;
     this.lastSpawnTime = 0;
     
     this.isPaused = false;
@@ -48,6 +58,44 @@ export class EnemyManager {
     
     // Round display
     this.roundDisplay = null;
+    
+    // Boss rounds (which rounds have bosses comes from the wave definitions)
+    this.bossSpawnDelay = 4; // seconds after the round starts
+    this.bossesRemaining = 0; // Bosses still to spawn this round
+    this.bossHealthBar = null;
+    
+    // Hellhound rounds (the host rolls them when the round before ends)
+    this.nextSpecialRound = null; // { round, special } rolled for the next round
+    this.hellhoundPackTimer = 0; // Seconds until the next pack
+    this.lastKillPosition = null; // Where the round's guaranteed Max Ammo drops
+    
+    // Running explosion effects (fireballs from exploding zombies and grenades)
+    this.explosionEffects = [];
+    
+    // Acid pools left by spitter projectiles
+    this.acidPools = new AcidPoolSystem(this);
+    
+    // Grenades thrown by players
+    this.grenades = new GrenadeSystem(this);
+    
+    // Crowd separation and window queues for the horde
+    this.crowd = new CrowdSystem(this);
+    
+    // Power-up drops and their timed effects
+    this.powerUps = new PowerUpManager(this);
+    
+    // Rendering mode: 'meshes' (a mesh set per zombie), 'instanced' (batched body parts)
+    // or 'auto' (instanced once the horde reaches instancingThreshold)
+    this.renderMode = 'auto';
+    this.instancingThreshold = 12;
+    this.instancer = new EnemyInstancer(scene);
+    
+    // Severed limbs flying about (oldest are removed past the cap)
+    this.limbDebris = [];
+    this.maxLimbDebris = 24;
+    
+    // Debug labels above each zombie showing its behavior state
+    this.showStateLabels = false;
   }
 
   /**
@@ -99,6 +147,7 @@ export class EnemyManager {
     // Create UI displays
     this.createKillDisplay();
     this.createRoundDisplay();
+    this.createBossHealthBar();
   }
 
   /**
@@ -231,6 +280,9 @@ export class EnemyManager {
     // Flag to force enemies to continue updating
     const shouldForceUpdate = hasLivingRemotePlayers;
     
+    // Find neighbours and window queues for this frame
+    this.crowd.rebuild(this.enemies);
+    
     // Update all existing enemies
     this.enemies.forEach(enemy => {
       // Update if:
@@ -256,8 +308,33 @@ export class EnemyManager {
       }
     });
     
+    // Push apart zombies that ended up overlapping
+    this.crowd.resolveOverlaps();
+    
     // Remove dead enemies that have completed their death animation
     this.removeDeadEnemies();
+    
+    // Copy the horde into the instanced batches if they're in use
+    this.updateRenderMode();
+    this.instancer.update(this.enemies);
+    
+    // Keep the boss bar in step with any living boss
+    this.updateBossHealthBar();
+    
+    // Animate explosions
+    this.updateExplosionEffects(deltaTime);
+    
+    // Animate severed limbs
+    this.updateLimbDebris(deltaTime);
+    
+    // Age acid pools and hurt the player standing in them
+    this.acidPools.update(deltaTime);
+    
+    // Fly and blow up grenades, and refill the player's on a new round
+    this.grenades.update(deltaTime);
+    
+    // Animate power-up drops, check pickups and count down their effects
+    this.powerUps.update(deltaTime);
   }
   
   /**
@@ -294,11 +371,8 @@ export class EnemyManager {
           
           // Force active state on enemies that might be stuck
           this.enemies.forEach(enemy => {
-            if (enemy.state === 'idle' || !enemy.state) {
-              enemy.state = 'moving';
-              if (typeof enemy.startMoving === 'function') {
-                enemy.startMoving();
-              }
+            if (!enemy.isMoving && typeof enemy.startMoving === 'function') {
+              enemy.startMoving();
             }
             
             // Make sure enemies are forced to update regardless of player state
@@ -315,7 +389,7 @@ export class EnemyManager {
     }
     
     // Detect stuck round (no zombies left but round not ending)
-    if (this.roundActive && this.zombiesRemaining <= 0 && this.enemies.length === 0) {
+    if (this.roundActive && this.zombiesRemaining <= 0 && this.bossesRemaining <= 0 && this.enemies.length === 0) {
       console.warn("Detected stuck round - forcing round end");
       this.endRound();
       return;
@@ -378,7 +452,7 @@ export class EnemyManager {
     }
     
     // Check if round is complete
-    if (this.roundActive && this.zombiesRemaining <= 0 && this.enemies.length === 0) {
+    if (this.roundActive && this.zombiesRemaining <= 0 && this.bossesRemaining <= 0 && this.enemies.length === 0) {
       this.endRound();
     }
   }
@@ -396,6 +470,17 @@ export class EnemyManager {
     this.spawnEnabled = false;
     this.timeSinceLastRound = 0;
     
+    // Hellhound rounds always end with a Max Ammo where the last hound died
+    if (this.isHellhoundRound()) {
+      const dropPosition = this.lastKillPosition || (this.player && this.player.camera ? this.player.camera.position : null);
+      if (dropPosition) {
+        this.powerUps.spawnGuaranteedDrop('maxAmmo', dropPosition);
+      }
+    }
+    
+    // Maybe turn the next round into a special round
+    this.rollSpecialRound(this.currentRound + 1);
+    
     // Show round complete message
     this.showRoundCompleteMessage();
     
@@ -425,46 +510,48 @@ export class EnemyManager {
     this.roundActive = true;
     this.timeSinceLastRound = 0;
     this.roundStartTime = performance.now() / 1000;
-    
-    // Calculate zombies for this round with more gradual scaling
-    // Old formula: baseZombiesPerRound + (round-1) * 5 + Math.floor(round/4) * 6
-    // New formula: baseZombiesPerRound + (round-1) * 3 + Math.floor(round/5) * 4
-    const baseZombies = this.baseZombiesPerRound + (this.currentRound - 1) * 3; // Reduced from 5
-    const bonusZombies = Math.floor(this.currentRound / 5) * 4; // Reduced from round/4 * 6
+    this.powerUps.onRoundStart();
+    
+    // Look up this round's wave (scripted, or the endless formula), or the
+    // hellhound wave if the host rolled one for this round
+    let wave = WaveLoader.get(this.currentRound);
+    if (this.nextSpecialRound && this.nextSpecialRound.round === this.currentRound &&
+        this.nextSpecialRound.special === 'hellhounds') {
+      wave = WaveLoader.hellhounds(this.currentRound);
+    }
+    this.nextSpecialRound = null;
+    this.currentWave = wave;
+    this.hellhoundPackTimer = 0;
+    this.lastKillPosition = null;
+    const multiplier = this.spawnRateMultiplier || 1.0;
     
     // Apply spawnRateMultiplier to determine final zombie count
-    const rawZombieCount = baseZombies + bonusZombies;
-    this.zombiesRemaining = Math.max(5, Math.round(rawZombieCount * (this.spawnRateMultiplier || 1.0)));
+    this.zombiesRemaining = Math.max(5, Math.round(wave.zombieCount * multiplier));
     this.zombiesSpawned = 0;
     
-    // Update max concurrent enemies with more gradual scaling
-    // Old formula: baseMaxEnemies + Math.floor(round/2) + Math.floor(round/4)
-    // New formula: baseMaxEnemies + Math.floor(round/3) + Math.floor(round/6)
-    const baseMaxIncrease = Math.floor(this.currentRound / 3); // Reduced from round/2
-    const bonusMaxIncrease = Math.floor(this.currentRound / 6); // Reduced from round/4
-    
-    // Calculate max enemies with multiplier
-    const rawMaxEnemies = this.baseMaxEnemies + baseMaxIncrease + bonusMaxIncrease;
-    this.maxEnemies = Math.max(3, Math.ceil(rawMaxEnemies * (this.spawnRateMultiplier || 1.0)));
-    
-    // Update spawn rate with more gradual scaling
-    // Old formula: baseSpawnRate * (1 + round/4)
-    // New formula: baseSpawnRate * (1 + round/6)
-    this.spawnRate = this.baseSpawnRate * (1 + this.currentRound / 6); // Reduced from round/4
+    // Max concurrent enemies, shifted by the engine's base setting and then the multiplier
+    const rawMaxEnemies = wave.maxEnemies + (this.baseMaxEnemies - this.waveMaxEnemies);
+    this.maxEnemies = Math.max(3, Math.ceil(rawMaxEnemies * multiplier));
     
     // Apply multiplier for final spawn rate
-    this.spawnRate *= (this.spawnRateMultiplier || 1.0);
+    this.spawnRate = wave.spawnRate * multiplier;
+    
+    // Burst spawning (waves can warn of a burst of zombies)
+    if (wave.burst) {
+      console.log(`Round ${this.currentRound}: Enabling burst spawning!`);
+      this.performBurstSpawn(wave.burst);
+    }
     
-    // Special mechanic for rounds 5, 10, 15, etc: burst spawning
-    // Only enable in later rounds to give players more time to prepare
-    if (this.currentRound % 5 === 0 && this.currentRound > 5) { // Only start at round 10 instead of 5
-      // For milestone rounds, add a burst mechanic
-      console.log(`Milestone round ${this.currentRound}: Enabling burst spawning!`);
-      this.performBurstSpawn();
+    // Bosses join special rounds
+    this.bossesRemaining = wave.bosses || 0;
+    if (this.bossesRemaining > 0) {
+      console.log(`Boss round ${this.currentRound}: ${this.bossesRemaining} boss(es) incoming`);
+      this.scheduleBossSpawn();
     }
     
     // Reset last spawn time so we don't wait too long for the first zombie
-    this.lastSpawnTime = performance.now() / 1000 - (1 / this.spawnRate);
+    // (hellhound waves have no spawn rate, they come in packs)
+    this.lastSpawnTime = performance.now() / 1000 - (this.spawnRate > 0 ? 1 / this.spawnRate : 0);
     
     // Enable spawning
     this.spawnEnabled = true;
@@ -478,8 +565,9 @@ export class EnemyManager {
     console.log(`Round ${this.currentRound} started with ${this.zombiesRemaining} zombies, max concurrent: ${this.maxEnemies}, spawn rate: ${this.spawnRate.toFixed(2)}/sec`);
     
     // Force a zombie to spawn after the start delay to make sure rounds progress
+    // (hellhound rounds start with a pack instead)
     setTimeout(() => {
-      if (this.roundActive && this.enemies.length === 0 && this.zombiesRemaining > 0) {
+      if (this.roundActive && this.enemies.length === 0 && this.zombiesRemaining > 0 && !this.isHellhoundRound()) {
         console.log("Forcing initial zombie spawn for new round");
         const enemy = this.forceSpawnEnemy();
         if (enemy) {
@@ -490,16 +578,206 @@ export class EnemyManager {
     }, (this.roundStartDelay + 0.5) * 1000);
   }
   
+  /**
+   * Check if this game decides what spawns (host or singleplayer)
+   * @returns {boolean} True if we're in charge
+   */
+  isAuthority() {
+    const networkManager = this.gameEngine && this.gameEngine.networkManager;
+    return !(networkManager && networkManager.isMultiplayer && !networkManager.isHost);
+  }
+
+  /**
+   * Check if the current round is a hellhound round
+   * @returns {boolean} True if hounds are spawning instead of zombies
+   */
+  isHellhoundRound() {
+    return !!(this.currentWave && this.currentWave.special === 'hellhounds');
+  }
+
+  /**
+   * Roll whether a round turns into a hellhound round (host or singleplayer;
+   * clients get the result with the round sync)
+   * @param {number} round - The round to roll for
+   */
+  rollSpecialRound(round) {
+    this.nextSpecialRound = null;
+    
+    if (!this.isAuthority()) return;
+    
+    // Never two hellhound rounds in a row, and never on top of another special round
+    const wave = WaveLoader.get(round);
+    if (wave.special || this.isHellhoundRound()) return;
+    
+    if (Math.random() < (wave.hellhoundChance || 0)) {
+      console.log(`Round ${round} will be a hellhound round`);
+      this.nextSpecialRound = { round, special: 'hellhounds' };
+    }
+  }
+
+  /**
+   * Follow the host's special round if we started the round before hearing about it (clients)
+   * @param {string|null} special - The host's special round type
+   * @param {number} round - The host's round number
+   */
+  syncSpecialRound(special, round) {
+    if (special !== 'hellhounds' || !this.roundActive || round !== this.currentRound || this.isHellhoundRound()) {
+      return;
+    }
+    
+    console.log(`Client syncing: Round ${round} is a hellhound round`);
+    this.currentWave = WaveLoader.hellhounds(round);
+    this.showRoundStartMessage();
+  }
+
+  /**
+   * Spawn hellhound packs around the room on the wave's pack timer (host or singleplayer)
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateHellhoundPacks(deltaTime) {
+    if (!this.roundActive || !this.spawnEnabled || this.zombiesRemaining <= 0) return;
+    
+    // The host spawns the hounds for everyone; clients get them with the enemy sync
+    if (!this.isAuthority()) return;
+    
+    // Only spawn after the initial delay
+    const currentTime = performance.now() / 1000;
+    if (currentTime - this.roundStartTime < this.roundStartDelay) return;
+    
+    this.hellhoundPackTimer -= deltaTime;
+    if (this.hellhoundPackTimer > 0) return;
+    
+    // Wait until there's room for the whole pack (never more than the cap, or it would never fit)
+    const packSize = Math.min(this.currentWave.packSize || 2, this.zombiesRemaining, this.maxEnemies);
+    if (this.enemies.length + packSize > this.maxEnemies) return;
+    
+    this.spawnHellhoundPack(packSize);
+    this.hellhoundPackTimer = this.currentWave.packInterval || 5;
+  }
+
+  /**
+   * Spawn a pack of hellhounds at points around the room
+   * @param {number} count - Hounds in the pack
+   */
+  spawnHellhoundPack(count) {
+    const points = this.getHellhoundSpawnPoints(count);
+    if (points.length === 0) {
+      console.warn("No spawn points found for a hellhound pack");
+      return;
+    }
+    
+    console.log(`Spawning a pack of ${points.length} hellhounds`);
+    
+    points.forEach(point => {
+      const enemy = this.spawnEnemyAt('hellhound', point);
+      if (enemy) {
+        this.zombiesSpawned++;
+        this.zombiesRemaining--;
+      }
+    });
+    
+    this.showHellhoundPackEffect(points);
+    
+    // Show the clients where the pack appeared (the hounds come with the enemy sync)
+    const networkManager = this.gameEngine && this.gameEngine.networkManager;
+    if (networkManager && networkManager.isMultiplayer && networkManager.isHost && networkManager.network) {
+      networkManager.network.hostBroadcastHellhoundPack({
+        points: points.map(point => ({ x: point.x, z: point.z }))
+      });
+    }
+  }
+
+  /**
+   * Burst of fire where each hound of a pack appears
+   * @param {Array} points - Spawn points ({x, z})
+   */
+  showHellhoundPackEffect(points) {
+    if (!Array.isArray(points)) return;
+    
+    points.forEach(point => this.createExplosionEffect(point, 1.2));
+  }
+
+  /**
+   * Find spots inside the unlocked part of the room for a hellhound pack, away
+   * from the players and from each other
+   * @param {number} count - Spots wanted
+   * @returns {Array} Spawn points (may be fewer than asked for on cramped maps)
+   */
+  getHellhoundSpawnPoints(count) {
+    const points = [];
+    const minPlayerDistance = 5;
+    const minSpacing = 1.5;
+    const playerPositions = this.getLivingPlayerPositions();
+    
+    const isFarFrom = (point, others, distance) => others.every(other =>
+      (point.x - other.x) ** 2 + (point.z - other.z) ** 2 >= distance * distance
+    );
+    
+    // Walkable cells are the ones reachable from a player spawn, so locked areas are skipped
+    const navGrid = this.room && this.room.navGrid;
+    if (navGrid) {
+      navGrid.ensureBuilt();
+      
+      const cells = [];
+      navGrid.walkable.forEach((open, index) => {
+        if (open) cells.push(index);
+      });
+      
+      for (let attempt = 0; attempt < 60 && points.length < count && cells.length > 0; attempt++) {
+        const index = cells[Math.floor(Math.random() * cells.length)];
+        const point = navGrid.getCellCenter(index % navGrid.columns, Math.floor(index / navGrid.columns));
+        
+        if (isFarFrom(point, playerPositions, minPlayerDistance) && isFarFrom(point, points, minSpacing)) {
+          points.push(point);
+        }
+      }
+    }
+    
+    // Cramped maps: fall back to the player spawns nobody is standing near
+    const spawns = (this.room && this.room.playerSpawns) || [];
+    for (let i = 0; points.length < count && i < spawns.length; i++) {
+      const spawn = new THREE.Vector3(spawns[i].x, 0, spawns[i].z);
+      if (isFarFrom(spawn, playerPositions, minPlayerDistance) && isFarFrom(spawn, points, minSpacing)) {
+        points.push(spawn);
+      }
+    }
+    
+    return points;
+  }
+
+  /**
+   * Get the floor positions of every living player
+   * @returns {Array} Positions ({x, z})
+   */
+  getLivingPlayerPositions() {
+    const positions = [];
+    
+    if (this.player && !this.player.isDead && this.player.camera) {
+      positions.push(this.player.camera.position);
+    }
+    
+    const networkManager = this.gameEngine && this.gameEngine.networkManager;
+    if (networkManager && networkManager.remotePlayers) {
+      networkManager.remotePlayers.forEach(remotePlayer => {
+        if (!remotePlayer.isDead && remotePlayer.position) {
+          positions.push(remotePlayer.position);
+        }
+      });
+    }
+    
+    return positions;
+  }
+
   /**
    * Perform a burst spawn of multiple enemies at once
+   * @param {Object} burst - The wave's burst ({ count, delay, healthMultiplier })
    */
-  performBurstSpawn() {
-    // Number of zombies to spawn in the burst - reduced count
-    const burstCount = Math.min(4, Math.ceil(this.maxEnemies / 3)); // Reduced from 6 and maxEnemies/2
+  performBurstSpawn(burst) {
+    // Number of zombies to spawn in the burst
+    const burstCount = burst.count;
     
-    // Give players a longer warning period
-    const warningDelay = 5; // 5 seconds warning
-    const spawnDelay = this.roundStartDelay + warningDelay;
+    // Give players a warning period
+    const spawnDelay = this.roundStartDelay + burst.delay;
     
     // Show a warning message to the player immediately
     this.showBurstWarningMessage();
@@ -524,8 +802,8 @@ export class EnemyManager {
               this.zombiesSpawned++;
               this.zombiesRemaining--;
               
-              // Make burst zombies slightly tougher but less than before
-              enemy.health *= 1.1; // Reduced from 1.2
+              // Make burst zombies slightly tougher
+              enemy.health *= burst.healthMultiplier || 1;
               enemy.maxHealth = enemy.health;
               enemy.updateHealthBar();
               
@@ -561,6 +839,504 @@ export class EnemyManager {
     }, spawnDelay * 1000);
   }
 
+  /**
+   * Warn the players and spawn this round's bosses after a delay
+   */
+  scheduleBossSpawn() {
+    const round = this.currentRound;
+    const networkManager = this.gameEngine && this.gameEngine.networkManager;
+    
+    setTimeout(() => {
+      // Skip if the round ended or the game restarted in the meantime
+      if (!this.roundActive || this.currentRound !== round) {
+        return;
+      }
+      
+      this.showRoundAnnouncement('BOSS INCOMING', 'THE ABOMINATION HAS ARRIVED');
+      this.createScreenFlash('#aa00ff');
+      
+      while (this.bossesRemaining > 0) {
+        this.bossesRemaining--;
+        
+        // The host spawns bosses for everyone; clients get them with the enemy sync
+        if (networkManager && networkManager.isMultiplayer && !networkManager.isHost) {
+          continue;
+        }
+        
+        this.spawnBoss();
+      }
+    }, (this.roundStartDelay + this.bossSpawnDelay) * 1000);
+  }
+
+  /**
+   * Spawn a boss at one of the reachable windows
+   * @returns {BossZombie} The spawned boss or null if error
+   */
+  spawnBoss() {
+    const targetWindow = this.findBestWindowTarget();
+    
+    if (!targetWindow) {
+      console.error("No valid target window found for boss spawn!");
+      return null;
+    }
+    
+    try {
+      const boss = EnemyRegistry.create('boss', targetWindow);
+      
+      // Health scales with the round and with the number of players
+      let playerCount = 1;
+      if (this.gameEngine && this.gameEngine.networkManager && this.gameEngine.networkManager.remotePlayers) {
+        playerCount += this.gameEngine.networkManager.remotePlayers.size;
+      }
+      
+      boss.health = (1500 + this.currentRound * 150) * (1 + 0.5 * (playerCount - 1));
+      boss.speed = Math.min(1.2, 0.6 + this.currentRound * 0.015);
+      boss.playerDamage = Math.min(80, 45 + this.currentRound);
+      
+      if (this.healthMultiplier !== undefined) {
+        boss.health *= this.healthMultiplier;
+      }
+      if (this.speedMultiplier !== undefined) {
+        boss.speed *= this.speedMultiplier;
+      }
+      boss.maxHealth = boss.health;
+      
+      boss.init();
+      boss.positionOutsideWindow();
+      boss.manager = this;
+      
+      if (this.gameEngine) {
+        boss.gameEngine = this.gameEngine;
+      }
+      
+      if (this.player) {
+        boss.setPlayer(this.player);
+      }
+      
+      // Add to scene
+      if (this.scene && typeof this.scene.add === 'function') {
+        this.scene.add(boss.instance);
+      } else if (this.scene && this.scene.instance && typeof this.scene.instance.add === 'function') {
+        this.scene.instance.add(boss.instance);
+      } else {
+        return null;
+      }
+      
+      this.enemies.push(boss);
+      
+      console.log(`Spawned boss ${boss.id} with ${boss.health.toFixed(0)} health`);
+      return boss;
+    } catch (error) {
+      console.error("Error spawning boss:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Create the boss health bar at the top of the screen
+   */
+  createBossHealthBar() {
+    // Remove any existing boss bar
+    const existingBossBar = document.querySelector('.boss-health-bar');
+    if (existingBossBar) {
+      document.body.removeChild(existingBossBar);
+    }
+    
+    const container = document.createElement('div');
+    container.className = 'boss-health-bar';
+    container.style.position = 'absolute';
+    container.style.top = '60px';
+    container.style.left = '50%';
+    container.style.transform = 'translateX(-50%)';
+    container.style.width = '40%';
+    container.style.textAlign = 'center';
+    container.style.pointerEvents = 'none';
+    container.style.zIndex = '5';
+    container.style.display = 'none';
+    
+    // Boss name
+    const label = document.createElement('div');
+    label.style.fontFamily = 'Impact, fantasy';
+    label.style.fontSize = '20px';
+    label.style.color = '#d9b3ff';
+    label.style.textShadow = '0 0 8px #7a00cc';
+    label.style.marginBottom = '4px';
+    container.appendChild(label);
+    
+    // Bar background
+    const track = document.createElement('div');
+    track.style.height = '14px';
+    track.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+    track.style.border = '2px solid #7a00cc';
+    track.style.borderRadius = '4px';
+    track.style.overflow = 'hidden';
+    container.appendChild(track);
+    
+    // Bar fill
+    const fill = document.createElement('div');
+    fill.style.height = '100%';
+    fill.style.width = '100%';
+    fill.style.backgroundColor = '#a020f0';
+    fill.style.transition = 'width 0.2s';
+    track.appendChild(fill);
+    
+    document.body.appendChild(container);
+    
+    this.bossHealthBar = { container, label, fill };
+  }
+
+  /**
+   * Show the combined health of all living bosses, or hide the bar if there are none
+   */
+  updateBossHealthBar() {
+    if (!this.bossHealthBar) return;
+    
+    const bosses = this.enemies.filter(enemy => enemy.type === 'boss' && !enemy.isDead);
+    
+    if (bosses.length === 0) {
+      this.bossHealthBar.container.style.display = 'none';
+      return;
+    }
+    
+    const health = bosses.reduce((total, boss) => total + Math.max(0, boss.health), 0);
+    const maxHealth = bosses.reduce((total, boss) => total + boss.maxHealth, 0);
+    const healthPercent = maxHealth > 0 ? health / maxHealth : 0;
+    const enraged = bosses.some(boss => boss.phase === 3);
+    
+    this.bossHealthBar.container.style.display = 'block';
+    this.bossHealthBar.label.textContent = bosses.length > 1
+      ? `${bosses[0].name} x${bosses.length}`
+      : bosses[0].name + (enraged ? ' - ENRAGED' : '');
+    this.bossHealthBar.fill.style.width = `${(healthPercent * 100).toFixed(1)}%`;
+    this.bossHealthBar.fill.style.backgroundColor = enraged ? '#ff2200' : '#a020f0';
+  }
+
+  /**
+   * Called by a boss when it moves to a new phase
+   * @param {BossZombie} boss - The boss
+   * @param {number} phase - The new phase (2 = ground slams, 3 = enraged)
+   */
+  onBossPhaseChange(boss, phase) {
+    if (phase === 3) {
+      this.createScreenFlash('#ff2200');
+    }
+  }
+
+  /**
+   * Called by a boss when it dies
+   * @param {BossZombie} boss - The boss
+   */
+  onBossDefeated(boss) {
+    if (boss.health > 0) return; // Despawned, not killed
+    
+    console.log(`Boss ${boss.id} defeated`);
+    this.showRoundAnnouncement('BOSS DEFEATED', `+${boss.pointsReward} POINTS`, true);
+  }
+
+  /**
+   * Blow up an exploding zombie (host or singleplayer): show it, hurt the local player,
+   * nearby zombies and window boards, and tell clients about it
+   * @param {Object} explosion - { enemyId, position, radius, playerDamage, enemyDamage, boardsBroken }
+   * @param {Enemy} source - The zombie that exploded
+   */
+  triggerExplosion(explosion, source) {
+    const position = new THREE.Vector3(explosion.position.x, explosion.position.y, explosion.position.z);
+    
+    this.showExplosion(explosion);
+    
+    // Hurt other zombies (this can set off other exploders)
+    this.enemies.forEach(enemy => {
+      if (enemy === source || enemy.isDead || !enemy.instance) return;
+      
+      const distance = enemy.instance.position.distanceTo(position);
+      if (distance < explosion.radius) {
+        enemy.takeDamage(explosion.enemyDamage * (1 - distance / explosion.radius));
+      }
+    });
+    
+    // Tear boards off windows caught in the blast
+    const windowPosition = new THREE.Vector3();
+    (this.windows || []).forEach(window => {
+      window.instance.getWorldPosition(windowPosition);
+      const distance = Math.hypot(windowPosition.x - position.x, windowPosition.z - position.z);
+      
+      if (distance < explosion.radius) {
+        let boardsBroken = 0;
+        for (let i = 0; i < explosion.boardsBroken && window.boardsCount > 0; i++) {
+          window.removeBoard();
+          boardsBroken++;
+        }
+        
+        // Each window's sound comes from that window
+        if (boardsBroken > 0 && this.player && typeof this.player.playWindowBoardBreakingSound === 'function') {
+          this.player.playWindowBoardBreakingSound(window);
+        }
+      }
+    });
+    
+    // Tell clients so they see it and take their own damage
+    const networkManager = this.gameEngine && this.gameEngine.networkManager;
+    if (networkManager && networkManager.isMultiplayer && networkManager.isHost && networkManager.network) {
+      networkManager.network.hostBroadcastExplosion(explosion);
+    }
+  }
+
+  /**
+   * Show an explosion the host reported (clients)
+   * @param {Object} explosion - Explosion data from triggerExplosion
+   */
+  handleExplosionEvent(explosion) {
+    this.showExplosion(explosion);
+    
+    // Remove our copy of the zombie that blew up
+    const enemy = this.enemies.find(e => e.id === explosion.enemyId);
+    if (enemy && typeof enemy.burst === 'function') {
+      enemy.burst();
+    }
+  }
+
+  /**
+   * Show the explosion effect and damage the local player if they are in range
+   * @param {Object} explosion - Explosion data from triggerExplosion
+   */
+  showExplosion(explosion) {
+    const position = new THREE.Vector3(explosion.position.x, explosion.position.y, explosion.position.z);
+    
+    this.createExplosionEffect(position, explosion.radius);
+    
+    if (!this.player || this.player.isDead) return;
+    
+    const playerPosition = this.player.camera.position;
+    const distance = Math.hypot(playerPosition.x - position.x, playerPosition.z - position.z);
+    
+    if (distance < explosion.radius) {
+      const damage = explosion.playerDamage * (1 - distance / explosion.radius);
+      console.log(`Caught in an explosion for ${damage.toFixed(0)} damage`);
+      this.player.takeDamage(damage);
+      this.createScreenFlash('#ff8800');
+    }
+  }
+
+  /**
+   * Create a fireball with a flash of light
+   * @param {THREE.Vector3} position - Where the explosion happened
+   * @param {number} radius - Blast radius
+   */
+  createExplosionEffect(position, radius) {
+    const group = new THREE.Group();
+    group.position.set(position.x, 1, position.z);
+    
+    const fireball = new THREE.Mesh(
+      new THREE.SphereGeometry(1, 16, 12),
+      new THREE.MeshBasicMaterial({
+        color: 0xffaa33,
+        transparent: true,
+        opacity: 0.9,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+      })
+    );
+    fireball.scale.setScalar(0.3);
+    group.add(fireball);
+    
+    const light = new THREE.PointLight(0xff7722, 6, radius * 2.5);
+    group.add(light);
+    
+    if (this.scene && typeof this.scene.add === 'function') {
+      this.scene.add(group);
+    } else if (this.scene && this.scene.instance && typeof this.scene.instance.add === 'function') {
+      this.scene.instance.add(group);
+    } else {
+      return;
+    }
+    
+    this.explosionEffects.push({ group, fireball, light, radius, time: 0, duration: 0.6 });
+  }
+
+  /**
+   * Grow and fade explosion effects, removing finished ones
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateExplosionEffects(deltaTime) {
+    if (this.explosionEffects.length === 0) return;
+    
+    this.explosionEffects = this.explosionEffects.filter(effect => {
+      effect.time += deltaTime;
+      const progress = Math.min(1, effect.time / effect.duration);
+      
+      effect.fireball.scale.setScalar(0.3 + progress * effect.radius * 0.6);
+      effect.fireball.material.opacity = 0.9 * (1 - progress);
+      effect.light.intensity = 6 * (1 - progress);
+      
+      if (progress < 1) return true;
+      
+      // Finished - clean up
+      effect.group.removeFromParent();
+      effect.fireball.geometry.dispose();
+      effect.fireball.material.dispose();
+      return false;
+    });
+  }
+
+  /**
+   * Switch between per-zombie meshes and instanced batches based on renderMode
+   */
+  updateRenderMode() {
+    let useInstancing = this.renderMode === 'instanced';
+    
+    if (this.renderMode === 'auto') {
+      // Switch back a little below the threshold so it doesn't flip with every kill
+      const threshold = this.instancer.enabled ? this.instancingThreshold - 4 : this.instancingThreshold;
+      useInstancing = this.enemies.length >= threshold;
+    }
+    
+    this.instancer.setEnabled(useInstancing, this.enemies);
+  }
+
+  /**
+   * Set how zombies are drawn
+   * @param {string} mode - 'meshes', 'instanced' or 'auto'
+   */
+  setRenderMode(mode) {
+    if (!['meshes', 'instanced', 'auto'].includes(mode)) {
+      console.warn(`Unknown zombie render mode "${mode}"`);
+      return;
+    }
+    
+    this.renderMode = mode;
+    this.updateRenderMode();
+  }
+
+  /**
+   * Show or hide the behavior state labels above the zombies
+   * @param {boolean} show - Whether to show the labels
+   */
+  setShowStateLabels(show) {
+    this.showStateLabels = show;
+    console.log(`Zombie state labels ${show ? 'shown' : 'hidden'}`);
+  }
+
+  /**
+   * Throw a severed limb off a zombie as physics debris
+   * @param {THREE.Object3D} part - The limb mesh (still attached to the zombie)
+   * @param {Enemy} enemy - The zombie it came off
+   */
+  spawnLimbDebris(part, enemy) {
+    const sceneObject = this.scene && typeof this.scene.attach === 'function'
+      ? this.scene
+      : (this.scene && this.scene.instance);
+    
+    if (!sceneObject || typeof sceneObject.attach !== 'function') {
+      part.removeFromParent();
+      return;
+    }
+    
+    // Move the limb into the scene where it is now, and stop it counting as part of the zombie
+    // (shown again in case the zombie was being drawn through the instanced batches)
+    sceneObject.attach(part);
+    part.traverse((child) => {
+      child.userData = {};
+      child.visible = true;
+      if (child.material) {
+        child.material = child.material.clone();
+        child.material.transparent = true;
+      }
+    });
+    
+    // Fly away from the zombie with an upward kick and a tumble
+    const away = part.position.clone().sub(enemy.instance.position);
+    away.y = 0;
+    if (away.lengthSq() < 0.0001) {
+      away.set(Math.random() - 0.5, 0, Math.random() - 0.5);
+    }
+    away.normalize();
+    
+    const speed = 1.5 + Math.random() * 1.5;
+    const velocity = new THREE.Vector3(away.x * speed, 2 + Math.random() * 1.5, away.z * speed);
+    const spin = new THREE.Vector3(
+      (Math.random() - 0.5) * 12,
+      (Math.random() - 0.5) * 6,
+      (Math.random() - 0.5) * 12
+    );
+    
+    this.limbDebris.push({ mesh: part, velocity, spin, resting: false, time: 0, lifetime: 6 });
+    
+    // Don't let debris pile up forever
+    if (this.limbDebris.length > this.maxLimbDebris) {
+      this.removeLimbDebris(this.limbDebris.shift());
+    }
+  }
+
+  /**
+   * Move severed limbs with gravity and a bouncy floor, fading them out at the end
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateLimbDebris(deltaTime) {
+    if (this.limbDebris.length === 0) return;
+    
+    const floorHeight = 0.1;
+    
+    this.limbDebris = this.limbDebris.filter(debris => {
+      debris.time += deltaTime;
+      const mesh = debris.mesh;
+      
+      if (!debris.resting) {
+        debris.velocity.y -= 9.8 * deltaTime;
+        mesh.position.addScaledVector(debris.velocity, deltaTime);
+        mesh.rotation.x += debris.spin.x * deltaTime;
+        mesh.rotation.y += debris.spin.y * deltaTime;
+        mesh.rotation.z += debris.spin.z * deltaTime;
+        
+        // Bounce off the floor, losing energy until it settles
+        if (mesh.position.y <= floorHeight) {
+          mesh.position.y = floorHeight;
+          
+          if (Math.abs(debris.velocity.y) < 1) {
+            debris.resting = true;
+          } else {
+            debris.velocity.y *= -0.35;
+            debris.velocity.x *= 0.6;
+            debris.velocity.z *= 0.6;
+            debris.spin.multiplyScalar(0.5);
+          }
+        }
+      }
+      
+      // Fade out over the last second
+      const fadeStart = debris.lifetime - 1;
+      if (debris.time > fadeStart) {
+        const opacity = Math.max(0, 1 - (debris.time - fadeStart));
+        mesh.traverse((child) => {
+          if (child.material) {
+            child.material.opacity = opacity;
+          }
+        });
+      }
+      
+      if (debris.time < debris.lifetime) return true;
+      
+      this.removeLimbDebris(debris);
+      return false;
+    });
+  }
+
+  /**
+   * Remove a severed limb from the scene
+   * @param {Object} debris - Debris entry from limbDebris
+   */
+  removeLimbDebris(debris) {
+    if (!debris) return;
+    
+    debris.mesh.removeFromParent();
+    
+    // Geometry is shared with the zombie's other limbs, so only the cloned materials are disposed
+    debris.mesh.traverse((child) => {
+      if (child.material) {
+        child.material.dispose();
+      }
+    });
+  }
+
   /**
    * Show a warning message for burst spawns
    */
@@ -641,6 +1417,18 @@ export class EnemyManager {
     let message = `Round ${this.currentRound}`;
     let subtitle = '';
     
+    // Hellhound rounds get their own announcement
+    if (this.isHellhoundRound()) {
+      this.showRoundAnnouncement(message, 'THE HOUNDS ARE LOOSE', false, 'hellhounds');
+      return;
+    }
+    
+    // Waves can script their own announcement
+    if (this.currentWave && this.currentWave.title) {
+      this.showRoundAnnouncement(this.currentWave.title, this.currentWave.subtitle || '');
+      return;
+    }
+    
     // Add more dramatic messages for higher rounds
     if (this.currentRound >= 15) {
       const highRoundMessages = [
@@ -719,8 +1507,9 @@ export class EnemyManager {
    * @param {string} title - Main announcement text
    * @param {string} subtitle - Secondary text (optional)
    * @param {boolean} isComplete - Whether this is a round completion message
+   * @param {string} theme - Optional special round styling ('hellhounds')
    */
-  showRoundAnnouncement(title, subtitle = '', isComplete = false) {
+  showRoundAnnouncement(title, subtitle = '', isComplete = false, theme = null) {
     // Create container for the announcement
     const container = document.createElement('div');
     container.style.position = 'absolute';
@@ -742,6 +1531,11 @@ export class EnemyManager {
     if (isComplete) {
       titleElement.style.color = '#00ff00'; // Green for completion
       titleElement.style.textShadow = '0 0 10px #00ff00, 0 0 20px #006600';
+    } else if (theme === 'hellhounds') {
+      titleElement.style.color = '#ff7a1a'; // Burning orange for hellhound rounds
+      titleElement.style.textShadow = '0 0 12px #ff4400, 0 0 30px #aa1100';
+      titleElement.style.fontSize = '60px';
+      titleElement.style.letterSpacing = '4px';
     } else {
       // Scale color intensity with round number
       if (this.currentRound >= 15) {
@@ -769,9 +1563,9 @@ export class EnemyManager {
       subtitleElement.textContent = subtitle;
       subtitleElement.style.fontFamily = 'Impact, fantasy';
       subtitleElement.style.fontSize = '24px';
-      subtitleElement.style.color = '#ffffff';
+      subtitleElement.style.color = theme === 'hellhounds' ? '#ffcc88' : '#ffffff';
       subtitleElement.style.marginTop = '10px';
-      subtitleElement.style.textShadow = '0 0 5px #000000';
+      subtitleElement.style.textShadow = theme === 'hellhounds' ? '0 0 8px #ff2200' : '0 0 5px #000000';
       container.appendChild(subtitleElement);
     }
     
@@ -790,7 +1584,9 @@ export class EnemyManager {
     }, 100);
     
     // For intense rounds, add screen flash effect
-    if (this.currentRound >= 10 && !isComplete) {
+    if (theme === 'hellhounds' && !isComplete) {
+      this.createScreenFlash('#ff4400');
+    } else if (this.currentRound >= 10 && !isComplete) {
       this.createScreenFlash(isComplete ? '#00ff00' : '#ff0000');
     }
     
@@ -849,6 +1645,12 @@ export class EnemyManager {
    * @param {number} deltaTime - Time elapsed since last update
    */
   checkEnemySpawn(deltaTime) {
+    // Hellhound rounds spawn packs around the room instead of through the windows
+    if (this.isHellhoundRound()) {
+      this.updateHellhoundPacks(deltaTime);
+      return;
+    }
+    
     // Only check if round is active and there are zombies to spawn
     if (this.roundActive && this.zombiesRemaining > 0) {
       // Only spawn after the initial delay
@@ -910,20 +1712,13 @@ export class EnemyManager {
       // In later rounds, we might spawn multiple enemies at once
       let enemiesToSpawn = 1;
       
-      // After round 3, there's a chance to spawn multiple zombies at once
-      if (this.currentRound > 3) { // Changed from 2 to 3 to delay multi-spawns
-        // Calculate chance of multi-spawn (increases with rounds)
-        const multiSpawnChance = Math.min(0.6, 0.12 + (this.currentRound * 0.025)); // Reduced from 0.7, 0.15, and 0.03
-        
-        if (Math.random() < multiSpawnChance) {
-          // Determine how many to spawn (scales with round)
-          const maxMultiSpawn = Math.min(
-            5, // Never more than 5 at once (increased from 3)
-            Math.floor(this.currentRound / 4) + 1 // 1 extra zombie per 4 rounds (changed from 5)
-          );
-          
+      // The wave decides the chance to spawn multiple zombies at once
+      const wave = this.currentWave || WaveLoader.get(this.currentRound);
+      if (wave.multiSpawnChance > 0) {
+        if (Math.random() < wave.multiSpawnChance) {
+          // Determine how many to spawn
           enemiesToSpawn = Math.min(
-            maxMultiSpawn,
+            wave.maxMultiSpawn,
             this.zombiesRemaining, // Don't spawn more than we have left
             this.maxEnemies - this.enemies.length // Don't exceed max concurrent enemies
           );
@@ -968,213 +1763,131 @@ export class EnemyManager {
     }
     
     try {
-      // Use provided target window or pick a random window
+      // Use provided target window or pick a random reachable window
       if (!targetWindow) {
-        const randomWindowIndex = Math.floor(Math.random() * this.windows.length);
-        targetWindow = this.windows[randomWindowIndex];
+        const reachableWindows = this.getReachableWindows();
+        const randomWindowIndex = Math.floor(Math.random() * reachableWindows.length);
+        targetWindow = reachableWindows[randomWindowIndex];
       }
       
       if (!targetWindow) {
         return null;
       }
       
-      // Determine enemy type based on probabilities that change with rounds
+      // Pick an enemy type from the wave's mix, or the registry's spawn weights for this round
       // The higher the round, the more special zombies appear
-      
-      // Crawler chance increases with rounds (up to 35%)
-      const crawlerChance = Math.min(0.35, 0.05 + (this.currentRound * 0.02)); // Increased scaling
-      
-      // Runner chance increases with rounds (up to 30%)
-      const runnerChance = Math.min(0.30, 0.03 + (this.currentRound * 0.025)); // Increased scaling
-      
-      // Spitter chance increases with rounds (up to 25%)
-      const spitterChance = Math.min(0.25, 0.02 + (this.currentRound * 0.02)); // Increased scaling
-      
-      // Random value to determine enemy type
-      const rand = Math.random();
-      
-      let enemy;
-      let enemyType = "standard";
-      
-      // Create the appropriate enemy type
-      if (rand < crawlerChance) {
-        // Spawn a crawler
-        enemy = new CrawlingZombie(targetWindow);
-        enemyType = "crawler";
-      } else if (rand < crawlerChance + runnerChance) {
-        // Spawn a runner
-        enemy = new RunnerZombie(targetWindow);
-        enemyType = "runner";
-      } else if (rand < crawlerChance + runnerChance + spitterChance) {
-        // Spawn a spitter
-        enemy = new SpitterZombie(targetWindow);
-        enemyType = "spitter";
-      } else {
-        // Spawn a standard zombie
-        enemy = new Enemy(targetWindow);
-      }
+      const mix = this.currentWave ? this.currentWave.mix : null;
+      const enemyType = EnemyRegistry.pickType(this.currentRound, mix);
+      const enemy = EnemyRegistry.create(enemyType, targetWindow);
       
       // Make sure the enemy has an ID for network synchronization
       if (!enemy.id) {
         enemy.id = `enemy_${Math.random().toString(36).substring(2, 15)}_${Date.now().toString(36)}`;
       }
       
-      // Set state property for synchronized animations
-      enemy.state = 'idle';
-      
       enemy.init();
       enemy.positionOutsideWindow();
       
-      // Set manager reference for pausing
-      enemy.manager = this;
-      
-      // Set game engine reference if available
-      if (this.gameEngine) {
-        enemy.gameEngine = this.gameEngine;
-      }
-      
-      // Set player reference if available
-      if (this.player) {
-        enemy.setPlayer(this.player);
-      }
-      
-      // Add to scene
-      if (this.scene) {
-        if (typeof this.scene.add === 'function') {
-          this.scene.add(enemy.instance);
-        } else if (this.scene.instance && typeof this.scene.instance.add === 'function') {
-          this.scene.instance.add(enemy.instance);
-        } else {
-          return null;
-        }
-      } else {
+      if (!this.addSpawnedEnemy(enemy)) {
         return null;
       }
       
-      // Add to tracking array
-      this.enemies.push(enemy);
-      
       // Log special enemy types if in debug mode
       if (this.currentRound > 1 && enemyType !== "standard") {
         console.log(`Spawned a ${enemyType} zombie!`);
       }
       
-      // Apply round-based scaling based on enemy type with less aggressive scaling
-      if (enemyType === "standard") {
-        // Standard zombie scaling - more gradual increase
-        const baseSpeed = 0.5;
-        const roundSpeedBonus = this.currentRound * 0.04; // Reduced from 0.07
-        const milestoneSpeedBonus = Math.floor(this.currentRound / 6) * 0.08; // Reduced from round/5 * 0.1
-        enemy.speed = baseSpeed + roundSpeedBonus + milestoneSpeedBonus;
-        
-        // Lower cap on speed
-        enemy.speed = Math.min(enemy.speed, 2.0); // Reduced from 2.5
-        
-        // Health scaling - more gradual increase
-        const baseHealth = 80; // Reduced from 100
-        const roundHealthBonus = this.currentRound * 3; // Reduced from 5
-        const milestoneHealthBonus = Math.floor(this.currentRound / 4) * 10; // Reduced from round/3 * 20
-        enemy.health = baseHealth + roundHealthBonus + milestoneHealthBonus;
-        
-        // Attack scaling - more gradual increase
-        const baseAttack = 20; // Reduced from 25
-        const roundAttackBonus = this.currentRound * 1; // Reduced from 2
-        const milestoneAttackBonus = Math.floor(this.currentRound / 4) * 3; // Reduced from round/3 * 5
-        enemy.playerDamage = Math.min(60, baseAttack + roundAttackBonus + milestoneAttackBonus); // Reduced cap from 75
-      } 
-      else if (enemyType === "crawler") {
-        // Crawler zombie scaling - slower speed increase
-        const baseSpeed = 0.3;
-        const roundSpeedBonus = this.currentRound * 0.02; // Reduced from 0.04
-        enemy.speed = baseSpeed + roundSpeedBonus;
-        
-        // Lower cap on crawler speed
-        enemy.speed = Math.min(enemy.speed, 1.2); // Reduced from 1.5
-        
-        // Health scaling - more gradual increase
-        const baseHealth = 65; // Reduced from 75
-        const roundHealthBonus = this.currentRound * 2; // Reduced from 4
-        const milestoneHealthBonus = Math.floor(this.currentRound / 5) * 8; // Reduced from round/4 * 15
-        enemy.health = baseHealth + roundHealthBonus + milestoneHealthBonus;
-        
-        // Attack scaling - more gradual increase
-        const baseAttack = 12; // Reduced from 15
-        const roundAttackBonus = this.currentRound * 0.8; // Reduced from 1.5
-        const milestoneAttackBonus = Math.floor(this.currentRound / 5) * 2; // Reduced from round/4 * 4
-        enemy.playerDamage = Math.min(45, baseAttack + roundAttackBonus + milestoneAttackBonus); // Reduced cap from 60
-      }
-      else if (enemyType === "runner") {
-        // Runner zombie scaling - more gradual increase
-        const baseSpeed = 1.0; // Reduced from 1.2
-        const roundSpeedBonus = this.currentRound * 0.05; // Reduced from 0.08
-        enemy.speed = baseSpeed + roundSpeedBonus;
-        
-        // Lower cap on runner speed
-        enemy.speed = Math.min(enemy.speed, 2.2); // Reduced from 3.0
-        
-        // Health scaling - more gradual increase
-        const baseHealth = 50; // Reduced from 60
-        const roundHealthBonus = this.currentRound * 1.5; // Reduced from 3
-        const milestoneHealthBonus = Math.floor(this.currentRound / 6) * 6; // Reduced from round/5 * 10
-        enemy.health = baseHealth + roundHealthBonus + milestoneHealthBonus;
-        
-        // Attack scaling - more gradual increase
-        const baseAttack = 18; // Reduced from 20
-        const roundAttackBonus = this.currentRound * 1; // Reduced from 2
-        const milestoneAttackBonus = Math.floor(this.currentRound / 4) * 3; // Reduced from round/3 * 5
-        enemy.playerDamage = Math.min(55, baseAttack + roundAttackBonus + milestoneAttackBonus); // Reduced cap from 70
-      }
-      else if (enemyType === "spitter") {
-        // Spitter zombie scaling - more gradual increase
-        const baseSpeed = 0.35; // Reduced from 0.4
-        const roundSpeedBonus = this.currentRound * 0.02; // Reduced from 0.03
-        enemy.speed = baseSpeed + roundSpeedBonus;
-        
-        // Lower cap on spitter speed
-        enemy.speed = Math.min(enemy.speed, 1.0); // Reduced from 1.2
-        
-        // Health scaling - more gradual increase
-        const baseHealth = 60; // Reduced from 70
-        const roundHealthBonus = this.currentRound * 2; // Reduced from 3.5
-        const milestoneHealthBonus = Math.floor(this.currentRound / 5) * 7; // Reduced from round/4 * 12
-        enemy.health = baseHealth + roundHealthBonus + milestoneHealthBonus;
-        
-        // Projectile damage scaling - more gradual increase
-        const baseAttack = 12; // Reduced from 15
-        const roundAttackBonus = this.currentRound * 1.5; // Reduced from 2.5
-        const milestoneAttackBonus = Math.floor(this.currentRound / 4) * 5; // Reduced from round/3 * 8
-        enemy.playerDamage = Math.min(50, baseAttack + roundAttackBonus + milestoneAttackBonus); // Reduced cap from 80
-        
-        // Increase projectile speed in later rounds - more gradual increase
-        if (enemy.projectileSpeed) {
-          enemy.projectileSpeed = 4.0 + (this.currentRound * 0.1); // Reduced from 5.0 + round * 0.2
-          enemy.projectileSpeed = Math.min(enemy.projectileSpeed, 7.0); // Reduced cap from 10.0
-        }
-        
-        // Increase attack rate in later rounds - start later and scale more gradually
-        if (this.currentRound > 9) { // Start at round 10 instead of 8
-          enemy.attackRate = Math.min(2.8, 2.0 + (this.currentRound * 0.06)); // Reduced from 3.5 max and 0.1 scaling
-        }
-      }
-      
-      // Apply the health multiplier to the final health
-      if (this.healthMultiplier !== undefined) {
-        enemy.health *= this.healthMultiplier;
-        enemy.maxHealth = enemy.health;
-      }
+      return enemy;
+    } catch (error) {
+      console.error("Error in forceSpawnEnemy:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Spawn an enemy at a point inside the room instead of outside a window
+   * (the type's class needs a spawnAt method, like Hellhound)
+   * @param {string} type - Enemy type key
+   * @param {THREE.Vector3|Object} position - Spawn point ({x, z})
+   * @returns {Enemy} The spawned enemy or null if error
+   */
+  spawnEnemyAt(type, position) {
+    const definition = EnemyRegistry.get(type);
+    if (!definition || typeof definition.enemyClass.prototype.spawnAt !== 'function') {
+      console.error(`Enemy type "${type}" can't spawn inside the room`);
+      return null;
+    }
+    
+    try {
+      // No target window - these enemies go straight for the players
+      const enemy = EnemyRegistry.create(type, null);
+      enemy.init();
       
-      // Apply the speed multiplier to the final speed
-      if (this.speedMultiplier !== undefined) {
-        enemy.speed *= this.speedMultiplier;
+      if (!this.addSpawnedEnemy(enemy)) {
+        return null;
       }
       
+      enemy.spawnAt(position);
       return enemy;
     } catch (error) {
-      console.error("Error in forceSpawnEnemy:", error);
+      console.error("Error in spawnEnemyAt:", error);
       return null;
     }
   }
 
+  /**
+   * Hook a freshly created enemy up to the game, add it to the scene and apply
+   * the round scaling and the engine's multipliers
+   * @param {Enemy} enemy - The enemy (already initialized)
+   * @returns {boolean} True if it was added
+   */
+  addSpawnedEnemy(enemy) {
+    // Set manager reference for pausing
+    enemy.manager = this;
+    
+    // Set game engine reference if available
+    if (this.gameEngine) {
+      enemy.gameEngine = this.gameEngine;
+    }
+    
+    // Set player reference if available
+    if (this.player) {
+      enemy.setPlayer(this.player);
+    }
+    
+    // Add to scene
+    if (this.scene) {
+      if (typeof this.scene.add === 'function') {
+        this.scene.add(enemy.instance);
+      } else if (this.scene.instance && typeof this.scene.instance.add === 'function') {
+        this.scene.instance.add(enemy.instance);
+      } else {
+        return false;
+      }
+    } else {
+      return false;
+    }
+    
+    // Add to tracking array
+    this.enemies.push(enemy);
+    
+    // Apply the type's round-based scaling
+    EnemyRegistry.applyRoundScaling(enemy, this.currentRound);
+    
+    // Apply the health multiplier to the final health
+    if (this.healthMultiplier !== undefined) {
+      enemy.health *= this.healthMultiplier;
+      enemy.maxHealth = enemy.health;
+    }
+    
+    // Apply the speed multiplier to the final speed
+    if (this.speedMultiplier !== undefined) {
+      enemy.speed *= this.speedMultiplier;
+    }
+    
+    return true;
+  }
+
   /**
    * Attempt to spawn a new enemy if conditions are right
    * @param {number} x - Optional specific x position
@@ -1232,6 +1945,20 @@ export class EnemyManager {
     }
   }
 
+  /**
+   * Get the windows in areas the players have unlocked
+   * @returns {Array} Reachable windows
+   */
+  getReachableWindows() {
+    if (!this.windows) return [];
+    
+    if (!this.room || typeof this.room.isWindowReachable !== 'function') {
+      return this.windows;
+    }
+    
+    return this.windows.filter(window => this.room.isWindowReachable(window));
+  }
+
   /**
    * Find the best window for a new zombie to target
    * @returns {Window} The selected target window
@@ -1244,8 +1971,15 @@ export class EnemyManager {
         return null;
       }
       
+      // Only consider windows in unlocked areas
+      const reachableWindows = this.getReachableWindows();
+      if (reachableWindows.length === 0) {
+        console.warn("No reachable windows for enemy spawn");
+        return null;
+      }
+      
       // Sort windows by boarding level (least boarded first)
-      const sortedWindows = [...this.windows].sort((a, b) => {
+      const sortedWindows = [...reachableWindows].sort((a, b) => {
         return a.boardsCount - b.boardsCount;
       });
       
@@ -1310,8 +2044,11 @@ export class EnemyManager {
       // Remove from array
       this.enemies = this.enemies.filter(enemy => !enemy.markedForRemoval);
       
+      // Keep the bodies for the next spawns
+      deadEnemies.forEach(enemy => EnemyRegistry.release(enemy));
+      
       // Check if this was the last enemy and no more to spawn
-      if (this.enemies.length === 0 && this.zombiesRemaining <= 0 && this.roundActive) {
+      if (this.enemies.length === 0 && this.zombiesRemaining <= 0 && this.bossesRemaining <= 0 && this.roundActive) {
         console.log("Last enemy removed - ending round");
         this.endRound();
       }
@@ -1391,10 +2128,42 @@ export class EnemyManager {
           this.scene.instance.remove(enemy.instance);
         }
       }
+      EnemyRegistry.release(enemy);
     });
     
     // Clear array
     this.enemies = [];
+    this.crowd.reset();
+    this.instancer.update(this.enemies);
+    
+    // Clear severed limbs
+    this.limbDebris.forEach(debris => this.removeLimbDebris(debris));
+    this.limbDebris = [];
+    
+    // Clear acid pools
+    this.acidPools.reset();
+    
+    // Clear grenades in flight
+    this.grenades.reset();
+    
+    // Clear power-up drops and effects
+    this.powerUps.reset();
+    
+    // Forget any special round that was rolled
+    this.nextSpecialRound = null;
+    this.lastKillPosition = null;
+  }
+
+  /**
+   * Called when a zombie starts dying, however it was killed
+   * @param {Enemy} enemy - The zombie that died
+   */
+  onEnemyKilled(enemy) {
+    if (enemy.instance) {
+      this.lastKillPosition = enemy.instance.position.clone();
+    }
+    
+    this.powerUps.onEnemyKilled(enemy);
   }
 
   /**
@@ -1406,10 +2175,11 @@ export class EnemyManager {
     // Make all enemies die, which will trigger their death animations
     this.enemies.forEach(enemy => {
       if (!enemy.isDead) {
+        enemy.noDrop = true; // Despawned zombies don't drop power-ups
         enemy.die();
         
         // Force remove after a short delay to avoid waiting for full death animation
-        setTimeout(() => {
+        enemy.setLifeTimeout(() => {
           enemy.remove();
         }, 500);
       }
@@ -0,0 +1,351 @@
+import { Enemy } from './Enemy';
+import { CrawlingZombie } from './CrawlingZombie';
+import { RunnerZombie } from './RunnerZombie';
+import { SpitterZombie } from './SpitterZombie';
+import { ExplodingZombie } from './ExplodingZombie';
+import { BossZombie } from './BossZombie';
+import { Hellhound } from './Hellhound';
+import { PoolRegistry } from '../pooling/PoolRegistry';
+
+/**
+ * Registered enemy types keyed by network type key
+ */
+export const EnemyTypes = {};
+
+/**
+ * Registry of enemy types. Each type registers its class, the round it starts
+ * spawning on and a weight curve; EnemyManager picks random spawns from the
+ * weights and NetworkManager creates synced enemies by their type key.
+ *
+ * Definition fields:
+ *  - enemyClass: class extending Enemy (constructed with the target window)
+ *  - unlockRound: first round it spawns randomly (null = never, e.g. bosses)
+ *  - weight(round): relative spawn weight for a round
+ *  - scale(enemy, round): optional stat scaling applied after spawning
+ *  - pooled: whether dead enemies are kept and reused for later spawns (default true)
+ */
+export class EnemyRegistry {
+  /**
+   * Add (or replace) an enemy type
+   * @param {string} type - Network type key (also set as enemy.type)
+   * @param {Object} definition - { enemyClass, unlockRound, weight, scale, pooled }
+   */
+  static register(type, definition) {
+    if (typeof definition.enemyClass !== 'function') {
+      throw new Error(`Enemy type "${type}" needs an enemyClass`);
+    }
+    
+    EnemyTypes[type] = {
+      unlockRound: 1,
+      weight: () => 1,
+      scale: null,
+      pooled: true,
+      ...definition,
+      type
+    };
+    console.log(`Registered enemy type "${type}"`);
+  }
+
+  /**
+   * Check if an enemy type is registered
+   * @param {string} type - Type key
+   * @returns {boolean} True if the type exists
+   */
+  static has(type) {
+    return !!EnemyTypes[type];
+  }
+
+  /**
+   * Get a registered enemy type
+   * @param {string} type - Type key
+   * @returns {Object|null} The type definition
+   */
+  static get(type) {
+    return EnemyTypes[type] || null;
+  }
+
+  /**
+   * Create an enemy of a registered type (standard zombie for unknown types).
+   * Pooled types hand back a dead enemy reset to its initial state when one is free.
+   * @param {string} type - Type key
+   * @param {Window} targetWindow - Window the enemy heads for
+   * @returns {Enemy} The enemy (call init(); reused enemies ignore it)
+   */
+  static create(type, targetWindow) {
+    let definition = EnemyTypes[type];
+    
+    if (!definition) {
+      console.warn(`Unknown enemy type "${type}", spawning a standard zombie`);
+      definition = EnemyTypes.standard;
+    }
+    
+    if (!definition.pooled) {
+      const enemy = new definition.enemyClass(targetWindow);
+      enemy.type = definition.type;
+      return enemy;
+    }
+    
+    const enemy = EnemyRegistry.getPool(definition).acquire(targetWindow);
+    if (enemy.initialized) {
+      enemy.prepareForReuse(targetWindow);
+    }
+    return enemy;
+  }
+
+  /**
+   * Get the pool of enemies for a type
+   * @param {Object} definition - Type definition
+   * @returns {ObjectPool} The pool
+   */
+  static getPool(definition) {
+    return PoolRegistry.get(`enemy:${definition.type}`, {
+      maxSize: 20,
+      create: (targetWindow) => {
+        const enemy = new definition.enemyClass(targetWindow);
+        enemy.type = definition.type;
+        return enemy;
+      },
+      reset: (enemy) => {
+        enemy.instance.removeFromParent();
+      }
+    });
+  }
+
+  /**
+   * Hand a removed enemy back to its type's pool (enemies that can't be reused are dropped)
+   * @param {Enemy} enemy - The enemy, already taken out of the scene and enemy list
+   */
+  static release(enemy) {
+    const definition = EnemyTypes[enemy.type];
+    if (!definition || !definition.pooled || !PoolRegistry.has(`enemy:${definition.type}`)) {
+      return;
+    }
+    
+    const pool = EnemyRegistry.getPool(definition);
+    if (typeof enemy.canBePooled === 'function' && enemy.canBePooled()) {
+      // Timeouts from this life must not fire on the enemy's next one
+      enemy.clearLifeTimeouts();
+      pool.release(enemy);
+    } else {
+      pool.forget();
+    }
+  }
+
+  /**
+   * Get the spawn weight of every type that can spawn in a round
+   * @param {number} round - Round number
+   * @returns {Array} Array of { type, weight } with weight > 0
+   */
+  static getSpawnWeights(round) {
+    return Object.values(EnemyTypes)
+      .filter(definition => definition.unlockRound !== null && round >= definition.unlockRound)
+      .map(definition => ({ type: definition.type, weight: Math.max(0, definition.weight(round)) }))
+      .filter(entry => entry.weight > 0);
+  }
+
+  /**
+   * Pick a random enemy type for a round using the spawn weights
+   * @param {number} round - Round number
+   * @param {Object} mix - Optional weights by type key that replace the curves (e.g. from a wave)
+   * @returns {string} Type key
+   */
+  static pickType(round, mix = null) {
+    const weights = mix
+      ? Object.entries(mix)
+        .filter(([type, weight]) => EnemyTypes[type] && weight > 0)
+        .map(([type, weight]) => ({ type, weight }))
+      : EnemyRegistry.getSpawnWeights(round);
+    const total = weights.reduce((sum, entry) => sum + entry.weight, 0);
+    
+    if (total <= 0) {
+      return 'standard';
+    }
+    
+    let roll = Math.random() * total;
+    for (const entry of weights) {
+      roll -= entry.weight;
+      if (roll < 0) {
+        return entry.type;
+      }
+    }
+    
+    return weights[weights.length - 1].type;
+  }
+
+  /**
+   * Apply a type's round scaling to a freshly spawned enemy
+   * @param {Enemy} enemy - The enemy
+   * @param {number} round - Round number
+   */
+  static applyRoundScaling(enemy, round) {
+    const definition = EnemyTypes[enemy.type];
+    
+    if (definition && typeof definition.scale === 'function') {
+      definition.scale(enemy, round);
+    }
+  }
+}
+
+// Built-in types. Special zombies get more common each round and the standard
+// zombie fills whatever is left, so later rounds are mostly special zombies.
+EnemyRegistry.register('standard', {
+  enemyClass: Enemy,
+  unlockRound: 1,
+  weight: round => Math.max(0.1, 0.9 - round * 0.085),
+  scale: (enemy, round) => {
+    // Standard zombie scaling - more gradual increase
+    const baseSpeed = 0.5;
+    const roundSpeedBonus = round * 0.04; // Reduced from 0.07
+    const milestoneSpeedBonus = Math.floor(round / 6) * 0.08; // Reduced from round/5 * 0.1
+    enemy.speed = baseSpeed + roundSpeedBonus + milestoneSpeedBonus;
+    
+    // Lower cap on speed
+    enemy.speed = Math.min(enemy.speed, 2.0); // Reduced from 2.5
+    
+    // Health scaling - more gradual increase
+    const baseHealth = 80; // Reduced from 100
+    const roundHealthBonus = round * 3; // Reduced from 5
+    const milestoneHealthBonus = Math.floor(round / 4) * 10; // Reduced from round/3 * 20
+    enemy.health = baseHealth + roundHealthBonus + milestoneHealthBonus;
+    
+    // Attack scaling - more gradual increase
+    const baseAttack = 20; // Reduced from 25
+    const roundAttackBonus = round * 1; // Reduced from 2
+    const milestoneAttackBonus = Math.floor(round / 4) * 3; // Reduced from round/3 * 5
+    enemy.playerDamage = Math.min(60, baseAttack + roundAttackBonus + milestoneAttackBonus); // Reduced cap from 75
+  }
+});
+
+EnemyRegistry.register('crawler', {
+  enemyClass: CrawlingZombie,
+  unlockRound: 1,
+  weight: round => Math.min(0.35, 0.05 + (round * 0.02)), // Up to 35%
+  scale: (enemy, round) => {
+    // Crawler zombie scaling - slower speed increase
+    const baseSpeed = 0.3;
+    const roundSpeedBonus = round * 0.02; // Reduced from 0.04
+    enemy.speed = baseSpeed + roundSpeedBonus;
+    
+    // Lower cap on crawler speed
+    enemy.speed = Math.min(enemy.speed, 1.2); // Reduced from 1.5
+    
+    // Health scaling - more gradual increase
+    const baseHealth = 65; // Reduced from 75
+    const roundHealthBonus = round * 2; // Reduced from 4
+    const milestoneHealthBonus = Math.floor(round / 5) * 8; // Reduced from round/4 * 15
+    enemy.health = baseHealth + roundHealthBonus + milestoneHealthBonus;
+    
+    // Attack scaling - more gradual increase
+    const baseAttack = 12; // Reduced from 15
+    const roundAttackBonus = round * 0.8; // Reduced from 1.5
+    const milestoneAttackBonus = Math.floor(round / 5) * 2; // Reduced from round/4 * 4
+    enemy.playerDamage = Math.min(45, baseAttack + roundAttackBonus + milestoneAttackBonus); // Reduced cap from 60
+  }
+});
+
+EnemyRegistry.register('runner', {
+  enemyClass: RunnerZombie,
+  unlockRound: 1,
+  weight: round => Math.min(0.30, 0.03 + (round * 0.025)), // Up to 30%
+  scale: (enemy, round) => {
+    // Runner zombie scaling - more gradual increase
+    const baseSpeed = 1.0; // Reduced from 1.2
+    const roundSpeedBonus = round * 0.05; // Reduced from 0.08
+    enemy.speed = baseSpeed + roundSpeedBonus;
+    
+    // Lower cap on runner speed
+    enemy.speed = Math.min(enemy.speed, 2.2); // Reduced from 3.0
+    
+    // Health scaling - more gradual increase
+    const baseHealth = 50; // Reduced from 60
+    const roundHealthBonus = round * 1.5; // Reduced from 3
+    const milestoneHealthBonus = Math.floor(round / 6) * 6; // Reduced from round/5 * 10
+    enemy.health = baseHealth + roundHealthBonus + milestoneHealthBonus;
+    
+    // Attack scaling - more gradual increase
+    const baseAttack = 18; // Reduced from 20
+    const roundAttackBonus = round * 1; // Reduced from 2
+    const milestoneAttackBonus = Math.floor(round / 4) * 3; // Reduced from round/3 * 5
+    enemy.playerDamage = Math.min(55, baseAttack + roundAttackBonus + milestoneAttackBonus); // Reduced cap from 70
+  }
+});
+
+EnemyRegistry.register('spitter', {
+  enemyClass: SpitterZombie,
+  unlockRound: 1,
+  weight: round => Math.min(0.25, 0.02 + (round * 0.02)), // Up to 25%
+  scale: (enemy, round) => {
+    // Spitter zombie scaling - more gradual increase
+    const baseSpeed = 0.35; // Reduced from 0.4
+    const roundSpeedBonus = round * 0.02; // Reduced from 0.03
+    enemy.speed = baseSpeed + roundSpeedBonus;
+    
+    // Lower cap on spitter speed
+    enemy.speed = Math.min(enemy.speed, 1.0); // Reduced from 1.2
+    
+    // Health scaling - more gradual increase
+    const baseHealth = 60; // Reduced from 70
+    const roundHealthBonus = round * 2; // Reduced from 3.5
+    const milestoneHealthBonus = Math.floor(round / 5) * 7; // Reduced from round/4 * 12
+    enemy.health = baseHealth + roundHealthBonus + milestoneHealthBonus;
+    
+    // Projectile damage scaling - more gradual increase
+    const baseAttack = 12; // Reduced from 15
+    const roundAttackBonus = round * 1.5; // Reduced from 2.5
+    const milestoneAttackBonus = Math.floor(round / 4) * 5; // Reduced from round/3 * 8
+    enemy.playerDamage = Math.min(50, baseAttack + roundAttackBonus + milestoneAttackBonus); // Reduced cap from 80
+    
+    // Increase projectile speed in later rounds - more gradual increase
+    if (enemy.projectileSpeed) {
+      enemy.projectileSpeed = 4.0 + (round * 0.1); // Reduced from 5.0 + round * 0.2
+      enemy.projectileSpeed = Math.min(enemy.projectileSpeed, 7.0); // Reduced cap from 10.0
+    }
+    
+    // Increase attack rate in later rounds - start later and scale more gradually
+    if (round > 9) { // Start at round 10 instead of 8
+      enemy.attackRate = Math.min(2.8, 2.0 + (round * 0.06)); // Reduced from 3.5 max and 0.1 scaling
+    }
+  }
+});
+
+EnemyRegistry.register('exploder', {
+  enemyClass: ExplodingZombie,
+  unlockRound: 4,
+  weight: round => Math.min(0.15, 0.04 + (round - 4) * 0.015), // Up to 15%
+  scale: (enemy, round) => {
+    // Exploder scaling - stays fragile so it can be shot before it arrives
+    const baseSpeed = 0.7;
+    const roundSpeedBonus = round * 0.03;
+    enemy.speed = Math.min(baseSpeed + roundSpeedBonus, 1.6);
+    
+    const baseHealth = 45;
+    const roundHealthBonus = round * 1.5;
+    enemy.health = baseHealth + roundHealthBonus;
+    
+    // The blast gets nastier instead
+    enemy.explosionDamage = Math.min(90, 50 + round * 2);
+    enemy.explosionRadius = Math.min(5, 3.5 + round * 0.05);
+  }
+});
+
+// Bosses only come from boss rounds (EnemyManager.spawnBoss scales them)
+EnemyRegistry.register('boss', {
+  enemyClass: BossZombie,
+  unlockRound: null,
+  weight: () => 0,
+  pooled: false // Too rare to be worth keeping around
+});
+
+// Hellhounds only come from hellhound rounds (EnemyManager spawns them in packs)
+EnemyRegistry.register('hellhound', {
+  enemyClass: Hellhound,
+  unlockRound: null,
+  weight: () => 0,
+  scale: (enemy, round) => {
+    // Hellhounds stay fragile - they're dangerous because they're fast and come in numbers
+    enemy.speed = Math.min(2.6 + round * 0.04, 3.6) + Math.random() * 0.4;
+    enemy.health = Math.min(40 + round * 3, 140);
+    enemy.maxHealth = enemy.health;
+    enemy.playerDamage = Math.min(12 + Math.floor(round / 3) * 2, 30);
+  }
+});
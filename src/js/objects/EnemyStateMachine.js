@@ -0,0 +1,188 @@
+/**
+ * Named enemy states (the values are what gets synced over the network)
+ */
+export const EnemyStates = {
+  APPROACHING: 'approaching',   // Walking up to the target window
+  TEARING_BOARDS: 'tearingBoards', // Ripping boards off the window
+  ENTERING: 'entering',         // Climbing in through the window
+  CHASING: 'chasing',           // Inside, going after a player
+  ATTACKING: 'attacking',       // Swinging at a player
+  STUNNED: 'stunned',           // Knocked off balance, not doing anything
+  DYING: 'dying'                // Dead, playing the death animation
+};
+
+// Allowed transitions for every enemy. STUNNED and DYING can be entered from
+// any live state, so they aren't repeated in every list.
+const BASE_TRANSITIONS = {
+  [EnemyStates.APPROACHING]: [EnemyStates.TEARING_BOARDS, EnemyStates.ENTERING],
+  [EnemyStates.TEARING_BOARDS]: [EnemyStates.APPROACHING, EnemyStates.ENTERING],
+  [EnemyStates.ENTERING]: [EnemyStates.CHASING],
+  [EnemyStates.CHASING]: [EnemyStates.ATTACKING],
+  [EnemyStates.ATTACKING]: [EnemyStates.CHASING],
+  [EnemyStates.STUNNED]: [EnemyStates.APPROACHING, EnemyStates.TEARING_BOARDS, EnemyStates.CHASING],
+  [EnemyStates.DYING]: []
+};
+
+/**
+ * Finite-state machine for an enemy's behavior. Enemy.update runs the behavior for
+ * the current state; the machine checks every transition against the table and fires
+ * events so other code can react without polling flags.
+ *
+ * Events (callback arguments in brackets):
+ *  - 'change' (to, from, enemy): after any transition
+ *  - 'enter:<state>' (from, enemy): after entering a state
+ *  - 'exit:<state>' (to, enemy): before leaving a state
+ *  - 'rejected' (to, from, enemy): a transition that isn't allowed was asked for
+ */
+export class EnemyStateMachine {
+  /**
+   * @param {Enemy} enemy - The enemy this machine drives
+   * @param {string} initialState - Starting state
+   */
+  constructor(enemy, initialState = EnemyStates.APPROACHING) {
+    this.enemy = enemy;
+    this.initialState = initialState;
+    this.state = initialState;
+    this.previousState = null;
+    this.stateTime = 0; // Seconds spent in the current state
+    this.listeners = {};
+    
+    // Copy the table so subclasses can add states without touching other enemies
+    this.transitions = {};
+    Object.entries(BASE_TRANSITIONS).forEach(([state, targets]) => {
+      this.transitions[state] = targets.slice();
+    });
+  }
+
+  /**
+   * Add a state specific to one kind of enemy (e.g. a spitter climbing the walls)
+   * @param {string} state - New state name
+   * @param {Object} options - { from: states that can enter it, to: states it can leave to }
+   */
+  addState(state, { from = [], to = [] } = {}) {
+    this.transitions[state] = this.transitions[state] || [];
+    
+    to.forEach(target => {
+      if (!this.transitions[state].includes(target)) {
+        this.transitions[state].push(target);
+      }
+    });
+    
+    from.forEach(source => {
+      this.transitions[source] = this.transitions[source] || [];
+      if (!this.transitions[source].includes(state)) {
+        this.transitions[source].push(state);
+      }
+    });
+  }
+
+  /**
+   * Check if the machine is in one of the given states
+   * @param {...string} states - States to check
+   * @returns {boolean} True if the current state is one of them
+   */
+  is(...states) {
+    return states.includes(this.state);
+  }
+
+  /**
+   * Check if a transition from the current state is allowed
+   * @param {string} state - Target state
+   * @returns {boolean} True if the transition is allowed
+   */
+  can(state) {
+    if (!(state in this.transitions) || state === this.state) return false;
+    if (this.state === EnemyStates.DYING) return false;
+    if (state === EnemyStates.DYING || state === EnemyStates.STUNNED) return true;
+    
+    return this.transitions[this.state].includes(state);
+  }
+
+  /**
+   * Move to another state
+   * @param {string} state - Target state
+   * @param {boolean} force - Skip the transition check (used when following the host)
+   * @returns {boolean} True if the state changed
+   */
+  setState(state, force = false) {
+    if (state === this.state) return false;
+    
+    if (!force && !this.can(state)) {
+      this.emit('rejected', state, this.state, this.enemy);
+      return false;
+    }
+    
+    if (!(state in this.transitions)) {
+      console.warn(`Enemy ${this.enemy.id}: unknown state "${state}"`);
+      return false;
+    }
+    
+    const from = this.state;
+    this.emit(`exit:${from}`, state, this.enemy);
+    
+    this.previousState = from;
+    this.state = state;
+    this.stateTime = 0;
+    
+    this.emit(`enter:${state}`, from, this.enemy);
+    this.emit('change', state, from, this.enemy);
+    return true;
+  }
+
+  /**
+   * Advance the time spent in the current state
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  update(deltaTime) {
+    this.stateTime += deltaTime;
+  }
+
+  /**
+   * Go back to the initial state without firing events (used when an enemy is reused)
+   */
+  reset() {
+    this.state = this.initialState;
+    this.previousState = null;
+    this.stateTime = 0;
+  }
+
+  /**
+   * Listen for an event
+   * @param {string} event - Event name ('change', 'enter:<state>', 'exit:<state>', 'rejected')
+   * @param {Function} callback - Listener
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  /**
+   * Stop listening for an event
+   * @param {string} event - Event name
+   * @param {Function} callback - Listener passed to on()
+   */
+  off(event, callback) {
+    if (!this.listeners[event]) return;
+    this.listeners[event] = this.listeners[event].filter(listener => listener !== callback);
+  }
+
+  /**
+   * Call every listener of an event
+   * @param {string} event - Event name
+   * @param {...*} args - Listener arguments
+   */
+  emit(event, ...args) {
+    const listeners = this.listeners[event];
+    if (!listeners) return;
+    
+    listeners.slice().forEach(listener => {
+      try {
+        listener(...args);
+      } catch (error) {
+        console.error(`Error in enemy state listener for "${event}":`, error);
+      }
+    });
+  }
+}
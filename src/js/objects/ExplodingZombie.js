@@ -0,0 +1,359 @@
+import * as THREE from 'three';
+import { Enemy } from './Enemy';
+import { EnemyStates } from './EnemyStateMachine';
+
+// Extra state: the fuse is lit and it's about to blow
+const FUSING = 'fusing';
+
+/**
+ * Creates a bloated zombie that swells up and explodes when it reaches a player or dies.
+ * The blast hurts players, other zombies and window boards, so it is best shot from range.
+ */
+export class ExplodingZombie extends Enemy {
+  constructor(targetWindow) {
+    super(targetWindow);
+    
+    // Set the type for network synchronization
+    this.type = 'exploder';
+    this.animatesMaterials = true;
+    
+    // Override default enemy properties
+    this.health = 50; // Fragile, one good headshot should pop it
+    this.maxHealth = 50;
+    this.speed = 0.7 + Math.random() * 0.3;
+    this.attackRate = 1;
+    this.attackDamage = 10;
+    this.playerDamage = 10; // Weak swipe - the explosion is the real threat
+    
+    // Explosion
+    this.explosionRadius = 4;
+    this.explosionDamage = 60; // Damage at the centre, falling to nothing at the edge
+    this.explosionEnemyDamage = 150; // Damage to other zombies at the centre
+    this.explosionBoardsBroken = 2; // Boards torn off windows caught in the blast
+    this.hasExploded = false;
+    
+    // Fuse (starts when a player gets close)
+    this.fuseTriggerRange = 1.8;
+    this.fuseTime = 1.2; // seconds from trigger to detonation
+    this.fuseTimer = 0;
+    this.isFusing = false;
+    this.fuseTelegraph = null;
+    this.stateMachine.addState(FUSING, {
+      from: [EnemyStates.ENTERING, EnemyStates.CHASING, EnemyStates.ATTACKING, EnemyStates.STUNNED]
+    });
+    
+    // Swelling animation
+    this.swellTime = 0;
+    
+    // Gurgling sounds
+    this.soundFrequency = 0.12;
+    
+    // Override materials to make them distinct
+    this.bodyMaterial = new THREE.MeshStandardMaterial({
+      color: 0x8A9A3B, // Sickly yellow-green
+      roughness: 0.6,
+      metalness: 0.1
+    });
+    
+    this.eyeMaterial = new THREE.MeshStandardMaterial({
+      color: 0xffaa00, // Orange eyes
+      emissive: 0xffaa00,
+      emissiveIntensity: 0.5
+    });
+    
+    this.pustuleMaterial = new THREE.MeshStandardMaterial({
+      color: 0xff6a00,
+      emissive: 0xff4400,
+      emissiveIntensity: 0.6,
+      roughness: 0.3
+    });
+  }
+
+  /**
+   * Override the enemy mesh creation to make a bloated zombie
+   */
+  createEnemyMesh() {
+    // Belly - a big swollen sphere that does most of the animating
+    const bodyGeometry = new THREE.SphereGeometry(0.55, 20, 16);
+    const body = new THREE.Mesh(bodyGeometry, this.bodyMaterial);
+    body.position.y = 1.0;
+    body.scale.set(1, 1.15, 0.95);
+    body.castShadow = true;
+    body.name = "exploderBody";
+    
+    // Glowing pustules on the belly
+    const pustuleGeometry = new THREE.SphereGeometry(0.09, 8, 8);
+    const pustulePositions = [
+      [0.25, 0.2, 0.45],
+      [-0.3, 0.05, 0.42],
+      [0.05, -0.2, 0.52],
+      [-0.1, 0.35, 0.4],
+      [0.4, -0.1, 0.3]
+    ];
+    pustulePositions.forEach(([x, y, z]) => {
+      const pustule = new THREE.Mesh(pustuleGeometry, this.pustuleMaterial);
+      pustule.position.set(x, y, z);
+      body.add(pustule);
+    });
+    
+    // Head - small on top of the belly
+    const headGeometry = new THREE.SphereGeometry(0.24, 16, 16);
+    const head = new THREE.Mesh(headGeometry, this.bodyMaterial);
+    head.position.y = 1.85;
+    head.castShadow = true;
+    head.name = "zombieHead";
+    
+    // Eyes
+    const eyeGeometry = new THREE.SphereGeometry(0.06, 8, 8);
+    
+    // Left eye
+    const leftEye = new THREE.Mesh(eyeGeometry, this.eyeMaterial);
+    leftEye.position.set(-0.09, 1.9, 0.2);
+    
+    // Right eye
+    const rightEye = new THREE.Mesh(eyeGeometry, this.eyeMaterial);
+    rightEye.position.set(0.09, 1.9, 0.2);
+    
+    // Arms - short and stubby
+    const armGeometry = new THREE.BoxGeometry(0.16, 0.5, 0.16);
+    
+    // Left arm
+    const leftArm = new THREE.Mesh(armGeometry, this.bodyMaterial);
+    leftArm.position.set(-0.62, 1.1, 0.1);
+    leftArm.rotation.z = 0.4;
+    leftArm.castShadow = true;
+    
+    // Right arm
+    const rightArm = new THREE.Mesh(armGeometry, this.bodyMaterial);
+    rightArm.position.set(0.62, 1.1, 0.1);
+    rightArm.rotation.z = -0.4;
+    rightArm.castShadow = true;
+    
+    // Legs
+    const legGeometry = new THREE.BoxGeometry(0.22, 0.55, 0.22);
+    
+    // Left leg
+    const leftLeg = new THREE.Mesh(legGeometry, this.bodyMaterial);
+    leftLeg.position.set(-0.22, 0.28, 0);
+    leftLeg.castShadow = true;
+    
+    // Right leg
+    const rightLeg = new THREE.Mesh(legGeometry, this.bodyMaterial);
+    rightLeg.position.set(0.22, 0.28, 0);
+    rightLeg.castShadow = true;
+    
+    // Add all parts to the group
+    this.instance.add(body);
+    this.instance.add(head);
+    this.instance.add(leftEye);
+    this.instance.add(rightEye);
+    this.instance.add(leftArm);
+    this.instance.add(rightArm);
+    this.instance.add(leftLeg);
+    this.instance.add(rightLeg);
+    
+    // Store references to body parts for damage effects
+    this.bodyParts = {
+      body,
+      head,
+      leftEye,
+      rightEye,
+      leftArm,
+      rightArm,
+      leftLeg,
+      rightLeg
+    };
+  }
+
+  /**
+   * Override the health bar color
+   */
+  updateHealthBar() {
+    super.updateHealthBar();
+    
+    // Orange health bar so it stands out as dangerous
+    if (this.healthBar && this.health > 0) {
+      this.healthBar.material.color.set(0xff8800);
+    }
+  }
+
+  /**
+   * Update exploding zombie logic
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  update(deltaTime) {
+    // If enemy manager is paused, don't update
+    if (this.manager && this.manager.isPaused) {
+      return;
+    }
+    
+    if (this.isDead) {
+      super.update(deltaTime);
+      return;
+    }
+    
+    // Clients follow the host's fuse through the synced state
+    if (this.isNetworkClient() && this.state === FUSING && !this.isFusing) {
+      this.startFuse();
+    }
+    
+    if (this.isFusing) {
+      this.updateStateMachine(deltaTime);
+      this.updateFuse(deltaTime);
+      return;
+    }
+    
+    super.update(deltaTime);
+    this.updateSwelling(deltaTime, 1);
+    
+    // Light the fuse when a player gets close (the host decides)
+    if (this.insideRoom && !this.isNetworkClient() && this.getClosestPlayerDistance() < this.fuseTriggerRange) {
+      this.startFuse();
+    }
+  }
+
+  /**
+   * Pulse the belly
+   * @param {number} deltaTime - Time elapsed since last update
+   * @param {number} intensity - How hard to pulse (grows while the fuse burns)
+   */
+  updateSwelling(deltaTime, intensity) {
+    if (!this.bodyParts) return;
+    
+    this.swellTime += deltaTime * (2 + intensity * 6);
+    const swell = 1 + Math.sin(this.swellTime) * 0.04 * intensity;
+    
+    this.bodyParts.body.scale.set(swell, 1.15 * swell, 0.95 * swell);
+  }
+
+  /**
+   * Start the countdown to detonation
+   */
+  startFuse() {
+    if (this.isFusing || this.hasExploded) return;
+    
+    this.isFusing = true;
+    this.fuseTimer = 0;
+    this.stateMachine.setState(FUSING);
+    
+    // Warning ring on the floor showing the blast radius
+    const ringGeometry = new THREE.RingGeometry(this.explosionRadius - 0.12, this.explosionRadius, 48);
+    const ringMaterial = new THREE.MeshBasicMaterial({
+      color: 0xff5500,
+      transparent: true,
+      opacity: 0.4,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+    this.fuseTelegraph = new THREE.Mesh(ringGeometry, ringMaterial);
+    this.fuseTelegraph.rotation.x = -Math.PI / 2;
+    this.fuseTelegraph.position.y = 0.03;
+    this.instance.add(this.fuseTelegraph);
+    
+    console.log(`Exploding zombie ${this.id} fuse lit`);
+  }
+
+  /**
+   * Swell up, flash and detonate when the fuse runs out
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateFuse(deltaTime) {
+    this.fuseTimer += deltaTime;
+    const progress = Math.min(1, this.fuseTimer / this.fuseTime);
+    
+    // Grow and shake harder as the fuse burns down
+    this.updateSwelling(deltaTime, 1 + progress * 4);
+    if (this.bodyParts) {
+      const growth = 1 + progress * 0.35;
+      this.bodyParts.body.scale.multiplyScalar(growth);
+    }
+    
+    // Flash the pustules faster and faster
+    const flash = Math.abs(Math.sin(this.fuseTimer * (8 + progress * 30)));
+    this.pustuleMaterial.emissiveIntensity = 0.6 + flash * 2;
+    
+    if (this.fuseTelegraph) {
+      this.fuseTelegraph.material.opacity = 0.25 + flash * 0.5;
+    }
+    
+    // Clients wait for the host's explosion event
+    if (progress >= 1 && !this.isNetworkClient()) {
+      this.explode();
+    }
+  }
+
+  /**
+   * Blow up (host or singleplayer). Damage and effects are handled by the manager,
+   * which also tells clients about the explosion.
+   */
+  explode() {
+    if (this.hasExploded) return;
+    this.hasExploded = true;
+    
+    console.log(`Exploding zombie ${this.id} detonated`);
+    
+    if (this.manager && typeof this.manager.triggerExplosion === 'function') {
+      this.manager.triggerExplosion({
+        enemyId: this.id,
+        position: {
+          x: this.instance.position.x,
+          y: this.instance.position.y,
+          z: this.instance.position.z
+        },
+        radius: this.explosionRadius,
+        playerDamage: this.explosionDamage,
+        enemyDamage: this.explosionEnemyDamage,
+        boardsBroken: this.explosionBoardsBroken
+      }, this);
+    }
+    
+    this.burst();
+  }
+
+  /**
+   * Remove the body once the explosion has happened (it doesn't leave a corpse)
+   */
+  burst() {
+    this.hasExploded = true;
+    this.isFusing = false;
+    this.removeFuseTelegraph();
+    
+    if (!this.isDead) {
+      // Blew itself up, so nobody earned the kill (and no bleed-out points either)
+      this.pointsAwarded = true;
+      this.health = 0;
+      this.isDead = true;
+      this.stateMachine.setState(EnemyStates.DYING);
+      if (this.healthBarContainer) {
+        this.healthBarContainer.visible = false;
+      }
+    }
+    
+    this.remove();
+  }
+
+  /**
+   * Remove the blast radius ring
+   */
+  removeFuseTelegraph() {
+    if (!this.fuseTelegraph) return;
+    
+    this.instance.remove(this.fuseTelegraph);
+    this.fuseTelegraph.geometry.dispose();
+    this.fuseTelegraph.material.dispose();
+    this.fuseTelegraph = null;
+  }
+
+  /**
+   * Explode on death. Clients play the normal death until the host's explosion event arrives.
+   */
+  die() {
+    if (this.isDead) return;
+    
+    super.die();
+    
+    if (!this.isNetworkClient()) {
+      this.explode();
+    }
+  }
+}
@@ -0,0 +1,348 @@
+import * as THREE from 'three';
+
+// Shared by every grenade
+const GRENADE_GEOMETRY = new THREE.SphereGeometry(1, 12, 10);
+const GRENADE_MATERIAL = new THREE.MeshStandardMaterial({
+  color: 0x3b4a2a, // Olive drab
+  roughness: 0.7,
+  metalness: 0.3
+});
+
+/**
+ * Thrown grenades. Every game simulates the flight (a simple arc that bounces off
+ * walls, props and the floor) so throws look the same everywhere, but only the host
+ * (or a singleplayer game) blows them up and hurts zombies. The host then tells
+ * everyone where it went off and how many zombies the thrower hit and killed.
+ */
+export class GrenadeSystem {
+  /**
+   * @param {EnemyManager} manager - The enemy manager (for the scene, room, enemies, player and network)
+   */
+  constructor(manager) {
+    this.manager = manager;
+    this.grenades = [];
+    this.nextId = 1;
+    
+    // Flight
+    this.radius = 0.08;
+    this.gravity = 9.8;
+    this.bounciness = 0.45; // Speed kept after hitting a wall or the floor
+    this.rollFriction = 0.7; // Horizontal speed kept each time it hits the floor
+    this.maxStep = 1 / 60; // Longest physics step (so fast grenades don't pass through walls)
+    
+    // Blast
+    this.fuseTime = 2.5; // Seconds from throw to explosion
+    this.blastRadius = 4;
+    this.maxDamage = 200; // At the centre, falling off to nothing at the edge
+    this.networkGrace = 1.5; // Seconds a client's copy waits for the host's explosion
+    this.stunTime = 1.2; // Seconds zombies that survive the blast are knocked off balance
+    
+    // Points for the thrower (through PlayerControls.addPoints, which adds its kill bonus)
+    this.hitPoints = 10;
+    
+    // Grenades are refilled when a new round starts
+    this.lastRound = 0;
+  }
+
+  /**
+   * Check if this game resolves explosions (host or singleplayer)
+   * @returns {boolean} True if we're in charge
+   */
+  isAuthority() {
+    const networkManager = this.getNetworkManager();
+    return !(networkManager && networkManager.isMultiplayer && !networkManager.isHost);
+  }
+
+  /**
+   * Get the network manager if there is one
+   * @returns {NetworkManager|null} The network manager
+   */
+  getNetworkManager() {
+    return (this.manager.gameEngine && this.manager.gameEngine.networkManager) || null;
+  }
+
+  /**
+   * Get the peer id of the local player in multiplayer
+   * @returns {string|null} Our peer id, or null outside multiplayer
+   */
+  getLocalPlayerId() {
+    const networkManager = this.getNetworkManager();
+    if (!networkManager || !networkManager.isMultiplayer || !networkManager.network) return null;
+    
+    const network = networkManager.network;
+    return network.isHost ? network.hostId : network.clientId;
+  }
+
+  /**
+   * Throw a grenade from the local player and let the other players know
+   * @param {THREE.Vector3} origin - Where it leaves the player's hand
+   * @param {THREE.Vector3} velocity - Initial velocity
+   */
+  throwGrenade(origin, velocity) {
+    const data = {
+      id: `grenade_${this.nextId++}_${Date.now().toString(36)}`,
+      origin: { x: origin.x, y: origin.y, z: origin.z },
+      velocity: { x: velocity.x, y: velocity.y, z: velocity.z }
+    };
+    
+    this.spawnGrenade(data, this.getLocalPlayerId(), true);
+    
+    // The host resolves the blast, everyone else just watches it fly
+    const networkManager = this.getNetworkManager();
+    if (networkManager && networkManager.isMultiplayer && networkManager.network) {
+      networkManager.network.sendPlayerAction('throwGrenade', data);
+    }
+  }
+
+  /**
+   * Add a grenade another player threw
+   * @param {Object} data - Throw data ({ id, origin, velocity })
+   * @param {string} playerId - The ID of the player who threw it
+   */
+  handleThrowAction(data, playerId) {
+    if (this.grenades.some(grenade => grenade.id === data.id)) return;
+    this.spawnGrenade(data, playerId, false);
+  }
+
+  /**
+   * Add a grenade to the scene
+   * @param {Object} data - Throw data ({ id, origin, velocity })
+   * @param {string|null} throwerId - Peer id of the thrower (null in singleplayer)
+   * @param {boolean} isLocal - Whether the local player threw it
+   */
+  spawnGrenade(data, throwerId, isLocal) {
+    const mesh = new THREE.Mesh(GRENADE_GEOMETRY, GRENADE_MATERIAL);
+    mesh.scale.setScalar(this.radius);
+    mesh.position.set(data.origin.x, data.origin.y, data.origin.z);
+    mesh.castShadow = true;
+    
+    this.manager.scene.add(mesh);
+    
+    this.grenades.push({
+      id: data.id,
+      position: mesh.position,
+      velocity: new THREE.Vector3(data.velocity.x, data.velocity.y, data.velocity.z),
+      age: 0,
+      throwerId,
+      isLocal,
+      mesh
+    });
+  }
+
+  /**
+   * Move grenades, blow up the ones whose fuse ran out and refill on a new round
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  update(deltaTime) {
+    this.updateRefill();
+    
+    this.grenades.slice().forEach(grenade => {
+      grenade.age += deltaTime;
+      
+      // Small steps so a fast throw can't skip through a wall
+      let remaining = deltaTime;
+      while (remaining > 0) {
+        const step = Math.min(remaining, this.maxStep);
+        this.stepGrenade(grenade, step);
+        remaining -= step;
+      }
+      
+      if (grenade.age < this.fuseTime) return;
+      
+      if (this.isAuthority()) {
+        this.explode(grenade);
+      } else if (grenade.age >= this.fuseTime + this.networkGrace) {
+        // The host's explosion never arrived
+        this.removeGrenade(grenade);
+      }
+    });
+  }
+
+  /**
+   * Advance one grenade's flight, bouncing it off walls, props, the floor and the ceiling
+   * @param {Object} grenade - The grenade
+   * @param {number} step - Seconds to advance
+   */
+  stepGrenade(grenade, step) {
+    const { position, velocity } = grenade;
+    
+    velocity.y -= this.gravity * step;
+    
+    // Move along each axis separately so a wall only flips the speed heading into it
+    position.x += velocity.x * step;
+    if (this.isBlocked(position)) {
+      position.x -= velocity.x * step;
+      velocity.x *= -this.bounciness;
+    }
+    
+    position.z += velocity.z * step;
+    if (this.isBlocked(position)) {
+      position.z -= velocity.z * step;
+      velocity.z *= -this.bounciness;
+    }
+    
+    position.y += velocity.y * step;
+    if (position.y < this.radius) {
+      position.y = this.radius;
+      velocity.y = Math.abs(velocity.y) > 0.5 ? -velocity.y * this.bounciness : 0;
+      velocity.x *= this.rollFriction;
+      velocity.z *= this.rollFriction;
+    }
+    
+    const room = this.manager.room;
+    const ceiling = (room ? room.height : 3) - this.radius;
+    if (position.y > ceiling) {
+      position.y = ceiling;
+      velocity.y = -Math.abs(velocity.y) * this.bounciness;
+    }
+    
+    // Tumble while moving
+    const speed = Math.hypot(velocity.x, velocity.z);
+    grenade.mesh.rotation.x += speed * step * 4;
+    grenade.mesh.rotation.z += speed * step * 2;
+  }
+
+  /**
+   * Check if a grenade at this position would be inside a wall or prop
+   * @param {THREE.Vector3} position - Position to check
+   * @returns {boolean} True if blocked
+   */
+  isBlocked(position) {
+    const room = this.manager.room;
+    if (!room) return false;
+    
+    return room.isBlockedByWall(position, this.radius) || room.isBlockedByProp(position, this.radius);
+  }
+
+  /**
+   * Blow up a grenade (host or singleplayer): hurt zombies in range, award the thrower
+   * and tell clients about it
+   * @param {Object} grenade - The grenade
+   */
+  explode(grenade) {
+    const position = grenade.position.clone();
+    this.removeGrenade(grenade);
+    
+    let hits = 0;
+    const kills = [];
+    
+    this.manager.enemies.forEach(enemy => {
+      if (enemy.isDead || !enemy.instance) return;
+      
+      const enemyPosition = enemy.instance.position;
+      const distance = Math.hypot(enemyPosition.x - position.x, enemyPosition.z - position.z);
+      if (distance >= this.blastRadius) return;
+      
+      const damage = Math.max(1, Math.round(this.maxDamage * (1 - distance / this.blastRadius)));
+      enemy.takeDamage(damage);
+      hits++;
+      
+      if (enemy.health <= 0) {
+        // The thrower is paid below, so no bleed-out points as well
+        enemy.pointsAwarded = true;
+        kills.push(enemy.id);
+      } else {
+        enemy.stun(this.stunTime);
+      }
+    });
+    
+    const explosion = {
+      id: grenade.id,
+      position: { x: position.x, y: position.y, z: position.z },
+      throwerId: grenade.throwerId,
+      hits,
+      kills
+    };
+    
+    this.manager.createExplosionEffect(position, this.blastRadius);
+    
+    if (grenade.isLocal) {
+      this.awardPoints(explosion);
+    }
+    
+    console.log(`Grenade ${grenade.id} exploded: ${hits} hit, ${kills.length} killed`);
+    
+    // Let clients see it, and pay the thrower if it was one of them
+    const networkManager = this.getNetworkManager();
+    if (networkManager && networkManager.isMultiplayer && networkManager.isHost && networkManager.network) {
+      networkManager.network.hostBroadcastGrenadeExplosion(explosion);
+      
+      if (kills.length > 0 && typeof networkManager.network.broadcastGameState === 'function') {
+        networkManager.network.broadcastGameState(true);
+      }
+    }
+  }
+
+  /**
+   * Show an explosion the host resolved (clients)
+   * @param {Object} explosion - Explosion data ({ id, position, throwerId, hits, kills })
+   */
+  handleExplosionEvent(explosion) {
+    const grenade = this.grenades.find(g => g.id === explosion.id);
+    if (grenade) {
+      this.removeGrenade(grenade);
+    }
+    
+    const position = new THREE.Vector3(explosion.position.x, explosion.position.y, explosion.position.z);
+    this.manager.createExplosionEffect(position, this.blastRadius);
+    
+    // Our copies of the dead zombies shouldn't pay out bleed-out points
+    this.manager.enemies.forEach(enemy => {
+      if (explosion.kills.includes(enemy.id)) {
+        enemy.pointsAwarded = true;
+      }
+    });
+    
+    if (explosion.throwerId && explosion.throwerId === this.getLocalPlayerId()) {
+      this.awardPoints(explosion);
+    }
+  }
+
+  /**
+   * Pay the local player for a grenade's hits and kills
+   * @param {Object} explosion - Explosion data ({ hits, kills })
+   */
+  awardPoints(explosion) {
+    const player = this.manager.player;
+    if (!player || typeof player.addPoints !== 'function') return;
+    
+    explosion.kills.forEach(() => player.addPoints(this.hitPoints, true));
+    
+    const wounded = explosion.hits - explosion.kills.length;
+    if (wounded > 0) {
+      player.addPoints(this.hitPoints * wounded);
+    }
+  }
+
+  /**
+   * Give the local player a full grenade slot when a new round starts
+   */
+  updateRefill() {
+    const round = this.manager.currentRound;
+    
+    if (round > this.lastRound) {
+      const player = this.manager.player;
+      if (player && typeof player.refillGrenades === 'function') {
+        player.refillGrenades();
+      }
+    }
+    
+    this.lastRound = round;
+  }
+
+  /**
+   * Remove a grenade
+   * @param {Object} grenade - The grenade
+   */
+  removeGrenade(grenade) {
+    grenade.mesh.removeFromParent();
+    this.grenades = this.grenades.filter(g => g !== grenade);
+  }
+
+  /**
+   * Remove every grenade (new game or map change)
+   */
+  reset() {
+    this.grenades.slice().forEach(grenade => this.removeGrenade(grenade));
+  }
+}
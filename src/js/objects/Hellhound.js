@@ -0,0 +1,249 @@
+import * as THREE from 'three';
+import { Enemy } from './Enemy';
+import { EnemyStates } from './EnemyStateMachine';
+
+/**
+ * Creates a hellhound - a fast, fragile four-legged enemy that only appears in
+ * hellhound rounds. Hounds burst into the room at spawn points instead of coming
+ * through the windows and go straight for the players.
+ */
+export class Hellhound extends Enemy {
+  constructor(targetWindow) {
+    super(targetWindow);
+    
+    // Set the type for network synchronization
+    this.type = 'hellhound';
+    
+    // Override default enemy properties (EnemyRegistry scales these with the round)
+    this.health = 40;
+    this.maxHealth = 40;
+    this.speed = 2.6 + Math.random() * 0.6; // Much faster than any zombie
+    this.playerDamage = 12; // Weak bites...
+    this.attackCooldown = 0.6; // ...but lots of them
+    this.attackStateDuration = 0.3;
+    
+    // Low and long
+    this.height = 0.9;
+    this.floorLevel = 0;
+    this.collisionRadius = 0.35;
+    
+    // Hounds never carry power-ups (the round drops a Max Ammo when the pack is dead)
+    this.noDrop = true;
+    
+    // Snarl more often than zombies groan
+    this.soundFrequency = 0.2;
+    
+    // Charred hide with burning eyes
+    this.bodyMaterial = new THREE.MeshStandardMaterial({
+      color: 0x2a1d1a,
+      roughness: 0.9,
+      metalness: 0.1,
+      emissive: 0x330800,
+      emissiveIntensity: 0.4
+    });
+    
+    this.eyeMaterial = new THREE.MeshStandardMaterial({
+      color: 0xff6600,
+      emissive: 0xff5500,
+      emissiveIntensity: 1.2
+    });
+  }
+
+  /**
+   * Override the enemy mesh creation to make a hound
+   */
+  createEnemyMesh() {
+    // Body - long and low, facing +z like the zombies
+    const body = new THREE.Mesh(new THREE.BoxGeometry(0.45, 0.4, 1.0), this.bodyMaterial);
+    body.position.set(0, 0.65, 0);
+    body.castShadow = true;
+    body.name = "houndBody";
+    
+    // Head with a snout
+    const head = new THREE.Mesh(new THREE.BoxGeometry(0.32, 0.3, 0.35), this.bodyMaterial);
+    head.position.set(0, 0.85, 0.6);
+    head.castShadow = true;
+    head.name = "houndHead";
+    
+    const snout = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.16, 0.25), this.bodyMaterial);
+    snout.position.set(0, -0.05, 0.28);
+    head.add(snout);
+    
+    // Ears
+    const earGeometry = new THREE.ConeGeometry(0.06, 0.16, 4);
+    const leftEar = new THREE.Mesh(earGeometry, this.bodyMaterial);
+    leftEar.position.set(-0.1, 0.2, -0.05);
+    head.add(leftEar);
+    const rightEar = new THREE.Mesh(earGeometry, this.bodyMaterial);
+    rightEar.position.set(0.1, 0.2, -0.05);
+    head.add(rightEar);
+    
+    // Burning eyes
+    const eyeGeometry = new THREE.SphereGeometry(0.04, 8, 8);
+    const leftEye = new THREE.Mesh(eyeGeometry, this.eyeMaterial);
+    leftEye.position.set(-0.09, 0.9, 0.78);
+    const rightEye = new THREE.Mesh(eyeGeometry, this.eyeMaterial);
+    rightEye.position.set(0.09, 0.9, 0.78);
+    
+    // Legs pivot at the hip so they can swing
+    const legGeometry = new THREE.BoxGeometry(0.1, 0.5, 0.1);
+    legGeometry.translate(0, -0.25, 0);
+    
+    const createLeg = (x, z) => {
+      const leg = new THREE.Mesh(legGeometry, this.bodyMaterial);
+      leg.position.set(x, 0.5, z);
+      leg.castShadow = true;
+      return leg;
+    };
+    
+    const leftFrontLeg = createLeg(-0.17, 0.35);
+    const rightFrontLeg = createLeg(0.17, 0.35);
+    const leftHindLeg = createLeg(-0.17, -0.35);
+    const rightHindLeg = createLeg(0.17, -0.35);
+    
+    // Tail
+    const tail = new THREE.Mesh(new THREE.BoxGeometry(0.06, 0.06, 0.4), this.bodyMaterial);
+    tail.position.set(0, 0.75, -0.65);
+    tail.rotation.x = -0.5;
+    
+    // Add all parts to the group
+    this.instance.add(body);
+    this.instance.add(head);
+    this.instance.add(leftEye);
+    this.instance.add(rightEye);
+    this.instance.add(leftFrontLeg);
+    this.instance.add(rightFrontLeg);
+    this.instance.add(leftHindLeg);
+    this.instance.add(rightHindLeg);
+    this.instance.add(tail);
+    
+    // Store references to body parts for damage effects (names also pick the hit zones)
+    this.bodyParts = {
+      body,
+      head,
+      leftEye,
+      rightEye,
+      leftFrontLeg,
+      rightFrontLeg,
+      leftHindLeg,
+      rightHindLeg,
+      tail
+    };
+    
+    this.gaitTime = Math.random() * Math.PI * 2; // Random start phase
+  }
+
+  /**
+   * Hounds are spawned without a target window (see spawnAt)
+   */
+  updateTargetPosition() {
+    if (this.targetWindow) {
+      super.updateTargetPosition();
+    }
+  }
+
+  /**
+   * Only line up outside a window if one was given (clients get a random one from the sync)
+   */
+  positionOutsideWindow() {
+    if (this.targetWindow) {
+      super.positionOutsideWindow();
+    }
+  }
+
+  /**
+   * Put the attack flash at jaw height
+   */
+  createAttackEffect() {
+    super.createAttackEffect();
+    this.attackEffect.position.set(0, 0.8, 1.0);
+  }
+
+  /**
+   * Keep the health bar just above the hound
+   */
+  createHealthBar() {
+    super.createHealthBar();
+    this.healthBarContainer.position.y = 1.4;
+  }
+
+  /**
+   * Appear at a spawn point inside the room and start hunting straight away
+   * @param {THREE.Vector3|Object} position - Spawn point ({x, z})
+   */
+  spawnAt(position) {
+    this.insideRoom = true;
+    this.instance.position.set(position.x, this.floorLevel, position.z);
+    this.stateMachine.setState(EnemyStates.CHASING, true);
+    
+    if (this.player) {
+      this.lookAtPlayer();
+    }
+  }
+
+  /**
+   * Hounds don't use windows - if one ever ends up outside it just starts hunting
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateOutside(deltaTime) {
+    this.insideRoom = true;
+    this.stateMachine.setState(EnemyStates.CHASING, true);
+  }
+
+  /**
+   * Override the update method to add the running gait
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  update(deltaTime) {
+    super.update(deltaTime);
+    
+    this.updateGait(deltaTime);
+  }
+
+  /**
+   * Gallop: diagonal leg pairs swing together and the body bobs
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateGait(deltaTime) {
+    if (!this.bodyParts || this.isDead || !this.isMoving) return;
+    
+    this.gaitTime += deltaTime * this.speed * 6;
+    const swing = Math.sin(this.gaitTime) * 0.7;
+    
+    this.bodyParts.leftFrontLeg.rotation.x = swing;
+    this.bodyParts.rightHindLeg.rotation.x = swing;
+    this.bodyParts.rightFrontLeg.rotation.x = -swing;
+    this.bodyParts.leftHindLeg.rotation.x = -swing;
+    
+    this.bodyParts.body.position.y = 0.65 + Math.abs(Math.sin(this.gaitTime)) * 0.05;
+    this.bodyParts.tail.rotation.y = Math.sin(this.gaitTime * 2) * 0.4;
+  }
+
+  /**
+   * Override the attack animation with a lunge in the direction the hound is facing
+   */
+  playAttackAnimation() {
+    const originalPosition = this.instance.position.clone();
+    const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.instance.quaternion);
+    
+    this.instance.position.x += forward.x * 0.4;
+    this.instance.position.z += forward.z * 0.4;
+    
+    // Snap the jaw
+    if (this.bodyParts.head) {
+      this.bodyParts.head.rotation.x = -0.3;
+    }
+    
+    this.attackEffect.material.visible = true;
+    this.attackAnimationTime = 0;
+    
+    this.setLifeTimeout(() => {
+      if (this.instance && !this.isDead) {
+        this.instance.position.copy(originalPosition);
+      }
+      if (this.bodyParts.head) {
+        this.bodyParts.head.rotation.x = 0;
+      }
+    }, 120);
+  }
+}
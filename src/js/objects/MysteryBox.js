@@ -42,6 +42,7 @@ export class MysteryBox {
     this.boxOpenAngle = 0; // Current angle of the box lid (0 = closed, PI/2 = fully open)
     this.boxSoundPlaying = false; // Flag to track if the box sound is playing
     this.boxSound = null; // Reference to the audio element
+    this.spatialAudio = null; // Player's 3D audio (set by the room), so the box is heard from where it is
     this.weaponFloatingHeight = 0; // Current height of the floating weapon
     this.weaponDisplayTime = 0; // Time the weapon has been displayed
     this.weaponDisplayDuration = 5.0; // How long the player has to pick up the weapon (5 seconds)
@@ -58,6 +59,20 @@ export class MysteryBox {
     
     // New properties for audio handling
     this.audioDisabled = false; // Flag to disable audio if an error occurs
+    
+    // Relocation ('leaving' and 'arriving' box states)
+    this.leaveTime = 0;
+    this.leaveDuration = 4.0; // seconds from the teddy bear appearing to the box vanishing
+    this.arriveTime = 0;
+    this.arriveDuration = 1.0; // seconds to drop into the new spot
+    this.onLeft = null; // Called once the box has vanished
+    this.teddyBear = null;
+    this.basePosition = new THREE.Vector3();
+    
+    // Beacon shown over the box after it moves
+    this.beacon = null;
+    this.beaconTime = 0;
+    this.beaconDuration = 30.0; // seconds
   }
   
   /**
@@ -435,18 +450,298 @@ export class MysteryBox {
       case 'closing':
         this.updateBoxClosing(deltaTime);
         break;
+      case 'leaving':
+        this.updateBoxLeaving(deltaTime);
+        break;
+      case 'arriving':
+        this.updateBoxArriving(deltaTime);
+        break;
       case 'closed':
       default:
         this.updateBoxClosed(deltaTime);
         break;
     }
     
+    // Pulse the beacon while it's showing
+    this.updateBeacon(deltaTime);
+    
     // Update info panel position if visible
     if (this.isPlayerNearby) {
       this.updateInfoPanelPosition(camera);
     }
   }
   
+  /**
+   * Check if the box can be used (it can't while moving to a new spot)
+   * @returns {boolean} True if the box is in place
+   */
+  isAvailable() {
+    return this.boxState !== 'leaving' && this.boxState !== 'arriving';
+  }
+  
+  /**
+   * Show the teddy bear and fly away, refunding any spin that gets cut short
+   * @param {Function} onLeft - Called once the box has vanished
+   * @returns {boolean} True if the box started leaving
+   */
+  leave(onLeft) {
+    if (!this.isAvailable()) {
+      return false;
+    }
+    
+    // Whoever paid for the current spin gets their points back
+    if (this.isOpen && this.playerToReceiveWeapon) {
+      console.log(`Mystery box leaving, refunding ${this.cost} points`);
+      this.playerToReceiveWeapon.addPoints(this.cost, false, false, false);
+    }
+    
+    if (this.weaponTimeoutId) {
+      clearTimeout(this.weaponTimeoutId);
+      this.weaponTimeoutId = null;
+    }
+    
+    // Drop any weapon that was on offer
+    if (this.weaponFloating) {
+      this.instance.remove(this.weaponFloating);
+      this.weaponFloating = null;
+    }
+    if (this.weaponSpotlight) {
+      this.instance.remove(this.weaponSpotlight);
+      this.weaponSpotlight = null;
+    }
+    
+    this.isOpen = false;
+    this.hasWeaponAvailable = false;
+    this.weaponReady = false;
+    this.isGeneratingWeapon = false;
+    this.playerToReceiveWeapon = null;
+    
+    if (this.questionMark) {
+      this.questionMark.visible = false;
+    }
+    this.hideBeacon();
+    this.hideInfoPanel();
+    
+    // The teddy bear rises out of the box
+    if (!this.teddyBear) {
+      this.teddyBear = this.createTeddyBear();
+    }
+    this.teddyBear.position.set(0, 0.5, 0);
+    this.instance.add(this.teddyBear);
+    
+    this.basePosition.copy(this.instance.position);
+    this.leaveTime = 0;
+    this.onLeft = onLeft;
+    this.boxState = 'leaving';
+    
+    console.log("Mystery box is leaving");
+    
+    return true;
+  }
+  
+  /**
+   * Drop the box into a new spot
+   * @param {THREE.Vector3} position - New position
+   * @param {number} rotation - New rotation around Y
+   */
+  arrive(position, rotation) {
+    this.basePosition.copy(position);
+    
+    this.instance.position.copy(position);
+    this.instance.position.y += 4;
+    this.instance.rotation.set(0, rotation, 0);
+    this.instance.scale.setScalar(1);
+    this.instance.visible = true;
+    
+    this.arriveTime = 0;
+    this.boxState = 'arriving';
+    
+    this.showBeacon();
+    
+    console.log(`Mystery box arriving at ${position.x}, ${position.y}, ${position.z}`);
+  }
+  
+  /**
+   * Update the leaving animation
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateBoxLeaving(deltaTime) {
+    this.leaveTime += deltaTime;
+    const t = this.leaveTime;
+    
+    // Lid swings open over the first second
+    if (this.boxLid) {
+      this.boxOpenAngle = (Math.PI / 2) * this.easeOutBack(Math.min(t, 1));
+      this.boxLid.rotation.x = -this.boxOpenAngle;
+      this.boxLid.position.z = -0.5 + (Math.sin(this.boxOpenAngle) * 0.05);
+      this.boxLid.position.y = 0.8 - 0.05 * (1 - Math.cos(this.boxOpenAngle));
+    }
+    
+    // Teddy bear rises and bobs
+    if (this.teddyBear) {
+      this.teddyBear.position.y = 0.5 + Math.min(t, 1) + Math.sin(t * 4) * 0.05;
+      this.teddyBear.rotation.y += deltaTime * 1.5;
+    }
+    
+    if (t < 2) {
+      // Shake harder and harder before taking off
+      const shake = Math.min(t / 2, 1) * 0.08;
+      this.instance.rotation.z = (Math.random() - 0.5) * shake;
+    } else {
+      // Fly up, spin and shrink away
+      const progress = Math.min((t - 2) / (this.leaveDuration - 2), 1);
+      this.instance.rotation.z = 0;
+      this.instance.rotation.y += deltaTime * (2 + progress * 10);
+      this.instance.position.y = this.basePosition.y + progress * progress * 4;
+      this.instance.scale.setScalar(Math.max(0.01, 1 - progress));
+    }
+    
+    if (t >= this.leaveDuration) {
+      this.instance.visible = false;
+      this.instance.scale.setScalar(1);
+      this.instance.position.copy(this.basePosition);
+      
+      if (this.teddyBear) {
+        this.instance.remove(this.teddyBear);
+      }
+      
+      // Closed again, ready for the next spot
+      this.resetBoxState();
+      this.boxState = 'arriving';
+      
+      const onLeft = this.onLeft;
+      this.onLeft = null;
+      if (onLeft) {
+        onLeft();
+      }
+    }
+  }
+  
+  /**
+   * Update the arriving animation
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateBoxArriving(deltaTime) {
+    // Wait out of sight until we know where to go
+    if (!this.instance.visible) {
+      return;
+    }
+    
+    this.arriveTime += deltaTime;
+    const progress = Math.min(this.arriveTime / this.arriveDuration, 1);
+    
+    // Fall into place
+    this.instance.position.y = this.basePosition.y + (1 - progress) * (1 - progress) * 4;
+    
+    if (progress >= 1) {
+      this.instance.position.copy(this.basePosition);
+      this.resetBoxState();
+    }
+  }
+  
+  /**
+   * Create the teddy bear that shows the box is about to move
+   * @returns {THREE.Group} The teddy bear
+   */
+  createTeddyBear() {
+    const bear = new THREE.Group();
+    
+    const furMaterial = new THREE.MeshStandardMaterial({
+      color: 0x8d6e63,
+      roughness: 1.0,
+      metalness: 0
+    });
+    
+    const eyeMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
+    
+    // Body and head
+    const body = new THREE.Mesh(new THREE.SphereGeometry(0.18, 12, 10), furMaterial);
+    body.scale.set(1, 1.2, 0.9);
+    bear.add(body);
+    
+    const head = new THREE.Mesh(new THREE.SphereGeometry(0.13, 12, 10), furMaterial);
+    head.position.y = 0.28;
+    bear.add(head);
+    
+    // Ears, arms and legs
+    [
+      [-0.09, 0.38, 0, 0.05],
+      [0.09, 0.38, 0, 0.05],
+      [-0.2, 0.05, 0, 0.07],
+      [0.2, 0.05, 0, 0.07],
+      [-0.1, -0.2, 0.05, 0.08],
+      [0.1, -0.2, 0.05, 0.08]
+    ].forEach(([x, y, z, radius]) => {
+      const part = new THREE.Mesh(new THREE.SphereGeometry(radius, 8, 6), furMaterial);
+      part.position.set(x, y, z);
+      bear.add(part);
+    });
+    
+    // Eyes
+    [-0.045, 0.045].forEach(x => {
+      const eye = new THREE.Mesh(new THREE.SphereGeometry(0.02, 6, 4), eyeMaterial);
+      eye.position.set(x, 0.3, 0.12);
+      bear.add(eye);
+    });
+    
+    return bear;
+  }
+  
+  /**
+   * Show the beam of light that marks the box's new spot
+   */
+  showBeacon() {
+    if (!this.beacon) {
+      const geometry = new THREE.CylinderGeometry(0.5, 0.7, 8, 16, 1, true);
+      const material = new THREE.MeshBasicMaterial({
+        color: 0x4fc3f7,
+        transparent: true,
+        opacity: 0.3,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        side: THREE.DoubleSide
+      });
+      
+      this.beacon = new THREE.Mesh(geometry, material);
+      this.beacon.position.y = 4;
+      this.beacon.userData = { objectType: 'mysteryBoxBeacon' };
+      this.instance.add(this.beacon);
+    }
+    
+    this.beacon.visible = true;
+    this.beaconTime = 0;
+  }
+  
+  /**
+   * Hide the beacon
+   */
+  hideBeacon() {
+    if (this.beacon) {
+      this.beacon.visible = false;
+    }
+  }
+  
+  /**
+   * Pulse the beacon and hide it once it has been up long enough
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateBeacon(deltaTime) {
+    if (!this.beacon || !this.beacon.visible) {
+      return;
+    }
+    
+    this.beaconTime += deltaTime;
+    
+    // Fade out over the last few seconds
+    const fade = Math.min(1, (this.beaconDuration - this.beaconTime) / 3);
+    this.beacon.material.opacity = Math.max(0, fade) * (0.2 + 0.15 * Math.sin(this.time * 4));
+    this.beacon.rotation.y += deltaTime * 0.5;
+    
+    if (this.beaconTime >= this.beaconDuration) {
+      this.hideBeacon();
+    }
+  }
+  
   /**
    * Update the box opening animation
    * @param {number} deltaTime - Time elapsed since last update
@@ -636,6 +931,18 @@ export class MysteryBox {
       return;
     }
     
+    // Play it from the box when 3D audio is available
+    if (this.spatialAudio) {
+      const voice = this.spatialAudio.play('mysteryBoxBuy', this.instance, { volume: 0.9 });
+      if (voice) {
+        this.boxSoundPlaying = true;
+        setTimeout(() => {
+          this.boxSoundPlaying = false;
+        }, voice.buffer.duration * 1000);
+        return;
+      }
+    }
+    
     try {
       // Create audio element if it doesn't exist
       if (!this.boxSound) {
@@ -898,6 +1205,11 @@ export class MysteryBox {
       return;
     }
     
+    // Play it from the box when 3D audio is available
+    if (this.spatialAudio && this.spatialAudio.play('weaponPickup', this.instance, { volume: 0.7 })) {
+      return;
+    }
+    
     try {
       // Create audio element if it doesn't exist
       if (!this.pickupSound) {
@@ -1066,9 +1378,9 @@ export class MysteryBox {
       return false;
     }
     
-    // Check if the box is already being opened or open
+    // Check if the box is already being opened or open (or moving)
     if (this.boxState !== 'closed') {
-      console.log('Mystery box is already being opened or open');
+      console.log('Mystery box is already being opened, open or moving');
       return false;
     }
     
@@ -1101,6 +1413,9 @@ export class MysteryBox {
     this.isOpen = true;
     this.hasWeaponAvailable = false; // Will be set to true when weapon is ready
     
+    // Players have found the box
+    this.hideBeacon();
+    
     return true;
   }
   
@@ -1260,6 +1575,7 @@ export class MysteryBox {
       // Essential weapon properties for gameplay
       spread: 0.02, // Reasonable spread for most weapons
       projectilesPerShot: Math.max(1, Math.floor(scaledQuality * 3)), // 1-3 projectiles based on quality
+      penetration: Math.max(1, Math.ceil(scaledQuality * 3)), // Bullets go through 1-3 zombies based on quality
       shotsPerBurst: 1, // Standard single shot
       reloadTime: Math.max(0.5, 2.0 - scaledQuality), // 0.5-2.0 seconds based on quality
       hasInfiniteAmmo: scaledQuality > 0.9, // Only the best quality weapons get infinite ammo
@@ -1375,6 +1691,16 @@ export class MysteryBox {
       this.questionMark.visible = true;
     }
     
+    // Stop any move in progress
+    this.onLeft = null;
+    if (this.teddyBear) {
+      this.instance.remove(this.teddyBear);
+    }
+    this.instance.visible = true;
+    this.instance.scale.setScalar(1);
+    this.instance.rotation.z = 0;
+    this.hideBeacon();
+    
     // Reset floating weapon height
     this.weaponFloatingHeight = 0;
     
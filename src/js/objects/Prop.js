@@ -0,0 +1,113 @@
+import * as THREE from 'three';
+
+/**
+ * Static prop placed in a room from a loaded model, with optional collision boxes
+ */
+export class Prop {
+  /**
+   * @param {Object} config - Parsed prop from the map (id, model, x, y, z, rotation, scale, collision, thin)
+   * @param {THREE.Object3D} model - Loaded model to place
+   */
+  constructor(config, model) {
+    this.id = config.id;
+    this.model = config.model;
+    this.collision = config.collision; // false, 'box' or 'meshes'
+    this.thin = !!config.thin; // Penetrating bullets go through thin cover
+    
+    // Parts lower than this can be stepped over (floors, rugs)
+    this.stepHeight = 0.3;
+    
+    // Collision boxes in room space
+    this.colliders = [];
+    
+    this.instance = new THREE.Group();
+    this.instance.add(model);
+    this.instance.position.set(config.x, config.y, config.z);
+    this.instance.rotation.y = config.rotation;
+    this.instance.scale.setScalar(config.scale);
+    this.instance.userData = { prop: true, propId: this.id };
+    
+    // Meshes that stop bullets when the prop is solid
+    this.meshes = [];
+    model.traverse(child => {
+      if (child.isMesh) {
+        child.userData.isProp = true;
+        child.userData.isObstacle = !!this.collision;
+        child.userData.isThin = this.thin;
+        child.userData.propId = this.id;
+        this.meshes.push(child);
+      }
+    });
+  }
+
+  /**
+   * Check if the prop blocks movement and bullets
+   * @returns {boolean} True if the prop has collision
+   */
+  isSolid() {
+    return !!this.collision;
+  }
+
+  /**
+   * Build the collision boxes once the prop is in place
+   */
+  init() {
+    this.colliders = [];
+    
+    if (!this.collision) return;
+    
+    this.instance.updateMatrixWorld(true);
+    
+    if (this.collision === 'box') {
+      this.addCollider(new THREE.Box3().setFromObject(this.instance));
+    } else {
+      this.meshes.forEach(mesh => {
+        this.addCollider(new THREE.Box3().setFromObject(mesh));
+      });
+    }
+    
+    console.log(`Prop ${this.id} (${this.model}) has ${this.colliders.length} collision boxes`);
+  }
+
+  /**
+   * Add a collision box unless it is low enough to walk over
+   * @param {THREE.Box3} box - Box in room space
+   */
+  addCollider(box) {
+    if (box.isEmpty() || box.max.y < this.stepHeight) return;
+    
+    this.colliders.push(box);
+  }
+
+  /**
+   * Check if a circle on the floor overlaps any collision box
+   * @param {THREE.Vector3} position - Centre of the circle
+   * @param {number} radius - Radius of the circle
+   * @returns {boolean} True if the circle is blocked by the prop
+   */
+  isBlocking(position, radius) {
+    return this.colliders.some(box => {
+      // Closest point of the box on the floor plane
+      const x = Math.max(box.min.x, Math.min(box.max.x, position.x));
+      const z = Math.max(box.min.z, Math.min(box.max.z, position.z));
+      
+      return (position.x - x) ** 2 + (position.z - z) ** 2 < radius * radius;
+    });
+  }
+
+  /**
+   * Free the prop's geometry and materials
+   */
+  dispose() {
+    this.instance.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) {
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach(material => material.dispose());
+      }
+    });
+    
+    this.colliders = [];
+    this.meshes = [];
+  }
+}
@@ -2,18 +2,30 @@ import * as THREE from 'three';
 import { Window } from './Window';
 import { EnemyManager } from './EnemyManager';
 import { WallBuy } from '../weapons/WallBuy';
+import { UpgradeStation } from '../weapons/UpgradeStation';
 import { WeaponTypes } from '../weapons/Weapon';
 import { MysteryBox } from './MysteryBox';
+import { Door } from './Door';
+import { NavGrid } from '../navigation/NavGrid';
+import { MapLoader, DEFAULT_MAP_ID } from '../maps/MapLoader';
 
 /**
  * Creates a 3D room with windows
  */
 export class Room {
-  constructor(debugMode = false) {
+  /**
+   * @param {boolean} debugMode - Whether to show collision visualization
+   * @param {Object} map - Parsed map from MapLoader (defaults to the default map)
+   */
+  constructor(debugMode = false, map = null) {
+    // Map layout this room is built from
+    this.map = map || MapLoader.get(DEFAULT_MAP_ID);
+    this.mapId = this.map.id;
+    
     // Room dimensions
-    this.width = 10;
-    this.height = 3;
-    this.depth = 10;
+    this.width = this.map.width;
+    this.height = this.map.height;
+    this.depth = this.map.depth;
     
     // Debug mode flag
     this.debugMode = debugMode;
@@ -51,20 +63,24 @@ export class Room {
     // Windows
     this.windows = [];
     
-    // Window positions (middle of each wall)
-    this.windowPositions = [
-      { x: 0, y: 1.5, z: this.depth / 2, rotation: 0 },              // North
-      { x: this.width / 2, y: 1.5, z: 0, rotation: Math.PI / 2 },    // East
-      { x: 0, y: 1.5, z: -this.depth / 2, rotation: Math.PI },       // South
-      { x: -this.width / 2, y: 1.5, z: 0, rotation: -Math.PI / 2 }   // West
-    ];
+    // Window positions from the map
+    this.windowPositions = this.map.windows;
     
-    // Window dimensions
-    this.windowWidth = 2;
-    this.windowHeight = 1.5;
+    // Default window dimensions
+    this.windowWidth = this.map.windowWidth;
+    this.windowHeight = this.map.windowHeight;
     
     // Wall thickness
-    this.wallThickness = 0.1;
+    this.wallThickness = this.map.wallThickness;
+    
+    // Player spawn points
+    this.playerSpawns = this.map.playerSpawns;
+    
+    // Areas and the doors between them
+    this.areas = this.map.areas;
+    this.unlockedAreas = new Set();
+    this.doors = [];
+    this.nearbyDoorRef = null;
     
     // Player reference (will be set later)
     this.player = null;
@@ -74,14 +90,15 @@ export class Room {
       interactionText: null,
       statusDisplay: null,
       zombieCounter: null,
-      holdProgressBar: null
+      holdProgressBar: null,
+      mysteryBoxHint: null
     };
     
     // Enemy manager
     this.enemyManager = null;
     
     // Window directions for display
-    this.windowDirections = ['North', 'East', 'South', 'West'];
+    this.windowDirections = this.windowPositions.map(window => window.label);
     
     // Wall buys
     this.wallBuys = [];
@@ -90,11 +107,29 @@ export class Room {
     this.mysteryBox = null;
     this.nearbyMysteryBox = null;
     
+    // Weapon upgrade station (optional per map)
+    this.upgradeStation = null;
+    this.nearbyUpgradeStation = null;
+    
+    // Mystery box relocation (the host or singleplayer game decides when it moves)
+    this.mysteryBoxSpawnIndex = 0;
+    this.mysteryBoxMoves = 0; // Counts relocations so clients can spot new ones
+    this.mysteryBoxUsesLeft = 0;
+    this.minMysteryBoxUses = 3;
+    this.maxMysteryBoxUses = 8;
+    this.mysteryBoxHintTimeout = null;
+    
+    // Props loaded by the scene
+    this.props = [];
+    
+    // Pathfinding grid for zombies
+    this.navGrid = new NavGrid(this);
+    
     // Hold to buy mechanic
     this.fKeyHoldStartTime = 0;
     this.fKeyHoldDuration = 0.25; // Reduced to 0.25 seconds (250ms) for a quicker interaction
     this.isHoldingF = false;
-    this.holdInteractionType = null; // 'mysteryBox' or 'wallBuy'
+    this.holdInteractionType = null; // 'mysteryBox', 'wallBuy', 'door' or 'upgradeStation'
     this.nearbyWallBuyRef = null; // Reference to nearby wall buy
   }
 
@@ -113,12 +148,19 @@ export class Room {
     this.createWalls();
     this.createWindows();
     
+    // Add doors between areas and unlock the starting areas
+    this.createDoors();
+    this.resetAreas();
+    
     // Add wall buys for weapons
     this.createWallBuys();
     
     // Create mystery box
     this.createMysteryBox();
     
+    // Create the weapon upgrade station
+    this.createUpgradeStation();
+    
     // Add collision visualization if debug mode is on
     if (this.debugMode) {
       this.createCollisionVisualization();
@@ -129,6 +171,10 @@ export class Room {
     
     // Initialize enemy manager
     this.enemyManager = new EnemyManager(this.instance, this.windows);
+    this.enemyManager.room = this;
+    this.enemyManager.roomWidth = this.width;
+    this.enemyManager.roomDepth = this.depth;
+    this.enemyManager.showStateLabels = this.debugMode;
     this.enemyManager.init();
     
     // Set game engine reference if available (through the player's gameEngine reference)
@@ -147,6 +193,11 @@ export class Room {
   setPlayer(player) {
     this.player = player;
     
+    // Let the mystery box play its sounds in 3D
+    if (this.mysteryBox) {
+      this.mysteryBox.spatialAudio = player.spatialAudio || null;
+    }
+    
     // Also set player reference in enemy manager
     if (this.enemyManager) {
       this.enemyManager.setPlayer(player);
@@ -202,246 +253,73 @@ export class Room {
    * Create walls with window cutouts
    */
   createWalls() {
-    // Create each wall
-    this.createNorthWall();
-    this.createEastWall();
-    this.createSouthWall();
-    this.createWestWall();
+    this.map.walls.forEach(wall => this.createWallSegment(wall));
   }
   
   /**
-   * Create the north wall (Z+)
+   * Create a single wall segment, leaving openings for its windows
+   * @param {Object} wall - Parsed wall from the map
    */
-  createNorthWall() {
-    const windowWidth = this.windowWidth;
-    const windowHeight = this.windowHeight;
-    const wallWidth = this.width;
-    const wallHeight = this.height;
-    const wallDepth = this.wallThickness;
-    
-    // Create wall group
+  createWallSegment(wall) {
+    // Create wall group centred on the segment with local X running along it
     const wallGroup = new THREE.Group();
-    wallGroup.position.set(0, this.height / 2, this.depth / 2);
-    wallGroup.userData = { isWall: true, direction: 'north' };
-    
-    // Left section
-    const leftWidth = (wallWidth / 2) - (windowWidth / 2);
-    const leftGeometry = new THREE.BoxGeometry(leftWidth, wallHeight, wallDepth);
-    const leftSection = new THREE.Mesh(leftGeometry, this.wallMaterial);
-    leftSection.position.set(-wallWidth / 4 - windowWidth / 4, 0, 0);
-    leftSection.userData = { isWall: true };
-    leftSection.castShadow = true;
-    leftSection.receiveShadow = true;
-    wallGroup.add(leftSection);
-    
-    // Right section
-    const rightWidth = (wallWidth / 2) - (windowWidth / 2);
-    const rightGeometry = new THREE.BoxGeometry(rightWidth, wallHeight, wallDepth);
-    const rightSection = new THREE.Mesh(rightGeometry, this.wallMaterial);
-    rightSection.position.set(wallWidth / 4 + windowWidth / 4, 0, 0);
-    rightSection.userData = { isWall: true };
-    rightSection.castShadow = true;
-    rightSection.receiveShadow = true;
-    wallGroup.add(rightSection);
-    
-    // Top section
-    const topHeight = (wallHeight / 2) - (windowHeight / 2);
-    const topGeometry = new THREE.BoxGeometry(windowWidth, topHeight, wallDepth);
-    const topSection = new THREE.Mesh(topGeometry, this.wallMaterial);
-    topSection.position.set(0, wallHeight / 4 + windowHeight / 4, 0);
-    topSection.userData = { isWall: true };
-    topSection.castShadow = true;
-    topSection.receiveShadow = true;
-    wallGroup.add(topSection);
-    
-    // Bottom section
-    const bottomHeight = (wallHeight / 2) - (windowHeight / 2);
-    const bottomGeometry = new THREE.BoxGeometry(windowWidth, bottomHeight, wallDepth);
-    const bottomSection = new THREE.Mesh(bottomGeometry, this.wallMaterial);
-    bottomSection.position.set(0, -wallHeight / 4 - windowHeight / 4, 0);
-    bottomSection.userData = { isWall: true };
-    bottomSection.castShadow = true;
-    bottomSection.receiveShadow = true;
-    wallGroup.add(bottomSection);
-    
-    this.instance.add(wallGroup);
-  }
-  
-  /**
-   * Create the east wall (X+)
-   */
-  createEastWall() {
-    const windowWidth = this.windowWidth;
-    const windowHeight = this.windowHeight;
-    const wallWidth = this.depth;
-    const wallHeight = this.height;
-    const wallDepth = this.wallThickness;
-    
-    // Create wall group
-    const wallGroup = new THREE.Group();
-    wallGroup.position.set(this.width / 2, this.height / 2, 0);
-    wallGroup.rotation.y = Math.PI / 2;
-    wallGroup.userData = { isWall: true, direction: 'east' };
-    
-    // Left section (front in Z- direction)
-    const leftWidth = (wallWidth / 2) - (windowWidth / 2);
-    const leftGeometry = new THREE.BoxGeometry(leftWidth, wallHeight, wallDepth);
-    const leftSection = new THREE.Mesh(leftGeometry, this.wallMaterial);
-    leftSection.position.set(-wallWidth / 4 - windowWidth / 4, 0, 0);
-    leftSection.userData = { isWall: true };
-    leftSection.castShadow = true;
-    leftSection.receiveShadow = true;
-    wallGroup.add(leftSection);
-    
-    // Right section (back in Z+ direction)
-    const rightWidth = (wallWidth / 2) - (windowWidth / 2);
-    const rightGeometry = new THREE.BoxGeometry(rightWidth, wallHeight, wallDepth);
-    const rightSection = new THREE.Mesh(rightGeometry, this.wallMaterial);
-    rightSection.position.set(wallWidth / 4 + windowWidth / 4, 0, 0);
-    rightSection.userData = { isWall: true };
-    rightSection.castShadow = true;
-    rightSection.receiveShadow = true;
-    wallGroup.add(rightSection);
-    
-    // Top section
-    const topHeight = (wallHeight / 2) - (windowHeight / 2);
-    const topGeometry = new THREE.BoxGeometry(windowWidth, topHeight, wallDepth);
-    const topSection = new THREE.Mesh(topGeometry, this.wallMaterial);
-    topSection.position.set(0, wallHeight / 4 + windowHeight / 4, 0);
-    topSection.userData = { isWall: true };
-    topSection.castShadow = true;
-    topSection.receiveShadow = true;
-    wallGroup.add(topSection);
-    
-    // Bottom section
-    const bottomHeight = (wallHeight / 2) - (windowHeight / 2);
-    const bottomGeometry = new THREE.BoxGeometry(windowWidth, bottomHeight, wallDepth);
-    const bottomSection = new THREE.Mesh(bottomGeometry, this.wallMaterial);
-    bottomSection.position.set(0, -wallHeight / 4 - windowHeight / 4, 0);
-    bottomSection.userData = { isWall: true };
-    bottomSection.castShadow = true;
-    bottomSection.receiveShadow = true;
-    wallGroup.add(bottomSection);
+    wallGroup.position.set(wall.center.x, wall.height / 2, wall.center.z);
+    wallGroup.rotation.y = wall.rotation;
+    wallGroup.userData = { isWall: true, direction: wall.id };
+    
+    // Openings (windows and doors) on this wall, sorted along the wall
+    const openings = [...this.windowPositions, ...this.map.doors]
+      .filter(opening => opening.wall === wall.id)
+      .sort((a, b) => a.offset - b.offset);
+    
+    const wallBottom = -wall.height / 2;
+    const wallTop = wall.height / 2;
+    let cursor = -wall.length / 2;
+    
+    openings.forEach(opening => {
+      const left = opening.offset - opening.width / 2;
+      const right = opening.offset + opening.width / 2;
+      const bottom = opening.y - opening.height / 2 - wall.height / 2;
+      const top = opening.y + opening.height / 2 - wall.height / 2;
+      
+      // Full height section up to the opening
+      this.addWallSection(wallGroup, cursor, left, wallBottom, wallTop);
+      
+      // Sections below and above the opening
+      this.addWallSection(wallGroup, left, right, wallBottom, bottom);
+      this.addWallSection(wallGroup, left, right, top, wallTop);
+      
+      cursor = right;
+    });
     
-    this.instance.add(wallGroup);
-  }
-  
-  /**
-   * Create the south wall (Z-)
-   */
-  createSouthWall() {
-    const windowWidth = this.windowWidth;
-    const windowHeight = this.windowHeight;
-    const wallWidth = this.width;
-    const wallHeight = this.height;
-    const wallDepth = this.wallThickness;
-    
-    // Create wall group
-    const wallGroup = new THREE.Group();
-    wallGroup.position.set(0, this.height / 2, -this.depth / 2);
-    wallGroup.rotation.y = Math.PI;
-    wallGroup.userData = { isWall: true, direction: 'south' };
-    
-    // Left section
-    const leftWidth = (wallWidth / 2) - (windowWidth / 2);
-    const leftGeometry = new THREE.BoxGeometry(leftWidth, wallHeight, wallDepth);
-    const leftSection = new THREE.Mesh(leftGeometry, this.wallMaterial);
-    leftSection.position.set(-wallWidth / 4 - windowWidth / 4, 0, 0);
-    leftSection.userData = { isWall: true };
-    leftSection.castShadow = true;
-    leftSection.receiveShadow = true;
-    wallGroup.add(leftSection);
-    
-    // Right section
-    const rightWidth = (wallWidth / 2) - (windowWidth / 2);
-    const rightGeometry = new THREE.BoxGeometry(rightWidth, wallHeight, wallDepth);
-    const rightSection = new THREE.Mesh(rightGeometry, this.wallMaterial);
-    rightSection.position.set(wallWidth / 4 + windowWidth / 4, 0, 0);
-    rightSection.userData = { isWall: true };
-    rightSection.castShadow = true;
-    rightSection.receiveShadow = true;
-    wallGroup.add(rightSection);
-    
-    // Top section
-    const topHeight = (wallHeight / 2) - (windowHeight / 2);
-    const topGeometry = new THREE.BoxGeometry(windowWidth, topHeight, wallDepth);
-    const topSection = new THREE.Mesh(topGeometry, this.wallMaterial);
-    topSection.position.set(0, wallHeight / 4 + windowHeight / 4, 0);
-    topSection.userData = { isWall: true };
-    topSection.castShadow = true;
-    topSection.receiveShadow = true;
-    wallGroup.add(topSection);
-    
-    // Bottom section
-    const bottomHeight = (wallHeight / 2) - (windowHeight / 2);
-    const bottomGeometry = new THREE.BoxGeometry(windowWidth, bottomHeight, wallDepth);
-    const bottomSection = new THREE.Mesh(bottomGeometry, this.wallMaterial);
-    bottomSection.position.set(0, -wallHeight / 4 - windowHeight / 4, 0);
-    bottomSection.userData = { isWall: true };
-    bottomSection.castShadow = true;
-    bottomSection.receiveShadow = true;
-    wallGroup.add(bottomSection);
+    // Remaining section after the last opening
+    this.addWallSection(wallGroup, cursor, wall.length / 2, wallBottom, wallTop);
     
     this.instance.add(wallGroup);
   }
   
   /**
-   * Create the west wall (X-)
+   * Add a solid box section to a wall group
+   * @param {THREE.Group} wallGroup - The wall group to add to
+   * @param {number} left - Left edge along the wall
+   * @param {number} right - Right edge along the wall
+   * @param {number} bottom - Bottom edge relative to the wall centre
+   * @param {number} top - Top edge relative to the wall centre
    */
-  createWestWall() {
-    const windowWidth = this.windowWidth;
-    const windowHeight = this.windowHeight;
-    const wallWidth = this.depth;
-    const wallHeight = this.height;
-    const wallDepth = this.wallThickness;
-    
-    // Create wall group
-    const wallGroup = new THREE.Group();
-    wallGroup.position.set(-this.width / 2, this.height / 2, 0);
-    wallGroup.rotation.y = -Math.PI / 2;
-    wallGroup.userData = { isWall: true, direction: 'west' };
-    
-    // Left section (back in Z+ direction)
-    const leftWidth = (wallWidth / 2) - (windowWidth / 2);
-    const leftGeometry = new THREE.BoxGeometry(leftWidth, wallHeight, wallDepth);
-    const leftSection = new THREE.Mesh(leftGeometry, this.wallMaterial);
-    leftSection.position.set(-wallWidth / 4 - windowWidth / 4, 0, 0);
-    leftSection.userData = { isWall: true };
-    leftSection.castShadow = true;
-    leftSection.receiveShadow = true;
-    wallGroup.add(leftSection);
-    
-    // Right section (front in Z- direction)
-    const rightWidth = (wallWidth / 2) - (windowWidth / 2);
-    const rightGeometry = new THREE.BoxGeometry(rightWidth, wallHeight, wallDepth);
-    const rightSection = new THREE.Mesh(rightGeometry, this.wallMaterial);
-    rightSection.position.set(wallWidth / 4 + windowWidth / 4, 0, 0);
-    rightSection.userData = { isWall: true };
-    rightSection.castShadow = true;
-    rightSection.receiveShadow = true;
-    wallGroup.add(rightSection);
-    
-    // Top section
-    const topHeight = (wallHeight / 2) - (windowHeight / 2);
-    const topGeometry = new THREE.BoxGeometry(windowWidth, topHeight, wallDepth);
-    const topSection = new THREE.Mesh(topGeometry, this.wallMaterial);
-    topSection.position.set(0, wallHeight / 4 + windowHeight / 4, 0);
-    topSection.userData = { isWall: true };
-    topSection.castShadow = true;
-    topSection.receiveShadow = true;
-    wallGroup.add(topSection);
-    
-    // Bottom section
-    const bottomHeight = (wallHeight / 2) - (windowHeight / 2);
-    const bottomGeometry = new THREE.BoxGeometry(windowWidth, bottomHeight, wallDepth);
-    const bottomSection = new THREE.Mesh(bottomGeometry, this.wallMaterial);
-    bottomSection.position.set(0, -wallHeight / 4 - windowHeight / 4, 0);
-    bottomSection.userData = { isWall: true };
-    bottomSection.castShadow = true;
-    bottomSection.receiveShadow = true;
-    wallGroup.add(bottomSection);
-    
-    this.instance.add(wallGroup);
+  addWallSection(wallGroup, left, right, bottom, top) {
+    const width = right - left;
+    const height = top - bottom;
+    
+    // Skip sections with no size (e.g. a window touching the wall end)
+    if (width <= 0.001 || height <= 0.001) return;
+    
+    const geometry = new THREE.BoxGeometry(width, height, this.wallThickness);
+    const section = new THREE.Mesh(geometry, this.wallMaterial);
+    section.position.set((left + right) / 2, (bottom + top) / 2, 0);
+    section.userData = { isWall: true };
+    section.castShadow = true;
+    section.receiveShadow = true;
+    wallGroup.add(section);
   }
 
   /**
@@ -451,12 +329,15 @@ export class Room {
     this.windows = []; // Clear existing windows
     
     this.windowPositions.forEach((pos, index) => {
-      const window = new Window(this.windowWidth, this.windowHeight); // Width and height of window
+      const window = new Window(pos.width, pos.height); // Width and height of window
       window.init();
       
       // Set window index for network synchronization
       window.windowIndex = index;
       
+      // Area the window belongs to (zombies only use windows in unlocked areas)
+      window.areaId = pos.area;
+      
       // Position and rotate window
       window.instance.position.set(pos.x, pos.y, pos.z);
       window.instance.rotation.y = pos.rotation;
@@ -467,6 +348,165 @@ export class Room {
     });
   }
 
+  /**
+   * Create purchasable doors between areas
+   */
+  createDoors() {
+    this.doors = [];
+    
+    this.map.doors.forEach(config => {
+      const door = new Door({
+        id: config.id,
+        label: config.label,
+        cost: config.cost,
+        areas: config.areas,
+        width: config.width,
+        height: config.height,
+        position: new THREE.Vector3(config.x, config.y, config.z),
+        rotation: new THREE.Euler(0, config.rotation, 0)
+      });
+      door.init();
+      
+      this.instance.add(door.instance);
+      this.doors.push(door);
+    });
+  }
+
+  /**
+   * Lock every area except the map's starting areas
+   */
+  resetAreas() {
+    this.unlockedAreas = new Set(
+      this.areas.filter(area => area.start).map(area => area.id)
+    );
+    
+    // Closed doors block paths again
+    this.navGrid.invalidate();
+  }
+
+  /**
+   * Open a door and unlock the areas it connects
+   * @param {Door} door - The door to open
+   * @returns {boolean} True if the door was closed before
+   */
+  openDoor(door) {
+    if (!door || !door.open()) {
+      return false;
+    }
+    
+    door.areas.forEach(areaId => {
+      if (!this.unlockedAreas.has(areaId)) {
+        this.unlockedAreas.add(areaId);
+        console.log(`Area "${areaId}" unlocked`);
+      }
+    });
+    
+    // Zombies can path through the doorway now
+    this.navGrid.invalidate();
+    
+    return true;
+  }
+
+  /**
+   * Find a door by id
+   * @param {string} doorId - Id of the door
+   * @returns {Door} The door or undefined
+   */
+  getDoor(doorId) {
+    return this.doors.find(door => door.id === doorId);
+  }
+
+  /**
+   * Check if a window is in an area the players have unlocked
+   * @param {Window} window - The window to check
+   * @returns {boolean} True if the window can be reached
+   */
+  isWindowReachable(window) {
+    return !window.areaId || this.unlockedAreas.has(window.areaId);
+  }
+
+  /**
+   * Get windows in unlocked areas
+   * @returns {Array} Windows the players can currently reach
+   */
+  getReachableWindows() {
+    return this.windows.filter(window => this.isWindowReachable(window));
+  }
+
+  /**
+   * Check if a circle on the floor overlaps any wall, ignoring open doorways
+   * @param {THREE.Vector3} position - Centre of the circle
+   * @param {number} radius - Radius of the circle
+   * @returns {boolean} True if the circle is blocked by a wall
+   */
+  isBlockedByWall(position, radius) {
+    const reach = radius + this.wallThickness / 2;
+    
+    return this.map.walls.some(wall => {
+      // Position relative to the wall centre, along and across the wall
+      const dx = position.x - wall.center.x;
+      const dz = position.z - wall.center.z;
+      const along = dx * wall.direction.x + dz * wall.direction.z;
+      const across = dx * wall.direction.z - dz * wall.direction.x;
+      
+      // Distance to the nearest point of the segment
+      const clampedAlong = Math.max(-wall.length / 2, Math.min(wall.length / 2, along));
+      const distance = Math.sqrt((along - clampedAlong) ** 2 + across ** 2);
+      
+      if (distance >= reach) {
+        return false;
+      }
+      
+      // Walking through an open door is fine as long as we fit in the frame
+      const inOpenDoorway = this.doors.some(door => {
+        const config = this.map.doors.find(d => d.id === door.id);
+        return door.isOpen &&
+               config.wall === wall.id &&
+               Math.abs(along - config.offset) < config.width / 2 - radius * 0.5;
+      });
+      
+      return !inOpenDoorway;
+    });
+  }
+
+  /**
+   * Place a loaded prop in the room
+   * @param {Prop} prop - The prop to add
+   */
+  addProp(prop) {
+    this.instance.add(prop.instance);
+    prop.init();
+    this.props.push(prop);
+    this.navGrid.invalidate();
+    
+    // Show collision boxes in debug mode
+    if (this.debugMode) {
+      prop.colliders.forEach(box => {
+        this.instance.add(new THREE.Box3Helper(box, 0xff0000));
+      });
+    }
+  }
+
+  /**
+   * Check if a circle on the floor overlaps any prop's collision boxes
+   * @param {THREE.Vector3} position - Centre of the circle
+   * @param {number} radius - Radius of the circle
+   * @returns {boolean} True if the circle is blocked by a prop
+   */
+  isBlockedByProp(position, radius) {
+    return this.props.some(prop => prop.isBlocking(position, radius));
+  }
+
+  /**
+   * Get the meshes of solid props (for bullet raycasts)
+   * @returns {Array<THREE.Mesh>} Meshes that stop bullets
+   */
+  getObstacleMeshes() {
+    return this.props
+      .filter(prop => prop.isSolid())
+      .flatMap(prop => prop.meshes);
+  }
+
   /**
    * Create visualization for collision boundaries
    */
@@ -569,21 +609,24 @@ export class Room {
    * Create wall buys for weapons
    */
   createWallBuys() {
-    // Define wall buy positions
-    const wallBuyConfigs = [
-      // Shotgun on North wall
-      {
-        position: new THREE.Vector3(2.5, 1.5, this.depth / 2 - 0.1),
-        rotation: new THREE.Euler(0, Math.PI, 0),
-        weaponType: WeaponTypes.SHOTGUN
-      },
-      // Assault Rifle on South wall
-      {
-        position: new THREE.Vector3(-2.5, 1.5, -this.depth / 2 + 0.1),
-        rotation: new THREE.Euler(0, 0, 0),
-        weaponType: WeaponTypes.ASSAULT_RIFLE
+    // Build wall buy configs from the map
+    const wallBuyConfigs = [];
+    
+    this.map.wallBuys.forEach(wallBuy => {
+      const weaponType = WeaponTypes[wallBuy.weapon];
+      
+      if (!weaponType) {
+        console.warn(`Unknown wall buy weapon "${wallBuy.weapon}" in map "${this.mapId}"`);
+        return;
       }
-    ];
+      
+      wallBuyConfigs.push({
+        position: new THREE.Vector3(wallBuy.x, wallBuy.y, wallBuy.z),
+        rotation: new THREE.Euler(0, wallBuy.rotation, 0),
+        weaponType: weaponType,
+        cost: wallBuy.cost
+      });
+    });
     
     // Create each wall buy
     wallBuyConfigs.forEach(config => {
@@ -599,22 +642,216 @@ export class Room {
   }
 
   /**
-   * Create a mystery box in the corner of the room
+   * Create the mystery box at the map's first mystery box spawn
    */
   createMysteryBox() {
-    // Position in the southeast corner of the room (away from wall buys)
-    // The current wall buys are on North wall (2.5, 1.5, depth/2) and South wall (-2.5, 1.5, -depth/2)
-    const position = new THREE.Vector3(
-      this.width / 2 - 1.5, // X - near east wall
-      0,                    // Y - on the floor
-      -this.depth / 2 + 1.5  // Z - near south wall
-    );
+    const spawn = this.map.mysteryBox.spawns[0];
+    
+    if (!spawn) {
+      console.log(`Map "${this.mapId}" has no mystery box spawns`);
+      return;
+    }
+    
+    const position = new THREE.Vector3(spawn.x, spawn.y, spawn.z);
     
     // Create the mystery box
     this.mysteryBox = new MysteryBox();
     this.mysteryBox.init(this.instance, position);
+    this.mysteryBox.spatialAudio = (this.player && this.player.spatialAudio) || null;
+    this.mysteryBox.instance.rotation.y = spawn.rotation;
+    
+    this.mysteryBoxSpawnIndex = 0;
+    this.mysteryBoxMoves = 0;
+    this.rollMysteryBoxUses();
+    
+    console.log(`Mystery box added to room at (${spawn.x}, ${spawn.z}) with ${this.map.mysteryBox.spawns.length} possible locations`);
+  }
+
+  /**
+   * Create the weapon upgrade station if the map has one
+   */
+  createUpgradeStation() {
+    const placement = this.map.upgradeStation;
+    
+    if (!placement) {
+      console.log(`Map "${this.mapId}" has no upgrade station`);
+      return;
+    }
+    
+    this.upgradeStation = new UpgradeStation({
+      position: new THREE.Vector3(placement.x, placement.y, placement.z),
+      rotation: new THREE.Euler(0, placement.rotation, 0),
+      cost: placement.cost
+    });
+    this.upgradeStation.init();
+    
+    this.instance.add(this.upgradeStation.instance);
+    
+    console.log(`Upgrade station added to room at (${placement.x}, ${placement.z})`);
+  }
+
+  /**
+   * Pick how many spins the mystery box allows before it moves
+   */
+  rollMysteryBoxUses() {
+    const range = this.maxMysteryBoxUses - this.minMysteryBoxUses + 1;
+    this.mysteryBoxUsesLeft = this.minMysteryBoxUses + Math.floor(Math.random() * range);
+  }
+
+  /**
+   * Count a spin of the mystery box and move the box once it runs out of spins.
+   * Clients pass their spins on to the host, which makes the decision.
+   */
+  registerMysteryBoxUse() {
+    const networkManager = this.gameEngine && this.gameEngine.networkManager;
+    if (networkManager && networkManager.isMultiplayer && !networkManager.isHost) {
+      if (networkManager.network) {
+        networkManager.network.sendPlayerAction('mysteryBoxUsed', {});
+      }
+      return;
+    }
+    
+    this.mysteryBoxUsesLeft--;
+    console.log(`Mystery box spins left before it moves: ${this.mysteryBoxUsesLeft}`);
+    
+    if (this.mysteryBoxUsesLeft <= 0) {
+      this.relocateMysteryBox();
+    }
+  }
+
+  /**
+   * Send the mystery box to another of the map's box locations (host or singleplayer)
+   */
+  relocateMysteryBox() {
+    const spawnCount = this.map.mysteryBox.spawns.length;
+    
+    if (!this.mysteryBox || spawnCount < 2) {
+      this.rollMysteryBoxUses();
+      return;
+    }
+    
+    // Any location except the current one
+    let spawnIndex = Math.floor(Math.random() * (spawnCount - 1));
+    if (spawnIndex >= this.mysteryBoxSpawnIndex) {
+      spawnIndex++;
+    }
+    
+    this.mysteryBoxMoves++;
+    this.rollMysteryBoxUses();
+    this.moveMysteryBox(spawnIndex);
+    
+    // Tell clients where the box went
+    const networkManager = this.gameEngine && this.gameEngine.networkManager;
+    if (networkManager && networkManager.isMultiplayer && networkManager.isHost && networkManager.network &&
+        typeof networkManager.network.broadcastGameState === 'function') {
+      networkManager.network.broadcastGameState(true);
+    }
+  }
+
+  /**
+   * Play the leaving animation and bring the box back at a location
+   * @param {number} spawnIndex - Index of the mystery box spawn to move to
+   */
+  moveMysteryBox(spawnIndex) {
+    // If the box is already on its way, it just lands somewhere else
+    this.mysteryBoxSpawnIndex = spawnIndex;
+    
+    this.mysteryBox.leave(() => {
+      const spawn = this.map.mysteryBox.spawns[this.mysteryBoxSpawnIndex];
+      
+      this.mysteryBox.arrive(new THREE.Vector3(spawn.x, spawn.y, spawn.z), spawn.rotation);
+      this.showMysteryBoxHint(spawn);
+    });
     
-    console.log("Mystery box added to room at southeast corner");
+    // Clear the prompt if the player was using the box
+    if (this.nearbyMysteryBox) {
+      this.nearbyMysteryBox = false;
+      if (this.holdInteractionType === 'mysteryBox') {
+        this.resetHoldInteraction();
+      }
+      if (this.uiElements.interactionText && !this.nearbyWallBuyRef && !this.nearbyDoorRef && !this.nearbyUpgradeStation) {
+        this.uiElements.interactionText.style.display = 'none';
+      }
+    }
+    
+    console.log(`Mystery box moving to location ${spawnIndex}`);
+  }
+
+  /**
+   * Get the mystery box location for network sync
+   * @returns {Object} { spawnIndex, moves }
+   */
+  getMysteryBoxState() {
+    return {
+      spawnIndex: this.mysteryBoxSpawnIndex,
+      moves: this.mysteryBoxMoves
+    };
+  }
+
+  /**
+   * Follow the host's mystery box location (clients)
+   * @param {Object} state - Mystery box state from getMysteryBoxState
+   */
+  applyMysteryBoxState(state) {
+    if (!this.mysteryBox || state.moves === this.mysteryBoxMoves) {
+      return;
+    }
+    
+    if (!this.map.mysteryBox.spawns[state.spawnIndex]) {
+      console.warn(`Host moved the mystery box to unknown location ${state.spawnIndex}`);
+      return;
+    }
+    
+    console.log(`Host moved the mystery box to location ${state.spawnIndex}`);
+    this.mysteryBoxMoves = state.moves;
+    this.moveMysteryBox(state.spawnIndex);
+  }
+
+  /**
+   * Tell the players where the mystery box went
+   * @param {Object} spawn - The box's new spawn
+   */
+  showMysteryBoxHint(spawn) {
+    // Name the spot, or say which way it is from the middle of the map
+    let where = spawn.label;
+    if (!where) {
+      const parts = [];
+      if (spawn.z > 1) parts.push('north');
+      if (spawn.z < -1) parts.push('south');
+      if (spawn.x > 1) parts.push('east');
+      if (spawn.x < -1) parts.push('west');
+      where = parts.length > 0 ? `the ${parts.join('-')}` : 'the middle of the map';
+    }
+    
+    if (!this.uiElements.mysteryBoxHint) {
+      const hint = document.createElement('div');
+      hint.style.position = 'absolute';
+      hint.style.top = '15%';
+      hint.style.left = '50%';
+      hint.style.transform = 'translateX(-50%)';
+      hint.style.padding = '10px 20px';
+      hint.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+      hint.style.color = '#4FC3F7';
+      hint.style.textShadow = '0 0 8px rgba(79, 195, 247, 0.5)';
+      hint.style.borderRadius = '5px';
+      hint.style.fontFamily = 'Impact, fantasy';
+      hint.style.fontSize = '24px';
+      hint.style.textAlign = 'center';
+      hint.style.pointerEvents = 'none';
+      hint.style.zIndex = '1000';
+      document.body.appendChild(hint);
+      this.uiElements.mysteryBoxHint = hint;
+    }
+    
+    const hint = this.uiElements.mysteryBoxHint;
+    hint.innerHTML = `THE MYSTERY BOX HAS MOVED<div style="font-size: 16px; font-family: Arial, sans-serif; color: #E0E0E0;">Look for the beam of light in ${where}</div>`;
+    hint.style.display = 'block';
+    
+    // Hide after a few seconds
+    clearTimeout(this.mysteryBoxHintTimeout);
+    this.mysteryBoxHintTimeout = setTimeout(() => {
+      hint.style.display = 'none';
+    }, 6000);
   }
 
   /**
@@ -644,8 +881,8 @@ export class Room {
       playerPosition.z - boxPosition.z
     ).length();
     
-    // Check if player is within range
-    const isNearby = distance < 3;
+    // Check if player is within range (the box can't be used while it's moving)
+    const isNearby = distance < 3 && this.mysteryBox.isAvailable();
     
     // Update the mystery box interaction state
     if (isNearby !== this.nearbyMysteryBox) {
@@ -688,8 +925,8 @@ export class Room {
           this.resetHoldInteraction();
         }
         
-        // Clear interaction text if not near a wall buy
-        if (!this.nearbyWallBuyRef && this.uiElements && this.uiElements.interactionText) {
+        // Clear interaction text if not near a wall buy or door
+        if (!this.nearbyWallBuyRef && !this.nearbyDoorRef && !this.nearbyUpgradeStation && this.uiElements && this.uiElements.interactionText) {
           this.uiElements.interactionText.style.display = 'none';
         }
       }
@@ -737,6 +974,9 @@ export class Room {
               const result = this.mysteryBox.attemptOpen(player);
               
               if (result) {
+                // The box may decide to move on this spin
+                this.registerMysteryBoxUse();
+                
                 // Set a 10-second timer for the weapon to be available
                 this.mysteryBox.weaponTimeoutId = setTimeout(() => {
                   if (this.mysteryBox.hasWeaponAvailable) {
@@ -957,6 +1197,211 @@ export class Room {
     }
   }
 
+  /**
+   * Check if player is near any closed doors for interaction
+   * @param {number} deltaTime - Time since last frame
+   */
+  checkDoorInteractions(deltaTime) {
+    if (!this.player || !this.player.camera || this.doors.length === 0) return;
+    
+    // Find the nearest closed door in range
+    let nearestDoor = null;
+    this.doors.forEach(door => {
+      if (door.checkPlayerProximity(this.player.camera.position)) {
+        nearestDoor = door;
+      }
+    });
+    
+    const wasNearDoor = this.nearbyDoorRef !== null;
+    this.nearbyDoorRef = nearestDoor;
+    
+    if (!nearestDoor) {
+      // If we're no longer near a door but we were holding F for it, reset
+      if (this.holdInteractionType === 'door') {
+        this.resetHoldInteraction();
+      }
+      
+      // Clear the prompt we were showing
+      if (wasNearDoor && !this.nearbyWallBuyRef && !this.nearbyMysteryBox && !this.nearbyUpgradeStation &&
+          this.uiElements && this.uiElements.interactionText) {
+        this.uiElements.interactionText.style.display = 'none';
+      }
+      return;
+    }
+    
+    const player = this.player;
+    
+    // Show door prompt
+    if (this.uiElements && this.uiElements.interactionText && this.holdInteractionType !== 'door') {
+      this.uiElements.interactionText.style.display = 'block';
+      this.uiElements.interactionText.textContent = `HOLD F to open ${nearestDoor.label} (${nearestDoor.cost.toLocaleString()} points)`;
+      this.uiElements.interactionText.style.color = player.score >= nearestDoor.cost ? '#4FC3F7' : '#FF5252';
+    }
+    
+    // Check if F key is currently pressed (not just a single tap)
+    const fKeyPressed = player.keys && player.keys.f;
+    
+    // Start tracking hold when F is pressed
+    if (fKeyPressed && !this.isHoldingF) {
+      this.isHoldingF = true;
+      this.fKeyHoldStartTime = performance.now() / 1000; // Convert to seconds
+      this.holdInteractionType = 'door';
+      
+      // Show progress bar
+      if (this.uiElements && this.uiElements.holdProgressBar) {
+        this.uiElements.holdProgressBar.container.style.display = 'block';
+        this.uiElements.holdProgressBar.bar.style.width = '0%';
+      }
+    }
+    // Check if F is released
+    else if (!fKeyPressed && this.isHoldingF && this.holdInteractionType === 'door') {
+      this.resetHoldInteraction();
+    }
+    // Update hold progress - ONLY if still holding F key
+    else if (fKeyPressed && this.isHoldingF && this.holdInteractionType === 'door') {
+      const holdTime = performance.now() / 1000 - this.fKeyHoldStartTime;
+      const holdProgress = Math.min(holdTime / this.fKeyHoldDuration, 1.0);
+      
+      // Update progress bar
+      if (this.uiElements && this.uiElements.holdProgressBar) {
+        this.uiElements.holdProgressBar.bar.style.width = `${holdProgress * 100}%`;
+      }
+      
+      // Check if hold is complete
+      if (holdProgress >= 1.0) {
+        this.purchaseDoor(nearestDoor, player);
+        this.resetHoldInteraction();
+      }
+    }
+  }
+
+  /**
+   * Check if player is near the upgrade station for interaction
+   * @param {number} deltaTime - Time since last frame
+   */
+  checkUpgradeStationInteractions(deltaTime) {
+    if (!this.player || !this.player.camera || !this.upgradeStation) return;
+    
+    const station = this.upgradeStation;
+    const isNearStation = station.checkPlayerProximity(this.player.camera.position);
+    
+    const wasNearStation = !!this.nearbyUpgradeStation;
+    this.nearbyUpgradeStation = isNearStation ? station : null;
+    
+    if (!isNearStation) {
+      // If we're no longer near the station but we were holding F for it, reset
+      if (this.holdInteractionType === 'upgradeStation') {
+        this.resetHoldInteraction();
+      }
+      
+      // Clear the prompt we were showing
+      if (wasNearStation && !this.nearbyWallBuyRef && !this.nearbyMysteryBox && !this.nearbyDoorRef &&
+          this.uiElements && this.uiElements.interactionText) {
+        this.uiElements.interactionText.style.display = 'none';
+      }
+      return;
+    }
+    
+    const player = this.player;
+    const weapon = player.activeWeapon;
+    const canUpgrade = station.canUpgrade(weapon);
+    
+    // Show upgrade station prompt
+    if (this.uiElements && this.uiElements.interactionText && this.holdInteractionType !== 'upgradeStation') {
+      const text = this.uiElements.interactionText;
+      text.style.display = 'block';
+      
+      if (station.isBusy()) {
+        text.textContent = `Upgrading ${station.weapon.name}...`;
+        text.style.color = '#B388FF';
+      } else if (!weapon) {
+        text.textContent = 'Bring a weapon to upgrade';
+        text.style.color = '#FF5252';
+      } else if (weapon.upgraded) {
+        text.textContent = `${weapon.name} is already upgraded`;
+        text.style.color = '#FF5252';
+      } else {
+        text.textContent = `HOLD F to upgrade ${weapon.name} (${station.cost.toLocaleString()} points)`;
+        text.style.color = player.score >= station.cost ? '#4FC3F7' : '#FF5252';
+      }
+    }
+    
+    if (!canUpgrade) {
+      if (this.holdInteractionType === 'upgradeStation') {
+        this.resetHoldInteraction();
+      }
+      return;
+    }
+    
+    // Check if F key is currently pressed (not just a single tap)
+    const fKeyPressed = player.keys && player.keys.f;
+    
+    // Start tracking hold when F is pressed
+    if (fKeyPressed && !this.isHoldingF) {
+      this.isHoldingF = true;
+      this.fKeyHoldStartTime = performance.now() / 1000; // Convert to seconds
+      this.holdInteractionType = 'upgradeStation';
+      
+      // Show progress bar
+      if (this.uiElements && this.uiElements.holdProgressBar) {
+        this.uiElements.holdProgressBar.container.style.display = 'block';
+        this.uiElements.holdProgressBar.bar.style.width = '0%';
+      }
+    }
+    // Check if F is released
+    else if (!fKeyPressed && this.isHoldingF && this.holdInteractionType === 'upgradeStation') {
+      this.resetHoldInteraction();
+    }
+    // Update hold progress - ONLY if still holding F key
+    else if (fKeyPressed && this.isHoldingF && this.holdInteractionType === 'upgradeStation') {
+      const holdTime = performance.now() / 1000 - this.fKeyHoldStartTime;
+      const holdProgress = Math.min(holdTime / this.fKeyHoldDuration, 1.0);
+      
+      // Update progress bar
+      if (this.uiElements && this.uiElements.holdProgressBar) {
+        this.uiElements.holdProgressBar.bar.style.width = `${holdProgress * 100}%`;
+      }
+      
+      // Check if hold is complete
+      if (holdProgress >= 1.0) {
+        if (!station.purchase(player)) {
+          console.log("Could not upgrade weapon");
+        }
+        this.resetHoldInteraction();
+      }
+    }
+  }
+
+  /**
+   * Buy a door open, letting the host know when playing as a client
+   * @param {Door} door - The door to buy
+   * @param {PlayerControls} player - The player buying the door
+   * @returns {boolean} True if the door was bought
+   */
+  purchaseDoor(door, player) {
+    if (!door.purchase(player)) {
+      console.log("Not enough points to open door");
+      return false;
+    }
+    
+    this.openDoor(door);
+    
+    const networkManager = this.gameEngine && this.gameEngine.networkManager;
+    if (networkManager && networkManager.isMultiplayer && networkManager.network) {
+      if (networkManager.isHost) {
+        // Push the new door state to clients straight away
+        if (typeof networkManager.network.broadcastGameState === 'function') {
+          networkManager.network.broadcastGameState(true);
+        }
+      } else {
+        // Ask the host to open the door for everyone
+        networkManager.network.sendPlayerAction('openDoor', { doorId: door.id });
+      }
+    }
+    
+    return true;
+  }
+
   /**
    * Check if player is near any windows for interaction
    */
@@ -1042,15 +1487,15 @@ export class Room {
           
           // Play window board add sound
           if (typeof this.player.playWindowBoardAddSound === 'function') {
-            this.player.playWindowBoardAddSound();
+            this.player.playWindowBoardAddSound(nearestWindow);
           }
         }
         
         // Reset interaction state
         this.player.isInteracting = false;
       }
-    } else if (!this.nearbyWallBuyRef && !this.nearbyMysteryBox && !this.isHoldingF) {
-      // Only hide if not near a wall buy or mystery box and not currently holding F
+    } else if (!this.nearbyWallBuyRef && !this.nearbyMysteryBox && !this.nearbyDoorRef && !this.nearbyUpgradeStation && !this.isHoldingF) {
+      // Only hide if not near a wall buy, door, mystery box or upgrade station and not currently holding F
       if (this.uiElements && this.uiElements.interactionText) {
         this.uiElements.interactionText.style.display = 'none';
       }
@@ -1082,17 +1527,31 @@ export class Room {
       });
     }
     
+    // Update doors
+    this.doors.forEach(door => door.update(deltaTime));
+    
     // Update mystery box
     if (this.mysteryBox) {
       this.mysteryBox.update(deltaTime);
     }
     
+    // Update the upgrade station
+    if (this.upgradeStation) {
+      this.upgradeStation.update(deltaTime);
+    }
+    
     // Check for window interactions
     this.checkWindowInteractions();
     
     // Check for wall buy interactions (pass deltaTime)
     this.checkWallBuyInteractions(deltaTime);
     
+    // Check for door interactions
+    this.checkDoorInteractions(deltaTime);
+    
+    // Check for upgrade station interactions
+    this.checkUpgradeStationInteractions(deltaTime);
+    
     // Check for mystery box interactions (pass deltaTime)
     this.checkMysteryBoxInteractions(this.player, deltaTime);
     
@@ -1150,9 +1609,20 @@ export class Room {
     // Reset all windows
     this.resetWindows();
     
-    // Reset mystery box if it exists
+    // Reset mystery box if it exists and put it back in its first spot
     if (this.mysteryBox && typeof this.mysteryBox.reset === 'function') {
       this.mysteryBox.reset();
+      
+      const spawn = this.map.mysteryBox.spawns[0];
+      this.mysteryBox.instance.position.set(spawn.x, spawn.y, spawn.z);
+      this.mysteryBox.instance.rotation.set(0, spawn.rotation, 0);
+      this.mysteryBoxSpawnIndex = 0;
+      this.mysteryBoxMoves = 0;
+      this.rollMysteryBoxUses();
+    }
+    
+    if (this.uiElements.mysteryBoxHint) {
+      this.uiElements.mysteryBoxHint.style.display = 'none';
     }
     
     // Reset enemy manager
@@ -1160,6 +1630,7 @@ export class Room {
       this.enemyManager.clearEnemies();
       this.enemyManager.currentRound = 0;
       this.enemyManager.zombiesRemaining = 0;
+      this.enemyManager.bossesRemaining = 0;
       this.enemyManager.roundActive = false;
     }
     
@@ -1173,6 +1644,15 @@ export class Room {
       });
     }
     
+    // Close all doors and lock everything but the starting areas
+    this.doors.forEach(door => door.reset());
+    this.resetAreas();
+    
+    // Empty the upgrade station
+    if (this.upgradeStation) {
+      this.upgradeStation.reset();
+    }
+    
     // Reset UI elements
     if (this.uiElements && this.uiElements.interactionText) {
       this.uiElements.interactionText.style.display = 'none';
@@ -1187,11 +1667,58 @@ export class Room {
     this.isHoldingF = false;
     this.holdInteractionType = null;
     this.nearbyWallBuyRef = null;
+    this.nearbyDoorRef = null;
     this.nearbyMysteryBox = false;
+    this.nearbyUpgradeStation = null;
     
     console.log("Room reset completed");
   }
 
+  /**
+   * Clean up the room before it is replaced by another map
+   */
+  dispose() {
+    console.log(`Disposing room for map "${this.mapId}"`);
+    
+    // Remove enemies
+    if (this.enemyManager) {
+      this.enemyManager.clearEnemies();
+      this.enemyManager.instancer.dispose();
+    }
+    
+    // Remove DOM elements owned by wall buys and the mystery box
+    this.wallBuys.forEach(wallBuy => wallBuy.dispose());
+    this.wallBuys = [];
+    
+    if (this.mysteryBox) {
+      this.mysteryBox.dispose();
+      this.mysteryBox = null;
+    }
+    
+    if (this.upgradeStation) {
+      this.upgradeStation.dispose();
+      this.upgradeStation = null;
+    }
+    
+    // Free prop geometry
+    this.props.forEach(prop => prop.dispose());
+    this.props = [];
+    
+    // Remove mystery box hint
+    clearTimeout(this.mysteryBoxHintTimeout);
+    if (this.uiElements.mysteryBoxHint && this.uiElements.mysteryBoxHint.parentNode) {
+      this.uiElements.mysteryBoxHint.parentNode.removeChild(this.uiElements.mysteryBoxHint);
+    }
+    this.uiElements.mysteryBoxHint = null;
+    
+    // Remove interaction prompt
+    if (this.uiElements.interactionText && this.uiElements.interactionText.parentNode) {
+      this.uiElements.interactionText.parentNode.removeChild(this.uiElements.interactionText);
+    }
+    this.uiElements.interactionText = null;
+    this.uiElements.holdProgressBar = null;
+  }
+
   /**
    * Set game engine reference
    * @param {Engine} gameEngine - Reference to the game engine
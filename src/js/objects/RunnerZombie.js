@@ -252,7 +252,7 @@ export class RunnerZombie extends Enemy {
     }
     
     // Move back after a shorter time
-    setTimeout(() => {
+    this.setLifeTimeout(() => {
       if (this.instance) {
         this.instance.position.copy(originalPosition);
       }
@@ -280,7 +280,7 @@ export class RunnerZombie extends Enemy {
         }
         
         // Reset after shorter flash duration
-        setTimeout(() => {
+        this.setLifeTimeout(() => {
           if (part.material) {
             part.material.color.copy(originalColor);
             if (part.material.emissive && originalEmissive) {
@@ -309,7 +309,7 @@ export class RunnerZombie extends Enemy {
       this.instance.position.add(direction);
       
       // Return to position
-      setTimeout(() => {
+      this.setLifeTimeout(() => {
         if (this.instance) {
           this.instance.position.copy(originalPosition);
         }
@@ -0,0 +1,82 @@
+/**
+ * Uniform grid on the xz plane for fast "who is near this point" queries.
+ * Cells keep their arrays between rebuilds so clearing every frame doesn't allocate.
+ */
+export class SpatialHash {
+  /**
+   * @param {number} cellSize - Width of a grid cell in world units
+   */
+  constructor(cellSize = 2) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this.results = [];
+  }
+
+  /**
+   * Get the key of the cell that holds a point
+   * @param {number} cellX - Cell column
+   * @param {number} cellZ - Cell row
+   * @returns {number} Cell key
+   */
+  getKey(cellX, cellZ) {
+    // Pack both cell coordinates into one number (fine for maps well under 65536 cells across)
+    return (cellX + 32768) * 65536 + (cellZ + 32768);
+  }
+
+  /**
+   * Empty every cell
+   */
+  clear() {
+    this.cells.forEach(cell => {
+      cell.length = 0;
+    });
+  }
+
+  /**
+   * Add an item at a position
+   * @param {*} item - Item to store
+   * @param {number} x - World x
+   * @param {number} z - World z
+   */
+  insert(item, x, z) {
+    const key = this.getKey(Math.floor(x / this.cellSize), Math.floor(z / this.cellSize));
+    let cell = this.cells.get(key);
+    
+    if (!cell) {
+      cell = [];
+      this.cells.set(key, cell);
+    }
+    
+    cell.push(item);
+  }
+
+  /**
+   * Find the items in every cell touching a circle (callers check the exact distance)
+   * @param {number} x - World x
+   * @param {number} z - World z
+   * @param {number} radius - Search radius
+   * @param {Array} out - Array to fill (reused between calls by default)
+   * @returns {Array} The items found
+   */
+  query(x, z, radius, out = this.results) {
+    out.length = 0;
+    
+    const minX = Math.floor((x - radius) / this.cellSize);
+    const maxX = Math.floor((x + radius) / this.cellSize);
+    const minZ = Math.floor((z - radius) / this.cellSize);
+    const maxZ = Math.floor((z + radius) / this.cellSize);
+    
+    for (let cellX = minX; cellX <= maxX; cellX++) {
+      for (let cellZ = minZ; cellZ <= maxZ; cellZ++) {
+        const cell = this.cells.get(this.getKey(cellX, cellZ));
+        if (!cell) continue;
+        
+        for (let i = 0; i < cell.length; i++) {
+          out.push(cell[i]);
+        }
+      }
+    }
+    
+    return out;
+  }
+}
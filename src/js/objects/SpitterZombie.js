@@ -1,5 +1,16 @@
 import * as THREE from 'three';
 import { Enemy } from './Enemy';
+import { EnemyStates } from './EnemyStateMachine';
+import { PoolRegistry } from '../pooling/PoolRegistry';
+
+// Extra states: climbing up to the ceiling, then spitting down from it
+const CLIMBING = 'climbing';
+const SPITTING = 'spitting';
+
+// Unit geometries shared by every pooled spitter mesh (scaled to size when used)
+const UNIT_SPHERE = new THREE.SphereGeometry(1, 8, 8);
+const UNIT_DISC = new THREE.CircleGeometry(1, 8);
+const DUST_PARTICLE = new THREE.BoxGeometry(0.05, 0.05, 0.05);
 
 /**
  * Creates a spitter zombie variant that climbs to the ceiling and shoots projectiles
@@ -10,6 +21,7 @@ export class SpitterZombie extends Enemy {
     
     // Set the type for network synchronization
     this.type = 'spitter';
+    this.animatesMaterials = true;
     
     // Override default enemy properties
     this.health = 70; // Less health than standard zombies
@@ -24,6 +36,11 @@ export class SpitterZombie extends Enemy {
     this.projectileSize = 0.15; // Size of projectile
     this.projectiles = []; // Array to track active projectiles
     this.onCeiling = false; // Whether zombie has reached ceiling
+    this.stateMachine.addState(CLIMBING, {
+      from: [EnemyStates.APPROACHING, EnemyStates.TEARING_BOARDS, EnemyStates.ENTERING, EnemyStates.STUNNED],
+      to: [SPITTING]
+    });
+    this.stateMachine.addState(SPITTING, { from: [EnemyStates.STUNNED] });
     this.ceilingHeight = 3.0; // Height of ceiling to climb to (slightly less than actual room height)
     this.hasEnteredRoom = false; // Whether the zombie has entered the room
     this.climbingSpeed = 0.8; // Speed of climbing
@@ -257,6 +274,8 @@ export class SpitterZombie extends Enemy {
       return;
     }
     
+    this.updateStateMachine(deltaTime);
+    
     // If enemy is dead, just update death animation
     if (this.isDead) {
       this.updateDeathAnimation(deltaTime);
@@ -283,6 +302,13 @@ export class SpitterZombie extends Enemy {
     // Update climbing animation
     this.updateClimbingAnimation(deltaTime);
     
+    // Shots already in the air keep flying while stunned
+    if (this.stateMachine.is(EnemyStates.STUNNED)) {
+      this.updateStunned(deltaTime);
+      this.updateProjectiles(deltaTime);
+      return;
+    }
+    
     // Check if we've entered the room yet
     if (!this.hasEnteredRoom && this.targetWindow) {
       // If inside room already from parent class logic, mark as entered
@@ -303,12 +329,15 @@ export class SpitterZombie extends Enemy {
     
     // If we've entered the room but not reached the ceiling, climb up
     if (this.hasEnteredRoom && !this.onCeiling && !this.isDead) {
+      this.stateMachine.setState(CLIMBING);
       this.climbToCeiling(deltaTime);
       return; // Skip the parent update to override normal zombie behavior
     }
     
     // If we're on the ceiling, shoot projectiles at the player
     if (this.onCeiling && !this.isDead) {
+      this.stateMachine.setState(SPITTING);
+      
       // Debug info
       if (!this.player) {
         console.log("Spitter zombie: No player reference for shooting");
@@ -329,23 +358,8 @@ export class SpitterZombie extends Enemy {
         this.hasEnteredRoom = true;
       } else {
         // Use parent class behavior for approaching and attacking window
-        if (this.targetWindow.boardsCount > 0) {
-          this.attackWindow(deltaTime);
-        } else {
-          // Window has no boards, move inside
-          this.moveTowardsWindow(deltaTime);
-          
-          // Check if reached the window
-          const horizDistance = new THREE.Vector2(
-            this.instance.position.x - this.targetPosition.x,
-            this.instance.position.z - this.targetPosition.z
-          ).length();
-          
-          if (horizDistance < 0.5) {
-            this.enterRoom();
-            this.hasEnteredRoom = true; // Mark as entered when we go through window
-          }
-        }
+        // (our enterRoom marks us as entered when we go through the window)
+        this.updateOutside(deltaTime);
       }
     }
     
@@ -426,9 +440,10 @@ export class SpitterZombie extends Enemy {
     // Play attack animation
     this.playAttackAnimation();
     
-    // Create projectile
-    const projectileGeometry = new THREE.SphereGeometry(this.projectileSize, 8, 8);
-    const projectile = new THREE.Mesh(projectileGeometry, this.projectileMaterial);
+    // Create projectile (from the shared pool)
+    const projectile = this.getProjectilePool().acquire();
+    projectile.material = this.projectileMaterial;
+    projectile.scale.setScalar(this.projectileSize);
     
     // Set user data for the projectile
     projectile.userData.isProjectile = true;
@@ -450,6 +465,7 @@ export class SpitterZombie extends Enemy {
       } else {
         // Can't shoot without a valid position
         console.log("Spitter zombie: Can't shoot - no valid position");
+        this.getProjectilePool().release(projectile);
         return;
       }
     }
@@ -604,9 +620,10 @@ export class SpitterZombie extends Enemy {
       
       // Check for collision with floor
       if (projectile.mesh.position.y < 0.1) {
-        // Create splat effect
+        // Create splat effect and leave a pool of acid
         try {
           this.createSplatEffect(projectile.mesh.position);
+          this.createAcidPool(projectile.mesh.position);
         } catch (error) {
           console.error("Error creating splat effect:", error);
         }
@@ -621,9 +638,9 @@ export class SpitterZombie extends Enemy {
         const index = projectilesToRemove[i];
         const projectile = this.projectiles[index];
         
-        // Remove from scene
-        if (projectile && projectile.mesh && this.scene) {
-          this.scene.remove(projectile.mesh);
+        // Remove from scene and hand the mesh back to the pool
+        if (projectile && projectile.mesh) {
+          this.getProjectilePool().release(projectile.mesh);
         }
         
         // Remove from array
@@ -639,16 +656,16 @@ export class SpitterZombie extends Enemy {
    * @param {THREE.Vector3} position - Position for the flash
    */
   createMuzzleFlash(position) {
-    // Flash geometry
-    const flashGeometry = new THREE.SphereGeometry(this.projectileSize * 1.5, 8, 8);
-    const flashMaterial = new THREE.MeshBasicMaterial({
+    const pool = this.getEffectPool('spitterFlashes', UNIT_SPHERE, {
       color: 0x22ff44,
       transparent: true,
       opacity: 0.7
     });
+    const flashSize = this.projectileSize * 1.5;
     
-    const flash = new THREE.Mesh(flashGeometry, flashMaterial);
+    const flash = pool.acquire();
     flash.position.copy(position);
+    flash.scale.setScalar(flashSize);
     
     // Add to scene
     this.scene.add(flash);
@@ -657,13 +674,13 @@ export class SpitterZombie extends Enemy {
     let scale = 1;
     const animate = () => {
       scale += 0.2;
-      flash.scale.set(scale, scale, scale);
+      flash.scale.setScalar(flashSize * scale);
       flash.material.opacity -= 0.1;
       
       if (flash.material.opacity > 0) {
         requestAnimationFrame(animate);
       } else {
-        this.scene.remove(flash);
+        pool.release(flash);
       }
     };
     
@@ -675,16 +692,17 @@ export class SpitterZombie extends Enemy {
    * @param {THREE.Vector3} position - Position for the splat
    */
   createSplatEffect(position) {
-    // Splat geometry (flat disc)
-    const splatGeometry = new THREE.CircleGeometry(this.projectileSize * 3, 8);
-    const splatMaterial = new THREE.MeshBasicMaterial({
+    // Splat (flat disc)
+    const pool = this.getEffectPool('acidSplats', UNIT_DISC, {
       color: 0x22ff44,
       transparent: true,
       opacity: 0.7,
       side: THREE.DoubleSide
     });
     
-    const splat = new THREE.Mesh(splatGeometry, splatMaterial);
+    const splat = pool.acquire();
+    const splatMaterial = splat.material;
+    splat.scale.setScalar(this.projectileSize * 3);
     splat.position.copy(position);
     splat.position.y = 0.01; // Just above floor
     splat.rotation.x = -Math.PI / 2; // Flat on floor
@@ -701,12 +719,22 @@ export class SpitterZombie extends Enemy {
         
         if (opacity <= 0) {
           clearInterval(fadeOut);
-          this.scene.remove(splat);
+          pool.release(splat);
         }
       }, 100);
     }, 2000);
   }
   
+  /**
+   * Leave a pool of acid where a projectile hit the floor (the host decides in multiplayer)
+   * @param {THREE.Vector3} position - Where the projectile landed
+   */
+  createAcidPool(position) {
+    if (this.isNetworkClient() || !this.manager || !this.manager.acidPools) return;
+    
+    this.manager.acidPools.createPool(position);
+  }
+  
   /**
    * Override the health bar creation to adjust for ceiling position
    */
@@ -736,7 +764,7 @@ export class SpitterZombie extends Enemy {
         this.bodyParts.mouth.material.emissiveIntensity = 1.0;
         
         // Reset after short delay
-        setTimeout(() => {
+        this.setLifeTimeout(() => {
           if (this.bodyParts.mouth.material) {
             this.bodyParts.mouth.material.emissiveIntensity = originalEmissive;
           }
@@ -744,7 +772,7 @@ export class SpitterZombie extends Enemy {
       }
       
       // Reset after animation
-      setTimeout(() => {
+      this.setLifeTimeout(() => {
         if (this.bodyParts.mouth && this.bodyParts.head) {
           this.bodyParts.mouth.scale.copy(originalMouthScale);
           this.bodyParts.head.rotation.copy(originalHeadRotation);
@@ -771,7 +799,7 @@ export class SpitterZombie extends Enemy {
       this.projectiles.forEach(projectile => {
         if (projectile && projectile.mesh && this.scene) {
           try {
-            this.scene.remove(projectile.mesh);
+            this.getProjectilePool().release(projectile.mesh);
           } catch (error) {
             console.error("Error removing projectile on death:", error);
           }
@@ -855,20 +883,18 @@ export class SpitterZombie extends Enemy {
     const impactPosition = position || (this.instance ? this.instance.position.clone() : new THREE.Vector3());
     
     // Impact dust particles
+    const pool = this.getEffectPool('dustParticles', DUST_PARTICLE, {
+      color: 0x999999,
+      transparent: true,
+      opacity: 0.7
+    });
     const particleCount = 20;
     const particles = [];
     
     // Create particles
     for (let i = 0; i < particleCount; i++) {
       try {
-        const particleGeometry = new THREE.BoxGeometry(0.05, 0.05, 0.05);
-        const particleMaterial = new THREE.MeshBasicMaterial({
-          color: 0x999999,
-          transparent: true,
-          opacity: 0.7
-        });
-        
-        const particle = new THREE.Mesh(particleGeometry, particleMaterial);
+        const particle = pool.acquire();
         
         // Position around impact point
         particle.position.copy(impactPosition);
@@ -899,9 +925,6 @@ export class SpitterZombie extends Enemy {
       }
     }
     
-    // Store scene reference to avoid 'this' context issues
-    const scene = this.scene;
-    
     // Animate particles
     let time = 0;
     const animateParticles = () => {
@@ -929,8 +952,8 @@ export class SpitterZombie extends Enemy {
             particle.lifeTime -= 0.016;
             
             // Remove if done
-            if (particle.lifeTime <= 0 && scene) {
-              scene.remove(particle.mesh);
+            if (particle.lifeTime <= 0) {
+              pool.release(particle.mesh);
             }
           }
         });
@@ -941,15 +964,14 @@ export class SpitterZombie extends Enemy {
       } catch (error) {
         console.error("Error in particle animation:", error);
         // Clean up any remaining particles
-        if (scene) {
-          particles.forEach(particle => {
-            if (particle && particle.mesh) {
-              try {
-                scene.remove(particle.mesh);
-              } catch (e) {}
-            }
-          });
-        }
+        particles.forEach(particle => {
+          if (particle && particle.mesh && particle.lifeTime > 0) {
+            particle.lifeTime = 0;
+            try {
+              pool.release(particle.mesh);
+            } catch (e) {}
+          }
+        });
       }
     };
     
@@ -960,6 +982,46 @@ export class SpitterZombie extends Enemy {
     }
   }
   
+  /**
+   * Get the pool of projectile meshes shared by every spitter
+   * @returns {ObjectPool} The pool
+   */
+  getProjectilePool() {
+    return PoolRegistry.get('spitterProjectiles', {
+      maxSize: 30,
+      create: () => new THREE.Mesh(UNIT_SPHERE, this.projectileMaterial),
+      reset: (mesh) => {
+        mesh.removeFromParent();
+        mesh.userData = {};
+        mesh.rotation.set(0, 0, 0);
+        mesh.scale.set(1, 1, 1);
+      }
+    });
+  }
+
+  /**
+   * Get a pool of effect meshes that share one geometry but fade their own material
+   * @param {string} name - Pool name
+   * @param {THREE.BufferGeometry} geometry - Shared unit geometry
+   * @param {Object} materialOptions - MeshBasicMaterial options
+   * @returns {ObjectPool} The pool
+   */
+  getEffectPool(name, geometry, materialOptions) {
+    return PoolRegistry.get(name, {
+      maxSize: 40,
+      create: () => new THREE.Mesh(geometry, new THREE.MeshBasicMaterial(materialOptions)),
+      reset: (mesh) => {
+        mesh.removeFromParent();
+        mesh.rotation.set(0, 0, 0);
+        mesh.scale.set(1, 1, 1);
+        mesh.material.opacity = materialOptions.opacity;
+      },
+      dispose: (mesh) => {
+        mesh.material.dispose();
+      }
+    });
+  }
+
   /**
    * Clean up resources when removed
    */
@@ -969,9 +1031,7 @@ export class SpitterZombie extends Enemy {
     // Remove all projectiles
     if (this.projectiles.length > 0) {
       this.projectiles.forEach(projectile => {
-        if (this.scene) {
-          this.scene.remove(projectile.mesh);
-        }
+        this.getProjectilePool().release(projectile.mesh);
       });
       this.projectiles = [];
     }
@@ -991,6 +1051,16 @@ export class SpitterZombie extends Enemy {
     this.instance.position.y = this.floorLevel;
   }
 
+  /**
+   * Go back to climbing or spitting when a stun wears off
+   * @returns {string} State name
+   */
+  getRecoveryState() {
+    if (this.onCeiling) return SPITTING;
+    if (this.hasEnteredRoom) return CLIMBING;
+    return super.getRecoveryState();
+  }
+
   /**
    * Apply damage to player from projectile hit
    * @param {THREE.Vector3} hitPosition - Position where the projectile hit
@@ -1008,14 +1078,15 @@ export class SpitterZombie extends Enemy {
     // Create visual effects at hit position
     if (hitPosition && this.scene) {
       // Splash effect
-      const splashGeometry = new THREE.SphereGeometry(0.2, 8, 8);
-      const splashMaterial = new THREE.MeshBasicMaterial({
+      const pool = this.getEffectPool('acidSplashes', UNIT_SPHERE, {
         color: 0x22ff44, // Bright green
         transparent: true,
         opacity: 0.8
       });
       
-      const splash = new THREE.Mesh(splashGeometry, splashMaterial);
+      const splash = pool.acquire();
+      const splashMaterial = splash.material;
+      splash.scale.setScalar(0.2);
       splash.position.copy(hitPosition);
       this.scene.add(splash);
       
@@ -1028,13 +1099,13 @@ export class SpitterZombie extends Enemy {
           scale += 0.15;
           opacity -= 0.08;
           
-          splash.scale.set(scale, scale, scale);
+          splash.scale.setScalar(0.2 * scale);
           splashMaterial.opacity = opacity;
           
           if (opacity > 0) {
             requestAnimationFrame(animateSplash);
           } else {
-            this.scene.remove(splash);
+            pool.release(splash);
           }
         };
         
@@ -0,0 +1,120 @@
+/**
+ * Keeps released objects around so they can be handed out again instead of
+ * allocating new ones. Tracks how often objects were created versus reused so
+ * the debug overlay can show whether pooling is paying off.
+ */
+export class ObjectPool {
+  /**
+   * @param {string} name - Pool name (shown in the debug overlay)
+   * @param {Object} options - Pool options
+   * @param {Function} options.create - Builds a new object when the pool is empty
+   * @param {Function} options.reset - Optional, prepares a released object for its next use
+   * @param {Function} options.dispose - Optional, frees an object the pool has no room for
+   * @param {number} options.maxSize - Most free objects kept (extra releases are disposed)
+   */
+  constructor(name, { create, reset = null, dispose = null, maxSize = 64 }) {
+    if (typeof create !== 'function') {
+      throw new Error(`Pool "${name}" needs a create function`);
+    }
+    
+    this.name = name;
+    this.create = create;
+    this.reset = reset;
+    this.dispose = dispose;
+    this.maxSize = maxSize;
+    this.free = [];
+    
+    // Statistics
+    this.active = 0;
+    this.peakActive = 0;
+    this.created = 0;
+    this.reused = 0;
+    this.discarded = 0;
+  }
+
+  /**
+   * Get an object from the pool (or a new one if the pool is empty)
+   * @param {...*} args - Passed to create when a new object is needed
+   * @returns {*} The object
+   */
+  acquire(...args) {
+    let object;
+    
+    if (this.free.length > 0) {
+      object = this.free.pop();
+      this.reused++;
+    } else {
+      object = this.create(...args);
+      this.created++;
+    }
+    
+    this.active++;
+    this.peakActive = Math.max(this.peakActive, this.active);
+    return object;
+  }
+
+  /**
+   * Give an object back to the pool
+   * @param {*} object - Object from acquire
+   */
+  release(object) {
+    if (!object) return;
+    
+    // Ignore double releases
+    if (this.free.includes(object)) {
+      console.warn(`Object released to pool "${this.name}" twice`);
+      return;
+    }
+    
+    this.active = Math.max(0, this.active - 1);
+    
+    if (this.reset) {
+      this.reset(object);
+    }
+    
+    if (this.free.length < this.maxSize) {
+      this.free.push(object);
+    } else {
+      this.discarded++;
+      if (this.dispose) {
+        this.dispose(object);
+      }
+    }
+  }
+
+  /**
+   * Stop tracking an object that was acquired but won't come back (e.g. it was destroyed)
+   */
+  forget() {
+    this.active = Math.max(0, this.active - 1);
+  }
+
+  /**
+   * Free every pooled object
+   */
+  clear() {
+    if (this.dispose) {
+      this.free.forEach(object => this.dispose(object));
+    }
+    this.free = [];
+  }
+
+  /**
+   * Get the pool's statistics
+   * @returns {Object} { name, active, free, peakActive, created, reused, discarded, reuseRate }
+   */
+  getStats() {
+    const handedOut = this.created + this.reused;
+    
+    return {
+      name: this.name,
+      active: this.active,
+      free: this.free.length,
+      peakActive: this.peakActive,
+      created: this.created,
+      reused: this.reused,
+      discarded: this.discarded,
+      reuseRate: handedOut > 0 ? this.reused / handedOut : 0
+    };
+  }
+}
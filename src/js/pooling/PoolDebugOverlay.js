@@ -0,0 +1,126 @@
+import { PoolRegistry } from './PoolRegistry';
+
+/**
+ * On-screen table of pool statistics (toggled with the backquote key) so we can
+ * check objects are being reused instead of allocated. Shows the JS heap too
+ * where the browser exposes it.
+ */
+export class PoolDebugOverlay {
+  constructor() {
+    this.element = null;
+    this.isVisible = false;
+    this.refreshInterval = null;
+    this.refreshRate = 500; // ms between refreshes
+  }
+
+  /**
+   * Create the overlay element
+   */
+  createElement() {
+    const element = document.createElement('div');
+    element.className = 'pool-debug-overlay';
+    element.style.position = 'absolute';
+    element.style.left = '10px';
+    element.style.bottom = '10px';
+    element.style.padding = '8px 10px';
+    element.style.backgroundColor = 'rgba(0, 0, 0, 0.75)';
+    element.style.color = '#9f9';
+    element.style.fontFamily = 'monospace';
+    element.style.fontSize = '12px';
+    element.style.lineHeight = '1.4';
+    element.style.whiteSpace = 'pre';
+    element.style.pointerEvents = 'none';
+    element.style.zIndex = '2000';
+    element.style.display = 'none';
+    
+    document.body.appendChild(element);
+    this.element = element;
+  }
+
+  /**
+   * Show or hide the overlay
+   */
+  toggle() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Show the overlay and start refreshing it
+   */
+  show() {
+    if (!this.element) {
+      this.createElement();
+    }
+    
+    this.isVisible = true;
+    this.element.style.display = 'block';
+    this.refresh();
+    
+    clearInterval(this.refreshInterval);
+    this.refreshInterval = setInterval(() => this.refresh(), this.refreshRate);
+  }
+
+  /**
+   * Hide the overlay and stop refreshing it
+   */
+  hide() {
+    this.isVisible = false;
+    clearInterval(this.refreshInterval);
+    this.refreshInterval = null;
+    
+    if (this.element) {
+      this.element.style.display = 'none';
+    }
+  }
+
+  /**
+   * Redraw the statistics
+   */
+  refresh() {
+    if (!this.element) return;
+    
+    const pad = (value, width) => String(value).padStart(width);
+    const lines = ['OBJECT POOLS           active  free  peak  created  reused  reuse'];
+    
+    PoolRegistry.getStats().forEach(stats => {
+      lines.push(
+        stats.name.padEnd(22) +
+        pad(stats.active, 7) +
+        pad(stats.free, 6) +
+        pad(stats.peakActive, 6) +
+        pad(stats.created, 9) +
+        pad(stats.reused, 8) +
+        pad(`${Math.round(stats.reuseRate * 100)}%`, 7)
+      );
+    });
+    
+    if (lines.length === 1) {
+      lines.push('(no pools in use yet)');
+    }
+    
+    // Heap size is only available in Chromium browsers
+    if (performance.memory) {
+      const usedMB = (performance.memory.usedJSHeapSize / 1048576).toFixed(1);
+      const totalMB = (performance.memory.totalJSHeapSize / 1048576).toFixed(1);
+      lines.push('', `JS heap: ${usedMB} MB used / ${totalMB} MB allocated`);
+    }
+    
+    this.element.textContent = lines.join('\n');
+  }
+
+  /**
+   * Remove the overlay
+   */
+  dispose() {
+    this.hide();
+    
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = null;
+  }
+}
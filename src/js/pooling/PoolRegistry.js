@@ -0,0 +1,58 @@
+import { ObjectPool } from './ObjectPool';
+
+/**
+ * Registered pools keyed by name
+ */
+export const Pools = {};
+
+/**
+ * Shared registry of object pools. Systems register their pools the first time
+ * they need them (so the same pool is shared by every spitter, every player, etc.)
+ * and the debug overlay reads every pool's statistics from here.
+ */
+export class PoolRegistry {
+  /**
+   * Get a pool, creating it on first use
+   * @param {string} name - Pool name
+   * @param {Object} options - ObjectPool options, used only when the pool is created
+   * @returns {ObjectPool} The pool
+   */
+  static get(name, options) {
+    if (!Pools[name]) {
+      if (!options) {
+        throw new Error(`Pool "${name}" has not been registered`);
+      }
+      
+      Pools[name] = new ObjectPool(name, options);
+      console.log(`Registered object pool "${name}"`);
+    }
+    
+    return Pools[name];
+  }
+
+  /**
+   * Check if a pool exists
+   * @param {string} name - Pool name
+   * @returns {boolean} True if the pool has been registered
+   */
+  static has(name) {
+    return !!Pools[name];
+  }
+
+  /**
+   * Get the statistics of every pool
+   * @returns {Array} Pool statistics sorted by name
+   */
+  static getStats() {
+    return Object.values(Pools)
+      .map(pool => pool.getStats())
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Free the pooled objects of every pool (e.g. when the map changes)
+   */
+  static clearAll() {
+    Object.values(Pools).forEach(pool => pool.clear());
+  }
+}
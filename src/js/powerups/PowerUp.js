@@ -0,0 +1,146 @@
+import * as THREE from 'three';
+import { PowerUpTypes } from './PowerUpTypes';
+
+/**
+ * A floating power-up pickup dropped by a zombie. It bobs and spins in place,
+ * starts blinking when it's about to run out and disappears when it expires.
+ */
+export class PowerUp {
+  /**
+   * @param {string} id - Network ID (the host's ID in multiplayer)
+   * @param {string} type - Key into PowerUpTypes
+   * @param {THREE.Vector3|Object} position - Where it dropped ({x, y, z})
+   */
+  constructor(id, type, position) {
+    this.id = id;
+    this.type = type;
+    this.definition = PowerUpTypes[type];
+    this.position = new THREE.Vector3(position.x, 0, position.z);
+    
+    this.lifetime = 30; // Seconds before it disappears
+    this.blinkTime = 10; // Starts blinking this many seconds before it disappears
+    this.age = 0;
+    this.pickupRadius = 1.2;
+    this.isExpired = false;
+    this.isCollected = false;
+    this.collectRequested = false; // Clients wait for the host to confirm a pickup
+    
+    this.instance = null;
+  }
+
+  /**
+   * Build the pickup mesh
+   */
+  init() {
+    const color = new THREE.Color(this.definition.color);
+    
+    this.instance = new THREE.Group();
+    this.instance.position.copy(this.position);
+    this.instance.position.y = 1;
+    
+    // Glowing token
+    const token = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.3, 0.3, 0.08, 24),
+      new THREE.MeshStandardMaterial({
+        color: color,
+        emissive: color,
+        emissiveIntensity: 0.8,
+        metalness: 0.6,
+        roughness: 0.3
+      })
+    );
+    token.rotation.x = Math.PI / 2;
+    this.instance.add(token);
+    this.token = token;
+    
+    // Label floating above it
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 64;
+    const context = canvas.getContext('2d');
+    context.font = 'bold 40px Impact, fantasy';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = `#${color.getHexString()}`;
+    context.strokeStyle = 'black';
+    context.lineWidth = 4;
+    context.strokeText(this.definition.label, canvas.width / 2, canvas.height / 2);
+    context.fillText(this.definition.label, canvas.width / 2, canvas.height / 2);
+    
+    const label = new THREE.Sprite(new THREE.SpriteMaterial({
+      map: new THREE.CanvasTexture(canvas),
+      transparent: true,
+      depthWrite: false
+    }));
+    label.scale.set(0.8, 0.4, 1);
+    label.position.y = 0.5;
+    this.instance.add(label);
+    this.label = label;
+    
+    // Glow on the floor so it's easy to spot
+    const glow = new THREE.Mesh(
+      new THREE.CircleGeometry(0.5, 24),
+      new THREE.MeshBasicMaterial({
+        color: color,
+        transparent: true,
+        opacity: 0.35,
+        depthWrite: false
+      })
+    );
+    glow.rotation.x = -Math.PI / 2;
+    glow.position.y = -0.97;
+    this.instance.add(glow);
+  }
+
+  /**
+   * Float, spin, blink and expire
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  update(deltaTime) {
+    if (this.isExpired || this.isCollected) return;
+    
+    this.age += deltaTime;
+    
+    this.instance.position.y = 1 + Math.sin(this.age * 2.5) * 0.15;
+    this.token.rotation.z += deltaTime * 2;
+    
+    // Blink faster as it runs out
+    const timeLeft = this.lifetime - this.age;
+    if (timeLeft < this.blinkTime) {
+      const blinkRate = timeLeft < 3 ? 12 : 6;
+      this.instance.visible = Math.sin(this.age * blinkRate) > -0.3;
+    }
+    
+    if (timeLeft <= 0) {
+      this.isExpired = true;
+    }
+  }
+
+  /**
+   * Check if a position is close enough to pick this up
+   * @param {THREE.Vector3} position - Player position
+   * @returns {boolean} True if in reach
+   */
+  isInReach(position) {
+    const dx = position.x - this.position.x;
+    const dz = position.z - this.position.z;
+    return dx * dx + dz * dz < this.pickupRadius * this.pickupRadius;
+  }
+
+  /**
+   * Remove the pickup from the scene and free its resources
+   */
+  dispose() {
+    if (!this.instance) return;
+    
+    this.instance.removeFromParent();
+    this.instance.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) {
+        if (child.material.map) child.material.map.dispose();
+        child.material.dispose();
+      }
+    });
+    this.instance = null;
+  }
+}
@@ -0,0 +1,483 @@
+import { PowerUp } from './PowerUp';
+import { PowerUpTypes } from './PowerUpTypes';
+
+/**
+ * Rolls power-up drops when zombies die, lets players pick them up and runs the
+ * effects (with HUD timers for the timed ones). In multiplayer the host decides
+ * drops and pickups: clients ask the host to collect a drop and every game applies
+ * the effect to its own player when the host says it was picked up.
+ */
+export class PowerUpManager {
+  /**
+   * @param {EnemyManager} enemyManager - The enemy manager (for the scene, player, windows and zombies)
+   */
+  constructor(enemyManager) {
+    this.enemyManager = enemyManager;
+    this.pickups = [];
+    this.activeEffects = {}; // type -> seconds left
+    
+    // Drop tuning
+    this.dropChance = 0.04; // Chance per kill
+    this.maxDropsPerRound = 4;
+    this.dropsThisRound = 0;
+    
+    // Instant effect rewards
+    this.nukePoints = 400;
+    this.carpenterPoints = 200;
+    
+    this.nextId = 1;
+    this.hud = null;
+  }
+
+  /**
+   * Get the network manager if there is one
+   * @returns {NetworkManager|null} The network manager
+   */
+  getNetworkManager() {
+    const gameEngine = this.enemyManager.gameEngine;
+    return (gameEngine && gameEngine.networkManager) || null;
+  }
+
+  /**
+   * Check if this game decides drops and pickups (host or singleplayer)
+   * @returns {boolean} True if we're in charge
+   */
+  isAuthority() {
+    const networkManager = this.getNetworkManager();
+    return !(networkManager && networkManager.isMultiplayer && !networkManager.isHost);
+  }
+
+  /**
+   * Tell the clients about a drop or pickup (host only)
+   * @param {string} type - Event type ('powerUpDrop' or 'powerUpCollected')
+   * @param {Object} data - Event data
+   */
+  broadcast(type, data) {
+    const networkManager = this.getNetworkManager();
+    if (networkManager && networkManager.isMultiplayer && networkManager.isHost && networkManager.network) {
+      networkManager.network.hostBroadcastPowerUpEvent(type, data);
+    }
+  }
+
+  /**
+   * Check if a timed power-up is running
+   * @param {string} type - Key into PowerUpTypes
+   * @returns {boolean} True if active
+   */
+  isActive(type) {
+    return (this.activeEffects[type] || 0) > 0;
+  }
+
+  /**
+   * A new round started
+   */
+  onRoundStart() {
+    this.dropsThisRound = 0;
+  }
+
+  /**
+   * Maybe drop a power-up where a zombie died (host or singleplayer)
+   * @param {Enemy} enemy - The zombie that died
+   */
+  onEnemyKilled(enemy) {
+    if (!this.isAuthority() || enemy.noDrop || !enemy.instance) return;
+    if (this.dropsThisRound >= this.maxDropsPerRound) return;
+    if (Math.random() >= this.dropChance) return;
+    
+    this.dropsThisRound++;
+    
+    const type = this.pickType();
+    console.log(`Zombie dropped a ${type} power-up`);
+    this.createDrop(type, enemy.instance.position);
+  }
+
+  /**
+   * Drop a specific power-up regardless of the drop chance, e.g. the Max Ammo at the
+   * end of a hellhound round (host or singleplayer)
+   * @param {string} type - Key into PowerUpTypes
+   * @param {THREE.Vector3|Object} position - Where to drop it ({x, z})
+   */
+  spawnGuaranteedDrop(type, position) {
+    if (!this.isAuthority()) return;
+    
+    console.log(`Dropping a guaranteed ${type} power-up`);
+    this.createDrop(type, position);
+  }
+
+  /**
+   * Make a new drop and tell the clients about it
+   * @param {string} type - Key into PowerUpTypes
+   * @param {THREE.Vector3|Object} at - Where to drop it ({x, z})
+   */
+  createDrop(type, at) {
+    const position = { x: at.x, y: 0, z: at.z };
+    const id = `powerup_${this.nextId++}_${Date.now().toString(36)}`;
+    
+    this.spawnDrop(id, type, position);
+    this.broadcast('powerUpDrop', { id, type, position });
+  }
+
+  /**
+   * Pick a random power-up type using the drop weights
+   * @returns {string} Type key
+   */
+  pickType() {
+    const entries = Object.entries(PowerUpTypes);
+    const total = entries.reduce((sum, [, definition]) => sum + definition.weight, 0);
+    
+    let roll = Math.random() * total;
+    for (const [type, definition] of entries) {
+      roll -= definition.weight;
+      if (roll < 0) {
+        return type;
+      }
+    }
+    
+    return entries[entries.length - 1][0];
+  }
+
+  /**
+   * Put a pickup in the world
+   * @param {string} id - Network ID
+   * @param {string} type - Key into PowerUpTypes
+   * @param {Object} position - { x, y, z }
+   */
+  spawnDrop(id, type, position) {
+    if (!PowerUpTypes[type]) {
+      console.warn(`Unknown power-up type "${type}"`);
+      return;
+    }
+    
+    const pickup = new PowerUp(id, type, position);
+    pickup.init();
+    
+    const scene = this.enemyManager.scene;
+    if (scene && typeof scene.add === 'function') {
+      scene.add(pickup.instance);
+    } else if (scene && scene.instance && typeof scene.instance.add === 'function') {
+      scene.instance.add(pickup.instance);
+    }
+    
+    this.pickups.push(pickup);
+  }
+
+  /**
+   * Animate pickups, check if the local player walked into one and count down timed effects
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  update(deltaTime) {
+    const player = this.enemyManager.player;
+    const playerPosition = player && !player.isDead && player.camera ? player.camera.position : null;
+    
+    this.pickups.slice().forEach(pickup => {
+      pickup.update(deltaTime);
+      
+      if (pickup.isExpired) {
+        this.removePickup(pickup);
+        return;
+      }
+      
+      if (playerPosition && pickup.isInReach(playerPosition)) {
+        if (this.isAuthority()) {
+          this.collect(pickup);
+        } else if (!pickup.collectRequested) {
+          this.requestCollect(pickup);
+        }
+      }
+    });
+    
+    this.updateEffects(deltaTime);
+  }
+
+  /**
+   * Ask the host to give us a pickup (clients)
+   * @param {PowerUp} pickup - The pickup we walked into
+   */
+  requestCollect(pickup) {
+    const networkManager = this.getNetworkManager();
+    if (!networkManager || !networkManager.network) return;
+    
+    pickup.collectRequested = true;
+    networkManager.network.sendPlayerAction('collectPowerUp', { powerUpId: pickup.id });
+  }
+
+  /**
+   * A client walked into a pickup (host only)
+   * @param {string} powerUpId - Pickup ID
+   * @param {string} playerId - Client that wants it
+   */
+  handleCollectRequest(powerUpId, playerId) {
+    const pickup = this.pickups.find(p => p.id === powerUpId);
+    if (!pickup) return; // Someone else got there first, or it expired
+    
+    console.log(`Player ${playerId} picked up ${pickup.type}`);
+    this.collect(pickup);
+  }
+
+  /**
+   * Pick up a power-up (host or singleplayer): run the world effects here, the
+   * player effects in every game
+   * @param {PowerUp} pickup - The pickup
+   */
+  collect(pickup) {
+    this.removePickup(pickup);
+    
+    this.applyWorldEffect(pickup.type);
+    this.applyPlayerEffect(pickup.type);
+    this.broadcast('powerUpCollected', { id: pickup.id, type: pickup.type });
+  }
+
+  /**
+   * Handle a power-up event from the host (clients)
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   */
+  handleNetworkEvent(type, data) {
+    if (type === 'powerUpDrop') {
+      if (!this.pickups.some(p => p.id === data.id)) {
+        this.spawnDrop(data.id, data.type, data.position);
+      }
+    } else if (type === 'powerUpCollected') {
+      const pickup = this.pickups.find(p => p.id === data.id);
+      if (pickup) {
+        this.removePickup(pickup);
+      }
+      this.applyPlayerEffect(data.type);
+    }
+  }
+
+  /**
+   * Effects on the shared world, run by the host (zombies and windows sync to clients)
+   * @param {string} type - Key into PowerUpTypes
+   */
+  applyWorldEffect(type) {
+    if (type === 'nuke') {
+      this.enemyManager.enemies.forEach(enemy => {
+        if (enemy.isDead || enemy.resistsInstaKill) return;
+        
+        // Nuked zombies don't drop anything or give the usual bleed-out points
+        enemy.noDrop = true;
+        enemy.pointsAwarded = true;
+        enemy.takeDamage(enemy.health);
+      });
+    } else if (type === 'carpenter') {
+      this.rebuildWindows();
+    }
+  }
+
+  /**
+   * Board every window back up
+   */
+  rebuildWindows() {
+    let boardsAdded = 0;
+    
+    (this.enemyManager.windows || []).forEach(window => {
+      while (window.addBoard()) {
+        boardsAdded++;
+      }
+    });
+    
+    console.log(`Carpenter rebuilt ${boardsAdded} boards`);
+  }
+
+  /**
+   * Effects on the local player (every game runs these for its own player)
+   * @param {string} type - Key into PowerUpTypes
+   */
+  applyPlayerEffect(type) {
+    const definition = PowerUpTypes[type];
+    if (!definition) return;
+    
+    const player = this.enemyManager.player;
+    this.showAnnouncement(definition);
+    
+    switch (type) {
+      case 'maxAmmo':
+        if (player && player.weapons) {
+          player.weapons.forEach(weapon => {
+            if (!weapon.hasInfiniteAmmo && weapon.maxTotalAmmo > weapon.totalAmmo) {
+              weapon.addAmmo(weapon.maxTotalAmmo - weapon.totalAmmo);
+            }
+          });
+          player.updateAmmoDisplay();
+        }
+        break;
+      
+      case 'nuke':
+        this.enemyManager.createScreenFlash('#ffffff');
+        if (player) {
+          player.addPoints(this.nukePoints, false, false, false);
+        }
+        break;
+      
+      case 'carpenter':
+        // Clients rebuild straight away rather than waiting for the next sync
+        if (!this.isAuthority()) {
+          this.rebuildWindows();
+        }
+        if (player) {
+          player.addPoints(this.carpenterPoints, false, false, false);
+        }
+        break;
+      
+      default:
+        // Timed effects (picking up another one restarts the timer)
+        this.activeEffects[type] = definition.duration;
+        if (type === 'doublePoints' && player) {
+          player.pointsMultiplier = 2;
+        }
+        break;
+    }
+  }
+
+  /**
+   * Count down timed effects and end the ones that run out
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateEffects(deltaTime) {
+    Object.keys(this.activeEffects).forEach(type => {
+      this.activeEffects[type] -= deltaTime;
+      
+      if (this.activeEffects[type] <= 0) {
+        this.endEffect(type);
+      }
+    });
+    
+    this.updateHud();
+  }
+
+  /**
+   * Stop a timed effect
+   * @param {string} type - Key into PowerUpTypes
+   */
+  endEffect(type) {
+    delete this.activeEffects[type];
+    
+    const player = this.enemyManager.player;
+    if (type === 'doublePoints' && player) {
+      player.pointsMultiplier = 1;
+    }
+    
+    console.log(`${PowerUpTypes[type].name} wore off`);
+  }
+
+  /**
+   * Take a pickup out of the world
+   * @param {PowerUp} pickup - The pickup
+   */
+  removePickup(pickup) {
+    pickup.isCollected = true;
+    pickup.dispose();
+    this.pickups = this.pickups.filter(p => p !== pickup);
+  }
+
+  /**
+   * Show the name of a power-up that was just picked up
+   * @param {Object} definition - Power-up definition
+   */
+  showAnnouncement(definition) {
+    const message = document.createElement('div');
+    message.textContent = definition.name;
+    message.style.position = 'absolute';
+    message.style.top = '35%';
+    message.style.left = '50%';
+    message.style.transform = 'translate(-50%, -50%)';
+    message.style.fontFamily = 'Impact, fantasy';
+    message.style.fontSize = '40px';
+    message.style.color = `#${definition.color.toString(16).padStart(6, '0')}`;
+    message.style.textShadow = '2px 2px 4px black';
+    message.style.pointerEvents = 'none';
+    message.style.zIndex = '1000';
+    message.style.transition = 'opacity 0.5s';
+    
+    document.body.appendChild(message);
+    
+    setTimeout(() => {
+      message.style.opacity = '0';
+      setTimeout(() => {
+        if (message.parentNode) {
+          message.parentNode.removeChild(message);
+        }
+      }, 500);
+    }, 1500);
+  }
+
+  /**
+   * Create the HUD row that shows timed effects
+   */
+  createHud() {
+    const container = document.createElement('div');
+    container.className = 'powerup-timers';
+    container.style.position = 'absolute';
+    container.style.bottom = '90px';
+    container.style.left = '50%';
+    container.style.transform = 'translateX(-50%)';
+    container.style.display = 'flex';
+    container.style.gap = '12px';
+    container.style.pointerEvents = 'none';
+    container.style.zIndex = '5';
+    
+    document.body.appendChild(container);
+    this.hud = { container, timers: {} };
+  }
+
+  /**
+   * Refresh the timers of the active effects
+   */
+  updateHud() {
+    const activeTypes = Object.keys(this.activeEffects);
+    
+    if (!this.hud) {
+      if (activeTypes.length === 0) return;
+      this.createHud();
+    }
+    
+    // Remove timers for effects that ended
+    Object.keys(this.hud.timers).forEach(type => {
+      if (!activeTypes.includes(type)) {
+        this.hud.container.removeChild(this.hud.timers[type]);
+        delete this.hud.timers[type];
+      }
+    });
+    
+    activeTypes.forEach(type => {
+      const definition = PowerUpTypes[type];
+      let timer = this.hud.timers[type];
+      
+      if (!timer) {
+        timer = document.createElement('div');
+        timer.style.fontFamily = 'Impact, fantasy';
+        timer.style.fontSize = '18px';
+        timer.style.padding = '4px 10px';
+        timer.style.border = `2px solid #${definition.color.toString(16).padStart(6, '0')}`;
+        timer.style.color = `#${definition.color.toString(16).padStart(6, '0')}`;
+        timer.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+        timer.style.textShadow = '1px 1px 2px black';
+        this.hud.container.appendChild(timer);
+        this.hud.timers[type] = timer;
+      }
+      
+      const secondsLeft = Math.ceil(this.activeEffects[type]);
+      timer.textContent = `${definition.name} ${secondsLeft}`;
+      
+      // Flash during the last few seconds
+      timer.style.opacity = secondsLeft <= 5 && Math.floor(this.activeEffects[type] * 4) % 2 === 0 ? '0.4' : '1';
+    });
+  }
+
+  /**
+   * Remove every pickup and end every effect (new game or map change)
+   */
+  reset() {
+    this.pickups.forEach(pickup => pickup.dispose());
+    this.pickups = [];
+    
+    Object.keys(this.activeEffects).forEach(type => this.endEffect(type));
+    this.dropsThisRound = 0;
+    
+    if (this.hud && this.hud.container.parentNode) {
+      this.hud.container.parentNode.removeChild(this.hud.container);
+    }
+    this.hud = null;
+  }
+}
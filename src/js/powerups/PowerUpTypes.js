@@ -0,0 +1,47 @@
+/**
+ * Power-ups that can drop from killed zombies, keyed by network type key.
+ *
+ * Fields:
+ *  - name: shown when it's picked up
+ *  - label: short text on the floating pickup
+ *  - color: pickup and HUD colour
+ *  - duration: seconds the effect lasts (0 = instant)
+ *  - weight: relative drop weight
+ */
+export const PowerUpTypes = {
+  maxAmmo: {
+    name: 'MAX AMMO',
+    label: 'AMMO',
+    color: 0x33ff66,
+    duration: 0,
+    weight: 3
+  },
+  instaKill: {
+    name: 'INSTA-KILL',
+    label: 'KILL',
+    color: 0xff3333,
+    duration: 30,
+    weight: 2
+  },
+  doublePoints: {
+    name: 'DOUBLE POINTS',
+    label: 'x2',
+    color: 0xffdd33,
+    duration: 30,
+    weight: 3
+  },
+  nuke: {
+    name: 'KABOOM!',
+    label: 'NUKE',
+    color: 0xff8800,
+    duration: 0,
+    weight: 1
+  },
+  carpenter: {
+    name: 'CARPENTER',
+    label: 'FIX',
+    color: 0x3399ff,
+    duration: 0,
+    weight: 2
+  }
+};
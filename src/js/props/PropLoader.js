@@ -0,0 +1,91 @@
+import * as THREE from 'three';
+import scene from './scene.json';
+import crate from './crate.json';
+import table from './table.json';
+import pillar from './pillar.json';
+
+/**
+ * Bundled prop models keyed by model id (Three.js ObjectJSON format)
+ */
+export const PropDefinitions = {
+  scene,
+  crate,
+  table,
+  pillar
+};
+
+/**
+ * Loads props saved in the Three.js Object format (e.g. from the three.js editor)
+ * through THREE.ObjectLoader.
+ */
+export class PropLoader {
+  /**
+   * Check if a bundled model with this id exists
+   * @param {string} model - Model id
+   * @returns {boolean} True if the model is bundled
+   */
+  static has(model) {
+    return !!PropDefinitions[model];
+  }
+
+  /**
+   * Add (or replace) a bundled model at runtime
+   * @param {string} model - Model id
+   * @param {Object} data - ObjectJSON data
+   */
+  static register(model, data) {
+    if (!data || !data.object) {
+      throw new Error(`Prop model "${model}" is not in the Three.js Object format`);
+    }
+    
+    PropDefinitions[model] = data;
+    console.log(`Registered prop model "${model}"`);
+  }
+
+  /**
+   * Load a model by bundled id, or from a URL if it isn't bundled
+   * @param {string} model - Model id or URL of an ObjectJSON file
+   * @returns {Promise<THREE.Object3D>} The loaded model, ready to place
+   */
+  static async load(model) {
+    const loader = new THREE.ObjectLoader();
+    const data = PropDefinitions[model];
+    
+    const object = data
+      ? await loader.parseAsync(JSON.parse(JSON.stringify(data)))
+      : await loader.loadAsync(model);
+    
+    return PropLoader.prepare(object);
+  }
+
+  /**
+   * Strip what a prop shouldn't bring into the game scene (lights and cameras)
+   * and let its meshes cast and receive shadows
+   * @param {THREE.Object3D} object - Loaded model
+   * @returns {THREE.Object3D} The model (a group if it was exported as a scene)
+   */
+  static prepare(object) {
+    const unwanted = [];
+    
+    object.traverse(child => {
+      if (child.isLight || child.isCamera) {
+        unwanted.push(child);
+      } else if (child.isMesh) {
+        child.castShadow = true;
+        child.receiveShadow = true;
+      }
+    });
+    
+    unwanted.forEach(child => child.removeFromParent());
+    
+    // Exported scenes come in as THREE.Scene, which can't sit inside another scene's graph cleanly
+    if (object.isScene) {
+      const group = new THREE.Group();
+      group.name = object.name;
+      group.add(...object.children);
+      return group;
+    }
+    
+    return object;
+  }
+}
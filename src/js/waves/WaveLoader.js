@@ -0,0 +1,147 @@
+import waves from './waves.json';
+
+/**
+ * Active wave definitions (bundled, or replaced at runtime with WaveLoader.register)
+ */
+export const WaveDefinitions = {
+  current: waves
+};
+
+/**
+ * Resolves the wave settings for a round. Rounds listed in the wave file are
+ * used as written (any field they leave out comes from the formula), and
+ * rounds past the end of the file use the endless formula.
+ *
+ * A wave has:
+ *  - zombieCount: zombies to kill before the round ends
+ *  - maxEnemies: zombies alive at once
+ *  - spawnRate: spawns per second
+ *  - multiSpawnChance / maxMultiSpawn: chance of several zombies spawning together, and how many
+ *  - mix: enemy type weights ({ standard: 0.7, runner: 0.3 }) or null for the registry's curves
+ *  - burst: { count, delay, healthMultiplier } burst spawn warned about at the start, or null
+ *  - special: name of a special round ('boss' or 'hellhounds') or null
+ *  - bosses: bosses that join the round
+ *  - hellhoundChance: chance the round is swapped for a hellhound round (rolled when the previous round ends)
+ *  - packSize / packInterval: hellhounds per pack and seconds between packs (hellhound rounds only)
+ *  - title / subtitle: optional round announcement text
+ */
+export class WaveLoader {
+  /**
+   * Get the wave for a round
+   * @param {number} round - Round number (1 and up)
+   * @returns {Object} The resolved wave
+   */
+  static get(round) {
+    const scripted = WaveDefinitions.current.rounds.find(wave => wave.round === round);
+    const base = scripted && scripted.special === 'hellhounds'
+      ? WaveLoader.hellhounds(round)
+      : WaveLoader.formula(round);
+    const wave = { ...base, ...(scripted || {}), round };
+
+    wave.isScripted = !!scripted;
+    return wave;
+  }
+
+  /**
+   * Get the last round that comes from the wave file
+   * @returns {number} Round number (0 if the file has no rounds)
+   */
+  static getLastScriptedRound() {
+    return WaveDefinitions.current.rounds.reduce((last, wave) => Math.max(last, wave.round), 0);
+  }
+
+  /**
+   * Replace the wave definitions at runtime
+   * @param {Object} data - Wave file data ({ rounds: [...] })
+   */
+  static register(data) {
+    if (!data || !Array.isArray(data.rounds)) {
+      throw new Error('Wave definitions need a "rounds" array');
+    }
+
+    data.rounds.forEach((wave, index) => {
+      if (!Number.isInteger(wave.round) || wave.round < 1) {
+        throw new Error(`Wave ${index} needs a round number of 1 or more`);
+      }
+    });
+
+    WaveDefinitions.current = data;
+    console.log(`Registered wave definitions "${data.id || 'custom'}" with ${data.rounds.length} scripted rounds`);
+  }
+
+  /**
+   * Endless formula used for rounds the wave file doesn't cover
+   * @param {number} round - Round number
+   * @returns {Object} The wave for that round
+   */
+  static formula(round) {
+    // Zombies grow by 3 a round plus 4 more every 5th round
+    const zombieCount = 8 + (round - 1) * 3 + Math.floor(round / 5) * 4;
+
+    // Concurrent zombies grow by 1 every 3 rounds and 1 more every 6
+    const maxEnemies = 7 + Math.floor(round / 3) + Math.floor(round / 6);
+
+    // Spawn rate grows by a sixth of the base rate per round
+    const spawnRate = 0.2 * (1 + round / 6);
+
+    // From round 4 several zombies can spawn together
+    const multiSpawnChance = round > 3 ? Math.min(0.6, 0.12 + round * 0.025) : 0;
+    const maxMultiSpawn = Math.min(5, Math.floor(round / 4) + 1);
+
+    // Every 5th round is a boss round; from round 10 it also has a burst spawn
+    const isMilestone = round % 5 === 0;
+    const bosses = isMilestone ? Math.min(3, 1 + Math.floor((round - 5) / 15)) : 0;
+    const burst = isMilestone && round > 5
+      ? { count: Math.min(4, Math.ceil(maxEnemies / 3)), delay: 5, healthMultiplier: 1.1 }
+      : null;
+
+    // From round 6 any round between boss rounds can turn into a hellhound round
+    const hellhoundChance = round >= 6 && !isMilestone ? 0.12 : 0;
+
+    return {
+      round,
+      zombieCount,
+      maxEnemies,
+      spawnRate,
+      multiSpawnChance,
+      maxMultiSpawn,
+      mix: null,
+      burst,
+      special: bosses > 0 ? 'boss' : null,
+      bosses,
+      hellhoundChance,
+      title: null,
+      subtitle: null
+    };
+  }
+
+  /**
+   * Hellhound round: packs of hounds appear around the room instead of zombies
+   * coming through the windows
+   * @param {number} round - Round number
+   * @returns {Object} The wave for that round
+   */
+  static hellhounds(round) {
+    // Roughly a hound for every three zombies the round would have had
+    const zombieCount = Math.min(40, 6 + Math.floor(round * 1.2));
+    const packSize = Math.min(6, 2 + Math.floor(round / 6));
+
+    return {
+      round,
+      zombieCount,
+      maxEnemies: Math.min(16, packSize * 2 + 2),
+      spawnRate: 0,
+      multiSpawnChance: 0,
+      maxMultiSpawn: 1,
+      mix: { hellhound: 1 },
+      burst: null,
+      special: 'hellhounds',
+      bosses: 0,
+      hellhoundChance: 0,
+      packSize,
+      packInterval: Math.max(3, 6 - round * 0.1),
+      title: null,
+      subtitle: null
+    };
+  }
+}
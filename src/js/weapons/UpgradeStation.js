@@ -0,0 +1,314 @@
+import * as THREE from 'three';
+import { WeaponModelBuilder } from './WeaponModelBuilder';
+
+/**
+ * Upgrade station that takes the player's weapon for a few seconds and hands back
+ * an upgraded version (more damage, a bigger magazine, camo and a new fire sound).
+ * Works for weapons.json guns and mystery box weapons alike.
+ */
+export class UpgradeStation {
+  constructor(config = {}) {
+    // Station properties
+    this.position = config.position || new THREE.Vector3(0, 0, 0);
+    this.rotation = config.rotation || new THREE.Euler(0, 0, 0);
+    this.cost = config.cost !== undefined ? config.cost : 5000;
+    this.upgradeTime = config.upgradeTime || 4; // Seconds the weapon spends inside
+    
+    // Upgrade state
+    this.player = null; // Player waiting for their weapon
+    this.weapon = null; // Weapon that went in
+    this.upgradedWeapon = null; // Weapon that comes out
+    this.upgradeTimer = 0;
+    
+    // Visual elements
+    this.instance = new THREE.Group();
+    this.displayModel = null; // Spinning camo preview in front of the window
+    this.glowLight = null;
+    
+    // Interaction
+    this.isPlayerNearby = false;
+    this.interactionDistance = 2.2;
+    
+    // Materials
+    this.bodyMaterial = new THREE.MeshStandardMaterial({
+      color: 0x2b2238, // Dark purple steel
+      roughness: 0.6,
+      metalness: 0.7
+    });
+    
+    this.trimMaterial = new THREE.MeshStandardMaterial({
+      color: 0x888899,
+      roughness: 0.4,
+      metalness: 0.9
+    });
+    
+    this.glowMaterial = new THREE.MeshStandardMaterial({
+      color: 0x9b30ff,
+      emissive: 0x9b30ff,
+      emissiveIntensity: 0.6,
+      transparent: true,
+      opacity: 0.5
+    });
+  }
+
+  /**
+   * Initialize the station
+   */
+  init() {
+    // Cabinet
+    const body = new THREE.Mesh(new THREE.BoxGeometry(1.2, 1.7, 0.8), this.bodyMaterial);
+    body.position.y = 0.85;
+    body.castShadow = true;
+    body.receiveShadow = true;
+    body.userData = { isUpgradeStation: true };
+    this.instance.add(body);
+    
+    // Metal trim along the top and bottom
+    [0.04, 1.68].forEach(y => {
+      const trim = new THREE.Mesh(new THREE.BoxGeometry(1.26, 0.08, 0.86), this.trimMaterial);
+      trim.position.y = y;
+      this.instance.add(trim);
+    });
+    
+    // Glowing window on the front the weapon spins in front of
+    const windowPane = new THREE.Mesh(new THREE.PlaneGeometry(0.9, 0.5), this.glowMaterial);
+    windowPane.position.set(0, 1.15, 0.41);
+    this.instance.add(windowPane);
+    
+    // Rollers the weapon goes in between
+    const rollerGeometry = new THREE.CylinderGeometry(0.05, 0.05, 0.9, 12);
+    [0.86, 1.44].forEach(y => {
+      const roller = new THREE.Mesh(rollerGeometry, this.trimMaterial);
+      roller.position.set(0, y, 0.42);
+      roller.rotation.z = Math.PI / 2;
+      this.instance.add(roller);
+    });
+    
+    // Glow strips down the front corners
+    const stripGeometry = new THREE.BoxGeometry(0.04, 1.5, 0.04);
+    [-0.58, 0.58].forEach(x => {
+      const strip = new THREE.Mesh(stripGeometry, this.glowMaterial);
+      strip.position.set(x, 0.85, 0.4);
+      this.instance.add(strip);
+    });
+    
+    // Light that flares up while upgrading
+    this.glowLight = new THREE.PointLight(0x9b30ff, 0.4, 3);
+    this.glowLight.position.set(0, 1.2, 0.7);
+    this.instance.add(this.glowLight);
+    
+    // Position the entire station
+    this.instance.position.copy(this.position);
+    this.instance.rotation.copy(this.rotation);
+    
+    // Add userData for raycasting
+    this.instance.userData = {
+      upgradeStation: true,
+      cost: this.cost
+    };
+  }
+
+  /**
+   * Check if player is near the station
+   * @param {THREE.Vector3} playerPosition - Current player position
+   * @returns {boolean} True if player is within interaction distance
+   */
+  checkPlayerProximity(playerPosition) {
+    // Only compare horizontal distance since the station stands on the floor
+    const distance = new THREE.Vector2(
+      playerPosition.x - this.instance.position.x,
+      playerPosition.z - this.instance.position.z
+    ).length();
+    
+    this.isPlayerNearby = distance < this.interactionDistance;
+    
+    return this.isPlayerNearby;
+  }
+
+  /**
+   * Check if a weapon is already inside the station
+   * @returns {boolean} True while upgrading
+   */
+  isBusy() {
+    return this.weapon !== null;
+  }
+
+  /**
+   * Check if a weapon can go into the station
+   * @param {Weapon} weapon - The weapon to check
+   * @returns {boolean} True if the weapon can be upgraded
+   */
+  canUpgrade(weapon) {
+    return !!weapon && !weapon.upgraded && !this.isBusy();
+  }
+
+  /**
+   * Attempt to pay for an upgrade of the player's active weapon
+   * @param {PlayerControls} player - The player attempting to purchase
+   * @returns {boolean} True if the weapon went in
+   */
+  purchase(player) {
+    const weapon = player.activeWeapon;
+    
+    if (!this.canUpgrade(weapon) || player.isReloading || player.isDead) {
+      return false;
+    }
+    
+    // Check if player has enough points
+    if (player.score < this.cost) {
+      this.showMessage('Not Enough Points!', 'rgba(255, 0, 0, 0.6)');
+      return false;
+    }
+    
+    // Deduct points
+    player.score -= this.cost;
+    player.updateScoreDisplay();
+    
+    // Take the weapon and build what comes out
+    player.removeWeapon(weapon);
+    
+    this.player = player;
+    this.weapon = weapon;
+    this.upgradedWeapon = weapon.createUpgradedWeapon();
+    this.upgradedWeapon.init();
+    this.upgradeTimer = 0;
+    
+    this.showDisplayModel();
+    
+    console.log(`Upgrading ${weapon.name} into ${this.upgradedWeapon.name}`);
+    
+    return true;
+  }
+
+  /**
+   * Show the upgraded weapon in camo spinning in front of the window
+   */
+  showDisplayModel() {
+    this.hideDisplayModel();
+    
+    const weapon = this.upgradedWeapon;
+    
+    if (weapon.viewModel) {
+      this.displayModel = WeaponModelBuilder.build(weapon.viewModel);
+      this.displayModel.scale.setScalar(1.5);
+    } else {
+      // Mystery box weapons only have their world model
+      this.displayModel = weapon.instance.clone();
+    }
+    
+    WeaponModelBuilder.applyCamo(this.displayModel);
+    
+    this.displayModel.position.set(0, 1.15, 0.6);
+    this.instance.add(this.displayModel);
+  }
+
+  /**
+   * Remove the weapon preview
+   */
+  hideDisplayModel() {
+    if (this.displayModel) {
+      this.instance.remove(this.displayModel);
+      this.displayModel = null;
+    }
+  }
+
+  /**
+   * Run the upgrade and hand the weapon back when it's done
+   * @param {number} deltaTime - Time since last frame
+   */
+  update(deltaTime) {
+    if (!this.isBusy()) return;
+    
+    this.upgradeTimer += deltaTime;
+    
+    // Spin the weapon and pulse the glow
+    if (this.displayModel) {
+      this.displayModel.rotation.y += deltaTime * 3;
+    }
+    const pulse = 0.5 + Math.sin(this.upgradeTimer * 10) * 0.5;
+    this.glowMaterial.emissiveIntensity = 0.6 + pulse * 1.4;
+    this.glowLight.intensity = 0.4 + pulse * 2;
+    
+    if (this.upgradeTimer < this.upgradeTime) return;
+    
+    // Weapons of players who went down are lost
+    if (this.player.isDead) {
+      console.log(`${this.upgradedWeapon.name} was lost, its owner went down`);
+      this.finishUpgrade();
+      return;
+    }
+    
+    // Wait until the player can take it (equipping is skipped mid-reload)
+    if (this.player.isReloading) return;
+    
+    this.player.equipWeapon(this.upgradedWeapon);
+    this.showMessage(`${this.upgradedWeapon.name}!`, 'rgba(155, 48, 255, 0.7)');
+    
+    this.finishUpgrade();
+  }
+
+  /**
+   * Empty the station and stop the upgrade effects
+   */
+  finishUpgrade() {
+    this.player = null;
+    this.weapon = null;
+    this.upgradedWeapon = null;
+    this.upgradeTimer = 0;
+    
+    this.hideDisplayModel();
+    
+    this.glowMaterial.emissiveIntensity = 0.6;
+    if (this.glowLight) {
+      this.glowLight.intensity = 0.4;
+    }
+  }
+
+  /**
+   * Show a short message in the middle of the screen
+   * @param {string} text - Message to show
+   * @param {string} background - Background color of the message
+   */
+  showMessage(text, background) {
+    const message = document.createElement('div');
+    message.textContent = text;
+    message.style.position = 'absolute';
+    message.style.top = '40%';
+    message.style.left = '50%';
+    message.style.transform = 'translate(-50%, -50%)';
+    message.style.backgroundColor = background;
+    message.style.color = 'white';
+    message.style.padding = '10px 20px';
+    message.style.borderRadius = '5px';
+    message.style.fontFamily = 'Impact, fantasy';
+    message.style.fontSize = '24px';
+    message.style.zIndex = '1000';
+    
+    document.body.appendChild(message);
+    
+    // Remove after a short time
+    setTimeout(() => {
+      if (message.parentNode) {
+        message.parentNode.removeChild(message);
+      }
+    }, 1500);
+  }
+
+  /**
+   * Reset the station to its empty state (any weapon inside is lost)
+   */
+  reset() {
+    this.finishUpgrade();
+    this.isPlayerNearby = false;
+  }
+
+  /**
+   * Clean up when removing the station
+   */
+  dispose() {
+    this.reset();
+    this.bodyMaterial.dispose();
+    this.trimMaterial.dispose();
+    this.glowMaterial.dispose();
+  }
+}
@@ -1,4 +1,9 @@
 import * as THREE from 'three';
+import weaponData from './weapons.json';
+
+// What the upgrade station does to a weapon
+const UPGRADE_DAMAGE_MULTIPLIER = 2;
+const UPGRADE_AMMO_MULTIPLIER = 1.5; // Magazine and reserve
 
 /**
  * Weapon class for defining different weapons in the game
@@ -6,6 +11,7 @@ import * as THREE from 'three';
 export class Weapon {
   constructor(config = {}) {
     // Weapon properties with defaults
+    this.type = config.type || null; // Key into WeaponTypes (null for mystery box weapons)
     this.name = config.name || 'Pistol';
     this.description = config.description || 'Standard sidearm';
     this.cost = config.cost || 500;
@@ -19,10 +25,15 @@ export class Weapon {
     this.automatic = config.automatic || false; // Whether weapon can be held to fire
     this.magazineSize = config.magazineSize || 8;
     this.totalAmmo = config.totalAmmo || 40;
+    this.maxTotalAmmo = config.maxTotalAmmo || this.totalAmmo; // Reserve a Max Ammo refills to
     this.currentAmmo = this.magazineSize;
     this.shotsPerBurst = config.shotsPerBurst || 1; // For burst weapons
+    this.burstDelay = config.burstDelay || 0.07; // Seconds between shots within a burst
+    this.burstShotsRemaining = 0;
     this.projectilesPerShot = config.projectilesPerShot || 1; // For shotguns
     this.spread = config.spread || 0.01; // Accuracy (lower is better)
+    this.penetration = config.penetration || 1; // Zombies one bullet can go through
+    this.penetrationFalloff = config.penetrationFalloff || 0.6; // Damage kept past each zombie or thin prop
     
     // Ammo system
     this.hasInfiniteAmmo = config.hasInfiniteAmmo || false;
@@ -32,6 +43,9 @@ export class Weapon {
     this.soundPath = config.soundPath || null;
     this.muzzleFlash = config.muzzleFlash || false;
     this.reloadTime = config.reloadTime || 1.5;
+    this.sounds = config.sounds || null; // Shoot and reload sounds ({ src, volume, rate, loop })
+    this.viewModel = config.viewModel || null; // First-person model description (see WeaponModelBuilder)
+    this.scope = config.scope || null; // Weapons with a scope can aim down it ({ zoom })
     
     // Visual properties for mystery weapons
     this.customColor = config.customColor || null;
@@ -40,6 +54,9 @@ export class Weapon {
     // Flag for mystery box weapons
     this.isMysteryWeapon = config.isMysteryWeapon || false;
     
+    // Upgraded at the upgrade station (camo, alternate fire sound, can't be upgraded again)
+    this.upgraded = config.upgraded || false;
+    
     // 3D model
     this.instance = null;
     
@@ -195,6 +212,11 @@ export class Weapon {
     // Reduce ammo
     this.currentAmmo--;
     
+    // Count down the rest of the burst (a new one starts once the last has finished)
+    if (this.shotsPerBurst > 1) {
+      this.burstShotsRemaining = this.isMidBurst() ? this.burstShotsRemaining - 1 : this.shotsPerBurst - 1;
+    }
+    
     // Update last fire time for cooldown tracking
     this.lastFireTime = Date.now();
     
@@ -259,8 +281,9 @@ export class Weapon {
    * @returns {boolean} Whether the weapon can shoot
    */
   canShoot() {
-    // Check for active cooldown
-    if (this.lastFireTime && ((Date.now() - this.lastFireTime) / 1000 < this.cooldown)) {
+    // Check for active cooldown (shots within a burst come faster)
+    const cooldown = this.isMidBurst() ? this.burstDelay : this.cooldown;
+    if (this.lastFireTime && ((Date.now() - this.lastFireTime) / 1000 < cooldown)) {
       return false;
     }
     
@@ -277,6 +300,15 @@ export class Weapon {
     return true;
   }
   
+  /**
+   * Check if a burst is still being fired
+   * @returns {boolean} True if the burst has shots left and hasn't been interrupted
+   */
+  isMidBurst() {
+    return this.burstShotsRemaining > 0 &&
+      (Date.now() - this.lastFireTime) / 1000 < this.burstDelay * 3;
+  }
+  
   /**
    * Alias for fire() - for backward compatibility
    * @returns {Object} Firing data including damage, spread, etc.
@@ -295,6 +327,9 @@ export class Weapon {
       return false;
     }
     
+    // Reloading cuts a burst short
+    this.burstShotsRemaining = 0;
+    
     // If weapon has infinite ammo, just reload without consuming totalAmmo
     if (this.hasInfiniteAmmo) {
       this.isReloading = true;
@@ -338,6 +373,33 @@ export class Weapon {
     this.totalAmmo += amount;
   }
   
+  /**
+   * Create the upgraded version of this weapon (upgrade station)
+   * @returns {Weapon} A new weapon with more damage, a bigger magazine, more penetration and full reserves
+   */
+  createUpgradedWeapon() {
+    // Guns from weapons.json name their upgrade, anything else (mystery box weapons) gets a mark
+    const definition = this.type ? WeaponTypes[this.type] : null;
+    const upgrade = (definition && definition.upgrade) || {};
+    
+    // Keep burst weapons' magazines a whole number of bursts
+    const magazineSize = Math.ceil(this.magazineSize * UPGRADE_AMMO_MULTIPLIER / this.shotsPerBurst) * this.shotsPerBurst;
+    const maxTotalAmmo = Math.ceil(this.maxTotalAmmo * UPGRADE_AMMO_MULTIPLIER);
+    
+    return new Weapon({
+      ...this,
+      name: upgrade.name || `${this.name} Mk II`,
+      description: `Upgraded ${this.name}`,
+      bodyDamage: Math.round(this.bodyDamage * UPGRADE_DAMAGE_MULTIPLIER),
+      headDamage: Math.round(this.headDamage * UPGRADE_DAMAGE_MULTIPLIER),
+      magazineSize,
+      maxTotalAmmo,
+      totalAmmo: this.hasInfiniteAmmo ? this.totalAmmo : maxTotalAmmo,
+      penetration: this.penetration + 1,
+      upgraded: true
+    });
+  }
+  
   /**
    * Position the weapon model for wall mounting
    * @param {THREE.Vector3} position - Position to mount the weapon
@@ -422,56 +484,11 @@ export class Weapon {
 }
 
 /**
- * Define common weapon types
+ * Weapon definitions keyed by type, loaded from weapons.json (stats, sounds,
+ * view model and wall-buy cost)
  */
-export const WeaponTypes = {
-  // Starting weapon
-  PISTOL: {
-    name: 'Pistol',
-    description: 'Standard issue sidearm',
-    cost: 0, // Free (starting weapon)
-    bodyDamage: 20,
-    headDamage: 30,
-    cooldown: 0.2,
-    magazineSize: 12,
-    totalAmmo: 40,
-    automatic: false,
-    spread: 0.015,
-    hasInfiniteAmmo: true // Pistol has infinite ammo
-  },
-  
-  // Wall buy weapons
-  SHOTGUN: {
-    name: 'Shotgun',
-    description: 'Close range devastation',
-    cost: 2500,
-    bodyDamage: 20, // Per pellet
-    headDamage: 30, // Per pellet
-    cooldown: 0.8,
-    magazineSize: 8,
-    totalAmmo: 32,
-    automatic: false,
-    projectilesPerShot: 8, // 8 pellets per shot
-    spread: 0.07,
-    hasInfiniteAmmo: false
-  },
-  
-  ASSAULT_RIFLE: {
-    name: 'Assault Rifle',
-    description: 'Balanced firepower',
-    cost: 5000,
-    bodyDamage: 25,
-    headDamage: 50,
-    cooldown: 0.15,
-    magazineSize: 30,
-    totalAmmo: 150,
-    automatic: true,
-    spread: 0.02,
-    hasInfiniteAmmo: false
-  }
-}; 
- 
- 
- 
- 
- 
\ No newline at end of file
+export const WeaponTypes = {};
+
+Object.entries(weaponData.weapons).forEach(([type, definition]) => {
+  WeaponTypes[type] = { ...definition, type };
+});
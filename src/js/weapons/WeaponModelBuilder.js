@@ -0,0 +1,190 @@
+import * as THREE from 'three';
+
+// Geometry constructors for each part shape (args are passed straight through)
+const SHAPES = {
+  box: THREE.BoxGeometry,
+  cylinder: THREE.CylinderGeometry,
+  torus: THREE.TorusGeometry,
+  sphere: THREE.SphereGeometry,
+  circle: THREE.CircleGeometry,
+  cone: THREE.ConeGeometry
+};
+
+let camoTexture = null;
+
+/**
+ * Draw the upgrade camo once (purple and teal blotches over a dark base)
+ * @returns {THREE.CanvasTexture} The camo texture
+ */
+function getCamoTexture() {
+  if (camoTexture) return camoTexture;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = 128;
+  canvas.height = 128;
+  const context = canvas.getContext('2d');
+
+  context.fillStyle = '#1a0f2e';
+  context.fillRect(0, 0, 128, 128);
+
+  const colors = ['#5b1fa8', '#8a2be2', '#14b8a6', '#2d0a4e'];
+  for (let i = 0; i < 40; i++) {
+    context.fillStyle = colors[i % colors.length];
+    context.beginPath();
+    context.ellipse(
+      Math.random() * 128,
+      Math.random() * 128,
+      6 + Math.random() * 14,
+      4 + Math.random() * 8,
+      Math.random() * Math.PI,
+      0,
+      Math.PI * 2
+    );
+    context.fill();
+  }
+
+  camoTexture = new THREE.CanvasTexture(canvas);
+  camoTexture.wrapS = THREE.RepeatWrapping;
+  camoTexture.wrapT = THREE.RepeatWrapping;
+  return camoTexture;
+}
+
+/**
+ * Builds first-person weapon models from the view model descriptions in weapons.json.
+ * A description lists named materials and a set of primitive parts; rotations are
+ * in degrees and a part can be repeated along one or more steps (serrations, rail notches).
+ */
+export class WeaponModelBuilder {
+  /**
+   * Build a weapon model
+   * @param {Object} viewModel - View model description ({ materials, parts })
+   * @returns {THREE.Group} The weapon model
+   */
+  static build(viewModel) {
+    const group = new THREE.Group();
+    const materials = {};
+    
+    Object.entries(viewModel.materials || {}).forEach(([key, definition]) => {
+      materials[key] = new THREE.MeshStandardMaterial({
+        color: definition.color,
+        roughness: definition.roughness !== undefined ? definition.roughness : 0.5,
+        metalness: definition.metalness !== undefined ? definition.metalness : 0.5,
+        emissive: definition.emissive || 0x000000,
+        emissiveIntensity: definition.emissiveIntensity || 0
+      });
+    });
+    
+    (viewModel.parts || []).forEach(part => {
+      const geometry = WeaponModelBuilder.createGeometry(part);
+      if (!geometry) return;
+      
+      const material = materials[part.material] || new THREE.MeshStandardMaterial({ color: 0x333333 });
+      
+      WeaponModelBuilder.getOffsets(part.repeat).forEach(offset => {
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.name = part.name || part.shape;
+        
+        WeaponModelBuilder.applyTransform(mesh, part);
+        mesh.position.x += offset[0];
+        mesh.position.y += offset[1];
+        mesh.position.z += offset[2];
+        
+        group.add(mesh);
+      });
+    });
+    
+    return group;
+  }
+
+  /**
+   * Cover a model in the upgrade camo (replaces its materials, keeping lenses and glowing parts)
+   * @param {THREE.Object3D} model - Weapon model to repaint
+   */
+  static applyCamo(model) {
+    const camo = new THREE.MeshStandardMaterial({
+      map: getCamoTexture(),
+      roughness: 0.4,
+      metalness: 0.6,
+      emissive: 0x3a0a66,
+      emissiveIntensity: 0.35
+    });
+    
+    model.traverse(child => {
+      if (!child.isMesh) return;
+      
+      // Lenses, glow effects and energy cells keep their own look
+      const original = child.material;
+      if (/lens/i.test(child.name) || !original.isMeshStandardMaterial || original.emissiveIntensity >= 1) return;
+      
+      child.material = camo;
+    });
+  }
+
+  /**
+   * Place an object from a description's position and rotation (degrees)
+   * @param {THREE.Object3D} object - Object to place
+   * @param {Object} transform - { position: [x, y, z], rotation: [x, y, z] }
+   */
+  static applyTransform(object, transform) {
+    const position = transform.position || [0, 0, 0];
+    const rotation = transform.rotation || [0, 0, 0];
+    
+    object.position.set(position[0], position[1], position[2]);
+    object.rotation.set(
+      THREE.MathUtils.degToRad(rotation[0]),
+      THREE.MathUtils.degToRad(rotation[1]),
+      THREE.MathUtils.degToRad(rotation[2])
+    );
+  }
+
+  /**
+   * Create the geometry for a part
+   * @param {Object} part - Part description ({ shape, args, arc })
+   * @returns {THREE.BufferGeometry|null} The geometry, or null for an unknown shape
+   */
+  static createGeometry(part) {
+    const Geometry = SHAPES[part.shape];
+    if (!Geometry) {
+      console.warn(`Unknown weapon part shape "${part.shape}"`);
+      return null;
+    }
+    
+    const args = [...(part.args || [])];
+    
+    // Partial tori and cylinders (trigger guards, curved stocks) sweep "arc" degrees
+    if (part.arc !== undefined) {
+      const arc = THREE.MathUtils.degToRad(part.arc);
+      if (part.shape === 'torus') {
+        args[4] = arc;
+      } else if (part.shape === 'cylinder') {
+        args[4] = args[4] || 1;
+        args[5] = false;
+        args[6] = 0;
+        args[7] = arc;
+      }
+    }
+    
+    return new Geometry(...args);
+  }
+
+  /**
+   * Expand a part's repeat steps into the offset of every copy
+   * @param {Array} repeat - Steps ([{ count, step: [x, y, z] }]), each multiplying the copies
+   * @returns {Array} Offsets ([x, y, z]) for each copy
+   */
+  static getOffsets(repeat) {
+    let offsets = [[0, 0, 0]];
+    
+    (repeat || []).forEach(({ count, step }) => {
+      const expanded = [];
+      offsets.forEach(offset => {
+        for (let i = 0; i < count; i++) {
+          expanded.push([offset[0] + step[0] * i, offset[1] + step[1] * i, offset[2] + step[2] * i]);
+        }
+      });
+      offsets = expanded;
+    });
+    
+    return offsets;
+  }
+}